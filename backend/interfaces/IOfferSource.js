@@ -0,0 +1,81 @@
+// Offer Source Abstraction Layer
+// Interface definition for offer (tilbud) sources
+
+/**
+ * @typedef {Object} Tilbud
+ * @property {number} id - Stable offer identifier
+ * @property {string} navn - Product name
+ * @property {string} butik - Chain name (e.g., "Netto")
+ * @property {string} kategori - Category
+ * @property {string|null} [underkategori] - Subcategory (classified from navn when omitted)
+ * @property {number} normalpris - Normal price in DKK
+ * @property {number} tilbudspris - Offer price in DKK
+ * @property {number} rabat - Discount in percent
+ * @property {number} [maengde] - Package size in kg, l or stk (parsed from navn when omitted)
+ * @property {string} [enhed] - Unit of maengde: "kg", "l" or "stk"
+ * @property {string} [billedeUrl] - Product image URL
+ * @property {string|null} [butikId] - Physical store ID, when the offer is store specific
+ * @property {string} [butikNavn] - Physical store name
+ * @property {string} _source - Source identifier (e.g., "salling-api")
+ * @property {number} [_confidence] - Parser confidence 0-1, for offers read from PDF flyers
+ */
+
+/**
+ * @typedef {Object} OfferSourceResult
+ * @property {Tilbud[]} tilbud - Offers in our schema
+ * @property {Object[]} [stores] - Physical stores referenced by the offers
+ */
+
+/**
+ * @typedef {Object} OfferSourceMetadata
+ * @property {string} id - Source unique identifier
+ * @property {string} name - Source name
+ * @property {number} priority - Source priority (lower = higher priority)
+ * @property {boolean} enabled - Whether source is enabled
+ * @property {boolean} live - Whether offers are real (live offers are persisted
+ *   and kept as fallback; demo data is not)
+ * @property {number} [refreshInterval] - How often the refresh scheduler fetches
+ *   the source, in ms (default 1 hour)
+ */
+
+/**
+ * IOfferSource - Interface for offer sources
+ *
+ * All offer sources (Salling Group, mock data, future chains) must implement this interface.
+ * Sources are registered in the OfferSourceRegistry, which merges their results by priority.
+ *
+ * @interface
+ */
+class IOfferSource {
+  /**
+   * Fetch current offers
+   *
+   * @param {Object} [options]
+   * @param {string} [options.postnummer] - Zip code to fetch offers for
+   * @returns {Promise<OfferSourceResult>} Offers and stores
+   * @throws {Error} If source is unavailable
+   */
+  async fetchOffers(options = {}) {
+    throw new Error('fetchOffers() must be implemented');
+  }
+
+  /**
+   * Get metadata about this offer source
+   *
+   * @returns {OfferSourceMetadata} Source metadata
+   */
+  getSourceInfo() {
+    throw new Error('getSourceInfo() must be implemented');
+  }
+
+  /**
+   * Health check - verify source is accessible
+   *
+   * @returns {Promise<{healthy: boolean, message: string}>} Health status
+   */
+  async healthCheck() {
+    throw new Error('healthCheck() must be implemented');
+  }
+}
+
+module.exports = { IOfferSource };
@@ -0,0 +1,233 @@
+// Mock Offer Source
+// Demo offers for chains not covered by the Salling API (Rema 1000, Aldi)
+
+const { IOfferSource } = require('../interfaces/IOfferSource');
+
+/**
+ * Mock Data Adapter - IOfferSource for stores not covered by Salling API
+ */
+class MockDataAdapter extends IOfferSource {
+  constructor(options = {}) {
+    super();
+    this.sourceId = options.sourceId || 'mock';
+    this.sourceName = options.sourceName || 'Mock data';
+    // Lowest priority - demo data never overrides real offers
+    this.priority = options.priority || 99;
+    this.enabled = options.enabled !== false;
+    // Demo data never changes
+    this.refreshInterval = options.refreshInterval || 60 * 60 * 1000;
+  }
+
+  /**
+   * Get enhanced mock data for stores like Rema 1000, Aldi, etc.
+   * @returns {Array} Mock tilbud array
+   */
+  getEnhancedMockData() {
+    return [
+      {
+        id: 1,
+        navn: 'Hakket Oksekød 8-12%',
+        butik: 'Rema 1000',
+        kategori: 'Kød',
+        normalpris: 59.95,
+        tilbudspris: 39.95,
+        rabat: 33,
+        billedeUrl: '/images/oksekoed.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 4,
+        navn: 'Coca Cola 1,5L',
+        butik: 'Rema 1000',
+        kategori: 'Drikkevarer',
+        normalpris: 20.00,
+        tilbudspris: 12.00,
+        rabat: 40,
+        billedeUrl: '/images/cola.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 7,
+        navn: 'Smør 250g',
+        butik: 'Rema 1000',
+        kategori: 'Mejeri',
+        normalpris: 18.95,
+        tilbudspris: 12.95,
+        rabat: 32,
+        billedeUrl: '/images/smoer.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 10,
+        navn: 'Æg 10 stk',
+        butik: 'Rema 1000',
+        kategori: 'Mejeri',
+        normalpris: 25.95,
+        tilbudspris: 19.95,
+        rabat: 23,
+        billedeUrl: '/images/aeg.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 13,
+        navn: 'Spaghetti 500g',
+        butik: 'Rema 1000',
+        kategori: 'Tørvarer',
+        normalpris: 12.95,
+        tilbudspris: 8.95,
+        rabat: 31,
+        billedeUrl: '/images/pasta.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 16,
+        navn: 'Frisk Laks 400g',
+        butik: 'Rema 1000',
+        kategori: 'Fisk',
+        normalpris: 69.95,
+        tilbudspris: 49.95,
+        rabat: 29,
+        billedeUrl: '/images/laks.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 19,
+        navn: 'Bananer 1kg',
+        butik: 'Rema 1000',
+        kategori: 'Frugt',
+        normalpris: 15.00,
+        tilbudspris: 10.00,
+        rabat: 33,
+        billedeUrl: '/images/bananer.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 101,
+        navn: 'Økologisk Mælk 1L',
+        butik: 'Aldi',
+        kategori: 'Mejeri',
+        normalpris: 12.95,
+        tilbudspris: 8.95,
+        rabat: 31,
+        billedeUrl: '/images/maelk.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 102,
+        navn: 'Friske Jordbær 250g',
+        butik: 'Aldi',
+        kategori: 'Frugt',
+        normalpris: 25.00,
+        tilbudspris: 15.00,
+        rabat: 40,
+        billedeUrl: '/images/jordbaer.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 103,
+        navn: 'Grahamsboller 6 stk',
+        butik: 'Aldi',
+        kategori: 'Brød',
+        normalpris: 15.95,
+        tilbudspris: 11.95,
+        rabat: 25,
+        billedeUrl: '/images/boller.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 104,
+        navn: 'Kyllingebryst 500g',
+        butik: 'Aldi',
+        kategori: 'Kød',
+        normalpris: 45.00,
+        tilbudspris: 29.95,
+        rabat: 33,
+        billedeUrl: '/images/kylling.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 105,
+        navn: 'Gulerødder 1kg',
+        butik: 'Aldi',
+        kategori: 'Grøntsager',
+        normalpris: 12.95,
+        tilbudspris: 7.95,
+        rabat: 39,
+        billedeUrl: '/images/guleroedder.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 106,
+        navn: 'Kartofler 2kg',
+        butik: 'Aldi',
+        kategori: 'Grøntsager',
+        normalpris: 18.95,
+        tilbudspris: 12.95,
+        rabat: 32,
+        billedeUrl: '/images/kartofler.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 107,
+        navn: 'Havregryn 750g',
+        butik: 'Aldi',
+        kategori: 'Tørvarer',
+        normalpris: 14.95,
+        tilbudspris: 9.95,
+        rabat: 33,
+        billedeUrl: '/images/havregryn.jpg',
+        _source: 'mock-data'
+      },
+      {
+        id: 108,
+        navn: 'Appelsinjuice 1L',
+        butik: 'Aldi',
+        kategori: 'Drikkevarer',
+        normalpris: 16.95,
+        tilbudspris: 11.95,
+        rabat: 29,
+        billedeUrl: '/images/juice.jpg',
+        _source: 'mock-data'
+      }
+    ];
+  }
+
+  /**
+   * Get mock offers (IOfferSource)
+   * @returns {Promise<{tilbud: Array, stores: Array}>}
+   */
+  async fetchOffers() {
+    return {
+      tilbud: this.getEnhancedMockData(),
+      stores: []
+    };
+  }
+
+  /**
+   * Get source metadata (IOfferSource)
+   * @returns {Object} { id, name, priority, enabled, live }
+   */
+  getSourceInfo() {
+    return {
+      id: this.sourceId,
+      name: this.sourceName,
+      priority: this.priority,
+      enabled: this.enabled,
+      live: false,
+      refreshInterval: this.refreshInterval
+    };
+  }
+
+  /**
+   * Health check - mock data is always available (IOfferSource)
+   * @returns {Promise<{healthy: boolean, message: string}>}
+   */
+  async healthCheck() {
+    return {
+      healthy: true,
+      message: 'Mock data is always available'
+    };
+  }
+}
+
+module.exports = { MockDataAdapter };
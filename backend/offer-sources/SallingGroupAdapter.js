@@ -0,0 +1,286 @@
+// Salling Group Offer Source
+// Food-waste clearance offers from the Salling Group API (Netto, Føtex, Bilka)
+
+const axios = require('axios');
+const { IOfferSource } = require('../interfaces/IOfferSource');
+const { classifyProduct, normalizeBrand, generateStableId } = require('./offerUtils');
+
+/**
+ * Build the stable key for a Salling clearance (EAN + store id)
+ * Falls back to product description and store name when EAN or store id is missing
+ * @param {Object} clearance - Raw clearance with offer, product and store
+ * @returns {string}
+ */
+function getClearanceKey({ offer, product, store }) {
+  const productKey = offer.ean || product.description || 'ukendt';
+  const storeKey = store.id || store.name || store.brand || 'ukendt';
+  return `${productKey}|${storeKey}`;
+}
+
+/**
+ * Parse a price from the API
+ * Missing or unparseable prices become null so validation rejects the offer
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Transform a Salling store object to our Store schema
+ * @param {Object} store - Raw store from a Salling clearance
+ * @returns {Object} Store with id, kaede, navn, adresse, koordinater and aabningstider
+ */
+function transformStore(store) {
+  const address = store.address || {};
+  // Salling returns GeoJSON order: [longitude, latitude]
+  const [lng, lat] = Array.isArray(store.coordinates) ? store.coordinates : [];
+  const kaede = normalizeBrand(store.brand);
+
+  return {
+    id: store.id,
+    kaede,
+    navn: store.name || kaede,
+    adresse: {
+      gade: address.street || null,
+      postnummer: address.zip || null,
+      by: address.city || null
+    },
+    koordinater: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null,
+    aabningstider: (store.hours || []).map(hours => ({
+      dato: hours.date,
+      aabner: hours.open || null,
+      lukker: hours.close || null,
+      lukket: Boolean(hours.closed)
+    }))
+  };
+}
+
+/**
+ * Salling Group API Adapter - IOfferSource for Salling food-waste clearances
+ */
+class SallingGroupAdapter extends IOfferSource {
+  constructor(apiKey, baseUrl = 'https://api.sallinggroup.com', zipCode = '8000', options = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.zipCode = zipCode;
+    this.sourceId = options.sourceId || 'salling';
+    this.sourceName = options.sourceName || 'Salling Group';
+    this.priority = options.priority || 1;
+    this.enabled = options.enabled !== false;
+    // Clearance offers appear and sell out within hours
+    this.refreshInterval = options.refreshInterval || 15 * 60 * 1000;
+  }
+
+  /**
+   * Fetch food waste clearance offers from Salling Group API
+   * @param {string} [zipCode] - Zip code to query (defaults to adapter zip code)
+   * @returns {Promise<Array>} Array of clearance offers
+   */
+  async fetchFoodWaste(zipCode = this.zipCode) {
+    if (!this.apiKey) {
+      console.warn('[WARN] Salling API key not configured, skipping API call');
+      return [];
+    }
+
+    try {
+      const url = `${this.baseUrl}/v1/food-waste`;
+      const params = { zip: zipCode };
+      const headers = {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Accept': 'application/json'
+      };
+
+      console.log(`[INFO] Fetching food waste data from Salling API`, { 
+        url, 
+        zipCode 
+      });
+
+      const response = await axios.get(url, { params, headers, timeout: 5000 });
+      
+      const clearances = response.data || [];
+      console.log(`[SUCCESS] Retrieved ${clearances.length} clearance offers from Salling API`);
+      
+      return clearances;
+    } catch (error) {
+      console.error('[ERROR] Failed to fetch from Salling API:', {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Transform Salling API clearance data to our schema
+   * @param {Array} clearances - Raw clearance data from API
+   * @returns {Array} Transformed tilbud array
+   */
+  transformToSchema(clearances) {
+    if (!Array.isArray(clearances)) {
+      console.warn('[WARN] Invalid clearances data, expected array');
+      return [];
+    }
+
+    const transformed = [];
+    const usedIds = new Set();
+
+    // Sort by stable key (then expiry) so the same set of clearances always
+    // gets the same IDs, regardless of the order the API returns them in
+    const complete = clearances
+      .filter(clearance => {
+        if (!clearance || !clearance.offer || !clearance.product || !clearance.store) {
+          console.warn('[WARN] Incomplete clearance data, skipping', { clearance });
+          return false;
+        }
+        return true;
+      })
+      .map(clearance => ({ clearance, key: getClearanceKey(clearance) }))
+      .sort((a, b) =>
+        a.key.localeCompare(b.key) ||
+        String(a.clearance.offer.endTime || '').localeCompare(String(b.clearance.offer.endTime || ''))
+      );
+
+    for (const { clearance, key } of complete) {
+      try {
+        const { offer, product, store } = clearance;
+
+        const productName = product.description || 'Ukendt Produkt';
+        const { kategori, underkategori } = classifyProduct(productName);
+        const storeBrand = normalizeBrand(store.brand);
+
+        const tilbud = {
+          id: generateStableId(key, usedIds),
+          navn: productName,
+          butik: storeBrand,
+          kategori,
+          underkategori,
+          normalpris: parsePrice(offer.originalPrice),
+          tilbudspris: parsePrice(offer.newPrice),
+          rabat: Math.round(offer.percentDiscount || 0),
+          billedeUrl: product.image || '/images/placeholder.jpg',
+          // Extra metadata for debugging
+          butikId: store.id || null,
+          butikNavn: store.name || storeBrand,
+          _source: 'salling-api',
+          _ean: offer.ean,
+          _stock: offer.stock,
+          _expiryDate: offer.endTime
+        };
+
+        transformed.push(tilbud);
+      } catch (error) {
+        console.error('[ERROR] Failed to transform clearance item:', {
+          error: error.message,
+          clearance
+        });
+      }
+    }
+
+    console.log(`[INFO] Transformed ${transformed.length} items to schema`);
+    return transformed;
+  }
+
+  /**
+   * Extract the unique stores referenced by clearance data
+   * @param {Array} clearances - Raw clearance data from API
+   * @returns {Array} Stores in our schema (only stores with an id)
+   */
+  transformStores(clearances) {
+    if (!Array.isArray(clearances)) {
+      return [];
+    }
+
+    const stores = new Map();
+    for (const clearance of clearances) {
+      const store = clearance && clearance.store;
+      if (store && store.id && !stores.has(store.id)) {
+        stores.set(store.id, transformStore(store));
+      }
+    }
+
+    return [...stores.values()];
+  }
+
+  /**
+   * Fetch and transform data in one call
+   * @param {string} [zipCode] - Zip code to query (defaults to adapter zip code)
+   * @returns {Promise<Array>} Array of tilbud
+   */
+  async getTilbud(zipCode = this.zipCode) {
+    const { tilbud } = await this.getTilbudAndStores(zipCode);
+    return tilbud;
+  }
+
+  /**
+   * Fetch and transform offers together with the stores they are in
+   * @param {string} [zipCode] - Zip code to query (defaults to adapter zip code)
+   * @returns {Promise<{tilbud: Array, stores: Array}>}
+   */
+  async getTilbudAndStores(zipCode = this.zipCode) {
+    const clearances = await this.fetchFoodWaste(zipCode);
+    return {
+      tilbud: this.transformToSchema(clearances),
+      stores: this.transformStores(clearances)
+    };
+  }
+
+  /**
+   * Fetch current clearance offers (IOfferSource)
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<{tilbud: Array, stores: Array}>}
+   */
+  async fetchOffers(options = {}) {
+    return this.getTilbudAndStores(options.postnummer || this.zipCode);
+  }
+
+  /**
+   * Get source metadata (IOfferSource)
+   * @returns {Object} { id, name, priority, enabled, live }
+   */
+  getSourceInfo() {
+    return {
+      id: this.sourceId,
+      name: this.sourceName,
+      priority: this.priority,
+      enabled: this.enabled && !!this.apiKey,
+      live: true,
+      refreshInterval: this.refreshInterval
+    };
+  }
+
+  /**
+   * Health check - verify the API is accessible (IOfferSource)
+   * @returns {Promise<{healthy: boolean, message: string}>}
+   */
+  async healthCheck() {
+    if (!this.apiKey) {
+      return {
+        healthy: false,
+        message: 'Salling API key not configured'
+      };
+    }
+
+    try {
+      await this.fetchFoodWaste(this.zipCode);
+      return {
+        healthy: true,
+        message: 'Salling API is accessible'
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        message: `Salling API unavailable: ${error.message}`
+      };
+    }
+  }
+}
+
+module.exports = {
+  SallingGroupAdapter,
+  transformStore
+};
@@ -0,0 +1,217 @@
+// Tilbudsavis Offer Source
+// Weekly flyer offers imported from CSV/JSON files (scripts/import-tilbudsavis.js)
+
+const fs = require('fs');
+const path = require('path');
+const { IOfferSource } = require('../interfaces/IOfferSource');
+const { toLocalDate } = require('./offerUtils');
+
+// Written by every import, so deployments should point TILBUDSAVIS_DIR outside the checkout
+const DEFAULT_DIRECTORY = process.env.TILBUDSAVIS_DIR || path.join(__dirname, '../data/tilbudsaviser');
+const IMPORT_VERSION = 1;
+const REVIEW_DIRECTORY = 'review';
+
+/**
+ * List the .json files in a directory
+ * @param {string} directory
+ * @returns {Promise<Array<string>>} File names, none when the directory does not exist yet
+ */
+async function readJsonFileNames(directory) {
+  try {
+    return (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Tilbudsavis Adapter - IOfferSource for chains maintained by hand
+ *
+ * Reads the validated import files written by scripts/import-tilbudsavis.js
+ * and returns the offers that are valid today.
+ */
+class TilbudsavisAdapter extends IOfferSource {
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.sourceId = options.sourceId || 'tilbudsavis';
+    this.sourceName = options.sourceName || 'Tilbudsaviser';
+    // Above mock data, below the Salling API
+    this.priority = options.priority || 10;
+    this.enabled = options.enabled !== false;
+    // Reading local files is cheap, so new imports show up quickly
+    this.refreshInterval = options.refreshInterval || 5 * 60 * 1000;
+  }
+
+  /**
+   * List import files in the directory
+   * @returns {Promise<Array<string>>} File paths, sorted by name
+   */
+  async listFiles() {
+    return (await readJsonFileNames(this.directory))
+      .sort()
+      .map(file => path.join(this.directory, file));
+  }
+
+  /**
+   * Read all import files
+   * Unreadable files are logged and skipped so one bad file never hides the rest
+   * @returns {Promise<Array<Object>>} Imports ({ kilde, importeret, tilbud })
+   */
+  async loadImports() {
+    const imports = [];
+
+    for (const file of await this.listFiles()) {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (data.version !== IMPORT_VERSION || !Array.isArray(data.tilbud)) {
+          throw new Error(`unsupported import version ${data.version}`);
+        }
+        imports.push(data);
+      } catch (error) {
+        console.error(`[ERROR] Skipping tilbudsavis import ${path.basename(file)}:`, error.message);
+      }
+    }
+
+    return imports;
+  }
+
+  /**
+   * Fetch offers valid today (IOfferSource)
+   * @param {Object} [options] - { today: 'YYYY-MM-DD' }
+   * @returns {Promise<{tilbud: Array, stores: Array}>}
+   */
+  async fetchOffers(options = {}) {
+    const today = options.today || toLocalDate(new Date());
+
+    const tilbud = (await this.loadImports())
+      .flatMap(data => data.tilbud)
+      .filter(t => t.gyldigFra <= today && today <= t.gyldigTil);
+
+    return { tilbud, stores: [] };
+  }
+
+  /**
+   * Write a validated tilbudsavis to the import directory
+   * Importing a file with the same name again replaces the earlier import
+   * @param {Array} tilbud - Validated offers (parseTilbudsavis)
+   * @param {string} sourceFile - Path of the imported file
+   * @returns {string} Path of the written import file
+   */
+  saveImport(tilbud, sourceFile) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const name = path.basename(sourceFile, path.extname(sourceFile));
+    const target = path.join(this.directory, `${name}.json`);
+    const data = {
+      version: IMPORT_VERSION,
+      kilde: path.basename(sourceFile),
+      importeret: new Date().toISOString(),
+      tilbud
+    };
+
+    fs.writeFileSync(target, `${JSON.stringify(data, null, 2)}\n`);
+    return target;
+  }
+
+  /**
+   * Write offers the PDF parser was unsure about to the review queue
+   * The file uses the JSON import format, so it can be corrected by hand
+   * and imported with scripts/import-tilbudsavis.js
+   * @param {Array} review - Review items (parseFlyerPdf)
+   * @param {string} sourceFile - Path of the parsed flyer
+   * @param {Object} [defaults] - File-level values ({ butik, gyldigFra, gyldigTil })
+   * @returns {string} Path of the written review file
+   */
+  saveReview(review, sourceFile, defaults = {}) {
+    const directory = path.join(this.directory, REVIEW_DIRECTORY);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const name = path.basename(sourceFile, path.extname(sourceFile));
+    const target = path.join(directory, `${name}-review.json`);
+    const data = {
+      ...defaults,
+      kilde: path.basename(sourceFile),
+      oprettet: new Date().toISOString(),
+      tilbud: review
+    };
+
+    fs.writeFileSync(target, `${JSON.stringify(data, null, 2)}\n`);
+    return target;
+  }
+
+  /**
+   * Remove the review file belonging to an imported file
+   * Called after a successful import, so a corrected review file (or a
+   * re-imported flyer with nothing left to review) leaves the queue
+   * @param {string} sourceFile - Path of the imported file
+   * @returns {string|null} Path of the removed review file, or null
+   */
+  removeReview(sourceFile) {
+    const name = path.basename(sourceFile, path.extname(sourceFile));
+    const file = name.endsWith('-review') ? `${name}.json` : `${name}-review.json`;
+    const target = path.join(this.directory, REVIEW_DIRECTORY, file);
+    if (!fs.existsSync(target)) return null;
+
+    fs.unlinkSync(target);
+    return target;
+  }
+
+  /**
+   * Count offers waiting in the review queue
+   * @returns {Promise<number>}
+   */
+  async countReview() {
+    const directory = path.join(this.directory, REVIEW_DIRECTORY);
+    let count = 0;
+
+    for (const file of await readJsonFileNames(directory)) {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+        count += Array.isArray(data.tilbud) ? data.tilbud.length : 0;
+      } catch (error) {
+        // Unreadable review files are not counted
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Get source metadata (IOfferSource)
+   * @returns {Object} { id, name, priority, enabled, live }
+   */
+  getSourceInfo() {
+    return {
+      id: this.sourceId,
+      name: this.sourceName,
+      priority: this.priority,
+      enabled: this.enabled,
+      live: true,
+      refreshInterval: this.refreshInterval
+    };
+  }
+
+  /**
+   * Health check (IOfferSource)
+   * No imports is not an error - the chains are then simply not covered
+   * @returns {Promise<{healthy: boolean, message: string}>}
+   */
+  async healthCheck() {
+    try {
+      const files = await this.listFiles();
+      const { tilbud } = await this.fetchOffers();
+      const review = await this.countReview();
+      return {
+        healthy: true,
+        message: `${files.length} tilbudsaviser imported, ${tilbud.length} tilbud valid today`
+          + (review > 0 ? `, ${review} awaiting review` : '')
+      };
+    } catch (error) {
+      return { healthy: false, message: `Tilbudsaviser unavailable: ${error.message}` };
+    }
+  }
+}
+
+module.exports = { TilbudsavisAdapter, DEFAULT_DIRECTORY };
@@ -0,0 +1,88 @@
+// Offer Source Helpers
+// Shared helpers for offer sources: categories, chain names and stable IDs
+
+const { classifyProduct } = require('../services/categoryTaxonomy');
+
+// Salling offer IDs live above this base so they never clash with mock IDs
+// or with the sequential IDs (1000+) handed out by earlier versions
+const SALLING_ID_BASE = 1000000000;
+
+/**
+ * Infer category from product name
+ * @param {string} productName
+ * @returns {string} Category name
+ */
+function inferCategory(productName) {
+  return classifyProduct(productName).kategori;
+}
+
+/**
+ * Normalize store brand name
+ * @param {string} brand
+ * @returns {string} Normalized brand name
+ */
+function normalizeBrand(brand) {
+  if (!brand) return 'Ukendt';
+  
+  const brandMap = {
+    'netto': 'Netto',
+    'foetex': 'Føtex',
+    'bilka': 'Bilka',
+    'salling': 'Salling'
+  };
+  
+  return brandMap[brand.toLowerCase()] || brand;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generate a stable numeric ID for an offer key
+ * On collision (hash clash or the same key twice, e.g. two expiry batches of
+ * one product in one store) the key is rehashed with an attempt suffix
+ * @param {string} key - Stable offer key, e.g. "<ean>|<storeId>"
+ * @param {Set<number>} usedIds - IDs already assigned in this batch
+ * @returns {number} Offer ID
+ */
+function generateStableId(key, usedIds = new Set()) {
+  let attempt = 0;
+  let id = SALLING_ID_BASE + hashString(key);
+
+  while (usedIds.has(id)) {
+    attempt++;
+    id = SALLING_ID_BASE + hashString(`${key}#${attempt}`);
+  }
+
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function toLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = {
+  inferCategory,
+  classifyProduct,
+  normalizeBrand,
+  generateStableId,
+  toLocalDate,
+  SALLING_ID_BASE
+};
@@ -0,0 +1,280 @@
+// Tilbudsavis Import Format
+// Parsing and validation of weekly flyer offers from CSV or JSON files
+
+const { normalizeDanish } = require('../services/tilbudSearch');
+const { classifyProduct, generateStableId } = require('./offerUtils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns understood in CSV headers and JSON rows
+const FIELDS = [
+  'navn', 'butik', 'normalpris', 'tilbudspris', 'gyldigFra', 'gyldigTil',
+  'kategori', 'underkategori', 'maengde', 'enhed', 'ean', 'billedeUrl', 'butikId', 'butikNavn'
+];
+
+// Fields that may be given once for the whole file (JSON top level or CLI options)
+const FILE_FIELDS = ['butik', 'gyldigFra', 'gyldigTil', 'butikId', 'butikNavn'];
+
+const UNITS = ['kg', 'l', 'stk'];
+
+/**
+ * Map a header name to a field name, ignoring case
+ * @param {string} header
+ * @returns {string|null}
+ */
+function toFieldName(header) {
+  const key = header.trim().toLowerCase();
+  return FIELDS.find(field => field.toLowerCase() === key) || null;
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with delimiters, newlines and "" escapes. The
+ * delimiter is ";" when the header contains one (Danish Excel), else ",".
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read the offer rows and file-level defaults from a file's content
+ * @param {string} content - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{rows: Array<{row: number, values: Object}>, defaults: Object}}
+ * @throws {Error} If the file cannot be read as the given format
+ */
+function readRows(content, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data.tilbud;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of tilbud or an object with a "tilbud" array');
+    }
+
+    const defaults = {};
+    if (!Array.isArray(data)) {
+      FILE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) defaults[field] = data[field];
+      });
+    }
+
+    return {
+      rows: items.map((values, index) => ({ row: index + 1, values: values || {} })),
+      defaults
+    };
+  }
+
+  if (format === 'csv') {
+    const [header, ...lines] = parseCsv(content);
+    if (!header) throw new Error('CSV file is empty');
+
+    const columns = header.map(toFieldName);
+    const unknown = header.filter((name, index) => !columns[index] && name.trim());
+    if (unknown.length > 0) {
+      throw new Error(`Unknown CSV columns: ${unknown.join(', ')}`);
+    }
+
+    const rows = [];
+    lines.forEach((cells, index) => {
+      // Skip blank lines
+      if (cells.every(cell => !cell.trim())) return;
+
+      const values = {};
+      columns.forEach((field, column) => {
+        if (field && cells[column] !== undefined && cells[column].trim() !== '') {
+          values[field] = cells[column].trim();
+        }
+      });
+      // Line numbers as shown in a spreadsheet (header is line 1)
+      rows.push({ row: index + 2, values });
+    });
+
+    return { rows, defaults: {} };
+  }
+
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+/**
+ * Parse a price with a Danish decimal comma
+ * @param {*} value
+ * @returns {number} NaN if not a number
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return NaN;
+  return Number(value.trim().replace(/\s*kr\.?$/i, '').replace(',', '.'));
+}
+
+/**
+ * Check that a value is a real YYYY-MM-DD date
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate one row and convert it to our tilbud schema
+ * @param {Object} values - Row values
+ * @param {Object} defaults - File-level values (butik, gyldigFra, gyldigTil, ...)
+ * @param {Set<number>} usedIds - IDs already assigned in this file
+ * @returns {{tilbud: Object|null, errors: Array<string>}}
+ */
+function validateRow(values, defaults, usedIds) {
+  const row = { ...defaults, ...values };
+  const errors = [];
+
+  const navn = typeof row.navn === 'string' ? row.navn.trim() : '';
+  const butik = typeof row.butik === 'string' ? row.butik.trim() : '';
+  const normalpris = parsePrice(row.normalpris);
+  const tilbudspris = parsePrice(row.tilbudspris);
+
+  if (!navn) errors.push('navn is missing');
+  if (!butik) errors.push('butik is missing');
+  if (!(normalpris > 0)) errors.push(`invalid normalpris: ${row.normalpris ?? '(empty)'}`);
+  if (!(tilbudspris > 0)) errors.push(`invalid tilbudspris: ${row.tilbudspris ?? '(empty)'}`);
+  if (normalpris > 0 && tilbudspris > normalpris) {
+    errors.push('tilbudspris is higher than normalpris');
+  }
+
+  if (!isValidDate(row.gyldigFra)) errors.push(`invalid gyldigFra (use YYYY-MM-DD): ${row.gyldigFra ?? '(empty)'}`);
+  if (!isValidDate(row.gyldigTil)) errors.push(`invalid gyldigTil (use YYYY-MM-DD): ${row.gyldigTil ?? '(empty)'}`);
+  if (isValidDate(row.gyldigFra) && isValidDate(row.gyldigTil) && row.gyldigTil < row.gyldigFra) {
+    errors.push('gyldigTil is before gyldigFra');
+  }
+
+  let maengde;
+  if (row.maengde !== undefined) {
+    maengde = parsePrice(row.maengde);
+    if (!(maengde > 0)) errors.push(`invalid maengde: ${row.maengde}`);
+    if (!UNITS.includes(row.enhed)) errors.push(`invalid enhed (use ${UNITS.join(', ')}): ${row.enhed ?? '(empty)'}`);
+  }
+
+  const ean = row.ean !== undefined ? String(row.ean).trim() : '';
+  if (ean && !/^\d{8,14}$/.test(ean)) errors.push(`invalid ean: ${ean}`);
+
+  if (errors.length > 0) return { tilbud: null, errors };
+
+  const classified = row.kategori ? { kategori: row.kategori } : classifyProduct(navn);
+  const productKey = ean || normalizeDanish(navn);
+
+  const tilbud = {
+    id: generateStableId(`tilbudsavis|${normalizeDanish(butik)}|${row.butikId || ''}|${productKey}|${row.gyldigFra}`, usedIds),
+    navn,
+    butik,
+    kategori: classified.kategori,
+    normalpris,
+    tilbudspris,
+    rabat: Math.round((1 - tilbudspris / normalpris) * 100),
+    billedeUrl: row.billedeUrl || '/images/placeholder.jpg',
+    butikId: row.butikId || null,
+    butikNavn: row.butikNavn || butik,
+    gyldigFra: row.gyldigFra,
+    gyldigTil: row.gyldigTil,
+    _source: 'tilbudsavis',
+    _ean: ean || null,
+    _expiryDate: `${row.gyldigTil}T23:59:59`
+  };
+
+  // Underkategori is classified later when the file only gives a kategori
+  if (row.underkategori || classified.underkategori !== undefined) {
+    tilbud.underkategori = row.underkategori || classified.underkategori;
+  }
+  if (maengde) {
+    tilbud.maengde = maengde;
+    tilbud.enhed = row.enhed;
+  }
+
+  return { tilbud, errors: [] };
+}
+
+/**
+ * Parse and validate a tilbudsavis file
+ * @param {string} content - File content
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'json'
+ * @param {Object} [options.defaults] - File-level values, e.g. { butik, gyldigFra, gyldigTil }
+ * @returns {{tilbud: Array, errors: Array<{row: number, errors: Array<string>}>, total: number}}
+ * @throws {Error} If the file itself cannot be read
+ */
+function parseTilbudsavis(content, options = {}) {
+  const { rows, defaults } = readRows(content, options.format);
+  const fileDefaults = { ...defaults, ...(options.defaults || {}) };
+  const usedIds = new Set();
+
+  const tilbud = [];
+  const errors = [];
+
+  for (const { row, values } of rows) {
+    const result = validateRow(values, fileDefaults, usedIds);
+    if (result.tilbud) {
+      tilbud.push(result.tilbud);
+    } else {
+      errors.push({ row, errors: result.errors });
+    }
+  }
+
+  return { tilbud, errors, total: rows.length };
+}
+
+module.exports = {
+  FIELDS,
+  parseCsv,
+  readRows,
+  validateRow,
+  parseTilbudsavis
+};
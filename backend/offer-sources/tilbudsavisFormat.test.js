@@ -0,0 +1,125 @@
+const { parseCsv, readRows, validateRow, parseTilbudsavis } = require('./tilbudsavisFormat');
+
+const week = { butik: 'Rema 1000', gyldigFra: '2026-10-19', gyldigTil: '2026-10-25' };
+
+describe('tilbudsavisFormat', () => {
+  describe('parseCsv', () => {
+    it('detects the delimiter and handles quoted cells', () => {
+      expect(parseCsv('\uFEFFnavn;normalpris\r\n"Smør; usaltet";"18,95"\r\n')).toEqual([
+        ['navn', 'normalpris'],
+        ['Smør; usaltet', '18,95']
+      ]);
+      expect(parseCsv('navn,normalpris\n"Æg ""M/L""",30')).toEqual([
+        ['navn', 'normalpris'],
+        ['Æg "M/L"', '30']
+      ]);
+    });
+  });
+
+  describe('readRows', () => {
+    it('numbers CSV rows by line and skips blank lines', () => {
+      const { rows } = readRows('Navn;Tilbudspris\nSmør;12,95\n;\nMælk;9\n', 'csv');
+
+      expect(rows).toEqual([
+        { row: 2, values: { navn: 'Smør', tilbudspris: '12,95' } },
+        { row: 4, values: { navn: 'Mælk', tilbudspris: '9' } }
+      ]);
+    });
+
+    it('rejects unknown CSV columns', () => {
+      expect(() => readRows('navn;pris\nSmør;10', 'csv')).toThrow('Unknown CSV columns: pris');
+    });
+
+    it('reads file-level defaults from JSON', () => {
+      const { rows, defaults } = readRows(JSON.stringify({ ...week, tilbud: [{ navn: 'Smør' }] }), 'json');
+
+      expect(defaults).toEqual(week);
+      expect(rows).toEqual([{ row: 1, values: { navn: 'Smør' } }]);
+    });
+
+    it('rejects invalid JSON', () => {
+      expect(() => readRows('{', 'json')).toThrow('Invalid JSON');
+      expect(() => readRows('{"navn": "Smør"}', 'json')).toThrow('"tilbud" array');
+    });
+  });
+
+  describe('validateRow', () => {
+    it('converts a row to the tilbud schema', () => {
+      const { tilbud, errors } = validateRow(
+        { navn: 'Smør 250g', normalpris: '18,95', tilbudspris: '12,95 kr', ean: '5740900400528' },
+        week,
+        new Set()
+      );
+
+      expect(errors).toEqual([]);
+      expect(tilbud).toMatchObject({
+        navn: 'Smør 250g',
+        butik: 'Rema 1000',
+        butikNavn: 'Rema 1000',
+        kategori: 'Mejeri',
+        normalpris: 18.95,
+        tilbudspris: 12.95,
+        rabat: 32,
+        gyldigFra: '2026-10-19',
+        gyldigTil: '2026-10-25',
+        _source: 'tilbudsavis',
+        _ean: '5740900400528',
+        _expiryDate: '2026-10-25T23:59:59'
+      });
+      expect(tilbud.id).toBeGreaterThanOrEqual(1e9);
+    });
+
+    it('reports every problem in a row', () => {
+      const { tilbud, errors } = validateRow(
+        { normalpris: '10', tilbudspris: '12', gyldigFra: '2026-02-30', maengde: '1', enhed: 'pose' },
+        { butik: 'Lidl', gyldigTil: '2026-10-25' },
+        new Set()
+      );
+
+      expect(tilbud).toBeNull();
+      expect(errors).toEqual([
+        'navn is missing',
+        'tilbudspris is higher than normalpris',
+        'invalid gyldigFra (use YYYY-MM-DD): 2026-02-30',
+        'invalid enhed (use kg, l, stk): pose'
+      ]);
+    });
+  });
+
+  describe('parseTilbudsavis', () => {
+    const csv = [
+      'navn;normalpris;tilbudspris;gyldigTil',
+      'Smør 250g;18,95;12,95;',
+      ';10;5;',
+      'Løse tomater;24,95;15;2026-10-22'
+    ].join('\n');
+
+    it('returns valid tilbud and invalid rows', () => {
+      const result = parseTilbudsavis(csv, { format: 'csv', defaults: week });
+
+      expect(result.total).toBe(3);
+      expect(result.tilbud.map(t => [t.navn, t.gyldigTil])).toEqual([
+        ['Smør 250g', '2026-10-25'],
+        ['Løse tomater', '2026-10-22']
+      ]);
+      expect(result.errors).toEqual([{ row: 3, errors: ['navn is missing'] }]);
+    });
+
+    it('keeps IDs stable across imports of the same avis', () => {
+      const first = parseTilbudsavis(csv, { format: 'csv', defaults: week });
+      const second = parseTilbudsavis(csv, { format: 'csv', defaults: week });
+      const nextWeek = parseTilbudsavis(csv, { format: 'csv', defaults: { ...week, gyldigFra: '2026-10-26', gyldigTil: '2026-11-01' } });
+
+      expect(second.tilbud.map(t => t.id)).toEqual(first.tilbud.map(t => t.id));
+      expect(nextWeek.tilbud[0].id).not.toBe(first.tilbud[0].id);
+    });
+
+    it('lets CLI defaults override the JSON file level', () => {
+      const json = JSON.stringify({ ...week, tilbud: [{ navn: 'Bananer', normalpris: 15, tilbudspris: 10, maengde: 1, enhed: 'kg' }] });
+      const result = parseTilbudsavis(json, { format: 'json', defaults: { butik: 'Lidl' } });
+
+      expect(result.errors).toEqual([]);
+      expect(result.tilbud[0]).toMatchObject({ butik: 'Lidl', kategori: 'Frugt', maengde: 1, enhed: 'kg' });
+    });
+  });
+});
@@ -0,0 +1,414 @@
+// Tilbudsavis PDF Parser
+// Extracts offers from text-based flyer PDFs, scored by how sure the parser is
+
+const pdf = require('pdf-parse');
+const { getDefaultTaxonomy } = require('../services/categoryTaxonomy');
+const { validateRow } = require('./tilbudsavisFormat');
+
+// Offers below this confidence go to the review queue
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+// Chain names recognised when a line consists of the name alone
+const KNOWN_CHAINS = [
+  'Rema 1000', 'Lidl', 'Aldi', 'Netto', 'Føtex', 'Bilka', 'Coop 365', 'Kvickly',
+  'SuperBrugsen', "Dagli'Brugsen", 'Meny', 'Spar', 'Løvbjerg', 'Min Købmand'
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'maj', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'];
+
+// 12,95 / 12.95 / 22,- / 22.- (kr. before or after is allowed by the line patterns)
+const PRICE = '(\\d{1,4}(?:[,.]\\d{2}|[,.]-{1,2}|,–))';
+const PRICE_ANYWHERE = new RegExp(`(?:^|[^\\d,.])${PRICE}(?![\\d%])`, 'g');
+
+const PRICE_LINE = new RegExp(`^(?:kun\\s+)?(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?(\\s*pr\\.?\\s*kg\\.?)?$`, 'i');
+const PER_KG_PRICE_LINE = new RegExp(`^pr\\.?\\s*kg\\.?\\s*(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?$`, 'i');
+const NORMAL_PRICE_LINE = new RegExp(`^(?:før|normalpris|normal pris|normalt|vejl\\.?\\s*(?:udsalgs)?pris|ord\\.?\\s*pris)\\s*:?\\s*(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?$`, 'i');
+const SAVINGS_LINE = new RegExp(`^spar\\s*:?\\s*(?:(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?|(\\d{1,2})\\s*%)$`, 'i');
+const MULTI_BUY_LINE = new RegExp(`^(\\d{1,2})\\s*(?:stk\\.?\\s*)?(?:for|x)\\s*(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?$`, 'i');
+const PRICE_AND_NORMAL_PRICE_LINE = new RegExp(`^(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?\\s+(?:før|normalpris|normalt)\\s*:?\\s*(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?$`, 'i');
+const NAME_AND_PRICE_LINE = new RegExp(`^(.*[a-zæøå%)].*?)\\s+(?:kr\\.?\\s*)?${PRICE}\\s*(?:kr\\.?)?$`, 'i');
+const PER_KG = /\bpr\.?\s*kg\b\.?/i;
+
+const VALIDITY_LINE = /\b(gælder|gyldig|gyldige|gældende)\b|\buge\s*\d{1,2}\b/i;
+const TEXT_DATE = new RegExp(`(\\d{1,2})\\.?\\s+(${MONTHS.join('|')})[a-zæøå]*\\.?(?:\\s+(\\d{4}))?`, 'gi');
+const NUMERIC_DATE = /(\d{1,2})[./](\d{1,2})(?:[./](\d{4}|\d{2}))?/g;
+const WEEK = /\buge\s*(\d{1,2})\b/i;
+const PAGE_NUMBER = /^(?:side\s*)?\d{1,3}$/i;
+
+/**
+ * Parse a printed price ("12,95", "22,-")
+ * @param {string} value
+ * @returns {number}
+ */
+function parseFlyerPrice(value) {
+  return Number(value.replace(/[,.][-–]+$/, '').replace(',', '.'));
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string}
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Monday and Sunday of an ISO week
+ * @param {number} year
+ * @param {number} week
+ * @returns {{gyldigFra: string, gyldigTil: string}}
+ */
+function isoWeekRange(year, week) {
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() + 6) % 7) + (week - 1) * 7);
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+
+  return {
+    gyldigFra: monday.toISOString().slice(0, 10),
+    gyldigTil: sunday.toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Read the validity period from a line such as
+ * "Gælder fra mandag 19. oktober til søndag 25. oktober 2026",
+ * "Gyldig 19.10 - 25.10.2026" or "Tilbud uge 43"
+ * @param {string} line
+ * @param {number} year - Year to use when the line has none
+ * @returns {{gyldigFra: string, gyldigTil: string, tekst: string, fraUge: boolean}|null}
+ */
+function parseValidity(line, year) {
+  if (!VALIDITY_LINE.test(line)) return null;
+
+  const dates = [];
+  for (const match of line.matchAll(TEXT_DATE)) {
+    dates.push({ index: match.index, day: Number(match[1]), month: MONTHS.indexOf(match[2].toLowerCase()) + 1, year: match[3] && Number(match[3]) });
+  }
+  for (const match of line.matchAll(NUMERIC_DATE)) {
+    const shortYear = match[3] && match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    dates.push({ index: match.index, day: Number(match[1]), month: Number(match[2]), year: match[3] && shortYear });
+  }
+  dates.sort((a, b) => a.index - b.index);
+
+  if (dates.length >= 2) {
+    const [from, to] = dates;
+    const crossesYear = to.month < from.month;
+    const toYear = to.year || (from.year ? from.year + (crossesYear ? 1 : 0) : year + (crossesYear ? 1 : 0));
+    const fromYear = from.year || (crossesYear ? toYear - 1 : toYear);
+    const gyldigFra = formatDate(fromYear, from.month, from.day);
+    const gyldigTil = formatDate(toYear, to.month, to.day);
+
+    if (from.month >= 1 && from.month <= 12 && to.month >= 1 && to.month <= 12) {
+      return { gyldigFra, gyldigTil, tekst: line, fraUge: false };
+    }
+  }
+
+  const week = line.match(WEEK);
+  if (week && Number(week[1]) >= 1 && Number(week[1]) <= 53) {
+    return { ...isoWeekRange(year, Number(week[1])), tekst: line, fraUge: true };
+  }
+
+  return null;
+}
+
+/**
+ * Classify one line of flyer text
+ * @param {string} line
+ * @returns {Object} { type, ... } - type is price, normalpris, spar, multibuy,
+ *   priceAndNormalpris, nameAndPrice, ambiguous or name
+ */
+function classifyLine(line) {
+  let match;
+
+  if ((match = line.match(PRICE_AND_NORMAL_PRICE_LINE))) {
+    return { type: 'priceAndNormalpris', tilbudspris: parseFlyerPrice(match[1]), normalpris: parseFlyerPrice(match[2]) };
+  }
+  if ((match = line.match(NORMAL_PRICE_LINE))) {
+    return { type: 'normalpris', normalpris: parseFlyerPrice(match[1]) };
+  }
+  if ((match = line.match(SAVINGS_LINE))) {
+    return match[1]
+      ? { type: 'spar', spar: parseFlyerPrice(match[1]) }
+      : { type: 'spar', sparProcent: Number(match[2]) };
+  }
+  if ((match = line.match(MULTI_BUY_LINE))) {
+    return { type: 'multibuy', antal: Number(match[1]), tilbudspris: parseFlyerPrice(match[2]) };
+  }
+  if ((match = line.match(PRICE_LINE))) {
+    return { type: 'price', tilbudspris: parseFlyerPrice(match[1]), perKg: Boolean(match[2]) };
+  }
+  if ((match = line.match(PER_KG_PRICE_LINE))) {
+    return { type: 'price', tilbudspris: parseFlyerPrice(match[1]), perKg: true };
+  }
+
+  const prices = [...line.matchAll(PRICE_ANYWHERE)];
+  if (prices.length > 1) {
+    return { type: 'ambiguous' };
+  }
+  if ((match = line.match(NAME_AND_PRICE_LINE)) && prices.length === 1) {
+    return { type: 'nameAndPrice', navn: match[1].trim(), tilbudspris: parseFlyerPrice(match[2]) };
+  }
+
+  return { type: 'name' };
+}
+
+/**
+ * Group the lines of one page into offer blocks: name lines followed by
+ * price lines. A name line after a price starts the next block.
+ * @param {Array<string>} lines
+ * @param {number} side - Page number
+ * @returns {Array<Object>} Blocks ({ side, lines, nameLines, tilbudspris, ... })
+ */
+function groupBlocks(lines, side) {
+  const blocks = [];
+  let block = null;
+
+  const start = () => {
+    block = { side, lines: [], nameLines: [], tilbudspris: null, normalpris: null };
+    blocks.push(block);
+  };
+  const hasPrice = () => block.tilbudspris !== null || block.lines.length > block.nameLines.length;
+
+  for (const line of lines) {
+    const parsed = classifyLine(line);
+
+    if (parsed.type === 'name' || parsed.type === 'nameAndPrice') {
+      if (!block || hasPrice()) start();
+      block.nameLines.push(parsed.type === 'name' ? line : parsed.navn);
+      block.lines.push(line);
+      if (parsed.type === 'nameAndPrice') block.tilbudspris = parsed.tilbudspris;
+      continue;
+    }
+
+    // Prices before any name, or a second offer price, start an unnamed block
+    if (!block || (block.tilbudspris !== null && ['price', 'multibuy', 'priceAndNormalpris'].includes(parsed.type))) {
+      start();
+    }
+    block.lines.push(line);
+
+    switch (parsed.type) {
+      case 'price':
+        block.tilbudspris = parsed.tilbudspris;
+        if (parsed.perKg) block.perKg = true;
+        break;
+      case 'multibuy':
+        block.tilbudspris = parsed.tilbudspris;
+        block.antal = parsed.antal;
+        break;
+      case 'priceAndNormalpris':
+        block.tilbudspris = parsed.tilbudspris;
+        block.normalpris = parsed.normalpris;
+        break;
+      case 'normalpris':
+        block.normalpris = parsed.normalpris;
+        break;
+      case 'spar':
+        block.spar = parsed.spar;
+        block.sparProcent = parsed.sparProcent;
+        break;
+      default:
+        block.ambiguous = true;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Score a block and turn it into import values
+ * Confidence starts at 1 and is reduced for everything the parser had to
+ * guess or could not find; every reduction adds a reason for the reviewer.
+ * @param {Object} block
+ * @returns {{values: Object, confidence: number, reasons: Array<string>}}
+ */
+function scoreBlock(block) {
+  const reasons = [];
+  let confidence = 1;
+  const penalize = (amount, reason) => {
+    confidence -= amount;
+    reasons.push(reason);
+  };
+
+  const navn = block.nameLines.join(' ').replace(PER_KG, '').replace(/\s+/g, ' ').trim();
+  let { normalpris } = block;
+
+  if (!navn) penalize(0.5, 'no product name');
+  if (block.tilbudspris === null) penalize(0.6, 'no offer price');
+  if (block.ambiguous) penalize(0.5, 'several prices on one line (multi-column layout?)');
+  if (block.antal) penalize(0.4, `multi-buy offer (${block.antal} for ${block.tilbudspris})`);
+  if (block.nameLines.length > 2) penalize(0.2, `name joined from ${block.nameLines.length} lines`);
+  if (navn.length > 60) penalize(0.2, 'very long product name');
+
+  if (normalpris === null && block.tilbudspris !== null) {
+    if (block.spar) {
+      normalpris = Math.round((block.tilbudspris + block.spar) * 100) / 100;
+      penalize(0.1, 'normalpris calculated from "spar"');
+    } else if (block.sparProcent) {
+      normalpris = Math.round(block.tilbudspris / (1 - block.sparProcent / 100) * 100) / 100;
+      penalize(0.2, 'normalpris calculated from "spar %"');
+    } else {
+      penalize(0.4, 'no normal price');
+    }
+  }
+
+  if (normalpris && block.tilbudspris && (1 - block.tilbudspris / normalpris) > 0.75) {
+    penalize(0.2, 'unusually high discount');
+  }
+
+  const values = { navn };
+  if (block.tilbudspris !== null) values.tilbudspris = block.tilbudspris;
+  if (normalpris !== null) values.normalpris = normalpris;
+  if (block.perKg || PER_KG.test(block.nameLines.join(' '))) {
+    values.maengde = 1;
+    values.enhed = 'kg';
+  }
+
+  return { values, confidence, reasons };
+}
+
+/**
+ * Find the chain name on the first page
+ * @param {Array<string>} lines
+ * @returns {string|null}
+ */
+function detectChain(lines) {
+  for (const line of lines) {
+    const chain = KNOWN_CHAINS.find(name => name.toLowerCase() === line.toLowerCase());
+    if (chain) return chain;
+  }
+  return null;
+}
+
+/**
+ * Parse the text of a flyer into offers and a review queue
+ * @param {Array<string>} pages - Text of each page
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - Values that override what the parser
+ *   detects, e.g. { butik, gyldigFra, gyldigTil }
+ * @param {number} [options.minConfidence] - Threshold for accepting an offer (default 0.7)
+ * @param {number} [options.year] - Year for dates without one (default: current year)
+ * @returns {{tilbud: Array, review: Array, butik: string|null, validity: Object|null, total: number}}
+ */
+function parseFlyerText(pages, options = {}) {
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const year = options.year || new Date().getFullYear();
+  const fallbackKategori = getDefaultTaxonomy().fallback;
+
+  const pageLines = pages.map(text => text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean));
+
+  const butik = detectChain(pageLines[0] || []);
+  let validity = null;
+  const blocks = [];
+
+  pageLines.forEach((lines, index) => {
+    const offerLines = lines.filter(line => {
+      if (PAGE_NUMBER.test(line)) return false;
+      if (butik && line.toLowerCase() === butik.toLowerCase()) return false;
+      const found = parseValidity(line, year);
+      if (!found) return true;
+      validity = validity || found;
+      return false;
+    });
+    blocks.push(...groupBlocks(offerLines, index + 1));
+  });
+
+  const defaults = {
+    ...(butik && { butik }),
+    ...(validity && { gyldigFra: validity.gyldigFra, gyldigTil: validity.gyldigTil }),
+    ...(options.defaults || {})
+  };
+  const usedIds = new Set();
+  const tilbud = [];
+  const review = [];
+
+  for (const block of blocks) {
+    const { values, reasons, ...score } = scoreBlock(block);
+    let { confidence } = score;
+
+    if (validity && validity.fraUge && !(options.defaults && options.defaults.gyldigFra)) {
+      confidence -= 0.05;
+      reasons.push('validity from week number');
+    }
+
+    const result = validateRow(values, defaults, usedIds);
+    if (result.tilbud && result.tilbud.kategori === fallbackKategori) {
+      confidence -= 0.1;
+      reasons.push('category not recognised');
+    }
+    if (result.errors.length > 0) {
+      confidence = Math.min(confidence, 0.3);
+      reasons.push(...result.errors);
+    }
+    confidence = Math.max(0, Math.round(confidence * 100) / 100);
+
+    if (result.tilbud && confidence >= minConfidence) {
+      tilbud.push({ ...result.tilbud, _confidence: confidence });
+    } else {
+      review.push({ ...values, side: block.side, tekst: block.lines.join(' | '), confidence, reasons });
+    }
+  }
+
+  return { tilbud, review, butik: defaults.butik || null, validity, total: blocks.length };
+}
+
+/**
+ * Extract the text of each page of a PDF, one line per text baseline
+ * Scanned flyers without a text layer yield empty pages.
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Promise<Array<string>>}
+ */
+async function extractPdfText(buffer) {
+  const pages = [];
+
+  const renderPage = async (pageData) => {
+    const content = await pageData.getTextContent();
+    const lines = [];
+    let lastY = null;
+
+    for (const item of content.items) {
+      const y = item.transform[5];
+      if (lastY !== null && Math.abs(y - lastY) < 1) {
+        lines[lines.length - 1] += ` ${item.str}`;
+      } else {
+        lines.push(item.str);
+      }
+      lastY = y;
+    }
+
+    pages[pageData.pageIndex] = lines.join('\n');
+    return pages[pageData.pageIndex];
+  };
+
+  // Copy small buffers out of Node's shared pool; pdf.js ignores byteOffset
+  const result = await pdf(new Uint8Array(buffer), { pagerender: renderPage });
+  return Array.from({ length: result.numpages }, (_, index) => pages[index] || '');
+}
+
+/**
+ * Parse a flyer PDF into offers and a review queue
+ * @param {Buffer} buffer - PDF file content
+ * @param {Object} [options] - See parseFlyerText
+ * @returns {Promise<{tilbud: Array, review: Array, butik: string|null, validity: Object|null, total: number}>}
+ */
+async function parseFlyerPdf(buffer, options = {}) {
+  const pages = await extractPdfText(buffer);
+  return parseFlyerText(pages, options);
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  parseFlyerPrice,
+  parseValidity,
+  classifyLine,
+  parseFlyerText,
+  extractPdfText,
+  parseFlyerPdf
+};
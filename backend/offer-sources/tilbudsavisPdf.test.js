@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFlyerPrice, parseValidity, classifyLine, parseFlyerText, parseFlyerPdf } = require('./tilbudsavisPdf');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '__fixtures__', name));
+
+describe('tilbudsavisPdf', () => {
+  describe('parseFlyerPrice', () => {
+    it('parses printed prices', () => {
+      expect(parseFlyerPrice('12,95')).toBe(12.95);
+      expect(parseFlyerPrice('22,-')).toBe(22);
+      expect(parseFlyerPrice('22.-')).toBe(22);
+    });
+  });
+
+  describe('parseValidity', () => {
+    it('reads dates with month names', () => {
+      expect(parseValidity('Gælder fra mandag 19. oktober til søndag 25. oktober 2026', 2025)).toMatchObject({
+        gyldigFra: '2026-10-19',
+        gyldigTil: '2026-10-25',
+        fraUge: false
+      });
+    });
+
+    it('reads numeric dates across new year', () => {
+      expect(parseValidity('Gyldig 29.12 - 4.1', 2026)).toMatchObject({ gyldigFra: '2026-12-29', gyldigTil: '2027-01-04' });
+    });
+
+    it('falls back to the week number', () => {
+      expect(parseValidity('Ugens tilbud - uge 1', 2026)).toMatchObject({ gyldigFra: '2025-12-29', gyldigTil: '2026-01-04', fraUge: true });
+    });
+
+    it('ignores other lines', () => {
+      expect(parseValidity('Lurpak smør 250 g', 2026)).toBeNull();
+    });
+  });
+
+  describe('classifyLine', () => {
+    it('recognises price lines', () => {
+      expect(classifyLine('Kun 9,95')).toEqual({ type: 'price', tilbudspris: 9.95, perKg: false });
+      expect(classifyLine('Før 18,95')).toEqual({ type: 'normalpris', normalpris: 18.95 });
+      expect(classifyLine('Spar 25%')).toEqual({ type: 'spar', sparProcent: 25 });
+      expect(classifyLine('3 for 50,-')).toEqual({ type: 'multibuy', antal: 3, tilbudspris: 50 });
+      expect(classifyLine('Hakket svinekød 8-12% 22,-')).toEqual({ type: 'nameAndPrice', navn: 'Hakket svinekød 8-12%', tilbudspris: 22 });
+      expect(classifyLine('12,00 49,95')).toEqual({ type: 'ambiguous' });
+      expect(classifyLine('Coca-Cola 1,5 l')).toEqual({ type: 'name' });
+    });
+  });
+
+  describe('parseFlyerText', () => {
+    it('lets given defaults override detected values', () => {
+      const result = parseFlyerText(['Lidl\nGælder 19.10 - 25.10\nSmør 250 g\n12,95\nFør 18,95'], {
+        year: 2026,
+        defaults: { butik: 'Lidl Aarhus C', gyldigTil: '2026-10-21' }
+      });
+
+      expect(result.tilbud).toEqual([
+        expect.objectContaining({ butik: 'Lidl Aarhus C', gyldigFra: '2026-10-19', gyldigTil: '2026-10-21', _confidence: 1 })
+      ]);
+    });
+
+    it('sends everything to review without a chain', () => {
+      const result = parseFlyerText(['Gælder 19.10 - 25.10\nSmør 250 g\n12,95\nFør 18,95'], { year: 2026 });
+
+      expect(result.tilbud).toEqual([]);
+      expect(result.review[0].reasons).toContain('butik is missing');
+    });
+
+    it('uses the confidence threshold', () => {
+      const text = 'Rema 1000\nGælder 19.10 - 25.10\nSmør 250 g\n12,95\nSpar 6,00';
+
+      expect(parseFlyerText([text], { year: 2026 }).tilbud).toHaveLength(1);
+      expect(parseFlyerText([text], { year: 2026, minConfidence: 0.95 }).review).toEqual([
+        expect.objectContaining({ navn: 'Smør 250 g', normalpris: 18.95, confidence: 0.9, reasons: ['normalpris calculated from "spar"'] })
+      ]);
+    });
+  });
+
+  describe('parseFlyerPdf', () => {
+    it('extracts offers from a flyer', async () => {
+      const result = await parseFlyerPdf(fixture('rema-1000-uge-43.pdf'), { year: 2026 });
+
+      expect(result.butik).toBe('Rema 1000');
+      expect(result.validity).toMatchObject({ gyldigFra: '2026-10-19', gyldigTil: '2026-10-25' });
+      expect(result.total).toBe(6);
+      expect(result.tilbud.map(t => [t.navn, t.tilbudspris, t.normalpris, t._confidence])).toEqual([
+        ['Lurpak smør 250 g', 12.95, 18.95, 1],
+        ['Hakket svinekød 8-12% 500 g', 22, 35, 1],
+        ['Bananer', 10, 15, 0.9]
+      ]);
+      expect(result.tilbud[2]).toMatchObject({ maengde: 1, enhed: 'kg', _source: 'tilbudsavis' });
+      expect(result.tilbud.every(t => t.id >= 1e9)).toBe(true);
+    });
+
+    it('queues low-confidence rows for review', async () => {
+      const result = await parseFlyerPdf(fixture('rema-1000-uge-43.pdf'), { year: 2026 });
+
+      expect(result.review).toEqual([
+        expect.objectContaining({ navn: 'Coca-Cola 1,5 l', side: 2, confidence: 0.6, reasons: ['multi-buy offer (2 for 30)'] }),
+        expect.objectContaining({ navn: 'Arla Letmælk 1 l', side: 2, tilbudspris: 8.95, confidence: 0.3 }),
+        expect.objectContaining({ navn: 'Kaffe 400 g', side: 2, tekst: 'Kaffe 400 g | 39,95' })
+      ]);
+      expect(result.review[1].reasons).toContain('no normal price');
+    });
+
+    it('flags multi-column rows and week-number validity', async () => {
+      const result = await parseFlyerPdf(fixture('lidl-uge-43.pdf'), { year: 2026 });
+
+      expect(result.validity).toMatchObject({ gyldigFra: '2026-10-19', gyldigTil: '2026-10-25', fraUge: true });
+      expect(result.tilbud).toEqual([
+        expect.objectContaining({ navn: 'Skyr vanilje 1 kg', butik: 'Lidl', tilbudspris: 15.95, normalpris: 24.95, _confidence: 0.95 })
+      ]);
+      expect(result.review).toEqual([
+        expect.objectContaining({ navn: 'Æbler Jonagold Kyllingebryst 900 g', tekst: 'Æbler Jonagold Kyllingebryst 900 g | 12,00 49,95', confidence: 0 })
+      ]);
+      expect(result.review[0].reasons).toContain('several prices on one line (multi-column layout?)');
+    });
+
+    it('finds nothing in a flyer without a text layer', async () => {
+      const result = await parseFlyerPdf(fixture('scannet.pdf'));
+
+      expect(result).toMatchObject({ tilbud: [], review: [], total: 0 });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+-- CreateTable
+CREATE TABLE "products" (
+    "id" UUID NOT NULL,
+    "key" VARCHAR(255) NOT NULL,
+    "ean" VARCHAR(20),
+    "navn" VARCHAR(255) NOT NULL,
+    "kategori" VARCHAR(100),
+    "billede_url" VARCHAR(500),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "products_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "offers" (
+    "id" BIGINT NOT NULL,
+    "product_id" UUID NOT NULL,
+    "source" VARCHAR(50) NOT NULL,
+    "butik" VARCHAR(100) NOT NULL,
+    "butik_id" VARCHAR(100),
+    "butik_navn" VARCHAR(255),
+    "postnummer" VARCHAR(4),
+    "normalpris" DECIMAL(10,2) NOT NULL,
+    "tilbudspris" DECIMAL(10,2) NOT NULL,
+    "rabat" INTEGER NOT NULL,
+    "expires_at" TIMESTAMP(6),
+    "first_seen_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "offers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "price_observations" (
+    "id" UUID NOT NULL,
+    "offer_id" BIGINT NOT NULL,
+    "product_id" UUID NOT NULL,
+    "normalpris" DECIMAL(10,2) NOT NULL,
+    "tilbudspris" DECIMAL(10,2) NOT NULL,
+    "observed_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "price_observations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_key_key" ON "products"("key");
+
+-- CreateIndex
+CREATE INDEX "products_ean_idx" ON "products"("ean");
+
+-- CreateIndex
+CREATE INDEX "offers_product_id_idx" ON "offers"("product_id");
+
+-- CreateIndex
+CREATE INDEX "offers_butik_id_idx" ON "offers"("butik_id");
+
+-- CreateIndex
+CREATE INDEX "offers_last_seen_at_idx" ON "offers"("last_seen_at" DESC);
+
+-- CreateIndex
+CREATE INDEX "price_observations_offer_id_observed_at_idx" ON "price_observations"("offer_id", "observed_at");
+
+-- CreateIndex
+CREATE INDEX "price_observations_product_id_observed_at_idx" ON "price_observations"("product_id", "observed_at");
+
+-- AddForeignKey
+ALTER TABLE "offers" ADD CONSTRAINT "offers_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_observations" ADD CONSTRAINT "price_observations_offer_id_fkey" FOREIGN KEY ("offer_id") REFERENCES "offers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_observations" ADD CONSTRAINT "price_observations_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
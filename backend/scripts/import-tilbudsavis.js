@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+// Tilbudsavis Import CLI Tool
+// Validates a weekly flyer (CSV, JSON or PDF) and loads it as the tilbudsavis offer source
+
+const { program } = require('commander');
+const fs = require('fs');
+const path = require('path');
+
+// Same TILBUDSAVIS_DIR as the server
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { parseTilbudsavis } = require('../offer-sources/tilbudsavisFormat');
+const { parseFlyerPdf, DEFAULT_MIN_CONFIDENCE } = require('../offer-sources/tilbudsavisPdf');
+const { TilbudsavisAdapter, DEFAULT_DIRECTORY } = require('../offer-sources/TilbudsavisAdapter');
+
+// Configure commander
+program
+  .name('import-tilbudsavis')
+  .description('Validate a weekly tilbudsavis (CSV, JSON or PDF) and import it as an offer source')
+  .version('1.0.0')
+  .argument('<file>', 'CSV, JSON or PDF file with tilbud (see TILBUDSAVIS.md)')
+  .option('-f, --format <format>', 'File format: csv, json or pdf (default: from file extension)')
+  .option('-b, --butik <name>', 'Chain for rows without a butik column (e.g., "Rema 1000")')
+  .option('--gyldig-fra <date>', 'First valid day (YYYY-MM-DD) for rows without gyldigFra')
+  .option('--gyldig-til <date>', 'Last valid day (YYYY-MM-DD) for rows without gyldigTil')
+  .option('-o, --output-dir <dir>', 'Import directory read by the server', DEFAULT_DIRECTORY)
+  .option('-d, --dry-run', 'Validate the file without importing it', false)
+  .option('--allow-errors', 'Import the valid rows even if some rows are invalid', false)
+  .option('--min-confidence <n>', 'PDF only: offers below this confidence go to the review queue', parseFloat, DEFAULT_MIN_CONFIDENCE)
+  .option('-v, --verbose', 'List every imported tilbud', false)
+  .parse(process.argv);
+
+const options = program.opts();
+const [file] = program.args;
+
+/**
+ * Tell the user when an import cleared a file from the review queue
+ * @param {string|null} reviewFile - Removed review file (TilbudsavisAdapter.removeReview)
+ */
+function reportRemovedReview(reviewFile) {
+  if (reviewFile) {
+    console.log(`   Removed ${reviewFile} from the review queue.`);
+  }
+}
+
+/**
+ * Import a flyer PDF: confident offers are imported, the rest is written
+ * to the review queue as a JSON file that can be corrected and imported
+ * @param {Object} defaults - butik/gyldigFra/gyldigTil from the command line
+ */
+async function importPdf(defaults) {
+  let result;
+  try {
+    result = await parseFlyerPdf(fs.readFileSync(file), { defaults, minConfidence: options.minConfidence });
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { tilbud, review, butik, validity, total } = result;
+
+  console.log('📋 Parsed flyer:');
+  console.log(`   • File:      ${file} (PDF)`);
+  console.log(`   • Butik:     ${butik || '(not found - use --butik)'}`);
+  console.log(`   • Validity:  ${validity ? `${validity.gyldigFra} - ${validity.gyldigTil} ("${validity.tekst}")` : '(not found - use --gyldig-fra/--gyldig-til)'}`);
+  console.log(`   • Offers:    ${total}`);
+  console.log(`   • Accepted:  ${tilbud.length} (confidence >= ${options.minConfidence})`);
+  console.log(`   • To review: ${review.length}`);
+
+  if (total === 0) {
+    console.error('\n❌ No offers found - scanned flyers without a text layer are not supported');
+    process.exit(1);
+  }
+
+  if (options.verbose && tilbud.length > 0) {
+    console.log('\n🛒 Tilbud:');
+    tilbud.forEach(t => {
+      console.log(`   • ${t.navn} ${t.tilbudspris.toFixed(2)} kr (før ${t.normalpris.toFixed(2)} kr, confidence ${t._confidence})`);
+    });
+  }
+
+  if (review.length > 0) {
+    console.log('\n🔍 Review queue:');
+    review.forEach(item => {
+      console.log(`   • Page ${item.side}: ${item.navn || item.tekst} (confidence ${item.confidence}): ${item.reasons.join('; ')}`);
+    });
+  }
+
+  if (options.dryRun) {
+    console.log('\n💡 Dry run - run without --dry-run to import');
+    process.exit(0);
+  }
+
+  const adapter = new TilbudsavisAdapter({ directory: options.outputDir });
+  if (tilbud.length > 0) {
+    const target = adapter.saveImport(tilbud, file);
+    console.log(`\n✅ Imported ${tilbud.length} tilbud to ${target}`);
+  }
+  if (review.length > 0) {
+    const reviewFile = adapter.saveReview(review, file, {
+      ...(butik && { butik }),
+      ...(validity && { gyldigFra: validity.gyldigFra, gyldigTil: validity.gyldigTil }),
+      ...defaults
+    });
+    console.log(`\n📝 ${review.length} offers written to ${reviewFile}`);
+    console.log('   Correct or delete the rows, then import the file with this command.');
+  } else {
+    reportRemovedReview(adapter.removeReview(file));
+  }
+  process.exit(0);
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('📰 Tilbudsavis import\n');
+
+  const format = (options.format || path.extname(file).slice(1)).toLowerCase();
+  if (!['csv', 'json', 'pdf'].includes(format)) {
+    console.error(`❌ Unknown format "${format}" - use --format csv, json or pdf`);
+    process.exit(1);
+  }
+
+  const defaults = {
+    ...(options.butik && { butik: options.butik }),
+    ...(options.gyldigFra && { gyldigFra: options.gyldigFra }),
+    ...(options.gyldigTil && { gyldigTil: options.gyldigTil })
+  };
+
+  if (format === 'pdf') {
+    await importPdf(defaults);
+    return;
+  }
+
+  let result;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    result = parseTilbudsavis(content, { format, defaults });
+  } catch (error) {
+    console.error(`❌ Could not read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { tilbud, errors, total } = result;
+
+  console.log('📋 Validation:');
+  console.log(`   • File:     ${file} (${format.toUpperCase()})`);
+  console.log(`   • Rows:     ${total}`);
+  console.log(`   • Valid:    ${tilbud.length}`);
+  console.log(`   • Invalid:  ${errors.length}`);
+
+  if (errors.length > 0) {
+    console.log('\n⚠️  Invalid rows:');
+    errors.forEach(({ row, errors: messages }) => {
+      console.log(`   • Row ${row}: ${messages.join('; ')}`);
+    });
+  }
+
+  if (options.verbose && tilbud.length > 0) {
+    console.log('\n🛒 Tilbud:');
+    tilbud.forEach(t => {
+      console.log(`   • ${t.butik}: ${t.navn} ${t.tilbudspris.toFixed(2)} kr (${t.gyldigFra} - ${t.gyldigTil})`);
+    });
+  }
+
+  if (tilbud.length === 0) {
+    console.error('\n❌ No valid tilbud - nothing imported');
+    process.exit(1);
+  }
+
+  if (errors.length > 0 && !options.allowErrors) {
+    console.error('\n❌ Fix the invalid rows, or run with --allow-errors to import the valid rows only');
+    process.exit(1);
+  }
+
+  if (options.dryRun) {
+    console.log('\n💡 Dry run - run without --dry-run to import');
+    process.exit(0);
+  }
+
+  const adapter = new TilbudsavisAdapter({ directory: options.outputDir });
+  const target = adapter.saveImport(tilbud, file);
+
+  console.log(`\n✅ Imported ${tilbud.length} tilbud to ${target}`);
+  reportRemovedReview(adapter.removeReview(file));
+  console.log('   The server picks them up when the tilbud cache expires (max. 1 hour) or on restart.');
+  process.exit(0);
+}
+
+// Handle uncaught errors
+process.on('unhandledRejection', (error) => {
+  console.error('\n❌ Unhandled error:', error);
+  process.exit(1);
+});
+
+main();
@@ -1,29 +1,55 @@
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 require('dotenv').config();
 
-const { TilbudDataService } = require('./services/tilbudDataService');
+const {
+  TilbudDataService,
+  isValidPostnummer,
+  SORT_OPTIONS,
+  MAX_PAGE_SIZE
+} = require('./services/tilbudDataService');
+const { OfferHistoryService } = require('./services/offerHistoryService');
+const { ManualOfferService } = require('./services/manualOfferService');
+const { RefreshScheduler } = require('./services/refreshScheduler');
 const { NutritionService } = require('./services/nutritionService');
 const { RecipeService } = require('./services/recipeService');
 const { SustainabilityService } = require('./services/sustainabilityService');
+const { ALLERGEN_KEYS, parseAllergenList, filterByAllergens } = require('./services/allergens');
+const { GRADES, scoreNutrition, filterByNutrition } = require('./services/nutritionScore');
 
 const app = express();
 const PORT = process.env.PORT || 4001;
 
+// Manual tilbud and overrides maintained through the admin API
+const manualOfferService = new ManualOfferService({
+  filePath: process.env.MANUAL_TILBUD_PATH
+});
+
+// Initialize Nutrition Service (also resolves the allergens and nutrition of offers for the tilbud snapshots)
+const nutritionService = new NutritionService();
+nutritionService.initialize().catch(err => {
+  console.error('[ERROR] Failed to initialize NutritionService:', err);
+});
+
 // Initialize Tilbud Data Service
 const tilbudService = new TilbudDataService({
   sallingApiKey: process.env.SALLING_API_KEY,
   sallingBaseUrl: process.env.SALLING_API_BASE_URL,
   sallingZipCode: process.env.SALLING_ZIP_CODE || '8000',
   enableRealData: process.env.ENABLE_REAL_DATA !== 'false',
-  enableMockFallback: process.env.ENABLE_MOCK_FALLBACK !== 'false'
+  enableMockFallback: process.env.ENABLE_MOCK_FALLBACK !== 'false',
+  tilbudsavisDir: process.env.TILBUDSAVIS_DIR,
+  manualOffers: manualOfferService,
+  nutritionService,
+  // Offers and price history are only persisted when a database is configured
+  offerHistory: process.env.DATABASE_URL && process.env.ENABLE_PRICE_HISTORY !== 'false'
+    ? new OfferHistoryService()
+    : null
 });
 
-// Initialize Nutrition Service
-const nutritionService = new NutritionService();
-nutritionService.initialize().catch(err => {
-  console.error('[ERROR] Failed to initialize NutritionService:', err);
-});
+// Refreshes offer sources in the background (started with the server)
+const refreshScheduler = new RefreshScheduler(tilbudService);
 
 // Initialize Recipe Service
 const recipeService = new RecipeService();
@@ -38,7 +64,8 @@ sustainabilityService.initialize().catch(err => {
 });
 
 // Middleware
-app.use(cors());
+// ETag is exposed so clients can send If-None-Match themselves
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
 // Logging middleware
@@ -48,21 +75,307 @@ app.use((req, res, next) => {
   next();
 });
 
+// Postnummer middleware - validates optional ?postnummer and exposes tilbud options
+const parsePostnummer = (req, res, next) => {
+  const { postnummer } = req.query;
+
+  if (postnummer !== undefined && postnummer !== '' && !isValidPostnummer(postnummer)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Ugyldigt postnummer - skal være 4 cifre'
+    });
+  }
+
+  req.tilbudOptions = { postnummer: postnummer || undefined };
+  next();
+};
+
+/**
+ * Parse a non-negative number from a query value (accepts Danish decimal comma)
+ * @param {string} value
+ * @returns {number|undefined|null} Parsed number, undefined if absent, null if invalid
+ */
+const parseNumberParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Parse a positive integer from a query value
+ * @param {string} value
+ * @returns {number|undefined|null} Parsed integer, undefined if absent, null if invalid
+ */
+const parsePositiveInt = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) && parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+};
+
+/**
+ * Parse a point in time from a query value
+ * @param {string} value - ISO 8601 time or milliseconds since epoch
+ * @returns {number|null} Milliseconds, null if invalid
+ */
+const parseTimestamp = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// List middleware - validates range filters, sort and pagination for tilbud lists
+const parseListQuery = (req, res, next) => {
+  const { sort, order } = req.query;
+  const invalid = (error) => res.status(400).json({ success: false, error });
+
+  const filters = {};
+  for (const field of ['minPris', 'maxPris', 'minRabat']) {
+    const value = parseNumberParam(req.query[field]);
+    if (value === null) {
+      return invalid(`Ugyldig værdi for ${field} - skal være et tal på 0 eller derover`);
+    }
+    filters[field] = value;
+  }
+
+  if (filters.minPris !== undefined && filters.maxPris !== undefined && filters.minPris > filters.maxPris) {
+    return invalid('minPris må ikke være større end maxPris');
+  }
+
+  const { udloeberInden } = req.query;
+  if (udloeberInden !== undefined && udloeberInden !== '') {
+    filters.udloeberInden = parseTimestamp(udloeberInden);
+    if (filters.udloeberInden === null) {
+      return invalid('Ugyldig udloeberInden - brug et tidspunkt (ISO 8601) eller millisekunder');
+    }
+  }
+
+  let undgaa = null;
+  if (req.query.undgaa !== undefined && req.query.undgaa !== '') {
+    undgaa = parseAllergenList(req.query.undgaa);
+    if (!undgaa) {
+      return invalid(`Ukendt allergen i undgaa - brug en af: ${ALLERGEN_KEYS.join(', ')}`);
+    }
+  }
+
+  let minNutriScore = null;
+  if (req.query.minNutriScore !== undefined && req.query.minNutriScore !== '') {
+    minNutriScore = String(req.query.minNutriScore).toUpperCase();
+    if (!GRADES.includes(minNutriScore)) {
+      return invalid(`Ugyldig minNutriScore - brug en af: ${GRADES.join(', ')}`);
+    }
+  }
+
+  const { noeglehul } = req.query;
+  if (noeglehul !== undefined && noeglehul !== '' && noeglehul !== 'true' && noeglehul !== 'false') {
+    return invalid('Ugyldig noeglehul - brug true eller false');
+  }
+
+  if (sort && !SORT_OPTIONS[sort]) {
+    return invalid(`Ugyldig sortering - brug en af: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+
+  if (order && order !== 'asc' && order !== 'desc') {
+    return invalid('Ugyldig rækkefølge - brug asc eller desc');
+  }
+
+  const page = parsePositiveInt(req.query.page);
+  const pageSize = parsePositiveInt(req.query.pageSize);
+  if (page === null || pageSize === null) {
+    return invalid('Ugyldig side - page og pageSize skal være positive heltal');
+  }
+  if (pageSize > MAX_PAGE_SIZE) {
+    return invalid(`pageSize må højst være ${MAX_PAGE_SIZE}`);
+  }
+
+  req.listQuery = {
+    filters,
+    undgaa: undgaa && undgaa.length > 0 ? undgaa : null,
+    nutrition: minNutriScore || noeglehul === 'true'
+      ? { minNutriScore, noeglehul: noeglehul === 'true' }
+      : null,
+    sort: sort || undefined,
+    order: order || undefined,
+    // Pagination is opt-in so existing clients still get the full list
+    pagination: page || pageSize ? { page, pageSize } : null
+  };
+  next();
+};
+
+/**
+ * Hide tilbud with allergens to avoid (?undgaa=), using the allergens stored
+ * with each offer when the snapshot was built
+ * @param {Array} tilbud
+ * @param {Array<string>|null} undgaa - Allergen keys from parseListQuery
+ * @returns {Array} Tilbud with allergenStatus ('fri' or 'ukendt') when undgaa is set
+ */
+const applyAllergenFilter = (tilbud, undgaa) => {
+  if (!undgaa) return tilbud;
+  return filterByAllergens(tilbud, undgaa);
+};
+
+/**
+ * Keep tilbud meeting ?minNutriScore= and ?noeglehul=true, using the scores
+ * stored with each offer when the snapshot was built
+ * @param {Array} tilbud
+ * @param {Object|null} nutrition - { minNutriScore, noeglehul } from parseListQuery
+ * @returns {Array} Tilbud with nutriScore and noeglehul when a nutrition filter is set
+ */
+const applyNutritionFilter = (tilbud, nutrition) => {
+  if (!nutrition) return tilbud;
+  return filterByNutrition(tilbud, nutrition);
+};
+
+/**
+ * Filter by allergens and nutrition, sort and paginate a tilbud list and build the JSON response body
+ * @param {Array} tilbud - Filtered tilbud
+ * @param {Object} listQuery - Parsed list query from parseListQuery
+ * @returns {Object} { success, count, total, [page, pageSize, totalPages], data }
+ */
+const buildListResponse = (tilbud, { undgaa, nutrition, sort, order, pagination }) => {
+  const allowed = applyNutritionFilter(applyAllergenFilter(tilbud, undgaa), nutrition);
+  const sorted = sort ? tilbudService.sortTilbud(allowed, sort, order) : allowed;
+
+  if (!pagination) {
+    return { success: true, count: sorted.length, total: sorted.length, data: sorted };
+  }
+
+  const { data, ...pageInfo } = tilbudService.paginate(sorted, {
+    page: pagination.page,
+    pageSize: pagination.pageSize
+  });
+  return { success: true, count: data.length, ...pageInfo, data };
+};
+
+/**
+ * Set ETag and Last-Modified for a response built from a tilbud snapshot
+ * The body only depends on the snapshot and the URL, so both identify it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} snapshot - Snapshot from tilbudService.getSnapshot
+ * @returns {boolean} true if the client's copy is current (If-None-Match / If-Modified-Since)
+ */
+const setSnapshotHeaders = (req, res, snapshot) => {
+  const urlHash = crypto.createHash('sha1').update(req.originalUrl).digest('base64url').slice(0, 12);
+  res.set({
+    ETag: `W/"${snapshot.version}.${urlHash}"`,
+    'Last-Modified': new Date(snapshot.lastModified).toUTCString(),
+    // Browsers revalidate every time instead of reusing a stale list
+    'Cache-Control': 'no-cache'
+  });
+  return req.fresh;
+};
+
+// Server-Sent Events: reconnect delay for browsers and keep-alive comment interval
+const STREAM_RETRY_MS = 10000;
+const STREAM_HEARTBEAT_MS = 25000;
+
+/**
+ * Format an optional timestamp for JSON responses
+ * @param {number|null} time - ms
+ * @returns {string|null} ISO 8601
+ */
+const toIsoString = (time) => (time ? new Date(time).toISOString() : null);
+
+/**
+ * Describe where a snapshot's offers came from and how old they are
+ * @param {Object} snapshot - Snapshot from tilbudService.getSnapshot
+ * @returns {Object} { generatedAt, dataAgeSeconds, fallbackUsed, realData, sources }
+ */
+const buildSnapshotMeta = (snapshot) => {
+  const now = Date.now();
+  const ageSeconds = (time) => (time ? Math.max(0, Math.round((now - time) / 1000)) : null);
+
+  const sources = snapshot.sources.map(source => ({
+    ...source,
+    fetchedAt: toIsoString(source.fetchedAt),
+    ageSeconds: ageSeconds(source.fetchedAt)
+  }));
+  // Age of the oldest offers shown, not of the last merge
+  const fetchedTimes = snapshot.sources
+    .filter(source => source.count > 0 && source.fetchedAt)
+    .map(source => source.fetchedAt);
+
+  return {
+    generatedAt: toIsoString(snapshot.timestamp),
+    dataAgeSeconds: ageSeconds(fetchedTimes.length > 0 ? Math.min(...fetchedTimes) : snapshot.timestamp),
+    fallbackUsed: sources.some(source => source.fallback),
+    // Only mock data when no live source has offers
+    realData: sources.some(source => source.live && source.count > 0),
+    sources
+  };
+};
+
+// Most tilbud one batch lookup may ask for
+const MAX_BATCH_IDS = 100;
+
+/**
+ * Parse tilbud IDs from a comma-separated query value or a JSON array
+ * @param {string|Array} value
+ * @returns {Array<number>|null} IDs, null if missing or not all positive integers
+ */
+const parseIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value ?? '').split(',').map(id => id.trim());
+  if (ids.length === 0 || !ids.every(id => /^\d+$/.test(String(id)))) return null;
+  return ids.map(Number);
+};
+
+/**
+ * Look up tilbud by ID and send them with the IDs that no longer exist
+ * @param {Object} req - Express request (with tilbudOptions)
+ * @param {Object} res - Express response
+ * @param {string|Array} rawIds - From ?ids= or the request body
+ */
+const sendTilbudBatch = async (req, res, rawIds) => {
+  const ids = parseIds(rawIds);
+  if (!ids) {
+    return res.status(400).json({
+      success: false,
+      error: 'Ugyldige ids - brug positive heltal adskilt af komma'
+    });
+  }
+  if (ids.length > MAX_BATCH_IDS) {
+    return res.status(400).json({
+      success: false,
+      error: `Højst ${MAX_BATCH_IDS} ids pr. opslag`
+    });
+  }
+
+  const { tilbud, missing } = await tilbudService.getTilbudByIds(ids, req.tilbudOptions);
+  res.json({
+    success: true,
+    count: tilbud.length,
+    data: tilbud,
+    missing
+  });
+};
+
 // GET /api/tilbud - Hent alle tilbud med filtrering
-app.get('/api/tilbud', async (req, res) => {
+app.get('/api/tilbud', parsePostnummer, parseListQuery, async (req, res) => {
   try {
-    const allTilbud = await tilbudService.getTilbud();
+    // ?ids=1,2,3 looks up those tilbud instead of listing
+    if (req.query.ids !== undefined) {
+      return await sendTilbudBatch(req, res, req.query.ids);
+    }
+
+    const snapshot = await tilbudService.getSnapshot(req.tilbudOptions);
+    if (setSnapshotHeaders(req, res, snapshot)) {
+      return res.status(304).end();
+    }
+    const allTilbud = snapshot.data;
     
-    // Filtrer på butik og kategori
-    const { butik, kategori } = req.query;
-    const filtered = tilbudService.applyFilters(allTilbud, { butik, kategori });
+    // Filtrer på butik, kategori, underkategori, pris og rabat
+    const { butik, kategori, underkategori } = req.query;
+    const filtered = tilbudService.applyFilters(allTilbud, {
+      butik,
+      kategori,
+      underkategori,
+      ...req.listQuery.filters
+    });
     
-    console.log(`[INFO] Returning ${filtered.length} tilbud (butik: ${butik || 'all'}, kategori: ${kategori || 'all'})`);
+    console.log(`[INFO] Returning ${filtered.length} tilbud (butik: ${butik || 'all'}, kategori: ${kategori || 'all'}, sort: ${req.listQuery.sort || 'none'}, postnummer: ${req.tilbudOptions.postnummer || 'default'})`);
     
     res.json({
-      success: true,
-      count: filtered.length,
-      data: filtered
+      ...buildListResponse(filtered, req.listQuery),
+      meta: buildSnapshotMeta(snapshot)
     });
   } catch (error) {
     console.error('[ERROR] Failed to fetch tilbud:', error);
@@ -73,11 +386,168 @@ app.get('/api/tilbud', async (req, res) => {
   }
 });
 
+// POST /api/tilbud/batch - Hent flere tilbud på ID ({ ids: [...] })
+app.post('/api/tilbud/batch', parsePostnummer, async (req, res) => {
+  try {
+    await sendTilbudBatch(req, res, req.body && req.body.ids);
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch tilbud batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/tilbud/search - Fritekstsøgning i tilbud
+app.get('/api/tilbud/search', parsePostnummer, parseListQuery, async (req, res) => {
+  try {
+    const { q, butik, kategori, underkategori } = req.query;
+    
+    // ?q=a&q=b gives an array
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Ugyldigt søgeord - angiv q én gang'
+      });
+    }
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Søgeord (q) mangler'
+      });
+    }
+    
+    const results = await tilbudService.searchTilbud(q, {
+      ...req.tilbudOptions,
+      ...req.listQuery.filters,
+      butik,
+      kategori,
+      underkategori
+    });
+    
+    console.log(`[INFO] Search "${q}" returned ${results.length} tilbud`);
+    
+    // Results stay ranked by relevance unless an explicit sort is requested
+    res.json({
+      success: true,
+      query: q,
+      ...buildListResponse(results, req.listQuery)
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to search tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/tilbud/changes - Tilbud tilføjet, fjernet eller med ny pris siden et tidspunkt
+app.get('/api/tilbud/changes', parsePostnummer, async (req, res) => {
+  try {
+    const since = parseTimestamp(req.query.since);
+    if (since === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ugyldig since - brug et tidspunkt (ISO 8601) eller millisekunder'
+      });
+    }
+
+    const { resync, added, removed, repriced, until } = await tilbudService.getChanges(since, req.tilbudOptions);
+
+    console.log(`[INFO] Changes since ${new Date(since).toISOString()}: ${added.length} added, ${removed.length} removed, ${repriced.length} repriced${resync ? ' (resync)' : ''}`);
+
+    res.json({
+      success: true,
+      resync,
+      since: new Date(since).toISOString(),
+      until: until !== null ? new Date(until).toISOString() : null,
+      count: added.length + removed.length + repriced.length,
+      data: { added, removed, repriced }
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch tilbud changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/tilbud/stream - Live nye, ændrede og udsolgte tilbud (Server-Sent Events)
+app.get('/api/tilbud/stream', parsePostnummer, (req, res) => {
+  const { butik, kategori, underkategori } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const unsubscribe = tilbudService.subscribeChanges(
+    { ...req.tilbudOptions, butik, kategori, underkategori },
+    ({ type, tilbud }) => res.write(`event: ${type}\ndata: ${JSON.stringify(tilbud)}\n\n`)
+  );
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  console.log(`[INFO] Tilbud stream opened (butik: ${butik || 'all'}, kategori: ${kategori || 'all'})`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// GET /api/tilbud/:id/history - Prishistorik for et tilbud
+app.get('/api/tilbud/:id/history', async (req, res) => {
+  try {
+    if (!tilbudService.isPriceHistoryEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Prishistorik er ikke tilgængelig - database ikke konfigureret'
+      });
+    }
+    
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ugyldigt tilbud ID'
+      });
+    }
+    
+    const history = await tilbudService.getPriceHistory(req.params.id);
+    
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingen prishistorik for tilbuddet'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch price history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // GET /api/tilbud/:id - Hent enkelt tilbud
-app.get('/api/tilbud/:id', async (req, res) => {
+app.get('/api/tilbud/:id', parsePostnummer, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const item = await tilbudService.getTilbudById(id);
+    const item = await tilbudService.getTilbudById(id, req.tilbudOptions);
     
     if (!item) {
       return res.status(404).json({
@@ -100,9 +570,9 @@ app.get('/api/tilbud/:id', async (req, res) => {
 });
 
 // GET /api/butikker - Hent liste af butikker
-app.get('/api/butikker', async (req, res) => {
+app.get('/api/butikker', parsePostnummer, async (req, res) => {
   try {
-    const butikker = await tilbudService.getButikker();
+    const butikker = await tilbudService.getButikker(req.tilbudOptions);
     
     res.json({
       success: true,
@@ -117,10 +587,63 @@ app.get('/api/butikker', async (req, res) => {
   }
 });
 
+// GET /api/butikker/:id - Hent fysisk butik med adresse og åbningstider
+app.get('/api/butikker/:id', parsePostnummer, async (req, res) => {
+  try {
+    const butik = await tilbudService.getStoreById(req.params.id, req.tilbudOptions);
+    
+    if (!butik) {
+      return res.status(404).json({
+        success: false,
+        error: 'Butik ikke fundet'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: butik
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch butik by id:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/butikker/:id/tilbud - Hent tilbud i en fysisk butik
+app.get('/api/butikker/:id/tilbud', parsePostnummer, async (req, res) => {
+  try {
+    const butik = await tilbudService.getStoreById(req.params.id, req.tilbudOptions);
+    
+    if (!butik) {
+      return res.status(404).json({
+        success: false,
+        error: 'Butik ikke fundet'
+      });
+    }
+    
+    const tilbud = await tilbudService.getTilbudByStore(req.params.id, req.tilbudOptions);
+    
+    res.json({
+      success: true,
+      count: tilbud.length,
+      data: tilbud
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch tilbud for butik:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // GET /api/kategorier - Hent liste af kategorier
-app.get('/api/kategorier', async (req, res) => {
+app.get('/api/kategorier', parsePostnummer, async (req, res) => {
   try {
-    const kategorier = await tilbudService.getKategorier();
+    const kategorier = await tilbudService.getKategorier(req.tilbudOptions);
     
     res.json({
       success: true,
@@ -135,13 +658,32 @@ app.get('/api/kategorier', async (req, res) => {
   }
 });
 
-// GET /api/produkt/:id/nutrition - Hent næringsindhold fra Open Food Facts
-app.get('/api/produkt/:id/nutrition', async (req, res) => {
+// GET /api/kategorier/tree - Hent kategorier med underkategorier og antal tilbud
+app.get('/api/kategorier/tree', parsePostnummer, async (req, res) => {
+  try {
+    const tree = await tilbudService.getKategoriTree(req.tilbudOptions);
+    
+    res.json({
+      success: true,
+      count: tree.length,
+      data: tree
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch kategori tree:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/produkt/:id/nutrition - Hent næringsindhold fra Frida eller Open Food Facts
+app.get('/api/produkt/:id/nutrition', parsePostnummer, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
     // First, get the product to extract its name
-    const product = await tilbudService.getTilbudById(id);
+    const product = await tilbudService.getTilbudById(id, req.tilbudOptions);
     
     if (!product) {
       return res.status(404).json({
@@ -150,10 +692,11 @@ app.get('/api/produkt/:id/nutrition', async (req, res) => {
       });
     }
     
-    // Fetch nutrition data using product name
+    // Produce comes from the reference table; other offers by EAN when they have one, otherwise by name and package size
     const nutritionData = await nutritionService.getNutritionData(
       product.navn,
-      id.toString()
+      id.toString(),
+      { ean: product._ean, maengde: product.maengde, enhed: product.enhed, kategori: product.kategori }
     );
     
     if (!nutritionData) {
@@ -164,9 +707,10 @@ app.get('/api/produkt/:id/nutrition', async (req, res) => {
       });
     }
     
+    // Nutri-Score, Nøglehul and %RI depend on the category, so they are scored per request rather than cached
     res.json({
       success: true,
-      data: nutritionData
+      data: { ...nutritionData, ...scoreNutrition(nutritionData, product) }
     });
   } catch (error) {
     console.error('[ERROR] Failed to fetch nutrition data:', error);
@@ -177,13 +721,40 @@ app.get('/api/produkt/:id/nutrition', async (req, res) => {
   }
 });
 
+// GET /api/produkt/:id/sammenlign - Sammenlign prisen på tværs af butikker
+app.get('/api/produkt/:id/sammenlign', parsePostnummer, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const comparison = await tilbudService.getPriceComparison(id, req.tilbudOptions);
+    
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produkt ikke fundet'
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: comparison.priser.length,
+      data: comparison
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to compare prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // GET /api/produkt/:id/recipes - Hent opskriftsforslag fra Spoonacular
-app.get('/api/produkt/:id/recipes', async (req, res) => {
+app.get('/api/produkt/:id/recipes', parsePostnummer, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
     // First, get the product to extract its name
-    const product = await tilbudService.getTilbudById(id);
+    const product = await tilbudService.getTilbudById(id, req.tilbudOptions);
     
     if (!product) {
       return res.status(404).json({
@@ -210,12 +781,12 @@ app.get('/api/produkt/:id/recipes', async (req, res) => {
 });
 
 // GET /api/produkt/:id/sustainability - Hent bæredygtighedsdata
-app.get('/api/produkt/:id/sustainability', async (req, res) => {
+app.get('/api/produkt/:id/sustainability', parsePostnummer, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
     // First, get the product to extract its name
-    const product = await tilbudService.getTilbudById(id);
+    const product = await tilbudService.getTilbudById(id, req.tilbudOptions);
     
     if (!product) {
       return res.status(404).json({
@@ -257,6 +828,281 @@ app.get('/api/produkt/:id/sustainability', async (req, res) => {
   }
 });
 
+/**
+ * Parse admin tokens from ADMIN_TOKENS ("navn:token,navn2:token2")
+ * Tokens are kept as SHA-256 hashes so they can be compared in constant time
+ * @param {string} value
+ * @returns {Array<{bruger: string, hash: Buffer}>}
+ */
+const parseAdminTokens = (value) => {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes(':'))
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return {
+        bruger: pair.slice(0, separator).trim(),
+        hash: crypto.createHash('sha256').update(pair.slice(separator + 1).trim()).digest()
+      };
+    })
+    .filter(({ bruger }) => bruger);
+};
+
+const adminTokens = parseAdminTokens(process.env.ADMIN_TOKENS);
+
+// Admin middleware - requires "Authorization: Bearer <token>" and exposes req.adminUser
+const requireAdmin = (req, res, next) => {
+  if (adminTokens.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API er ikke konfigureret - sæt ADMIN_TOKENS'
+    });
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const hash = match && crypto.createHash('sha256').update(match[1]).digest();
+  const admin = hash && adminTokens.find(token => crypto.timingSafeEqual(token.hash, hash));
+
+  if (!admin) {
+    return res.status(401).json({
+      success: false,
+      error: 'Ugyldigt eller manglende admin token'
+    });
+  }
+
+  req.adminUser = admin.bruger;
+  next();
+};
+
+// Admin ID middleware - validates :id of a manual entry
+const parseAdminId = (req, res, next) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Ugyldigt ID'
+    });
+  }
+
+  req.adminId = parseInt(req.params.id, 10);
+  next();
+};
+
+/**
+ * Send the result of a manual tilbud change
+ * @param {Object} res - Express response
+ * @param {Object} result - { entry, errors, notFound } from ManualOfferService
+ * @param {number} [status] - Status code on success
+ */
+const sendManualResult = (res, result, status = 200) => {
+  if (result.notFound) {
+    return res.status(404).json({
+      success: false,
+      error: 'Manuelt tilbud ikke fundet'
+    });
+  }
+
+  if (!result.entry) {
+    return res.status(400).json({
+      success: false,
+      error: `Ugyldigt manuelt tilbud: ${result.errors.join('; ')}`,
+      errors: result.errors
+    });
+  }
+
+  // Changes show up in tilbud lists right away
+  tilbudService.clearCache();
+
+  res.status(status).json({
+    success: true,
+    data: result.entry
+  });
+};
+
+// GET /api/admin/tilbud - Manuelle tilbud og rettelser
+app.get('/api/admin/tilbud', requireAdmin, async (req, res) => {
+  try {
+    const entries = await manualOfferService.getEntries();
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch manual tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/admin/tilbud/:id - Hent manuelt tilbud eller rettelse
+app.get('/api/admin/tilbud/:id', requireAdmin, parseAdminId, async (req, res) => {
+  try {
+    const entry = await manualOfferService.getEntry(req.adminId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Manuelt tilbud ikke fundet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch manual tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/admin/tilbud - Opret manuelt tilbud eller rettelse
+app.post('/api/admin/tilbud', requireAdmin, async (req, res) => {
+  try {
+    const result = await manualOfferService.create(req.body, req.adminUser);
+    if (result.entry) {
+      console.log(`[INFO] ${req.adminUser} created manual ${result.entry.type} ${result.entry.id}`);
+    }
+    sendManualResult(res, result, 201);
+  } catch (error) {
+    console.error('[ERROR] Failed to create manual tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/admin/tilbud/:id - Ret manuelt tilbud eller rettelse
+app.put('/api/admin/tilbud/:id', requireAdmin, parseAdminId, async (req, res) => {
+  try {
+    const result = await manualOfferService.update(req.adminId, req.body, req.adminUser);
+    if (result.entry) {
+      console.log(`[INFO] ${req.adminUser} updated manual ${result.entry.type} ${result.entry.id}`);
+    }
+    sendManualResult(res, result);
+  } catch (error) {
+    console.error('[ERROR] Failed to update manual tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/admin/tilbud/:id - Slet manuelt tilbud eller rettelse
+app.delete('/api/admin/tilbud/:id', requireAdmin, parseAdminId, async (req, res) => {
+  try {
+    const result = await manualOfferService.remove(req.adminId, req.adminUser);
+    if (result.entry) {
+      console.log(`[INFO] ${req.adminUser} deleted manual ${result.entry.type} ${result.entry.id}`);
+    }
+    sendManualResult(res, result);
+  } catch (error) {
+    console.error('[ERROR] Failed to delete manual tilbud:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/admin/audit - Log over ændringer af manuelle tilbud
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.query;
+    if (id !== undefined && !/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ugyldigt ID'
+      });
+    }
+
+    const audit = await manualOfferService.getAudit({ id: id !== undefined ? parseInt(id, 10) : undefined });
+
+    res.json({
+      success: true,
+      count: audit.length,
+      data: audit
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/admin/quarantine - Tilbud afvist af validering, med årsager
+app.get('/api/admin/quarantine', requireAdmin, parsePostnummer, (req, res) => {
+  try {
+    const report = tilbudService.getQuarantineReport({
+      source: req.query.source || undefined,
+      postnummer: req.tilbudOptions.postnummer
+    }).map(item => ({
+      ...item,
+      checkedAt: toIsoString(item.checkedAt),
+      firstSeen: toIsoString(item.firstSeen)
+    }));
+
+    res.json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch quarantine report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/status/sources - Seneste opdatering af hver tilbudskilde
+app.get('/api/status/sources', (req, res) => {
+  try {
+    const schedule = refreshScheduler.getStatus();
+    const sources = tilbudService.getSourceStatus().map(source => ({
+      id: source.id,
+      name: source.name,
+      priority: source.priority,
+      enabled: source.enabled,
+      live: source.live,
+      refreshInterval: source.refreshInterval || null,
+      lastRefresh: toIsoString(source.lastRefresh),
+      durationMs: source.durationMs,
+      postnummer: source.postnummer,
+      count: source.count,
+      error: source.error,
+      lastSuccess: toIsoString(source.lastSuccess),
+      nextRefresh: toIsoString(schedule[source.id]?.nextRefresh),
+      consecutiveFailures: schedule[source.id]?.consecutiveFailures || 0
+    }));
+
+    res.json({
+      success: true,
+      scheduler: refreshScheduler.running,
+      count: sources.length,
+      data: sources
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch source status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -280,13 +1126,28 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`╚════════════════════════════════════════╝`);
     console.log(`\nAPI Endpoints:`);
     console.log(`  GET  /api/tilbud`);
+    console.log(`  GET  /api/tilbud/search?q=`);
+    console.log(`  GET  /api/tilbud/changes?since=`);
+    console.log(`  GET  /api/tilbud/stream (Server-Sent Events)`);
     console.log(`  GET  /api/tilbud/:id`);
+    console.log(`  GET  /api/tilbud/:id/history`);
     console.log(`  GET  /api/produkt/:id/nutrition`);
+    console.log(`  GET  /api/produkt/:id/sammenlign`);
     console.log(`  GET  /api/produkt/:id/recipes`);
     console.log(`  GET  /api/produkt/:id/sustainability`);
     console.log(`  GET  /api/butikker`);
+    console.log(`  GET  /api/butikker/:id`);
+    console.log(`  GET  /api/butikker/:id/tilbud`);
     console.log(`  GET  /api/kategorier`);
+    console.log(`  GET  /api/kategorier/tree`);
+    console.log(`  *    /api/admin/tilbud (admin token)`);
+    console.log(`  GET  /api/admin/audit (admin token)`);
+    console.log(`  GET  /api/status/sources`);
     console.log(`  GET  /health\n`);
+
+    if (process.env.ENABLE_REFRESH_SCHEDULER !== 'false') {
+      refreshScheduler.start();
+    }
   });
 }
 
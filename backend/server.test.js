@@ -1,6 +1,20 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+
+// The admin API needs a token and writes manual tilbud to a temporary file
+const manualDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-tilbud-'));
+process.env.ADMIN_TOKENS = 'mette:test-token';
+process.env.MANUAL_TILBUD_PATH = path.join(manualDirectory, 'manual-tilbud.json');
+
 const app = require('./server');
 
+afterAll(() => {
+  fs.rmSync(manualDirectory, { recursive: true, force: true });
+});
+
 describe('MadMatch Backend API', () => {
   describe('GET /api/tilbud', () => {
     it('should return all tilbud', async () => {
@@ -12,6 +26,31 @@ describe('MadMatch Backend API', () => {
       expect(response.body.data.length).toBeGreaterThanOrEqual(15);
     });
 
+    it('should describe where the tilbud came from', async () => {
+      const response = await request(app).get('/api/tilbud');
+      const { meta } = response.body;
+
+      expect(meta).toMatchObject({
+        generatedAt: expect.any(String),
+        dataAgeSeconds: expect.any(Number),
+        fallbackUsed: expect.any(Boolean),
+        realData: expect.any(Boolean)
+      });
+      expect(meta.sources.find(source => source.id === 'mock')).toMatchObject({
+        live: false,
+        count: expect.any(Number),
+        fallback: false,
+        error: null
+      });
+    });
+
+    it('should reject an invalid udloeberInden', async () => {
+      const response = await request(app).get('/api/tilbud?udloeberInden=snart');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('udloeberInden');
+    });
+
     it('should filter by butik', async () => {
       const response = await request(app).get('/api/tilbud?butik=Netto');
       
@@ -20,6 +59,20 @@ describe('MadMatch Backend API', () => {
       expect(response.body.data.every(t => t.butik === 'Netto')).toBe(true);
     });
 
+    it('should accept a postnummer', async () => {
+      const response = await request(app).get('/api/tilbud?postnummer=2100');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should reject an invalid postnummer', async () => {
+      const response = await request(app).get('/api/tilbud?postnummer=21a');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
     it('should filter by kategori', async () => {
       const response = await request(app).get('/api/tilbud?kategori=Mejeri');
       
@@ -27,6 +80,262 @@ describe('MadMatch Backend API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.every(t => t.kategori === 'Mejeri')).toBe(true);
     });
+
+    it('should filter by price and rabat range', async () => {
+      const response = await request(app).get('/api/tilbud?minPris=10&maxPris=30,5&minRabat=25');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data.every(t =>
+        t.tilbudspris >= 10 && t.tilbudspris <= 30.5 && t.rabat >= 25
+      )).toBe(true);
+    });
+
+    it('should reject invalid range filters', async () => {
+      const invalidValue = await request(app).get('/api/tilbud?minPris=abc');
+      expect(invalidValue.status).toBe(400);
+
+      const invertedRange = await request(app).get('/api/tilbud?minPris=50&maxPris=10');
+      expect(invertedRange.status).toBe(400);
+    });
+
+    it('should sort by rabat', async () => {
+      const response = await request(app).get('/api/tilbud?sort=rabat');
+      const rabatter = response.body.data.map(t => t.rabat);
+      
+      expect(response.status).toBe(200);
+      expect(rabatter).toEqual([...rabatter].sort((a, b) => b - a));
+    });
+
+    it('should sort by unit price with unknown sizes last', async () => {
+      const response = await request(app).get('/api/tilbud?sort=enhedspris');
+      const enhedspriser = response.body.data.map(t => t.enhedspris);
+      const known = enhedspriser.filter(pris => pris !== null);
+      
+      expect(response.status).toBe(200);
+      expect(known.length).toBeGreaterThan(0);
+      expect(known).toEqual([...known].sort((a, b) => a - b));
+      expect(enhedspriser.slice(known.length).every(pris => pris === null)).toBe(true);
+    });
+
+    it('should reject an unknown sort', async () => {
+      const response = await request(app).get('/api/tilbud?sort=navn');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should paginate with a total count', async () => {
+      const all = await request(app).get('/api/tilbud?sort=tilbudspris');
+      const response = await request(app).get('/api/tilbud?sort=tilbudspris&page=2&pageSize=5');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(all.body.total);
+      expect(response.body.page).toBe(2);
+      expect(response.body.pageSize).toBe(5);
+      expect(response.body.totalPages).toBe(Math.ceil(all.body.total / 5));
+      expect(response.body.count).toBe(5);
+      expect(response.body.data).toEqual(all.body.data.slice(5, 10));
+    });
+
+    it('should reject invalid pagination', async () => {
+      expect((await request(app).get('/api/tilbud?page=0')).status).toBe(400);
+      expect((await request(app).get('/api/tilbud?pageSize=500')).status).toBe(400);
+    });
+  });
+
+  describe('Allergen filter', () => {
+    it('should hide tilbud with avoided allergens and flag unknown ones', async () => {
+      const all = (await request(app).get('/api/tilbud')).body.data;
+      // Mock data has no barcodes, so only plain produce has known allergens
+      const produce = all.filter(t => ['Frugt', 'Grøntsager'].includes(t.kategori));
+      expect(produce.length).toBeGreaterThan(0);
+      expect(produce.every(t => Array.isArray(t.allergens))).toBe(true);
+
+      const response = await request(app).get('/api/tilbud?undgaa=gluten,noedder');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(all.length);
+      expect(response.body.data.filter(t => t.allergenStatus === 'fri').map(t => t.id)).toEqual(produce.map(t => t.id));
+      expect(response.body.data.filter(t => t.allergenStatus === 'ukendt')).toHaveLength(all.length - produce.length);
+    });
+
+    it('should accept laktose for the milk allergen', async () => {
+      const response = await request(app).get('/api/tilbud?undgaa=gluten,laktose,noedder');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should apply to search results', async () => {
+      const response = await request(app).get(`/api/tilbud/search?q=${encodeURIComponent('mælk')}&undgaa=maelk`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data.every(t => t.allergenStatus === 'ukendt')).toBe(true);
+    });
+
+    it('should reject unknown allergens', async () => {
+      const response = await request(app).get('/api/tilbud?undgaa=gluten,skaldyr');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Ukendt allergen i undgaa');
+    });
+  });
+
+  describe('Nutrition filter', () => {
+    const { NutritionService } = require('./services/nutritionService');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep tilbud with a good enough Nutri-Score and the Nøglehul', async () => {
+      const all = (await request(app).get('/api/tilbud')).body.data;
+      const [healthy, unhealthy] = all;
+      jest.spyOn(NutritionService.prototype, 'getOfferNutrition').mockImplementation(t => {
+        if (t.id === healthy.id) return { energyKj: 200, sugars: 2, saturatedFat: 0.3, salt: 0.1, fat: 0.5, fiber: 5, protein: 3 };
+        if (t.id === unhealthy.id) return { energyKj: 2300, sugars: 50, saturatedFat: 18, salt: 0.2, fat: 30 };
+        return null;
+      });
+
+      // A zip code not requested before, so its snapshot is built with the scores above
+      const response = await request(app).get('/api/tilbud?minNutriScore=b&postnummer=9000');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ id: healthy.id, nutriScore: 'A' });
+      expect(typeof response.body.data[0].noeglehul).toBe('boolean');
+
+      const both = await request(app).get('/api/tilbud?minNutriScore=E&noeglehul=false&postnummer=9000');
+      expect(both.body.data.map(t => t.id)).toEqual([healthy.id, unhealthy.id]);
+    });
+
+    it('should score produce without any product having been opened', async () => {
+      const all = (await request(app).get('/api/tilbud')).body.data;
+      const produce = all.filter(t => t.kategori === 'Frugt' || t.kategori === 'Grøntsager');
+
+      const response = await request(app).get('/api/tilbud?minNutriScore=E');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      // Mock data has no barcodes, so only produce with reference values is scored
+      expect(response.body.data.every(t => produce.some(p => p.id === t.id))).toBe(true);
+
+      const again = await request(app).get('/api/tilbud?minNutriScore=E').set('If-None-Match', response.headers.etag);
+      expect(again.status).toBe(304);
+    });
+
+    it('should reject invalid values', async () => {
+      const grade = await request(app).get('/api/tilbud?minNutriScore=F');
+      expect(grade.status).toBe(400);
+      expect(grade.body.error).toContain('Ugyldig minNutriScore');
+
+      expect((await request(app).get('/api/tilbud?noeglehul=ja')).status).toBe(400);
+    });
+  });
+
+  describe('Conditional GET /api/tilbud', () => {
+    it('should return 304 when the client has the current list', async () => {
+      const first = await request(app).get('/api/tilbud?butik=Netto');
+
+      expect(first.headers.etag).toBeDefined();
+      expect(first.headers['last-modified']).toBeDefined();
+
+      const second = await request(app).get('/api/tilbud?butik=Netto').set('If-None-Match', first.headers.etag);
+      expect(second.status).toBe(304);
+      expect(second.text).toBe('');
+    });
+
+    it('should use a different ETag for a different query', async () => {
+      const netto = await request(app).get('/api/tilbud?butik=Netto');
+      const foetex = await request(app).get('/api/tilbud').query({ butik: 'Føtex' }).set('If-None-Match', netto.headers.etag);
+
+      expect(foetex.status).toBe(200);
+      expect(foetex.headers.etag).not.toBe(netto.headers.etag);
+    });
+  });
+
+  describe('GET /api/tilbud/changes', () => {
+    it('should ask for a resync before the first known snapshot', async () => {
+      const response = await request(app).get('/api/tilbud/changes?since=0');
+
+      expect(response.status).toBe(200);
+      expect(response.body.resync).toBe(true);
+      expect(response.body.until).toBeDefined();
+    });
+
+    it('should require a valid since', async () => {
+      expect((await request(app).get('/api/tilbud/changes')).status).toBe(400);
+      expect((await request(app).get('/api/tilbud/changes?since=igår')).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/tilbud/search', () => {
+    it('should return ranked matches', async () => {
+      const response = await request(app).get('/api/tilbud/search?q=oksekoed');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data[0].navn).toBe('Hakket Oksekød 8-12%');
+    });
+
+    it('should paginate search results', async () => {
+      const response = await request(app).get('/api/tilbud/search?q=oksekoed&pageSize=1');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].navn).toBe('Hakket Oksekød 8-12%');
+      expect(response.body.total).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should require a query', async () => {
+      const response = await request(app).get('/api/tilbud/search');
+      
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject a repeated query', async () => {
+      const response = await request(app).get('/api/tilbud/search?q=a&q=b');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Ugyldigt søgeord - angiv q én gang');
+    });
+  });
+
+  describe('Tilbud batch lookup', () => {
+    it('should return the requested tilbud and report missing ids', async () => {
+      const all = await request(app).get('/api/tilbud');
+      const [first, second] = all.body.data;
+
+      const response = await request(app).get(`/api/tilbud?ids=${second.id},999,${first.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(t => t.id)).toEqual([second.id, first.id]);
+      expect(response.body).toMatchObject({ success: true, count: 2, missing: [999] });
+    });
+
+    it('should accept ids in a POST body', async () => {
+      const all = await request(app).get('/api/tilbud');
+      const { id } = all.body.data[0];
+
+      const response = await request(app).post('/api/tilbud/batch').send({ ids: [id, 999] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(t => t.id)).toEqual([id]);
+      expect(response.body.missing).toEqual([999]);
+    });
+
+    it('should reject invalid or too many ids', async () => {
+      expect((await request(app).get('/api/tilbud?ids=1,abc')).status).toBe(400);
+      expect((await request(app).post('/api/tilbud/batch').send({})).status).toBe(400);
+
+      const tooMany = Array.from({ length: 101 }, (_, i) => i + 1);
+      const response = await request(app).post('/api/tilbud/batch').send({ ids: tooMany });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Højst 100 ids pr. opslag');
+    });
   });
 
   describe('GET /api/tilbud/:id', () => {
@@ -46,6 +355,25 @@ describe('MadMatch Backend API', () => {
     });
   });
 
+  describe('GET /api/produkt/:id/sammenlign', () => {
+    it('should return the price comparison for a tilbud', async () => {
+      const response = await request(app).get('/api/produkt/7/sammenlign');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.produkt.navn).toBe('Smør 250g');
+      expect(response.body.data.priser[0]).toEqual(expect.objectContaining({ id: 7, valgt: true }));
+      expect(response.body.count).toBe(response.body.data.priser.length);
+    });
+
+    it('should return 404 for non-existent tilbud', async () => {
+      const response = await request(app).get('/api/produkt/9999/sammenlign');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/butikker', () => {
     it('should return list of butikker', async () => {
       const response = await request(app).get('/api/butikker');
@@ -57,6 +385,22 @@ describe('MadMatch Backend API', () => {
     });
   });
 
+  describe('GET /api/butikker/:id', () => {
+    it('should return 404 for unknown butik', async () => {
+      const response = await request(app).get('/api/butikker/unknown-store');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for tilbud in unknown butik', async () => {
+      const response = await request(app).get('/api/butikker/unknown-store/tilbud');
+      
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/kategorier', () => {
     it('should return list of kategorier', async () => {
       const response = await request(app).get('/api/kategorier');
@@ -68,6 +412,189 @@ describe('MadMatch Backend API', () => {
     });
   });
 
+  describe('GET /api/kategorier/tree', () => {
+    it('should return kategorier with underkategorier and counts', async () => {
+      const response = await request(app).get('/api/kategorier/tree');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      const koed = response.body.data.find(node => node.navn === 'Kød');
+      expect(koed.antal).toBeGreaterThan(0);
+      expect(koed.underkategorier).toContainEqual(expect.objectContaining({ navn: 'Oksekød' }));
+    });
+
+    it('should filter tilbud by underkategori', async () => {
+      const response = await request(app).get('/api/tilbud').query({ kategori: 'Kød', underkategori: 'Oksekød' });
+      
+      expect(response.status).toBe(200);
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data.every(t => t.underkategori === 'Oksekød')).toBe(true);
+    });
+  });
+
+  describe('Admin API', () => {
+    const auth = { Authorization: 'Bearer test-token' };
+
+    it('should require an admin token', async () => {
+      const missing = await request(app).get('/api/admin/tilbud');
+      const invalid = await request(app).get('/api/admin/tilbud').set('Authorization', 'Bearer forkert');
+
+      expect(missing.status).toBe(401);
+      expect(missing.body.success).toBe(false);
+      expect(invalid.status).toBe(401);
+    });
+
+    it('should create, update and delete a manual tilbud', async () => {
+      const created = await request(app)
+        .post('/api/admin/tilbud')
+        .set(auth)
+        .send({ navn: 'Manuelt smør 250g', butik: 'Rema 1000', normalpris: 18.95, tilbudspris: 12.95 });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ type: 'tilbud', oprettetAf: 'mette' });
+      const { id } = created.body.data;
+
+      const listed = await request(app).get('/api/tilbud').query({ butik: 'Rema 1000' });
+      expect(listed.body.data).toContainEqual(expect.objectContaining({ id, navn: 'Manuelt smør 250g', kategori: 'Mejeri', _source: 'manual' }));
+
+      const updated = await request(app).put(`/api/admin/tilbud/${id}`).set(auth).send({ tilbudspris: 11.95 });
+      expect(updated.status).toBe(200);
+      expect((await request(app).get(`/api/tilbud/${id}`)).body.data.tilbudspris).toBe(11.95);
+
+      const deleted = await request(app).delete(`/api/admin/tilbud/${id}`).set(auth);
+      expect(deleted.status).toBe(200);
+      expect((await request(app).get(`/api/tilbud/${id}`)).status).toBe(404);
+      expect((await request(app).get(`/api/admin/tilbud/${id}`).set(auth)).status).toBe(404);
+
+      const audit = await request(app).get('/api/admin/audit').query({ id }).set(auth);
+      expect(audit.body.data.map(record => record.handling)).toEqual(['slettet', 'opdateret', 'oprettet']);
+      expect(audit.body.data.every(record => record.bruger === 'mette')).toBe(true);
+    });
+
+    it('should list quarantined offers', async () => {
+      expect((await request(app).get('/api/admin/quarantine')).status).toBe(401);
+
+      const response = await request(app).get('/api/admin/quarantine?source=salling').set(auth);
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toBeInstanceOf(Array);
+
+      const invalid = await request(app).get('/api/admin/quarantine?postnummer=abc').set(auth);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should report manual tilbud in the change feed', async () => {
+      const { until } = (await request(app).get('/api/tilbud/changes?since=0')).body;
+
+      const created = await request(app)
+        .post('/api/admin/tilbud')
+        .set(auth)
+        .send({ navn: 'Manuel kaffe 400g', butik: 'Lidl', normalpris: 50, tilbudspris: 35 });
+      const { id } = created.body.data;
+
+      const added = await request(app).get('/api/tilbud/changes').query({ since: until });
+      expect(added.body).toMatchObject({ resync: false, count: 1 });
+      expect(added.body.data.added).toEqual([expect.objectContaining({ id, navn: 'Manuel kaffe 400g' })]);
+
+      await request(app).delete(`/api/admin/tilbud/${id}`).set(auth);
+      const removed = await request(app).get('/api/tilbud/changes').query({ since: added.body.until });
+      expect(removed.body.data).toEqual({ added: [], removed: [id], repriced: [] });
+    });
+
+    it('should push new and removed offers to the tilbud stream', async () => {
+      const server = app.listen(0);
+      let text = '';
+      const stream = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}/api/tilbud/stream?butik=Lidl`, response => {
+          response.setEncoding('utf8');
+          response.on('data', chunk => { text += chunk; });
+          resolve(response);
+        }).on('error', reject);
+      });
+      const waitFor = async (expected) => {
+        for (let attempt = 0; attempt < 50 && !text.includes(expected); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(text).toContain(expected);
+      };
+
+      try {
+        expect(stream.headers['content-type']).toContain('text/event-stream');
+        await request(app).get('/api/tilbud');
+
+        const rema = await request(app).post('/api/admin/tilbud').set(auth)
+          .send({ navn: 'Stream smør 250g', butik: 'Rema 1000', normalpris: 18.95, tilbudspris: 12.95 });
+        const lidl = await request(app).post('/api/admin/tilbud').set(auth)
+          .send({ navn: 'Stream kaffe 400g', butik: 'Lidl', normalpris: 50, tilbudspris: 35 });
+        await request(app).get('/api/tilbud');
+        await waitFor('event: added');
+
+        expect(text).toContain('"navn":"Stream kaffe 400g"');
+        expect(text).not.toContain('Stream smør');
+
+        await request(app).delete(`/api/admin/tilbud/${rema.body.data.id}`).set(auth);
+        await request(app).delete(`/api/admin/tilbud/${lidl.body.data.id}`).set(auth);
+        await request(app).get('/api/tilbud');
+        await waitFor('event: removed');
+      } finally {
+        stream.destroy();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should override an offer from another source', async () => {
+      const [original] = (await request(app).get('/api/tilbud')).body.data;
+
+      const created = await request(app)
+        .post('/api/admin/tilbud')
+        .set(auth)
+        .send({ match: { id: original.id }, aendringer: { navn: 'Rettet navn' } });
+      expect(created.status).toBe(201);
+
+      const corrected = await request(app).get(`/api/tilbud/${original.id}`);
+      expect(corrected.body.data).toMatchObject({ navn: 'Rettet navn', _source: 'manual', _originalSource: original._source });
+
+      await request(app).delete(`/api/admin/tilbud/${created.body.data.id}`).set(auth);
+      expect((await request(app).get(`/api/tilbud/${original.id}`)).body.data.navn).toBe(original.navn);
+    });
+
+    it('should reject invalid input', async () => {
+      const response = await request(app)
+        .post('/api/admin/tilbud')
+        .set(auth)
+        .send({ navn: 'Smør', butik: 'Rema 1000', normalpris: 10, tilbudspris: 12 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toEqual(['tilbudspris må ikke være større end normalpris']);
+    });
+
+    it('should reject an invalid ID', async () => {
+      const response = await request(app).put('/api/admin/tilbud/abc').set(auth).send({ navn: 'Smør' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/status/sources', () => {
+    it('should report the last refresh of each offer source', async () => {
+      await request(app).get('/api/tilbud');
+      const response = await request(app).get('/api/status/sources');
+
+      expect(response.status).toBe(200);
+      expect(response.body.scheduler).toBe(false);
+      expect(response.body.data.map(s => s.id)).toEqual(expect.arrayContaining(['salling', 'tilbudsavis', 'mock']));
+      expect(response.body.data.find(s => s.id === 'mock')).toMatchObject({
+        enabled: true,
+        refreshInterval: 3600000,
+        error: null,
+        lastRefresh: expect.any(String),
+        durationMs: expect.any(Number),
+        nextRefresh: null
+      });
+    });
+  });
+
   describe('GET /health', () => {
     it('should return health status', async () => {
       const response = await request(app).get('/health');
@@ -0,0 +1,131 @@
+// The 14 allergens EU law requires on food labels, by the key used in ?undgaa=
+// tag is the Open Food Facts allergen tag. Milk is the milk allergen (milk
+// protein), so lactose-free milk still contains it.
+const ALLERGENS = [
+  { key: 'gluten', navn: 'Gluten', tag: 'en:gluten' },
+  { key: 'krebsdyr', navn: 'Krebsdyr', tag: 'en:crustaceans' },
+  { key: 'aeg', navn: 'Æg', tag: 'en:eggs' },
+  { key: 'fisk', navn: 'Fisk', tag: 'en:fish' },
+  { key: 'jordnoedder', navn: 'Jordnødder', tag: 'en:peanuts' },
+  { key: 'soja', navn: 'Soja', tag: 'en:soybeans' },
+  { key: 'maelk', navn: 'Mælk', tag: 'en:milk' },
+  { key: 'noedder', navn: 'Nødder', tag: 'en:nuts' },
+  { key: 'selleri', navn: 'Selleri', tag: 'en:celery' },
+  { key: 'sennep', navn: 'Sennep', tag: 'en:mustard' },
+  { key: 'sesam', navn: 'Sesam', tag: 'en:sesame-seeds' },
+  { key: 'svovldioxid', navn: 'Svovldioxid og sulfitter', tag: 'en:sulphur-dioxide-and-sulphites' },
+  { key: 'lupin', navn: 'Lupin', tag: 'en:lupin' },
+  { key: 'bloeddyr', navn: 'Bløddyr', tag: 'en:molluscs' }
+];
+
+const ALLERGEN_KEYS = ALLERGENS.map(allergen => allergen.key);
+
+// Other names accepted in ?undgaa=, by the allergen key they stand for
+const ALLERGEN_ALIASES = {
+  laktose: 'maelk'
+};
+
+/**
+ * Map Open Food Facts allergen tags to allergen keys
+ * Tags outside the 14 labelled allergens are dropped.
+ * @param {Array<string>} tags - e.g. ['en:gluten', 'en:milk']
+ * @returns {Array<string>} e.g. ['gluten', 'maelk']
+ */
+function fromOffTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  return ALLERGENS
+    .filter(allergen => tags.includes(allergen.tag))
+    .map(allergen => allergen.key);
+}
+
+/**
+ * Read the allergens of an Open Food Facts product
+ * Open Food Facts derives allergens from the ingredients, so without
+ * ingredients or allergen tags they are unknown (null) rather than none.
+ * @param {Object} product - allergens_tags, traces_tags, ingredients_text_da, ingredients_text
+ * @returns {{allergens: Array<string>|null, traces: Array<string>|null, ingredients: string|null}}
+ */
+function fromOffProduct(product) {
+  const ingredients = (product.ingredients_text_da || product.ingredients_text || '').trim() || null;
+  const known = Boolean(ingredients) || (product.allergens_tags || []).length > 0;
+
+  return {
+    allergens: known ? fromOffTags(product.allergens_tags) : null,
+    traces: known ? fromOffTags(product.traces_tags) : null,
+    ingredients
+  };
+}
+
+/**
+ * Parse a comma-separated allergen list, e.g. from ?undgaa=gluten,maelk
+ * Aliases such as laktose are mapped to their allergen key.
+ * @param {string} value
+ * @returns {Array<string>|null} Allergen keys, or null if one is unknown
+ */
+function parseAllergenList(value) {
+  const keys = String(value)
+    .split(',')
+    .map(key => key.trim().toLowerCase())
+    .filter(Boolean)
+    .map(key => ALLERGEN_ALIASES[key] || key);
+
+  return keys.every(key => ALLERGEN_KEYS.includes(key)) ? [...new Set(keys)] : null;
+}
+
+/**
+ * Allergens of plain fruit and vegetables
+ * Produce sold as it is holds none of the 14 allergens, except celery.
+ * @param {string} name - Offer or food name
+ * @returns {{allergens: Array<string>, traces: Array<string>}}
+ */
+function getProduceAllergens(name) {
+  return { allergens: /selleri/i.test(name || '') ? ['selleri'] : [], traces: [] };
+}
+
+/**
+ * Get the allergens stored with an offer when its snapshot was built
+ * @param {Object} tilbud - allergens and traces, null when unknown
+ * @returns {{allergens: Array<string>, traces: Array<string>}|null}
+ */
+function getStoredAllergens(tilbud) {
+  return Array.isArray(tilbud.allergens) ? { allergens: tilbud.allergens, traces: tilbud.traces || [] } : null;
+}
+
+/**
+ * Hide offers known to contain any of the allergens to avoid
+ * "May contain traces" counts as containing. Remaining offers get an
+ * allergenStatus: 'fri' when their allergens are known, 'ukendt' otherwise.
+ * @param {Array} tilbud
+ * @param {Array<string>} avoid - Allergen keys
+ * @param {Function} [getAllergens] - (tilbud) => { allergens, traces } or null when unknown; defaults to the offer's own
+ * @returns {Array}
+ */
+function filterByAllergens(tilbud, avoid, getAllergens = getStoredAllergens) {
+  const result = [];
+
+  for (const item of tilbud) {
+    const known = getAllergens(item);
+    if (!known) {
+      result.push({ ...item, allergenStatus: 'ukendt' });
+      continue;
+    }
+
+    const contained = [...known.allergens, ...(known.traces || [])];
+    if (!avoid.some(key => contained.includes(key))) {
+      result.push({ ...item, allergenStatus: 'fri' });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_KEYS,
+  fromOffTags,
+  fromOffProduct,
+  parseAllergenList,
+  getProduceAllergens,
+  filterByAllergens
+};
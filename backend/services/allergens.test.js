@@ -0,0 +1,56 @@
+const { fromOffTags, parseAllergenList, getProduceAllergens, filterByAllergens } = require('./allergens');
+
+describe('allergens', () => {
+  it('maps Open Food Facts tags to allergen keys', () => {
+    expect(fromOffTags(['en:milk', 'en:gluten', 'en:kiwi'])).toEqual(['gluten', 'maelk']);
+    expect(fromOffTags(undefined)).toEqual([]);
+  });
+
+  it('parses allergen lists', () => {
+    expect(parseAllergenList('gluten, Maelk,noedder,gluten')).toEqual(['gluten', 'maelk', 'noedder']);
+    // laktose is accepted for the milk allergen
+    expect(parseAllergenList('laktose,maelk')).toEqual(['maelk']);
+    expect(parseAllergenList('gluten,skaldyr')).toBeNull();
+    expect(parseAllergenList(',')).toEqual([]);
+  });
+
+  it('knows plain produce is free of allergens apart from celery', () => {
+    expect(getProduceAllergens('Bananer 1 kg')).toEqual({ allergens: [], traces: [] });
+    expect(getProduceAllergens('Bladselleri')).toEqual({ allergens: ['selleri'], traces: [] });
+  });
+
+  describe('filterByAllergens', () => {
+    const known = {
+      1: { allergens: ['gluten'], traces: [] },
+      2: { allergens: [], traces: ['noedder'] },
+      3: { allergens: ['maelk'], traces: [] }
+    };
+    const tilbud = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+    const getAllergens = t => known[t.id] || null;
+
+    it('hides offers known to contain an allergen, including traces', () => {
+      expect(filterByAllergens(tilbud, ['gluten', 'noedder'], getAllergens)).toEqual([
+        { id: 3, allergenStatus: 'fri' },
+        { id: 4, allergenStatus: 'ukendt' }
+      ]);
+    });
+
+    it('flags offers with unknown allergens', () => {
+      expect(filterByAllergens(tilbud, ['fisk'], getAllergens).map(t => t.allergenStatus))
+        .toEqual(['fri', 'fri', 'fri', 'ukendt']);
+    });
+
+    it('uses the allergens stored with the offers by default', () => {
+      const stored = [
+        { id: 1, allergens: ['gluten'], traces: [] },
+        { id: 2, allergens: [], traces: null },
+        { id: 3, allergens: null, traces: null }
+      ];
+
+      expect(filterByAllergens(stored, ['gluten'])).toEqual([
+        { id: 2, allergens: [], traces: null, allergenStatus: 'fri' },
+        { id: 3, allergens: null, traces: null, allergenStatus: 'ukendt' }
+      ]);
+    });
+  });
+});
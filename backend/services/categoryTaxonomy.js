@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeDanish, tokenize } = require('./tilbudSearch');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '../data/categories.json');
+
+// How much of a keyword's weight each kind of word match is worth
+const MATCH_SCORES = {
+  exact: 1,
+  // Danish compounds put the head noun last: "kyllinge|pølser" is a pølse
+  head: 0.9,
+  // ...and the modifier first, which says less about what the product is
+  modifier: 0.5
+};
+
+// Plural and definite endings accepted on an exact or head match
+const INFLECTIONS = ['', 'r', 'e', 'er', 'ne', 'erne', 'en', 'et'];
+
+// Shorter keywords ("øl", "te", "and") only match whole words
+const MIN_COMPOUND_LENGTH = 4;
+
+/**
+ * Score how well a single word matches a keyword
+ * @param {string} keyword - Normalized keyword
+ * @param {string} word - Normalized word from the product name
+ * @returns {number} Match score between 0 and 1
+ */
+function matchWord(keyword, word) {
+  if (INFLECTIONS.some(ending => word === keyword + ending)) return MATCH_SCORES.exact;
+  if (keyword.length < MIN_COMPOUND_LENGTH) return 0;
+  if (INFLECTIONS.some(ending => word.endsWith(keyword + ending))) return MATCH_SCORES.head;
+  if (word.startsWith(keyword)) return MATCH_SCORES.modifier;
+  return 0;
+}
+
+/**
+ * Normalize a taxonomy node from the data file
+ * @param {Object} node - { navn, keywords, negativeKeywords, underkategorier }
+ * @returns {Object} Node with normalized keywords
+ */
+function prepareNode(node) {
+  if (!node || !node.navn) {
+    throw new Error('Category taxonomy node is missing a name');
+  }
+
+  return {
+    navn: node.navn,
+    keywords: Object.entries(node.keywords || {}).map(([term, weight]) => ({
+      term: normalizeDanish(term),
+      weight: Number(weight) || 0
+    })),
+    negativeKeywords: (node.negativeKeywords || []).map(normalizeDanish),
+    underkategorier: (node.underkategorier || []).map(prepareNode)
+  };
+}
+
+/**
+ * CategoryTaxonomy
+ *
+ * Two-level product category hierarchy (kategori > underkategori) loaded from
+ * a JSON data file, with a weighted keyword classifier for product names.
+ */
+class CategoryTaxonomy {
+  /**
+   * @param {Object} data - Parsed taxonomy ({ fallback, categories })
+   */
+  constructor(data) {
+    if (!data || !Array.isArray(data.categories)) {
+      throw new Error('Category taxonomy must contain a categories array');
+    }
+
+    this.fallback = data.fallback || 'Diverse';
+    this.categories = data.categories.map(prepareNode);
+  }
+
+  /**
+   * Load a taxonomy from a JSON file
+   * @param {string} [filePath] - Defaults to data/categories.json
+   * @returns {CategoryTaxonomy}
+   */
+  static fromFile(filePath = DEFAULT_TAXONOMY_PATH) {
+    return new CategoryTaxonomy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Classify a product name
+   * Every keyword contributes its best word match times its weight; a
+   * kategori scores its own keywords plus its best underkategori. Nodes with
+   * a matching negative keyword are skipped. Ties go to the earliest node.
+   * @param {string} productName
+   * @returns {{kategori: string, underkategori: string|null}}
+   */
+  classify(productName) {
+    const fallback = { kategori: this.fallback, underkategori: null };
+    const words = tokenize(productName);
+    if (words.length === 0) return fallback;
+
+    const name = words.join(' ');
+    let best = { score: 0, ...fallback };
+
+    for (const category of this.categories) {
+      if (this.isExcluded(category, name)) continue;
+
+      let bestChild = { score: 0, navn: null };
+      for (const child of category.underkategorier) {
+        if (this.isExcluded(child, name)) continue;
+
+        const score = this.scoreNode(child, name, words);
+        if (score > bestChild.score) {
+          bestChild = { score, navn: child.navn };
+        }
+      }
+
+      const score = this.scoreNode(category, name, words) + bestChild.score;
+      if (score > best.score) {
+        best = { score, kategori: category.navn, underkategori: bestChild.navn };
+      }
+    }
+
+    return { kategori: best.kategori, underkategori: best.underkategori };
+  }
+
+  /**
+   * Check whether a negative keyword rules a node out
+   * @param {Object} node
+   * @param {string} name - Normalized product name
+   * @returns {boolean}
+   */
+  isExcluded(node, name) {
+    return node.negativeKeywords.some(term => name.includes(term));
+  }
+
+  /**
+   * Sum of the node's keyword scores for a product name
+   * @param {Object} node
+   * @param {string} name - Normalized product name
+   * @param {Array<string>} words - Normalized words of the name
+   * @returns {number}
+   */
+  scoreNode(node, name, words) {
+    let total = 0;
+
+    for (const { term, weight } of node.keywords) {
+      if (term.includes(' ')) {
+        // Multi-word keywords ("røget laks") match the whole phrase
+        if (` ${name} `.includes(` ${term} `)) total += weight;
+        continue;
+      }
+
+      let best = 0;
+      for (const word of words) {
+        best = Math.max(best, matchWord(term, word));
+      }
+      total += best * weight;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get the category names as a tree
+   * @returns {Array<{navn: string, underkategorier: Array<string>}>}
+   */
+  getTree() {
+    return this.categories.map(category => ({
+      navn: category.navn,
+      underkategorier: category.underkategorier.map(child => child.navn)
+    }));
+  }
+}
+
+let defaultTaxonomy = null;
+
+/**
+ * Get the shared taxonomy (CATEGORY_TAXONOMY_PATH or data/categories.json)
+ * @returns {CategoryTaxonomy}
+ */
+function getDefaultTaxonomy() {
+  if (!defaultTaxonomy) {
+    defaultTaxonomy = CategoryTaxonomy.fromFile(process.env.CATEGORY_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH);
+  }
+  return defaultTaxonomy;
+}
+
+/**
+ * Classify a product name with the shared taxonomy
+ * @param {string} productName
+ * @returns {{kategori: string, underkategori: string|null}}
+ */
+function classifyProduct(productName) {
+  return getDefaultTaxonomy().classify(productName);
+}
+
+module.exports = {
+  CategoryTaxonomy,
+  getDefaultTaxonomy,
+  classifyProduct,
+  matchWord
+};
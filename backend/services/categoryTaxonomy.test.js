@@ -0,0 +1,95 @@
+const { CategoryTaxonomy, getDefaultTaxonomy, classifyProduct, matchWord } = require('./categoryTaxonomy');
+
+describe('categoryTaxonomy', () => {
+  describe('matchWord', () => {
+    it('scores whole words, plurals and definite forms as exact', () => {
+      expect(matchWord('banan', 'banan')).toBe(1);
+      expect(matchWord('banan', 'bananer')).toBe(1);
+      expect(matchWord('banan', 'bananerne')).toBe(1);
+    });
+
+    it('scores the last part of a compound higher than the first', () => {
+      expect(matchWord('poelse', 'kyllingepoelser')).toBe(0.9);
+      expect(matchWord('kylling', 'kyllingepoelser')).toBe(0.5);
+    });
+
+    it('only matches short keywords as whole words', () => {
+      expect(matchWord('and', 'and')).toBe(1);
+      expect(matchWord('and', 'danskvand')).toBe(0);
+      expect(matchWord('oel', 'oellebroed')).toBe(0);
+    });
+  });
+
+  describe('classifyProduct', () => {
+    it('classifies by compound head rather than modifier', () => {
+      expect(classifyProduct('Kyllingepølser')).toEqual({ kategori: 'Kød', underkategori: 'Pølser & pålæg' });
+      expect(classifyProduct('Chokolademælk')).toEqual({ kategori: 'Mejeri', underkategori: 'Mælk' });
+      expect(classifyProduct('Appelsinjuice 1L')).toEqual({ kategori: 'Drikkevarer', underkategori: 'Juice & saft' });
+    });
+
+    it('returns subcategories for common products', () => {
+      expect(classifyProduct('Hakket Oksekød 8-12%')).toEqual({ kategori: 'Kød', underkategori: 'Oksekød' });
+      expect(classifyProduct('Røget laks')).toEqual({ kategori: 'Fisk', underkategori: 'Laks & ørred' });
+      expect(classifyProduct('Danskvand Citron')).toEqual({ kategori: 'Drikkevarer', underkategori: 'Vand' });
+    });
+
+    it('respects negative keywords', () => {
+      expect(classifyProduct('Vandmelon')).toEqual({ kategori: 'Frugt', underkategori: 'Eksotisk frugt' });
+      expect(classifyProduct('Vingummi')).toEqual({ kategori: 'Snacks', underkategori: 'Chokolade & slik' });
+      expect(classifyProduct('Kokosmælk').kategori).not.toBe('Mejeri');
+    });
+
+    it('falls back to Diverse', () => {
+      expect(classifyProduct('Opvaskemiddel')).toEqual({ kategori: 'Diverse', underkategori: null });
+      expect(classifyProduct('')).toEqual({ kategori: 'Diverse', underkategori: null });
+      expect(classifyProduct(null)).toEqual({ kategori: 'Diverse', underkategori: null });
+    });
+  });
+
+  describe('CategoryTaxonomy', () => {
+    const taxonomy = new CategoryTaxonomy({
+      fallback: 'Andet',
+      categories: [
+        {
+          navn: 'Kød',
+          keywords: { kød: 2 },
+          negativeKeywords: ['vegetar'],
+          underkategorier: [{ navn: 'Fjerkræ', keywords: { kylling: 3 } }]
+        },
+        { navn: 'Mejeri', keywords: { mælk: 3 } }
+      ]
+    });
+
+    it('uses the configured fallback', () => {
+      expect(taxonomy.classify('Toiletpapir')).toEqual({ kategori: 'Andet', underkategori: null });
+    });
+
+    it('adds the best subcategory score to its parent', () => {
+      expect(taxonomy.classify('Kyllingekød')).toEqual({ kategori: 'Kød', underkategori: 'Fjerkræ' });
+    });
+
+    it('excludes the whole subtree on a negative keyword', () => {
+      expect(taxonomy.classify('Vegetar kylling').kategori).toBe('Andet');
+    });
+
+    it('returns the tree of names', () => {
+      expect(taxonomy.getTree()).toEqual([
+        { navn: 'Kød', underkategorier: ['Fjerkræ'] },
+        { navn: 'Mejeri', underkategorier: [] }
+      ]);
+    });
+
+    it('rejects data without categories', () => {
+      expect(() => new CategoryTaxonomy({})).toThrow('Category taxonomy must contain a categories array');
+    });
+  });
+
+  describe('getDefaultTaxonomy', () => {
+    it('loads data/categories.json', () => {
+      const tree = getDefaultTaxonomy().getTree();
+
+      expect(tree.map(node => node.navn)).toContain('Kød');
+      expect(tree.find(node => node.navn === 'Mejeri').underkategorier).toContain('Ost');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCsv } = require('../offer-sources/tilbudsavisFormat');
+const { normalizeDanish } = require('./tilbudSearch');
+const { removePackageSize } = require('./unitPrice');
+
+// Frida parameters (ParameterNavn) by nutrition field; all values are per 100 g
+const PARAMETERS = {
+  'Energi (kcal)': 'energyKcal',
+  'Energi (kJ)': 'energyKj',
+  'Protein': 'protein',
+  'Fedt': 'fat',
+  'Sum mættede fedtsyrer': 'saturatedFat',
+  'Kulhydrat, tilgængelig': 'carbohydrates',
+  'Sukkerarter, i alt': 'sugars',
+  'Kostfibre': 'fiber',
+  'Natrium': 'sodium'
+};
+
+// Columns read from the Frida export; the Danish and English headers are both accepted
+const COLUMNS = {
+  foodId: ['FødevareID', 'FoodID'],
+  navn: ['FødevareNavn'],
+  parameter: ['ParameterNavn'],
+  value: ['ResVal']
+};
+
+// Salt is 2.5 times the sodium content; Frida gives sodium in mg
+const SODIUM_TO_SALT = 2.5 / 1000;
+
+// Confidence when a synonym is the whole offer name, and when it is only part of it
+const CONFIDENCE_EXACT = 1;
+const CONFIDENCE_PARTIAL = 0.8;
+
+/**
+ * Parse a Frida export in the normalised layout: one row per food and parameter
+ * @param {string} text - CSV content (";" delimited, decimal comma)
+ * @returns {Map<string, {foodId: string, navn: string, nutrition: Object}>} Foods by FødevareID
+ * @throws {Error} If a required column is missing
+ */
+function parseFridaCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('Frida CSV is empty');
+
+  const index = {};
+  for (const [column, names] of Object.entries(COLUMNS)) {
+    index[column] = header.findIndex(name => names.includes(name.trim()));
+    if (index[column] === -1) {
+      throw new Error(`Frida CSV is missing the ${names.join(' or ')} column`);
+    }
+  }
+
+  const foods = new Map();
+  for (const cells of rows) {
+    const foodId = (cells[index.foodId] || '').trim();
+    const field = PARAMETERS[(cells[index.parameter] || '').trim()];
+    if (!foodId || !field) continue;
+
+    if (!foods.has(foodId)) {
+      foods.set(foodId, { foodId, navn: cells[index.navn].trim(), nutrition: {} });
+    }
+
+    const raw = (cells[index.value] || '').trim().replace(',', '.');
+    const value = raw === '' ? null : Number(raw);
+    foods.get(foodId).nutrition[field] = Number.isFinite(value) ? value : null;
+  }
+
+  return foods;
+}
+
+/**
+ * Build the nutrition fields used by NutritionService from a Frida food
+ * @param {Object} nutrition - Values by field, sodium in mg
+ * @returns {Object}
+ */
+function toNutritionData(nutrition) {
+  const { sodium, ...values } = nutrition;
+  const salt = sodium == null ? null : Math.round(sodium * SODIUM_TO_SALT * 100) / 100;
+
+  return {
+    energyKcal: values.energyKcal ?? null,
+    energyKj: values.energyKj ?? null,
+    protein: values.protein ?? null,
+    fat: values.fat ?? null,
+    saturatedFat: values.saturatedFat ?? null,
+    carbohydrates: values.carbohydrates ?? null,
+    sugars: values.sugars ?? null,
+    fiber: values.fiber ?? null,
+    salt,
+    // Frida has no allergen or ingredient data
+    allergens: null,
+    traces: null,
+    ingredients: null
+  };
+}
+
+/**
+ * FoodCompositionTable
+ *
+ * Reference nutrition for generic foods such as loose produce, from a local
+ * export of the Danish food composition database Frida (frida.fooddata.dk).
+ * Offer names are mapped to Frida foods through a synonym table, so
+ * "Bananer 1 kg" and "Økologiske bananer" both find "Banan, rå".
+ */
+class FoodCompositionTable {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataFilePath] - Frida CSV export
+   * @param {string} [options.synonymsFilePath] - JSON: { foods: { <FødevareID>: [synonyms] } }
+   */
+  constructor(options = {}) {
+    this.dataFilePath = options.dataFilePath || path.join(__dirname, '../data/frida/produce.csv');
+    this.synonymsFilePath = options.synonymsFilePath || path.join(__dirname, '../data/frida/synonyms.json');
+    this.foods = new Map();
+    // Normalized synonym -> FødevareID, longest first so "rød peberfrugt" wins over "peberfrugt"
+    this.synonyms = [];
+  }
+
+  /**
+   * Load the Frida export and the synonym table
+   * Synonyms for foods missing from the export are skipped with a warning.
+   */
+  async load() {
+    const [csv, synonymsJson] = await Promise.all([
+      fs.readFile(this.dataFilePath, 'utf8'),
+      fs.readFile(this.synonymsFilePath, 'utf8')
+    ]);
+
+    this.foods = parseFridaCsv(csv);
+    this.synonyms = [];
+
+    const { foods = {} } = JSON.parse(synonymsJson);
+    for (const [foodId, names] of Object.entries(foods)) {
+      if (!this.foods.has(foodId)) {
+        console.warn(`[WARN] Synonyms for unknown Frida food ${foodId} skipped`);
+        continue;
+      }
+      for (const name of names) {
+        const normalized = normalizeDanish(name);
+        if (normalized) this.synonyms.push({ synonym: normalized, foodId });
+      }
+    }
+    this.synonyms.sort((a, b) => b.synonym.length - a.synonym.length);
+
+    console.log(`[INFO] Loaded ${this.foods.size} Frida foods with ${this.synonyms.length} synonyms`);
+  }
+
+  /**
+   * Find the reference values for an offer name
+   * A synonym matches when its words appear in the name, in order and as whole words.
+   * @param {string} productName - e.g. "Bananer 1 kg"
+   * @returns {{food: Object, nutrition: Object, confidence: number}|null} Null without a synonym match
+   */
+  lookup(productName) {
+    const name = normalizeDanish(removePackageSize(productName));
+    if (!name) return null;
+
+    const padded = ` ${name} `;
+    const match = this.synonyms.find(({ synonym }) => padded.includes(` ${synonym} `));
+    if (!match) return null;
+
+    const food = this.foods.get(match.foodId);
+    return {
+      food,
+      nutrition: toNutritionData(food.nutrition),
+      confidence: match.synonym === name ? CONFIDENCE_EXACT : CONFIDENCE_PARTIAL
+    };
+  }
+}
+
+module.exports = {
+  FoodCompositionTable,
+  parseFridaCsv,
+  PARAMETERS
+};
@@ -0,0 +1,65 @@
+const { FoodCompositionTable, parseFridaCsv } = require('./foodCompositionTable');
+
+describe('FoodCompositionTable', () => {
+  describe('parseFridaCsv', () => {
+    it('groups parameter rows by food and reads decimal commas', () => {
+      const foods = parseFridaCsv([
+        'FødevareID;FødevareNavn;ParameterNavn;ResVal',
+        '1;Banan, rå;Energi (kcal);95',
+        '1;Banan, rå;Protein;1,1',
+        '1;Banan, rå;Vitamin C;9',
+        '1;Banan, rå;Fedt;'
+      ].join('\n'));
+
+      expect(foods.get('1')).toEqual({
+        foodId: '1',
+        navn: 'Banan, rå',
+        nutrition: { energyKcal: 95, protein: 1.1, fat: null }
+      });
+    });
+
+    it('requires the Frida columns', () => {
+      expect(() => parseFridaCsv('FødevareID;Navn\n1;Banan')).toThrow('FødevareNavn');
+    });
+  });
+
+  describe('lookup', () => {
+    let table;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      table = new FoodCompositionTable();
+      await table.load();
+      console.log.mockRestore();
+    });
+
+    it('maps offer names to foods through synonyms', () => {
+      const result = table.lookup('Bananer');
+
+      expect(result.food.navn).toBe('Banan, rå');
+      expect(result.confidence).toBe(1);
+      expect(result.nutrition).toMatchObject({ energyKcal: 95, protein: 1.1 });
+    });
+
+    it('converts sodium to salt', () => {
+      expect(table.lookup('Gulerødder').nutrition.salt).toBe(0.1);
+    });
+
+    it('matches synonyms within longer names with lower confidence', () => {
+      const result = table.lookup('Danske gulerødder 1 kg');
+
+      expect(result.food.navn).toBe('Gulerod, rå');
+      expect(result.confidence).toBe(0.8);
+    });
+
+    it('prefers the longest synonym', () => {
+      expect(table.lookup('Rød peberfrugt').confidence).toBe(1);
+    });
+
+    it('only matches whole words', () => {
+      expect(table.lookup('Bananchips')).toBeNull();
+      expect(table.lookup('Kartoffelchips')).toBeNull();
+      expect(table.lookup('')).toBeNull();
+    });
+  });
+});
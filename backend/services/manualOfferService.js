@@ -0,0 +1,525 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { generateStableId, toLocalDate } = require('../offer-sources/offerUtils');
+
+// Written at runtime, so deployments should point MANUAL_TILBUD_PATH outside the checkout
+const DEFAULT_FILE_PATH = process.env.MANUAL_TILBUD_PATH || path.join(__dirname, '../data/manual-tilbud.json');
+const STORE_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UNITS = ['kg', 'l', 'stk'];
+
+// Field types for manual tilbud and overrides
+const FIELD_TYPES = {
+  navn: 'text',
+  butik: 'text',
+  kategori: 'text',
+  underkategori: 'text',
+  normalpris: 'price',
+  tilbudspris: 'price',
+  billedeUrl: 'text',
+  butikId: 'text',
+  butikNavn: 'text',
+  gyldigFra: 'date',
+  gyldigTil: 'date',
+  maengde: 'price',
+  enhed: 'unit',
+  ean: 'ean',
+  skjult: 'boolean'
+};
+
+// A manual tilbud is a complete offer of its own
+const TILBUD_FIELDS = Object.keys(FIELD_TYPES).filter(field => field !== 'skjult');
+const REQUIRED_TILBUD_FIELDS = ['navn', 'butik', 'normalpris', 'tilbudspris'];
+
+// An override corrects offers from other sources; it cannot move them to another store
+const OVERRIDE_FIELDS = Object.keys(FIELD_TYPES).filter(field => !['butik', 'butikId', 'ean'].includes(field));
+
+/**
+ * Check one field value
+ * @param {string} field
+ * @param {*} value
+ * @returns {string|null} Error message or null if valid
+ */
+function checkField(field, value) {
+  switch (FIELD_TYPES[field]) {
+    case 'text':
+      return typeof value === 'string' && value.trim() ? null : `${field} skal være en tekst`;
+    case 'price':
+      return typeof value === 'number' && value > 0 ? null : `${field} skal være et tal større end 0`;
+    case 'date': {
+      const valid = typeof value === 'string' && DATE_PATTERN.test(value)
+        && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+      return valid ? null : `${field} skal være en dato (YYYY-MM-DD)`;
+    }
+    case 'unit':
+      return UNITS.includes(value) ? null : `enhed skal være en af: ${UNITS.join(', ')}`;
+    case 'ean':
+      return typeof value === 'string' && /^\d{8,14}$/.test(value) ? null : 'ean skal være 8-14 cifre';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${field} skal være true eller false`;
+    default:
+      return `Ukendt felt: ${field}`;
+  }
+}
+
+/**
+ * Check field values against the allowed fields
+ * @param {Object} values
+ * @param {Array<string>} allowed - Allowed field names
+ * @returns {Array<string>} Error messages
+ */
+function checkFields(values, allowed) {
+  return Object.entries(values).flatMap(([field, value]) => {
+    if (!allowed.includes(field)) return [`Ukendt felt: ${field}`];
+    const error = checkField(field, value);
+    return error ? [error] : [];
+  });
+}
+
+/**
+ * Check rules across fields (prices and validity period)
+ * @param {Object} values - Complete values after a change
+ * @returns {Array<string>} Error messages
+ */
+function checkConsistency(values) {
+  const errors = [];
+  if (values.normalpris && values.tilbudspris && values.tilbudspris > values.normalpris) {
+    errors.push('tilbudspris må ikke være større end normalpris');
+  }
+  if (values.gyldigFra && values.gyldigTil && values.gyldigTil < values.gyldigFra) {
+    errors.push('gyldigTil må ikke være før gyldigFra');
+  }
+  if ((values.maengde === undefined) !== (values.enhed === undefined)) {
+    errors.push('maengde og enhed skal angives sammen');
+  }
+  return errors;
+}
+
+/**
+ * Merge changes into values; null removes a field
+ * @param {Object} values
+ * @param {Object} changes
+ * @returns {Object}
+ */
+function mergeValues(values, changes) {
+  const merged = { ...values };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[field];
+    } else {
+      merged[field] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Drop removals (null values) from changes, leaving the values to check
+ * @param {Object} changes
+ * @returns {Object}
+ */
+function withoutRemovals(changes) {
+  return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== null));
+}
+
+/**
+ * Check an override match: exactly one of { id } or { ean }
+ * @param {*} match
+ * @returns {Array<string>} Error messages
+ */
+function checkMatch(match) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    return ['match skal være { id } eller { ean }'];
+  }
+  const keys = Object.keys(match);
+  if (keys.length !== 1 || !['id', 'ean'].includes(keys[0])) {
+    return ['match skal være { id } eller { ean }'];
+  }
+  if (keys[0] === 'id' && !(Number.isInteger(match.id) && match.id > 0)) {
+    return ['match.id skal være et tilbud ID'];
+  }
+  if (keys[0] === 'ean' && checkField('ean', match.ean)) {
+    return ['match.ean skal være 8-14 cifre'];
+  }
+  return [];
+}
+
+/**
+ * Check whether an override applies to a tilbud
+ * @param {Object} match - { id } or { ean }
+ * @param {Object} tilbud
+ * @returns {boolean}
+ */
+function matchesTilbud(match, tilbud) {
+  if (match.id !== undefined) return tilbud.id === match.id;
+  return Boolean(tilbud._ean) && tilbud._ean === match.ean;
+}
+
+/**
+ * Calculate the discount in percent
+ * @param {number} normalpris
+ * @param {number} tilbudspris
+ * @returns {number}
+ */
+function calculateRabat(normalpris, tilbudspris) {
+  return Math.round((1 - tilbudspris / normalpris) * 100);
+}
+
+/**
+ * Convert a manual tilbud entry to our tilbud schema
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function toTilbud(entry) {
+  const { ean, ...values } = entry.tilbud;
+
+  const tilbud = {
+    id: entry.id,
+    ...values,
+    rabat: calculateRabat(values.normalpris, values.tilbudspris),
+    billedeUrl: values.billedeUrl || '/images/placeholder.jpg',
+    butikId: values.butikId || null,
+    butikNavn: values.butikNavn || values.butik,
+    _source: 'manual',
+    _ean: ean || null,
+    _manualId: entry.id
+  };
+  if (values.gyldigTil) tilbud._expiryDate = `${values.gyldigTil}T23:59:59`;
+
+  return tilbud;
+}
+
+/**
+ * Apply override changes to a tilbud from another source
+ * @param {Object} tilbud
+ * @param {Object} changes - Combined changes of all matching overrides
+ * @param {number} manualId - ID of the last matching override
+ * @returns {Object}
+ */
+function applyChanges(tilbud, changes, manualId) {
+  const { skjult, ...fields } = changes;
+  const result = {
+    ...tilbud,
+    ...fields,
+    _source: 'manual',
+    _originalSource: tilbud._source,
+    _manualId: manualId
+  };
+
+  // Classify the subcategory again when only the category was corrected
+  if (fields.kategori && fields.underkategori === undefined) delete result.underkategori;
+  if (fields.normalpris || fields.tilbudspris) {
+    result.rabat = calculateRabat(result.normalpris, result.tilbudspris);
+  }
+  if (fields.tilbudspris || fields.navn || fields.maengde) delete result.enhedspris;
+  if (fields.gyldigTil) result._expiryDate = `${fields.gyldigTil}T23:59:59`;
+
+  return result;
+}
+
+/**
+ * Check whether a tilbud is valid on a day
+ * @param {Object} values - { gyldigFra, gyldigTil }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isValidOn(values, today) {
+  return (!values.gyldigFra || values.gyldigFra <= today) && (!values.gyldigTil || today <= values.gyldigTil);
+}
+
+/**
+ * ManualOfferService
+ *
+ * Offers curated through the admin API: manual tilbud (e.g. for chains
+ * without a source) and overrides that correct or hide offers from other
+ * sources by id or EAN. Entries and the audit trail of every change are
+ * kept in one JSON file.
+ */
+class ManualOfferService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || DEFAULT_FILE_PATH;
+    this.store = null;
+    // Changes are written one at a time so concurrent requests never lose an update
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk (once)
+   * @returns {Promise<{version: number, entries: Array, audit: Array}>}
+   */
+  async load() {
+    if (this.store) return this.store;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.store = { version: STORE_VERSION, entries: data.entries || [], audit: data.audit || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Never start from an empty store over a file we could not read
+        throw new Error(`Could not read manual tilbud from ${this.filePath}: ${error.message}`);
+      }
+      this.store = { version: STORE_VERSION, entries: [], audit: [] };
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Write the store to disk (via a temporary file, so a crash never leaves half a file)
+   * @private
+   */
+  async _save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(this.store, null, 2)}\n`, 'utf-8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Run a change after earlier changes, then save
+   * @param {Function} change - Receives the store, returns the result
+   * @returns {Promise<*>} Result of change
+   * @private
+   */
+  _change(change) {
+    const run = this.writeQueue.then(async () => {
+      const store = await this.load();
+      const result = change(store);
+      if (result.entry !== null) await this._save();
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Record a change in the audit trail
+   * @param {Object} store
+   * @param {Object} change - { handling, bruger, id, foer, efter }
+   * @private
+   */
+  _audit(store, { handling, bruger, id, foer, efter }) {
+    store.audit.push({
+      tidspunkt: new Date().toISOString(),
+      bruger,
+      handling,
+      id,
+      foer: foer || null,
+      efter: efter || null
+    });
+  }
+
+  /**
+   * Get all entries
+   * @returns {Promise<Array>}
+   */
+  async getEntries() {
+    const { entries } = await this.load();
+    return entries;
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(id) {
+    const { entries } = await this.load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Get the audit trail, newest first
+   * @param {Object} [options] - { id } to only get changes to one entry
+   * @returns {Promise<Array>}
+   */
+  async getAudit(options = {}) {
+    const { audit } = await this.load();
+    return audit
+      .filter(record => options.id === undefined || record.id === options.id)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Validate input for a new entry
+   * @param {Object} input - Tilbud fields, or { match, aendringer } for an override
+   * @returns {{values: Object|null, errors: Array<string>}}
+   */
+  validateNew(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { values: null, errors: ['Body skal være et JSON objekt'] };
+    }
+
+    if (input.match !== undefined) {
+      const { match, aendringer, ...rest } = input;
+      const errors = [
+        ...Object.keys(rest).map(field => `Ukendt felt: ${field}`),
+        ...checkMatch(match)
+      ];
+      if (!aendringer || typeof aendringer !== 'object' || Object.keys(aendringer).length === 0) {
+        errors.push('aendringer skal indeholde mindst ét felt');
+      } else {
+        errors.push(...checkFields(aendringer, OVERRIDE_FIELDS), ...checkConsistency(aendringer));
+      }
+      return errors.length > 0
+        ? { values: null, errors }
+        : { values: { type: 'override', match, aendringer }, errors };
+    }
+
+    const errors = [
+      ...REQUIRED_TILBUD_FIELDS.filter(field => input[field] === undefined).map(field => `${field} mangler`),
+      ...checkFields(input, TILBUD_FIELDS)
+    ];
+    if (errors.length === 0) errors.push(...checkConsistency(input));
+
+    return errors.length > 0
+      ? { values: null, errors }
+      : { values: { type: 'tilbud', tilbud: input }, errors };
+  }
+
+  /**
+   * Create a manual tilbud or override
+   * @param {Object} input - Tilbud fields, or { match, aendringer } for an override
+   * @param {string} bruger - Admin user making the change
+   * @returns {Promise<{entry: Object|null, errors: Array<string>}>}
+   */
+  async create(input, bruger) {
+    const { values, errors } = this.validateNew(input);
+    if (!values) return { entry: null, errors };
+
+    return this._change(store => {
+      const usedIds = new Set(store.entries.map(entry => entry.id));
+      const now = new Date().toISOString();
+      const entry = {
+        id: generateStableId(`manual|${crypto.randomUUID()}`, usedIds),
+        ...values,
+        oprettet: now,
+        oprettetAf: bruger,
+        opdateret: now,
+        opdateretAf: bruger
+      };
+
+      store.entries.push(entry);
+      this._audit(store, { handling: 'oprettet', bruger, id: entry.id, efter: entry });
+      return { entry, errors: [] };
+    });
+  }
+
+  /**
+   * Update an entry; fields set to null are removed
+   * @param {number} id
+   * @param {Object} input - Tilbud fields, or { match, aendringer } for an override
+   * @param {string} bruger - Admin user making the change
+   * @returns {Promise<{entry: Object|null, errors: Array<string>, notFound?: boolean}>}
+   */
+  async update(id, input, bruger) {
+    if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+      return { entry: null, errors: ['Body skal indeholde mindst ét felt'] };
+    }
+
+    return this._change(store => {
+      const index = store.entries.findIndex(entry => entry.id === id);
+      if (index === -1) return { entry: null, errors: [], notFound: true };
+
+      const current = store.entries[index];
+      let values;
+      let errors;
+
+      if (current.type === 'override') {
+        const { match = current.match, aendringer = {}, ...rest } = input;
+        const merged = mergeValues(current.aendringer, aendringer);
+        errors = [
+          ...Object.keys(rest).map(field => `Ukendt felt: ${field}`),
+          ...checkMatch(match),
+          ...checkFields(withoutRemovals(aendringer), OVERRIDE_FIELDS),
+          ...checkConsistency(merged)
+        ];
+        if (Object.keys(merged).length === 0) errors.push('aendringer skal indeholde mindst ét felt');
+        values = { match, aendringer: merged };
+      } else {
+        const merged = mergeValues(current.tilbud, input);
+        errors = [
+          ...REQUIRED_TILBUD_FIELDS.filter(field => merged[field] === undefined).map(field => `${field} mangler`),
+          ...checkFields(withoutRemovals(input), TILBUD_FIELDS)
+        ];
+        if (errors.length === 0) errors.push(...checkConsistency(merged));
+        values = { tilbud: merged };
+      }
+
+      if (errors.length > 0) return { entry: null, errors };
+
+      const entry = { ...current, ...values, opdateret: new Date().toISOString(), opdateretAf: bruger };
+      store.entries[index] = entry;
+      this._audit(store, { handling: 'opdateret', bruger, id, foer: current, efter: entry });
+      return { entry, errors: [] };
+    });
+  }
+
+  /**
+   * Delete an entry
+   * @param {number} id
+   * @param {string} bruger - Admin user making the change
+   * @returns {Promise<{entry: Object|null, errors: Array<string>, notFound?: boolean}>}
+   */
+  async remove(id, bruger) {
+    return this._change(store => {
+      const index = store.entries.findIndex(entry => entry.id === id);
+      if (index === -1) return { entry: null, errors: [], notFound: true };
+
+      const [entry] = store.entries.splice(index, 1);
+      this._audit(store, { handling: 'slettet', bruger, id, foer: entry });
+      return { entry, errors: [] };
+    });
+  }
+
+  /**
+   * Apply overrides to merged tilbud and add manual tilbud valid today
+   * Overrides only hold the changed fields, so the corrected offer is checked
+   * again; when it is inconsistent with the source offer (e.g. tilbudspris
+   * above the source's normalpris) the override is skipped and logged.
+   * @param {Array} tilbud - Merged tilbud from all sources
+   * @param {Object} [options] - { today: 'YYYY-MM-DD' }
+   * @returns {Promise<Array>}
+   */
+  async applyTo(tilbud, options = {}) {
+    const today = options.today || toLocalDate(new Date());
+    const { entries } = await this.load();
+    const overrides = entries.filter(entry => entry.type === 'override');
+
+    const result = [];
+    for (const item of tilbud) {
+      const matching = overrides.filter(entry => matchesTilbud(entry.match, item));
+      if (matching.length === 0) {
+        result.push(item);
+        continue;
+      }
+
+      // Later overrides win when several match (e.g. one by EAN, one by id)
+      const changes = Object.assign({}, ...matching.map(entry => entry.aendringer));
+      if (changes.skjult) continue;
+
+      const manualId = matching[matching.length - 1].id;
+      const corrected = applyChanges(item, changes, manualId);
+      const errors = checkConsistency(corrected);
+      if (errors.length > 0) {
+        console.warn(`[WARN] Override ${manualId} skipped for tilbud ${item.id}`, { errors });
+        result.push(item);
+        continue;
+      }
+      result.push(corrected);
+    }
+
+    const manual = entries
+      .filter(entry => entry.type === 'tilbud' && isValidOn(entry.tilbud, today))
+      .map(toTilbud);
+
+    return [...result, ...manual];
+  }
+}
+
+module.exports = {
+  ManualOfferService,
+  DEFAULT_FILE_PATH
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ManualOfferService } = require('./manualOfferService');
+
+describe('ManualOfferService', () => {
+  let directory;
+  let filePath;
+  let service;
+
+  const smoer = {
+    navn: 'Smør 250g',
+    butik: 'Rema 1000',
+    normalpris: 18.95,
+    tilbudspris: 12.95,
+    gyldigFra: '2026-10-19',
+    gyldigTil: '2026-10-25'
+  };
+
+  const salling = [
+    { id: 1, navn: 'Hakket oksekød 500g', butik: 'Netto', kategori: 'Kød', underkategori: 'Oksekød', normalpris: 50, tilbudspris: 40, rabat: 20, enhedspris: 80, _source: 'salling-api', _ean: '5701234567890' },
+    { id: 2, navn: 'Letmælk 1L', butik: 'Føtex', kategori: 'Mejeri', normalpris: 12, tilbudspris: 10, rabat: 17, _source: 'salling-api', _ean: null }
+  ];
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-tilbud-'));
+    filePath = path.join(directory, 'manual-tilbud.json');
+    service = new ManualOfferService({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    it('stores a manual tilbud with who created it', async () => {
+      const { entry, errors } = await service.create(smoer, 'mette');
+
+      expect(errors).toEqual([]);
+      expect(entry).toMatchObject({ type: 'tilbud', tilbud: smoer, oprettetAf: 'mette', opdateretAf: 'mette' });
+      expect(entry.id).toBeGreaterThanOrEqual(1e9);
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      expect(saved.entries).toEqual([entry]);
+    });
+
+    it('reports every problem with a tilbud', async () => {
+      const { entry, errors } = await service.create({ navn: 'Smør', normalpris: '18', tilbudspris: 12, pris: 10 }, 'mette');
+
+      expect(entry).toBeNull();
+      expect(errors).toEqual([
+        'butik mangler',
+        'normalpris skal være et tal større end 0',
+        'Ukendt felt: pris'
+      ]);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('checks prices and validity period', async () => {
+      const { errors } = await service.create({ ...smoer, tilbudspris: 20, gyldigTil: '2026-10-01' }, 'mette');
+
+      expect(errors).toEqual([
+        'tilbudspris må ikke være større end normalpris',
+        'gyldigTil må ikke være før gyldigFra'
+      ]);
+    });
+
+    it('validates overrides', async () => {
+      const { errors } = await service.create({ match: { navn: 'Smør' }, aendringer: { butik: 'Lidl' } }, 'mette');
+
+      expect(errors).toEqual(['match skal være { id } eller { ean }', 'Ukendt felt: butik']);
+    });
+  });
+
+  describe('update and remove', () => {
+    it('merges changes and removes fields set to null', async () => {
+      const { entry: created } = await service.create({ ...smoer, kategori: 'Mejeri' }, 'mette');
+      const { entry, errors } = await service.update(created.id, { tilbudspris: 11.95, kategori: null }, 'jonas');
+
+      expect(errors).toEqual([]);
+      expect(entry.tilbud).toEqual({ ...smoer, tilbudspris: 11.95 });
+      expect(entry).toMatchObject({ oprettetAf: 'mette', opdateretAf: 'jonas' });
+    });
+
+    it('does not remove required fields', async () => {
+      const { entry: created } = await service.create(smoer, 'mette');
+      const { entry, errors } = await service.update(created.id, { navn: null }, 'mette');
+
+      expect(entry).toBeNull();
+      expect(errors).toEqual(['navn mangler']);
+      expect((await service.getEntry(created.id)).tilbud).toEqual(smoer);
+    });
+
+    it('reports unknown entries', async () => {
+      expect(await service.update(123, { navn: 'Smør' }, 'mette')).toMatchObject({ entry: null, notFound: true });
+      expect(await service.remove(123, 'mette')).toMatchObject({ entry: null, notFound: true });
+    });
+
+    it('records every change in the audit trail', async () => {
+      const { entry: created } = await service.create(smoer, 'mette');
+      const { entry: updated } = await service.update(created.id, { tilbudspris: 11.95 }, 'jonas');
+      await service.remove(created.id, 'mette');
+      await service.create({ ...smoer, navn: 'Mælk' }, 'mette');
+
+      const audit = await service.getAudit({ id: created.id });
+      expect(audit.map(record => [record.handling, record.bruger])).toEqual([
+        ['slettet', 'mette'],
+        ['opdateret', 'jonas'],
+        ['oprettet', 'mette']
+      ]);
+      expect(audit[1]).toMatchObject({ foer: created, efter: updated });
+      expect(audit[0].efter).toBeNull();
+      expect(await service.getAudit()).toHaveLength(4);
+    });
+
+    it('keeps concurrent changes', async () => {
+      await Promise.all([1, 2, 3].map(n => service.create({ ...smoer, navn: `Tilbud ${n}` }, 'mette')));
+
+      const reloaded = new ManualOfferService({ filePath });
+      expect(await reloaded.getEntries()).toHaveLength(3);
+    });
+  });
+
+  describe('load', () => {
+    it('refuses to start over a file it cannot read', async () => {
+      fs.writeFileSync(filePath, '{');
+
+      await expect(service.getEntries()).rejects.toThrow('Could not read manual tilbud');
+    });
+  });
+
+  describe('applyTo', () => {
+    it('adds manual tilbud valid today', async () => {
+      const { entry } = await service.create({ ...smoer, ean: '5740900400528' }, 'mette');
+      await service.create({ ...smoer, navn: 'Næste uge', gyldigFra: '2026-10-26', gyldigTil: '2026-11-01' }, 'mette');
+
+      const result = await service.applyTo(salling, { today: '2026-10-20' });
+
+      expect(result).toHaveLength(3);
+      expect(result[2]).toMatchObject({
+        id: entry.id,
+        navn: 'Smør 250g',
+        butikNavn: 'Rema 1000',
+        rabat: 32,
+        _source: 'manual',
+        _ean: '5740900400528',
+        _manualId: entry.id,
+        _expiryDate: '2026-10-25T23:59:59'
+      });
+      expect(result[2].ean).toBeUndefined();
+    });
+
+    it('corrects offers by EAN and id', async () => {
+      const { entry: byEan } = await service.create({ match: { ean: '5701234567890' }, aendringer: { tilbudspris: 35 } }, 'mette');
+      await service.create({ match: { id: 2 }, aendringer: { kategori: 'Drikkevarer' } }, 'mette');
+
+      const [oksekoed, maelk] = await service.applyTo(salling, { today: '2026-10-20' });
+
+      expect(oksekoed).toMatchObject({ tilbudspris: 35, rabat: 30, _source: 'manual', _originalSource: 'salling-api', _manualId: byEan.id });
+      expect(oksekoed.enhedspris).toBeUndefined();
+      expect(maelk).toMatchObject({ kategori: 'Drikkevarer', _source: 'manual' });
+      expect(salling[0].tilbudspris).toBe(40);
+    });
+
+    it('skips overrides that are inconsistent with the source offer', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      await service.create({ match: { id: 2 }, aendringer: { tilbudspris: 30 } }, 'mette');
+
+      const [, maelk] = await service.applyTo(salling, { today: '2026-10-20' });
+
+      expect(maelk).toEqual(salling[1]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('skipped for tilbud 2'), {
+        errors: ['tilbudspris må ikke være større end normalpris']
+      });
+      warn.mockRestore();
+    });
+
+    it('classifies the subcategory again when only the category is corrected', async () => {
+      await service.create({ match: { id: 1 }, aendringer: { kategori: 'Frost' } }, 'mette');
+
+      const [oksekoed] = await service.applyTo(salling, { today: '2026-10-20' });
+
+      expect(oksekoed.kategori).toBe('Frost');
+      expect(oksekoed.underkategori).toBeUndefined();
+    });
+
+    it('hides offers', async () => {
+      await service.create({ match: { ean: '5701234567890' }, aendringer: { skjult: true } }, 'mette');
+
+      const result = await service.applyTo(salling, { today: '2026-10-20' });
+
+      expect(result.map(t => t.id)).toEqual([2]);
+    });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Nutrition Score
+ * Turns nutrition per 100 g into a verdict:
+ *
+ * - Nutri-Score A-E, using the 2017 algorithm (general foods, cheese, added fats and beverages)
+ * - Nøglehul (keyhole) eligibility for the offer's category
+ * - %RI: share of the EU reference intake (Regulation 1169/2011, Annex XIII)
+ *
+ * The nutrition data has no fruit/vegetable share, so fresh produce counts
+ * as 100% and everything else as 0%.
+ */
+
+const GRADES = ['A', 'B', 'C', 'D', 'E'];
+
+// Points are the number of thresholds a value is above
+const NEGATIVE_THRESHOLDS = {
+  energyKj: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+  sugars: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45],
+  saturatedFat: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  sodiumMg: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900]
+};
+
+// Added fats score saturated fat as a share of the fat (%) instead of g per 100 g
+const SATURATED_FAT_RATIO_THRESHOLDS = [10, 16, 22, 28, 34, 40, 46, 52, 58, 64];
+
+const BEVERAGE_THRESHOLDS = {
+  energyKj: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+  sugars: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5]
+};
+
+const POSITIVE_THRESHOLDS = {
+  fiber: [0.9, 1.9, 2.8, 3.7, 4.7],
+  protein: [1.6, 3.2, 4.8, 6.4, 8.0]
+};
+
+// Highest score for each grade, A first
+const SOLID_GRADE_LIMITS = [-1, 2, 10, 18];
+const BEVERAGE_GRADE_LIMITS = [null, 1, 5, 9];
+
+// Fresh produce categories, counted as 100% fruit and vegetables
+const PRODUCE_CATEGORIES = ['Frugt', 'Grøntsager'];
+
+// Butter, margarine and oils, found by name: the taxonomy has no category for
+// them ('Smør & fløde' also holds cream). "Tun i olie" is not an oil.
+const ADDED_FAT_PATTERN = /^(\S*olie|\S*smør|smørbar|\S*margarine)$/;
+
+// Drinks without a Nutri-Score: alcohol is excluded, coffee and tea are sold dry
+const UNSCORED_DRINKS = ['Øl & vin', 'Kaffe & te'];
+
+/**
+ * Nøglehul food groups by category and subcategory, with their limits per 100 g
+ * Simplified from the Nordic keyhole regulation: only the nutrient limits
+ * are checked, not the wholegrain share, sweeteners or additives.
+ */
+const NOEGLEHUL_GROUPS = [
+  { gruppe: 'Frugt, grønt og bær', kategori: 'Frugt', criteria: [] },
+  { gruppe: 'Frugt, grønt og bær', kategori: 'Grøntsager', criteria: [] },
+  { gruppe: 'Mælk', kategori: 'Mejeri', underkategori: 'Mælk', criteria: [['fat', 'max', 0.7], ['sugars', 'max', 5]] },
+  { gruppe: 'Syrnede mælkeprodukter', kategori: 'Mejeri', underkategori: 'Yoghurt & skyr', criteria: [['fat', 'max', 0.7], ['sugars', 'max', 9]] },
+  { gruppe: 'Ost', kategori: 'Mejeri', underkategori: 'Ost', criteria: [['fat', 'max', 17], ['salt', 'max', 1.3]] },
+  { gruppe: 'Smørbare fedtstoffer', kategori: 'Mejeri', underkategori: 'Smør & fløde', criteria: [['saturatedFatShare', 'max', 33], ['salt', 'max', 1.3]] },
+  { gruppe: 'Kød og fjerkræ', kategori: 'Kød', underkategori: 'Oksekød', criteria: [['fat', 'max', 10], ['salt', 'max', 1.5]] },
+  { gruppe: 'Kød og fjerkræ', kategori: 'Kød', underkategori: 'Svinekød', criteria: [['fat', 'max', 10], ['salt', 'max', 1.5]] },
+  { gruppe: 'Kød og fjerkræ', kategori: 'Kød', underkategori: 'Fjerkræ', criteria: [['fat', 'max', 10], ['salt', 'max', 1.5]] },
+  { gruppe: 'Pålæg og pølser', kategori: 'Kød', underkategori: 'Pølser & pålæg', criteria: [['fat', 'max', 10], ['salt', 'max', 1.5]] },
+  { gruppe: 'Fisk og skaldyr', kategori: 'Fisk', criteria: [['salt', 'max', 1.5]] },
+  { gruppe: 'Brød', kategori: 'Brød', underkategori: 'Rugbrød', criteria: [['fiber', 'min', 5], ['sugars', 'max', 5], ['fat', 'max', 7], ['salt', 'max', 1.1]] },
+  { gruppe: 'Brød', kategori: 'Brød', underkategori: 'Franskbrød & boller', criteria: [['fiber', 'min', 5], ['sugars', 'max', 5], ['fat', 'max', 7], ['salt', 'max', 1.1]] },
+  { gruppe: 'Pasta', kategori: 'Tørvarer', underkategori: 'Pasta', criteria: [['fiber', 'min', 6]] },
+  { gruppe: 'Gryn og morgenmad', kategori: 'Tørvarer', underkategori: 'Ris & gryn', criteria: [['fiber', 'min', 6], ['sugars', 'max', 13], ['fat', 'max', 8], ['salt', 'max', 1]] },
+  { gruppe: 'Mel', kategori: 'Tørvarer', underkategori: 'Mel & bagning', criteria: [['fiber', 'min', 6]] }
+];
+
+// Danish names of the fields in Nøglehul reasons
+const FIELD_NAMES = {
+  fat: 'fedt',
+  sugars: 'sukker',
+  salt: 'salt',
+  fiber: 'kostfibre',
+  saturatedFatShare: 'mættet fedt i % af fedt'
+};
+
+// EU reference intakes for an average adult (8400 kJ / 2000 kcal)
+const REFERENCE_INTAKES = {
+  energyKj: 8400,
+  fat: 70,
+  saturatedFat: 20,
+  carbohydrates: 260,
+  sugars: 90,
+  protein: 50,
+  salt: 6
+};
+
+/**
+ * Count how many thresholds a value is above
+ * @param {number} value
+ * @param {Array<number>} thresholds
+ * @returns {number}
+ */
+function points(value, thresholds) {
+  return thresholds.filter(threshold => value > threshold).length;
+}
+
+/**
+ * Get energy in kJ, converting from kcal if needed
+ * @param {Object} nutrition
+ * @returns {number|null}
+ */
+function getEnergyKj(nutrition) {
+  if (nutrition.energyKj != null) return nutrition.energyKj;
+  if (nutrition.energyKcal != null) return nutrition.energyKcal * 4.184;
+  return null;
+}
+
+/**
+ * Check whether an offer is an added fat (butter, margarine or oil)
+ * @param {Object} tilbud - navn
+ * @returns {boolean}
+ */
+function isAddedFat(tilbud) {
+  const name = (tilbud.navn || '').toLowerCase().split(/\s+i\s+/)[0];
+  return name.split(/\s+/).some(word => ADDED_FAT_PATTERN.test(word));
+}
+
+/**
+ * Compute the Nutri-Score of a product
+ * @param {Object} nutrition - Per 100 g: energyKj or energyKcal, sugars, saturatedFat, salt, fiber, protein (and fat for added fats)
+ * @param {Object} [tilbud] - kategori, underkategori and navn pick the variant (cheese, added fat, beverage)
+ * @returns {{grade: string, score: number}|null} Null without energy, sugars, saturated fat and salt, or for unscored drinks
+ */
+function computeNutriScore(nutrition, tilbud = {}) {
+  const energyKj = getEnergyKj(nutrition);
+  const { sugars, saturatedFat, salt } = nutrition;
+  if (energyKj == null || sugars == null || saturatedFat == null || salt == null) return null;
+
+  const isBeverage = tilbud.kategori === 'Drikkevarer';
+  if (isBeverage && UNSCORED_DRINKS.includes(tilbud.underkategori)) return null;
+
+  const isCheese = tilbud.kategori === 'Mejeri' && tilbud.underkategori === 'Ost';
+  const isProduce = PRODUCE_CATEGORIES.includes(tilbud.kategori);
+  const isFat = !isBeverage && isAddedFat(tilbud);
+  if (isFat && nutrition.fat == null) return null;
+
+  const saturatedFatPoints = isFat
+    ? points(nutrition.fat > 0 ? (saturatedFat / nutrition.fat) * 100 : 0, SATURATED_FAT_RATIO_THRESHOLDS)
+    : points(saturatedFat, NEGATIVE_THRESHOLDS.saturatedFat);
+
+  const negative =
+    points(energyKj, isBeverage ? BEVERAGE_THRESHOLDS.energyKj : NEGATIVE_THRESHOLDS.energyKj) +
+    points(sugars, isBeverage ? BEVERAGE_THRESHOLDS.sugars : NEGATIVE_THRESHOLDS.sugars) +
+    saturatedFatPoints +
+    points((salt / 2.5) * 1000, NEGATIVE_THRESHOLDS.sodiumMg);
+
+  const fruitPoints = isProduce ? 5 : 0;
+  const fiberPoints = points(nutrition.fiber || 0, POSITIVE_THRESHOLDS.fiber);
+  const proteinPoints = points(nutrition.protein || 0, POSITIVE_THRESHOLDS.protein);
+
+  // From 11 negative points protein only counts for cheese and foods rich in fruit and vegetables
+  const countProtein = negative < 11 || isCheese || fruitPoints === 5;
+  const score = negative - fiberPoints - fruitPoints - (countProtein ? proteinPoints : 0);
+
+  let grade;
+  if (isBeverage) {
+    // Only water gets an A
+    const isWater = tilbud.underkategori === 'Vand' && energyKj === 0 && sugars === 0;
+    grade = isWater ? 'A' : GRADES[1 + BEVERAGE_GRADE_LIMITS.slice(1).filter(limit => score > limit).length];
+  } else {
+    grade = GRADES[SOLID_GRADE_LIMITS.filter(limit => score > limit).length];
+  }
+
+  return { grade, score };
+}
+
+/**
+ * Check a product against the Nøglehul criteria of its category
+ * @param {Object} nutrition - Per 100 g
+ * @param {Object} [tilbud] - kategori and underkategori
+ * @returns {{eligible: boolean|null, gruppe: string|null, reasons: Array<string>}}
+ *   eligible is null when a value the criteria need is missing
+ */
+function checkNoeglehul(nutrition, tilbud = {}) {
+  const group = NOEGLEHUL_GROUPS.find(g =>
+    g.kategori === tilbud.kategori && (!g.underkategori || g.underkategori === tilbud.underkategori)
+  );
+  if (!group) {
+    return { eligible: false, gruppe: null, reasons: ['varegruppen kan ikke få Nøglehullet'] };
+  }
+
+  const values = {
+    ...nutrition,
+    saturatedFatShare: nutrition.fat > 0 && nutrition.saturatedFat != null
+      ? (nutrition.saturatedFat / nutrition.fat) * 100
+      : null
+  };
+
+  const reasons = [];
+  const missing = [];
+  for (const [field, type, limit] of group.criteria) {
+    const value = values[field];
+    if (value == null) {
+      missing.push(FIELD_NAMES[field]);
+    } else if (type === 'max' && value > limit) {
+      reasons.push(`for meget ${FIELD_NAMES[field]} (${Math.round(value * 10) / 10} over ${limit})`);
+    } else if (type === 'min' && value < limit) {
+      reasons.push(`for lidt ${FIELD_NAMES[field]} (${Math.round(value * 10) / 10} under ${limit})`);
+    }
+  }
+
+  if (reasons.length > 0) return { eligible: false, gruppe: group.gruppe, reasons };
+  if (missing.length > 0) return { eligible: null, gruppe: group.gruppe, reasons: missing.map(name => `mangler ${name}`) };
+  return { eligible: true, gruppe: group.gruppe, reasons: [] };
+}
+
+/**
+ * Share of the daily reference intake in 100 g, in whole percent
+ * @param {Object} nutrition
+ * @returns {Object} By field (energy, fat, saturatedFat, carbohydrates, sugars, protein, salt); null when missing
+ */
+function referenceIntakes(nutrition) {
+  const percent = (value, reference) => (value == null ? null : Math.round((value / reference) * 100));
+
+  return {
+    energy: percent(getEnergyKj(nutrition), REFERENCE_INTAKES.energyKj),
+    fat: percent(nutrition.fat, REFERENCE_INTAKES.fat),
+    saturatedFat: percent(nutrition.saturatedFat, REFERENCE_INTAKES.saturatedFat),
+    carbohydrates: percent(nutrition.carbohydrates, REFERENCE_INTAKES.carbohydrates),
+    sugars: percent(nutrition.sugars, REFERENCE_INTAKES.sugars),
+    protein: percent(nutrition.protein, REFERENCE_INTAKES.protein),
+    salt: percent(nutrition.salt, REFERENCE_INTAKES.salt)
+  };
+}
+
+/**
+ * Score nutrition data for a tilbud
+ * Nutri-Score and Nøglehul are defined per 100 g; %RI is also added to each
+ * of the amounts (per serving, per package) when the data has them.
+ * @param {Object} nutrition - From NutritionService
+ * @param {Object} tilbud
+ * @returns {{nutriScore: Object|null, noeglehul: Object, ri: Object, amounts?: Object}}
+ */
+function scoreNutrition(nutrition, tilbud) {
+  const scores = {
+    nutriScore: computeNutriScore(nutrition, tilbud),
+    noeglehul: checkNoeglehul(nutrition, tilbud),
+    ri: referenceIntakes(nutrition)
+  };
+
+  if (nutrition.amounts) {
+    scores.amounts = {};
+    for (const [key, amount] of Object.entries(nutrition.amounts)) {
+      scores.amounts[key] = amount && { ...amount, ri: referenceIntakes(amount.values) };
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Check whether a Nutri-Score grade is at least as good as another
+ * @param {string} grade - e.g. 'B'
+ * @param {string} minimum - e.g. 'C'
+ * @returns {boolean}
+ */
+function meetsNutriScore(grade, minimum) {
+  return GRADES.indexOf(grade) <= GRADES.indexOf(minimum);
+}
+
+/**
+ * Score an offer for the list filters: its Nutri-Score grade and Nøglehul eligibility
+ * @param {Object|null} nutrition - Per-100 g values, null when unknown
+ * @param {Object} tilbud
+ * @returns {{nutriScore: string|null, noeglehul: boolean|null}|null} Null when the nutrition is unknown
+ */
+function scoreOffer(nutrition, tilbud) {
+  if (!nutrition) return null;
+
+  const nutriScore = computeNutriScore(nutrition, tilbud);
+  return {
+    nutriScore: nutriScore ? nutriScore.grade : null,
+    noeglehul: checkNoeglehul(nutrition, tilbud).eligible
+  };
+}
+
+/**
+ * Get the scores stored with an offer when its snapshot was built
+ * @param {Object} tilbud - _nutrition from scoreOffer, null when unknown
+ * @returns {{nutriScore: string|null, noeglehul: boolean|null}|null}
+ */
+function getStoredScores(tilbud) {
+  return tilbud._nutrition || null;
+}
+
+/**
+ * Keep tilbud that meet a minimum Nutri-Score and/or carry the Nøglehul
+ * Tilbud without known nutrition are left out, since they can't be shown to qualify.
+ * @param {Array} tilbud
+ * @param {Object} criteria
+ * @param {string|null} criteria.minNutriScore - e.g. 'B' for A and B
+ * @param {boolean} criteria.noeglehul - Only tilbud eligible for the Nøglehul
+ * @param {Function} [getScores] - (tilbud) => scoreOffer result or null; defaults to the offer's own
+ * @returns {Array} Matching tilbud with nutriScore (grade) and noeglehul (boolean)
+ */
+function filterByNutrition(tilbud, { minNutriScore, noeglehul }, getScores = getStoredScores) {
+  const result = [];
+  for (const t of tilbud) {
+    const scores = getScores(t);
+    if (!scores) continue;
+
+    if (minNutriScore && !(scores.nutriScore && meetsNutriScore(scores.nutriScore, minNutriScore))) continue;
+    if (noeglehul && scores.noeglehul !== true) continue;
+
+    result.push({ ...t, nutriScore: scores.nutriScore, noeglehul: scores.noeglehul });
+  }
+  return result;
+}
+
+module.exports = {
+  GRADES,
+  REFERENCE_INTAKES,
+  computeNutriScore,
+  checkNoeglehul,
+  referenceIntakes,
+  scoreNutrition,
+  meetsNutriScore,
+  scoreOffer,
+  filterByNutrition
+};
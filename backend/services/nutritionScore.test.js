@@ -0,0 +1,146 @@
+const { computeNutriScore, checkNoeglehul, referenceIntakes, scoreNutrition, meetsNutriScore, scoreOffer, filterByNutrition } = require('./nutritionScore');
+
+describe('nutritionScore', () => {
+  describe('computeNutriScore', () => {
+    it('grades general foods', () => {
+      const rugbroed = { energyKj: 900, sugars: 3, saturatedFat: 0.5, salt: 1, fiber: 7, protein: 6 };
+      const chokolade = { energyKj: 2300, sugars: 50, saturatedFat: 18, salt: 0.2, fiber: 3, protein: 7 };
+
+      expect(computeNutriScore(rugbroed, { kategori: 'Brød' })).toEqual({ grade: 'A', score: -2 });
+      // From 11 negative points protein no longer counts
+      expect(computeNutriScore(chokolade, { kategori: 'Snacks' })).toEqual({ grade: 'E', score: 23 });
+    });
+
+    it('counts protein for cheese and fruit for produce', () => {
+      const ost = { energyKj: 1500, sugars: 0, saturatedFat: 17, salt: 1.5, fiber: 0, protein: 25 };
+      const banan = { energyKj: 400, sugars: 15, saturatedFat: 0.1, salt: 0, fiber: 1.5, protein: 1 };
+
+      expect(computeNutriScore(ost, { kategori: 'Mejeri', underkategori: 'Ost' })).toEqual({ grade: 'D', score: 15 });
+      expect(computeNutriScore(ost, { kategori: 'Snacks' })).toEqual({ grade: 'E', score: 20 });
+      expect(computeNutriScore(banan, { kategori: 'Frugt' })).toEqual({ grade: 'A', score: -2 });
+    });
+
+    it('scores saturated fat in added fats as a share of the fat', () => {
+      const olivenolie = { energyKj: 3700, sugars: 0, fat: 100, saturatedFat: 14, salt: 0 };
+      const smoer = { energyKj: 3000, sugars: 0.6, fat: 81, saturatedFat: 52, salt: 1.2 };
+
+      // 14% of the fat is saturated: 1 point instead of 10
+      expect(computeNutriScore(olivenolie, { kategori: 'Tørvarer', navn: 'Bertolli olivenolie 500 ml' })).toEqual({ grade: 'D', score: 11 });
+      expect(computeNutriScore(olivenolie, { kategori: 'Tørvarer', navn: 'Olivenolie' })).toEqual({ grade: 'D', score: 11 });
+      expect(computeNutriScore(olivenolie, { kategori: 'Tørvarer', navn: 'Dressing' })).toEqual({ grade: 'E', score: 20 });
+      expect(computeNutriScore(olivenolie, { kategori: 'Fisk', navn: 'Tun i olie' })).toEqual({ grade: 'E', score: 20 });
+      expect(computeNutriScore(smoer, { kategori: 'Mejeri', underkategori: 'Smør & fløde', navn: 'Lurpak smør 250g' })).toEqual({ grade: 'E', score: 23 });
+      expect(computeNutriScore({ ...olivenolie, fat: undefined }, { navn: 'Rapsolie' })).toBeNull();
+    });
+
+    it('grades beverages on their own scale', () => {
+      const cola = { energyKj: 180, sugars: 10.6, saturatedFat: 0, salt: 0 };
+      const vand = { energyKj: 0, sugars: 0, saturatedFat: 0, salt: 0 };
+      const light = { energyKj: 1, sugars: 0, saturatedFat: 0, salt: 0 };
+
+      expect(computeNutriScore(cola, { kategori: 'Drikkevarer', underkategori: 'Sodavand' })).toEqual({ grade: 'E', score: 14 });
+      expect(computeNutriScore(vand, { kategori: 'Drikkevarer', underkategori: 'Vand' }).grade).toBe('A');
+      expect(computeNutriScore(light, { kategori: 'Drikkevarer', underkategori: 'Sodavand' }).grade).toBe('B');
+      expect(computeNutriScore(vand, { kategori: 'Drikkevarer', underkategori: 'Øl & vin' })).toBeNull();
+    });
+
+    it('converts kcal and needs the negative nutrients', () => {
+      expect(computeNutriScore({ energyKcal: 100, sugars: 0, saturatedFat: 0, salt: 0 })).toEqual({ grade: 'B', score: 1 });
+      expect(computeNutriScore({ energyKj: 100, sugars: 0, saturatedFat: 0, salt: null })).toBeNull();
+    });
+  });
+
+  describe('checkNoeglehul', () => {
+    it('checks the limits of the category', () => {
+      const maelk = { kategori: 'Mejeri', underkategori: 'Mælk' };
+
+      expect(checkNoeglehul({ fat: 0.5, sugars: 4.7 }, maelk)).toEqual({ eligible: true, gruppe: 'Mælk', reasons: [] });
+      expect(checkNoeglehul({ fat: 1.5, sugars: 4.7 }, maelk)).toEqual({
+        eligible: false,
+        gruppe: 'Mælk',
+        reasons: ['for meget fedt (1.5 over 0.7)']
+      });
+    });
+
+    it('checks the saturated share of spreads', () => {
+      const smoer = checkNoeglehul({ fat: 82, saturatedFat: 52, salt: 1.2 }, { kategori: 'Mejeri', underkategori: 'Smør & fløde' });
+      expect(smoer.eligible).toBe(false);
+      expect(smoer.reasons).toEqual(['for meget mættet fedt i % af fedt (63.4 over 33)']);
+    });
+
+    it('is unknown when a value is missing and false without a keyhole group', () => {
+      expect(checkNoeglehul({ sugars: 2, fat: 3, salt: 1 }, { kategori: 'Brød', underkategori: 'Rugbrød' }))
+        .toEqual({ eligible: null, gruppe: 'Brød', reasons: ['mangler kostfibre'] });
+      expect(checkNoeglehul({}, { kategori: 'Snacks' }).eligible).toBe(false);
+      expect(checkNoeglehul({}, { kategori: 'Frugt' }).eligible).toBe(true);
+    });
+  });
+
+  it('computes %RI per 100 g', () => {
+    expect(referenceIntakes({ energyKj: 840, fat: 7, salt: 0.6, protein: null })).toMatchObject({
+      energy: 10,
+      fat: 10,
+      salt: 10,
+      protein: null
+    });
+  });
+
+  it('adds %RI to each amount', () => {
+    const nutrition = {
+      energyKj: 840,
+      salt: 0.6,
+      amounts: {
+        per100g: { amount: 100, unit: 'g', values: { energyKj: 840, salt: 0.6 } },
+        perServing: null,
+        perPackage: { amount: 500, unit: 'g', values: { energyKj: 4200, salt: 3 } }
+      }
+    };
+
+    const { amounts } = scoreNutrition(nutrition, { kategori: 'Snacks' });
+
+    expect(amounts.per100g.ri).toMatchObject({ energy: 10, salt: 10 });
+    expect(amounts.perServing).toBeNull();
+    expect(amounts.perPackage).toMatchObject({ amount: 500, ri: { energy: 50, salt: 50 } });
+  });
+
+  it('compares grades', () => {
+    expect(meetsNutriScore('B', 'C')).toBe(true);
+    expect(meetsNutriScore('C', 'C')).toBe(true);
+    expect(meetsNutriScore('D', 'C')).toBe(false);
+  });
+
+  describe('filterByNutrition', () => {
+    const known = {
+      1: { energyKj: 200, sugars: 4.7, saturatedFat: 0.3, salt: 0.1, fat: 0.5, protein: 3.5 },
+      2: { energyKj: 2300, sugars: 50, saturatedFat: 18, salt: 0.2, fat: 30, protein: 7 }
+    };
+    const tilbud = [
+      { id: 1, kategori: 'Mejeri', underkategori: 'Mælk' },
+      { id: 2, kategori: 'Snacks' },
+      { id: 3, kategori: 'Mejeri', underkategori: 'Mælk' }
+    ];
+    const getScores = t => scoreOffer(known[t.id] || null, t);
+
+    it('scores offers with known nutrition', () => {
+      expect(scoreOffer(known[1], tilbud[0])).toEqual({ nutriScore: 'A', noeglehul: true });
+      expect(scoreOffer(null, tilbud[2])).toBeNull();
+    });
+
+    it('keeps tilbud with at least the given grade', () => {
+      expect(filterByNutrition(tilbud, { minNutriScore: 'B', noeglehul: false }, getScores)).toEqual([
+        { ...tilbud[0], nutriScore: 'A', noeglehul: true }
+      ]);
+    });
+
+    it('keeps Nøglehul tilbud and leaves out unknown ones', () => {
+      expect(filterByNutrition(tilbud, { minNutriScore: null, noeglehul: true }, getScores).map(t => t.id)).toEqual([1]);
+      expect(filterByNutrition(tilbud, { minNutriScore: 'E', noeglehul: false }, getScores).map(t => t.id)).toEqual([1, 2]);
+    });
+
+    it('uses the scores stored with each offer by default', () => {
+      const stored = tilbud.map(t => ({ ...t, _nutrition: getScores(t) }));
+
+      expect(filterByNutrition(stored, { minNutriScore: 'B', noeglehul: false }).map(t => t.id)).toEqual([1]);
+    });
+  });
+});
@@ -1,12 +1,142 @@
 const fs = require('fs').promises;
 const path = require('path');
 const fetch = require('node-fetch');
+const { tokenize, scoreWord } = require('./tilbudSearch');
+const { parsePackageSize, removePackageSize } = require('./unitPrice');
+const { FoodCompositionTable } = require('./foodCompositionTable');
+const { fromOffProduct, getProduceAllergens } = require('./allergens');
+
+// Fields requested from Open Food Facts for every product
+const PRODUCT_FIELDS = 'code,product_name,quantity,nutriments,serving_size,serving_quantity,serving_quantity_unit,allergens_tags,traces_tags,ingredients_text_da,ingredients_text';
+
+// Fields requested when looking up the offers of a snapshot by barcode
+const BARCODE_FIELDS = 'code,nutriments,allergens_tags,traces_tags,ingredients_text_da,ingredients_text';
+
+// Barcodes per Open Food Facts request when resolving the offers of a snapshot
+const BARCODE_BATCH_SIZE = 50;
+
+// Barcodes looked up per snapshot at most; the rest follow on later refreshes
+const MAX_BARCODE_LOOKUPS = 200;
+
+// Wait before looking up a barcode again after a failed request; doubles per failure
+const BARCODE_RETRY_MS = 5 * 60 * 1000; // 5 minutes
+
+// Per-100 g values of which at least one is needed to score a product
+const SCORED_NUTRIENTS = ['energyKj', 'energyKcal', 'fat', 'saturatedFat', 'sugars', 'salt'];
+
+// Candidates scored per name search
+const SEARCH_CANDIDATES = 10;
+
+// Share of the confidence that comes from the name; the rest is the package size
+const NAME_WEIGHT = 0.8;
+
+// Sizes within this fraction of each other count as the same package
+const SIZE_TOLERANCE = 0.1;
+
+// Name matches scoring lower than this are treated as not found
+const MIN_CONFIDENCE = 0.5;
+
+// Categories looked up in the local food composition table before Open Food Facts
+const REFERENCE_CATEGORIES = ['Frugt', 'Grøntsager'];
+
+// Per-100 g fields scaled to servings and packages
+const SCALED_FIELDS = [
+  'energyKcal', 'energyKj', 'protein', 'fat', 'saturatedFat', 'carbohydrates', 'sugars', 'fiber', 'salt'
+];
+
+/**
+ * Score how well two names match, in both directions, so extra words on
+ * either side ("Bananer" vs "Bananchips med chokolade") lower the score
+ * @param {string} offerName
+ * @param {string} candidateName
+ * @returns {number} Score between 0 and 1
+ */
+function scoreName(offerName, candidateName) {
+  const offerWords = tokenize(removePackageSize(offerName));
+  const candidateWords = tokenize(removePackageSize(candidateName));
+  if (offerWords.length === 0 || candidateWords.length === 0) return 0;
+
+  const coverage = (words, others) => words.reduce(
+    (total, word) => total + Math.max(...others.map(other => Math.max(scoreWord(word, other), scoreWord(other, word)))),
+    0
+  ) / words.length;
+
+  const offerCoverage = coverage(offerWords, candidateWords);
+  const candidateCoverage = coverage(candidateWords, offerWords);
+  if (offerCoverage === 0 || candidateCoverage === 0) return 0;
+
+  // Harmonic mean: a name only matches well if it is covered well both ways
+  return (2 * offerCoverage * candidateCoverage) / (offerCoverage + candidateCoverage);
+}
+
+/**
+ * Score how well two package sizes match
+ * @param {{maengde: number, enhed: string}|null} offerSize
+ * @param {{maengde: number, enhed: string}|null} candidateSize
+ * @returns {number} 1 for the same size, 0 for a different one, 0.5 when either is unknown
+ */
+function scoreSize(offerSize, candidateSize) {
+  if (!offerSize || !candidateSize) return 0.5;
+  if (offerSize.enhed !== candidateSize.enhed) return 0;
+
+  const difference = Math.abs(offerSize.maengde - candidateSize.maengde) / Math.max(offerSize.maengde, candidateSize.maengde);
+  return difference <= SIZE_TOLERANCE ? 1 : 0;
+}
+
+/**
+ * Get the package size of an offer, parsed from the name unless given
+ * @param {string} productName
+ * @param {Object} product - May have maengde and enhed
+ * @returns {{maengde: number, enhed: string}|null}
+ */
+function getOfferSize(productName, product) {
+  return product.maengde && product.enhed
+    ? { maengde: product.maengde, enhed: product.enhed }
+    : parsePackageSize(productName);
+}
+
+/**
+ * Convert a size in kg or l to grams or millilitres
+ * @param {{maengde: number, enhed: string}|null} size
+ * @returns {{amount: number, unit: string}|null} Null for pieces (stk) and unknown sizes
+ */
+function toAmount(size) {
+  if (!size || (size.enhed !== 'kg' && size.enhed !== 'l')) return null;
+  return { amount: Math.round(size.maengde * 1000), unit: size.enhed === 'kg' ? 'g' : 'ml' };
+}
+
+/**
+ * Scale per-100 g (or 100 ml) values to an amount, rounded to one decimal
+ * @param {Object} nutrition - Values per 100 g
+ * @param {number} amount - Grams or millilitres
+ * @returns {Object} Values by field; null stays null
+ */
+function scaleNutrition(nutrition, amount) {
+  const values = {};
+  for (const field of SCALED_FIELDS) {
+    const value = nutrition[field];
+    values[field] = value == null ? null : Math.round((value * amount) / 100 * 10) / 10;
+  }
+  return values;
+}
 
 /**
  * NutritionService - Integrates with Open Food Facts API
  * Provides nutrition data with 1-hour caching
  * 
- * API: https://world.openfoodfacts.org/api/v2/search
+ * API: https://world.openfoodfacts.org/api/v2/product/{ean} and /search
+ * Products with an EAN are looked up by barcode. Otherwise several search
+ * results are scored on name and package size, and the best one is used
+ * when it is a confident enough match.
+ *
+ * Loose produce has no barcode, so for produce categories the local Frida
+ * table (FoodCompositionTable) is tried first. Its values are marked
+ * source 'frida' and reference: true - they describe the food in general,
+ * not the exact product.
+ *
+ * The allergens and nutrition of the offers in each tilbud snapshot are
+ * looked up by barcode in bulk (resolveBarcodes), so the allergen and
+ * nutrition filters do not depend on which products someone has opened.
  * Rate Limit: 100 req/min (acceptable)
  * User-Agent: Required per API terms
  */
@@ -17,12 +147,30 @@ class NutritionService {
     this.cacheFilePath = options.cacheFilePath || path.join(__dirname, '../data/nutrition-cache.json');
     this.cacheTTL = options.cacheTTL || 3600000; // 1 hour in milliseconds
     this.cache = null;
+    this.referenceTable = options.referenceTable || new FoodCompositionTable();
+    this.referenceCategories = options.referenceCategories || REFERENCE_CATEGORIES;
+    // Products by barcode for the offers in the snapshots (resolveBarcodes)
+    this.productsByEan = new Map();
+    this.barcodeTTL = options.barcodeTTL || 24 * 60 * 60 * 1000; // 1 day
+    this.maxBarcodeLookups = options.maxBarcodeLookups || MAX_BARCODE_LOOKUPS;
+    this.initialized = null;
+  }
+
+  /**
+   * Initialize service - load cache and reference table from disk
+   * Runs once; later calls wait for the first.
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.initialized) this.initialized = this._initialize();
+    return this.initialized;
   }
 
   /**
-   * Initialize service - load cache from disk
+   * Load cache and reference table (see initialize)
+   * @private
    */
-  async initialize() {
+  async _initialize() {
     try {
       await this._loadCache();
       await this._cleanExpiredEntries();
@@ -31,20 +179,51 @@ class NutritionService {
       console.error('[NutritionService] Initialization error:', error.message);
       this.cache = {};
     }
+
+    // Without the table produce is looked up in Open Food Facts like everything else
+    try {
+      await this.referenceTable.load();
+    } catch (error) {
+      console.error('[NutritionService] Could not load food composition table:', error.message);
+    }
   }
 
   /**
    * Get nutrition data for a product
+   * The result has a match field: { method: 'reference'|'ean'|'name', confidence (0-1), productName, ean },
+   * and amounts: the values per 100 g, per serving and per package (see _withAmounts)
    * @param {string} productName - Product name to search
    * @param {string} productId - Product ID for cache key
+   * @param {Object} [product] - What else is known about the product
+   * @param {string} [product.ean] - Barcode, looked up directly
+   * @param {number} [product.maengde] - Package size in kg, l or stk (parsed from the name if left out)
+   * @param {string} [product.enhed]
+   * @param {string} [product.kategori] - Produce categories are looked up in the reference table first
    * @returns {Object|null} Nutrition data or null if not found
    */
-  async getNutritionData(productName, productId) {
+  async getNutritionData(productName, productId, product = {}) {
     if (!productName) {
       console.warn('[NutritionService] Empty product name provided');
       return null;
     }
 
+    const nutritionData = await this._findNutritionData(productName, productId, product);
+    return nutritionData && this._withAmounts(nutritionData, getOfferSize(productName, product));
+  }
+
+  /**
+   * Find per-100 g nutrition data in the reference table, the cache or Open Food Facts
+   * @returns {Object|null}
+   * @private
+   */
+  async _findNutritionData(productName, productId, product) {
+    if (this.referenceCategories.includes(product.kategori)) {
+      const reference = this._getReferenceData(productName);
+      if (reference) {
+        return reference;
+      }
+    }
+
     // Check cache first
     const cached = await this._getCachedData(productId);
     if (cached) {
@@ -56,7 +235,8 @@ class NutritionService {
 
     // Fetch from Open Food Facts API
     try {
-      const nutritionData = await this._fetchFromAPI(productName);
+      const nutritionData = (product.ean && await this._fetchByEan(product.ean))
+        || await this._fetchFromAPI(productName, product);
       
       if (nutritionData) {
         // Cache the result
@@ -72,13 +252,65 @@ class NutritionService {
   }
 
   /**
-   * Fetch nutrition data from Open Food Facts API
+   * Add the values per 100 g, per serving and per package
+   * The package size comes from the offer and the serving size from Open
+   * Food Facts, so either may be null; per 100 g is in ml for drinks.
+   * @param {Object} nutritionData - Values per 100 g
+   * @param {{maengde: number, enhed: string}|null} offerSize
+   * @returns {Object} nutritionData with amounts: { per100g, perServing, perPackage }, each { amount, unit, values }
    * @private
    */
-  async _fetchFromAPI(productName) {
-    const searchQuery = encodeURIComponent(productName);
-    const url = `${this.baseUrl}/search?search_terms=${searchQuery}&page_size=1&fields=product_name,nutriments,serving_size`;
+  _withAmounts(nutritionData, offerSize) {
+    const pkg = toAmount(offerSize);
+    const serving = nutritionData.serving || null;
+    const withValues = (amount) => amount && { ...amount, values: scaleNutrition(nutritionData, amount.amount) };
+
+    return {
+      ...nutritionData,
+      amounts: {
+        per100g: withValues({ amount: 100, unit: (pkg || serving || { unit: 'g' }).unit }),
+        perServing: withValues(serving),
+        perPackage: withValues(pkg)
+      }
+    };
+  }
 
+  /**
+   * Get reference values for a generic food from the Frida table
+   * Only used for produce, so the allergens are those of plain produce
+   * @param {string} productName
+   * @returns {Object|null} Nutrition data, or null without a synonym match
+   * @private
+   */
+  _getReferenceData(productName) {
+    const result = this.referenceTable.lookup(productName);
+    if (!result) {
+      return null;
+    }
+
+    return {
+      ...result.nutrition,
+      ...getProduceAllergens(productName),
+      servingSize: '100g',
+      serving: null,
+      source: 'frida',
+      reference: true,
+      match: {
+        method: 'reference',
+        confidence: result.confidence,
+        productName: result.food.navn,
+        ean: null
+      }
+    };
+  }
+
+  /**
+   * Request JSON from Open Food Facts with a 15 second timeout
+   * @param {string} url
+   * @returns {Object|null} Response body, or null on an error status or timeout
+   * @private
+   */
+  async _request(url) {
     try {
       // Create abort controller for timeout
       const controller = new AbortController();
@@ -98,16 +330,7 @@ class NutritionService {
         return null;
       }
 
-      const data = await response.json();
-
-      if (!data.products || data.products.length === 0) {
-        console.log(`[NutritionService] No products found for "${productName}"`);
-        return null;
-      }
-
-      // Extract nutrition data from first result
-      const product = data.products[0];
-      return this._parseNutritionData(product);
+      return await response.json();
     } catch (error) {
       if (error.name === 'AbortError') {
         console.error('[NutritionService] API request timed out after 15 seconds');
@@ -118,12 +341,110 @@ class NutritionService {
     }
   }
 
+  /**
+   * Look up a product by its barcode
+   * @param {string} ean
+   * @returns {Object|null} Nutrition data, or null if the barcode is unknown
+   * @private
+   */
+  async _fetchByEan(ean) {
+    const data = await this._request(`${this.baseUrl}/product/${encodeURIComponent(ean)}?fields=${PRODUCT_FIELDS}`);
+
+    if (!data || data.status !== 1 || !data.product) {
+      console.log(`[NutritionService] No product with EAN ${ean}, searching by name`);
+      return null;
+    }
+
+    return {
+      ...this._parseNutritionData(data.product),
+      match: this._describeMatch('ean', 1, data.product)
+    };
+  }
+
+  /**
+   * Search products by name and use the best scoring candidate
+   * @param {string} productName
+   * @param {Object} [product] - maengde and enhed of the offer
+   * @returns {Object|null} Nutrition data, or null without a confident match
+   * @private
+   */
+  async _fetchFromAPI(productName, product = {}) {
+    const searchQuery = encodeURIComponent(removePackageSize(productName) || productName);
+    const url = `${this.baseUrl}/search?search_terms=${searchQuery}&page_size=${SEARCH_CANDIDATES}&fields=${PRODUCT_FIELDS}`;
+
+    const data = await this._request(url);
+    if (!data) {
+      return null;
+    }
+
+    if (!data.products || data.products.length === 0) {
+      console.log(`[NutritionService] No products found for "${productName}"`);
+      return null;
+    }
+
+    const offerSize = getOfferSize(productName, product);
+
+    const best = data.products
+      .map(candidate => ({ candidate, confidence: this._scoreCandidate(productName, offerSize, candidate) }))
+      .reduce((top, scored) => (!top || scored.confidence > top.confidence ? scored : top), null);
+
+    if (best.confidence < MIN_CONFIDENCE) {
+      console.log(`[NutritionService] No confident match for "${productName}" (best ${best.confidence})`);
+      return null;
+    }
+
+    return {
+      ...this._parseNutritionData(best.candidate),
+      match: this._describeMatch('name', best.confidence, best.candidate)
+    };
+  }
+
+  /**
+   * Score a search result against the offer on name and package size
+   * @param {string} productName
+   * @param {{maengde: number, enhed: string}|null} offerSize
+   * @param {Object} candidate - Open Food Facts product
+   * @returns {number} Confidence between 0 and 1
+   * @private
+   */
+  _scoreCandidate(productName, offerSize, candidate) {
+    const candidateName = candidate.product_name || '';
+    const nameScore = scoreName(productName, candidateName);
+    if (nameScore === 0) return 0;
+
+    const candidateSize = parsePackageSize(candidate.quantity) || parsePackageSize(candidateName);
+    const confidence = NAME_WEIGHT * nameScore + (1 - NAME_WEIGHT) * scoreSize(offerSize, candidateSize);
+    return Math.round(confidence * 100) / 100;
+  }
+
+  /**
+   * Describe how a product was matched
+   * @param {string} method - 'ean' or 'name'
+   * @param {number} confidence - 0-1
+   * @param {Object} product - Open Food Facts product
+   * @returns {{method: string, confidence: number, productName: string|null, ean: string|null}}
+   * @private
+   */
+  _describeMatch(method, confidence, product) {
+    return {
+      method,
+      confidence,
+      productName: product.product_name || null,
+      ean: product.code || null
+    };
+  }
+
   /**
    * Parse Open Food Facts API response to our format
+   * Allergens and traces are allergen keys (see allergens.js). Open Food
+   * Facts derives allergens from the ingredients, so without ingredients or
+   * allergen tags they are unknown (null) rather than none.
+   * serving is the serving size in g or ml, from serving_quantity or parsed from serving_size.
    * @private
    */
   _parseNutritionData(product) {
     const nutriments = product.nutriments || {};
+    const { allergens, traces, ingredients } = fromOffProduct(product);
 
     // Helper to get value or null (handles 0 as valid value)
     const getValue = (...keys) => {
@@ -146,7 +467,13 @@ class NutritionService {
       sugars: getValue('sugars_100g', 'sugars'),
       fiber: getValue('fiber_100g', 'fiber'),
       salt: getValue('salt_100g', 'salt'),
+      allergens,
+      traces,
+      ingredients,
       servingSize: product.serving_size || '100g',
+      serving: product.serving_quantity > 0
+        ? { amount: Number(product.serving_quantity), unit: product.serving_quantity_unit === 'ml' ? 'ml' : 'g' }
+        : toAmount(parsePackageSize(product.serving_size)),
       source: 'openfoodfacts',
       lastUpdated: new Date().toISOString()
     };
@@ -262,6 +589,125 @@ class NutritionService {
     }
   }
 
+  /**
+   * Look up the allergens and nutrition of offers by barcode, many barcodes per request
+   * Called after a tilbud snapshot is built, so the next one can carry them.
+   * Answers (also "not found") are kept for barcodeTTL; barcodes left over
+   * after maxBarcodeLookups are looked up on a later call. A failed request
+   * is kept too, so the barcodes are not tried again before a backoff of
+   * BARCODE_RETRY_MS, doubled per failure up to barcodeTTL.
+   * @param {Array} tilbud - Offers; those with an _ean are looked up
+   * @returns {Promise<number>} Number of barcodes answered
+   */
+  async resolveBarcodes(tilbud) {
+    const now = Date.now();
+    const eans = [...new Set(tilbud.map(t => t._ean).filter(Boolean))]
+      .filter(ean => {
+        const entry = this.productsByEan.get(ean);
+        return !entry || now >= entry.expiresAt;
+      })
+      .slice(0, this.maxBarcodeLookups);
+
+    let answered = 0;
+    for (let i = 0; i < eans.length; i += BARCODE_BATCH_SIZE) {
+      const batch = eans.slice(i, i + BARCODE_BATCH_SIZE);
+      const products = await this._fetchBarcodes(batch);
+      // The next batch would most likely fail the same way
+      if (!products) break;
+
+      for (const ean of batch) {
+        this.productsByEan.set(ean, {
+          product: products.get(ean) || null,
+          expiresAt: now + this.barcodeTTL
+        });
+      }
+      answered += batch.length;
+    }
+
+    // The batches after a failed one are not tried either
+    for (const ean of eans.slice(answered)) {
+      const failures = (this.productsByEan.get(ean) || {}).failures || 0;
+      this.productsByEan.set(ean, {
+        product: null,
+        expiresAt: now + Math.min(BARCODE_RETRY_MS * 2 ** failures, this.barcodeTTL),
+        failures: failures + 1
+      });
+    }
+
+    if (eans.length > 0) {
+      console.log(`[NutritionService] Resolved ${answered} of ${eans.length} barcodes`);
+    }
+    return answered;
+  }
+
+  /**
+   * Fetch several products in one search request
+   * @param {Array<string>} eans
+   * @returns {Map<string, Object>|null} _parseNutritionData results by barcode, or null when the request failed
+   * @private
+   */
+  async _fetchBarcodes(eans) {
+    let data;
+    try {
+      data = await this._request(`${this.baseUrl}/search?code=${eans.join(',')}&page_size=${eans.length}&fields=${BARCODE_FIELDS}`);
+    } catch (error) {
+      // Already logged by _request
+      return null;
+    }
+
+    if (!data || !Array.isArray(data.products)) {
+      return null;
+    }
+    return new Map(data.products.map(product => [product.code, this._parseNutritionData(product)]));
+  }
+
+  /**
+   * Get the allergens of an offer without calling the API
+   * Barcodes answered by resolveBarcodes come first; produce without one
+   * has the allergens of plain produce.
+   * @param {Object} tilbud - Offer with _ean, navn and kategori
+   * @returns {{allergens: Array<string>|null, traces: Array<string>|null}} Null values when unknown
+   */
+  getOfferAllergens(tilbud) {
+    const product = this._getResolvedProduct(tilbud);
+    if (product && product.allergens) {
+      return { allergens: product.allergens, traces: product.traces || [] };
+    }
+    if (this.referenceCategories.includes(tilbud.kategori)) {
+      return getProduceAllergens(tilbud.navn);
+    }
+    return { allergens: null, traces: null };
+  }
+
+  /**
+   * Get the per-100 g nutrition of an offer without calling the API
+   * Barcodes answered by resolveBarcodes come first; produce without one
+   * has the reference values of the Frida table.
+   * @param {Object} tilbud - Offer with _ean, navn and kategori
+   * @returns {Object|null} Null when not known
+   */
+  getOfferNutrition(tilbud) {
+    const product = this._getResolvedProduct(tilbud);
+    if (product && SCORED_NUTRIENTS.some(key => product[key] !== null)) {
+      return product;
+    }
+    if (this.referenceCategories.includes(tilbud.kategori)) {
+      return this._getReferenceData(tilbud.navn);
+    }
+    return null;
+  }
+
+  /**
+   * Get the product resolveBarcodes found for an offer's barcode
+   * @param {Object} tilbud
+   * @returns {Object|null}
+   * @private
+   */
+  _getResolvedProduct(tilbud) {
+    const entry = tilbud._ean ? this.productsByEan.get(tilbud._ean) : null;
+    return entry ? entry.product : null;
+  }
+
   /**
    * Clear entire cache (for testing/admin)
    */
@@ -293,4 +739,4 @@ class NutritionService {
   }
 }
 
-module.exports = { NutritionService };
+module.exports = { NutritionService, scoreName, scoreSize, scaleNutrition, MIN_CONFIDENCE, REFERENCE_CATEGORIES };
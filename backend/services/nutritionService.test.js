@@ -1,4 +1,4 @@
-const { NutritionService } = require('../services/nutritionService');
+const { NutritionService, scoreName, scoreSize } = require('../services/nutritionService');
 const fs = require('fs').promises;
 const path = require('path');
 const fetch = require('node-fetch');
@@ -145,6 +145,128 @@ describe('NutritionService', () => {
     });
   });
 
+  describe('matching', () => {
+    const respond = (body) => ({ ok: true, json: async () => body });
+
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    test('should look up products with an EAN by barcode', async () => {
+      fetch.mockResolvedValue(respond({
+        status: 1,
+        product: { code: '5740900400528', product_name: 'Lurpak Smør', nutriments: { 'energy-kcal_100g': 740 } }
+      }));
+
+      const result = await nutritionService.getNutritionData('Smør 250g', '1', { ean: '5740900400528' });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toContain('/product/5740900400528?');
+      expect(result.energyKcal).toBe(740);
+      expect(result.match).toEqual({ method: 'ean', confidence: 1, productName: 'Lurpak Smør', ean: '5740900400528' });
+    });
+
+    test('should search by name when the EAN is unknown', async () => {
+      fetch
+        .mockResolvedValueOnce(respond({ status: 0 }))
+        .mockResolvedValueOnce(respond({ products: [{ code: '1', product_name: 'Smør', quantity: '250 g', nutriments: {} }] }));
+
+      const result = await nutritionService.getNutritionData('Smør 250g', '1', { ean: '5740900400528' });
+
+      expect(fetch.mock.calls[1][0]).toContain('/search?search_terms=Sm%C3%B8r&page_size=10');
+      expect(result.match).toEqual({ method: 'name', confidence: 1, productName: 'Smør', ean: '1' });
+    });
+
+    test('should pick the best scoring candidate instead of the first', async () => {
+      fetch.mockResolvedValue(respond({
+        products: [
+          { code: '1', product_name: 'Bananchips', nutriments: { 'energy-kcal_100g': 520 } },
+          { code: '2', product_name: 'Bananer', nutriments: { 'energy-kcal_100g': 89 } }
+        ]
+      }));
+
+      const result = await nutritionService.getNutritionData('Bananer', '1');
+
+      expect(result.energyKcal).toBe(89);
+      expect(result.match).toMatchObject({ method: 'name', ean: '2', confidence: 0.9 });
+    });
+
+    test('should prefer the candidate with the same package size', async () => {
+      fetch.mockResolvedValue(respond({
+        products: [
+          { code: '1', product_name: 'Letmælk', quantity: '0,5 l', nutriments: {} },
+          { code: '2', product_name: 'Letmælk', quantity: '1 l', nutriments: {} }
+        ]
+      }));
+
+      const result = await nutritionService.getNutritionData('Letmælk 1L', '1');
+
+      expect(result.match).toMatchObject({ ean: '2', confidence: 1 });
+    });
+
+    test('should return null without a confident match', async () => {
+      fetch.mockResolvedValue(respond({
+        products: [{ code: '1', product_name: 'Chokoladekiks med banan', nutriments: {} }]
+      }));
+
+      const result = await nutritionService.getNutritionData('Bananer', '1');
+
+      expect(result).toBeNull();
+    });
+
+    test('scores names in both directions', () => {
+      expect(scoreName('Bananer', 'Bananer')).toBe(1);
+      expect(scoreName('Bananer', 'Bananer økologiske')).toBeLessThan(1);
+      expect(scoreName('Bananer', 'Bananchips')).toBeLessThan(0.5);
+      expect(scoreName('Bananer', '')).toBe(0);
+    });
+
+    test('scores package sizes', () => {
+      expect(scoreSize({ maengde: 1, enhed: 'l' }, { maengde: 1, enhed: 'l' })).toBe(1);
+      expect(scoreSize({ maengde: 1, enhed: 'l' }, { maengde: 0.5, enhed: 'l' })).toBe(0);
+      expect(scoreSize({ maengde: 1, enhed: 'l' }, { maengde: 1, enhed: 'kg' })).toBe(0);
+      expect(scoreSize({ maengde: 1, enhed: 'l' }, null)).toBe(0.5);
+    });
+  });
+
+  describe('reference values', () => {
+    test('should use the food composition table for produce', async () => {
+      const result = await nutritionService.getNutritionData('Bananer 1 kg', '1', { kategori: 'Frugt' });
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        energyKcal: 95,
+        allergens: [],
+        traces: [],
+        source: 'frida',
+        reference: true,
+        match: { method: 'reference', confidence: 1, productName: 'Banan, rå', ean: null }
+      });
+    });
+
+    test('should fall back to Open Food Facts for produce without a synonym', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ products: [{ product_name: 'Passionsfrugt', nutriments: { 'energy-kcal_100g': 97 } }] })
+      });
+
+      const result = await nutritionService.getNutritionData('Passionsfrugt', '1', { kategori: 'Frugt' });
+
+      expect(result).toMatchObject({ energyKcal: 97, source: 'openfoodfacts', match: { method: 'name' } });
+    });
+
+    test('should not use reference values outside produce categories', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ products: [] }) });
+
+      const result = await nutritionService.getNutritionData('Bananer', '1', { kategori: 'Snacks' });
+
+      expect(fetch).toHaveBeenCalled();
+      expect(result).toBeNull();
+    });
+  });
+
   describe('_parseNutritionData', () => {
     test('should parse complete nutrition data', () => {
       const product = {
@@ -177,6 +299,35 @@ describe('NutritionService', () => {
       expect(result.source).toBe('openfoodfacts');
     });
 
+    test('should parse allergens, traces and ingredients', () => {
+      const result = nutritionService._parseNutritionData({
+        nutriments: {},
+        allergens_tags: ['en:milk', 'en:gluten'],
+        traces_tags: ['en:nuts'],
+        ingredients_text_da: 'Hvedemel, smør, sukker',
+        ingredients_text: 'Wheat flour, butter, sugar'
+      });
+
+      expect(result.allergens).toEqual(['gluten', 'maelk']);
+      expect(result.traces).toEqual(['noedder']);
+      expect(result.ingredients).toBe('Hvedemel, smør, sukker');
+    });
+
+    test('should treat allergens as unknown without ingredients', () => {
+      const result = nutritionService._parseNutritionData({ nutriments: {}, allergens_tags: [] });
+
+      expect(result.allergens).toBeNull();
+      expect(result.traces).toBeNull();
+      expect(result.ingredients).toBeNull();
+    });
+
+    test('should treat allergens as none when the ingredients list none', () => {
+      const result = nutritionService._parseNutritionData({ nutriments: {}, ingredients_text: 'Bananer' });
+
+      expect(result.allergens).toEqual([]);
+      expect(result.traces).toEqual([]);
+    });
+
     test('should handle missing nutrition fields', () => {
       const product = {
         nutriments: {
@@ -212,6 +363,56 @@ describe('NutritionService', () => {
       expect(result.protein).toBe(20.0);
       expect(result.fat).toBe(18.0);
       expect(result.servingSize).toBe('150g');
+      expect(result.serving).toEqual({ amount: 150, unit: 'g' });
+    });
+  });
+
+  describe('amounts', () => {
+    test('should scale values to a serving and the offer package', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          products: [{ product_name: 'Havregryn', serving_size: '1 portion (30 g)', nutriments: { 'energy-kcal_100g': 370, 'fat_100g': 7.1 } }]
+        })
+      });
+
+      const result = await nutritionService.getNutritionData('Havregryn 1 kg', '1');
+
+      expect(result.amounts.per100g).toMatchObject({ amount: 100, unit: 'g', values: { energyKcal: 370, fat: 7.1, salt: null } });
+      expect(result.amounts.perServing).toMatchObject({ amount: 30, unit: 'g', values: { energyKcal: 111, fat: 2.1 } });
+      expect(result.amounts.perPackage).toMatchObject({ amount: 1000, unit: 'g', values: { energyKcal: 3700, fat: 71 } });
+    });
+
+    test('should use serving_quantity and millilitres for drinks', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          products: [{
+            product_name: 'Appelsinjuice',
+            serving_size: '1 glas',
+            serving_quantity: '250',
+            serving_quantity_unit: 'ml',
+            nutriments: { 'energy-kcal_100g': 44 }
+          }]
+        })
+      });
+
+      const result = await nutritionService.getNutritionData('Appelsinjuice', '1', { maengde: 1.5, enhed: 'l' });
+
+      expect(result.amounts.per100g.unit).toBe('ml');
+      expect(result.amounts.perServing).toMatchObject({ amount: 250, unit: 'ml', values: { energyKcal: 110 } });
+      expect(result.amounts.perPackage).toMatchObject({ amount: 1500, unit: 'ml', values: { energyKcal: 660 } });
+    });
+
+    test('should leave out sizes that are not known', async () => {
+      const loose = await nutritionService.getNutritionData('Bananer', '1', { kategori: 'Frugt' });
+      const pieces = await nutritionService.getNutritionData('Bananer 6 stk', '2', { kategori: 'Frugt' });
+
+      expect(loose.amounts.perServing).toBeNull();
+      expect(loose.amounts.perPackage).toBeNull();
+      expect(pieces.amounts.perPackage).toBeNull();
     });
   });
 
@@ -220,6 +421,7 @@ describe('NutritionService', () => {
       const mockResponse = {
         products: [
           {
+            product_name: 'Test Product',
             nutriments: { 'energy-kcal_100g': 250 }
           }
         ]
@@ -269,7 +471,7 @@ describe('NutritionService', () => {
 
     test('should clear entire cache', async () => {
       const mockResponse = {
-        products: [{ nutriments: { 'energy-kcal_100g': 250 } }]
+        products: [{ product_name: 'Product', nutriments: { 'energy-kcal_100g': 250 } }]
       };
 
       fetch.mockResolvedValue({
@@ -355,10 +557,133 @@ describe('NutritionService', () => {
     });
   });
 
+  describe('resolveBarcodes', () => {
+    const searchResponse = (products) => ({ ok: true, json: async () => ({ products }) });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    test('should look up barcodes in bulk and keep the answers', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue(searchResponse([
+        {
+        code: '5701',
+        nutriments: { 'energy-kj_100g': 200, 'fat_100g': 0.5, 'sugars_100g': 4.7 },
+        allergens_tags: ['en:milk'],
+        traces_tags: ['en:nuts'],
+        ingredients_text_da: 'Mælk'
+      }
+      ]));
+      const tilbud = [
+        { id: 1, navn: 'Letmælk', kategori: 'Mejeri', _ean: '5701' },
+        { id: 2, navn: 'Havregryn', kategori: 'Tørvarer', _ean: '5702' },
+        { id: 3, navn: 'Kaffe', kategori: 'Drikkevarer' },
+        { id: 4, navn: 'Bananer', kategori: 'Frugt' }
+      ];
+
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(2);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toContain('/search?code=5701,5702&page_size=2');
+      expect(fetch.mock.calls[0][0]).toContain('nutriments');
+
+      expect(tilbud.map(t => nutritionService.getOfferAllergens(t))).toEqual([
+        { allergens: ['maelk'], traces: ['noedder'] },
+        { allergens: null, traces: null },
+        { allergens: null, traces: null },
+        { allergens: [], traces: [] }
+      ]);
+      expect(nutritionService.getOfferNutrition(tilbud[0])).toMatchObject({ energyKj: 200, fat: 0.5, sugars: 4.7 });
+      expect(nutritionService.getOfferNutrition(tilbud[1])).toBeNull();
+
+      // Answers, also "not found", are kept
+      await nutritionService.resolveBarcodes(tilbud);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should split barcodes into batches and stop at the lookup limit', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue(searchResponse([]));
+      const limited = new NutritionService({ cacheFilePath: testCacheFilePath, maxBarcodeLookups: 120 });
+      const tilbud = Array.from({ length: 150 }, (_, i) => ({ id: i, navn: `Vare ${i}`, _ean: String(5700000 + i) }));
+
+      expect(await limited.resolveBarcodes(tilbud)).toBe(120);
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      // The rest follow on the next call
+      expect(await limited.resolveBarcodes(tilbud)).toBe(30);
+    });
+
+    test('should wait longer after each failed request before trying again', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const now = Date.now();
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      const tilbud = [{ id: 1, navn: 'Letmælk', _ean: '5701' }];
+
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      // A rebuild during the outage does not call Open Food Facts again
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      // Tried again after 5 minutes, then after 10 more
+      nowSpy.mockReturnValue(now + 5 * 60 * 1000);
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(0);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      nowSpy.mockReturnValue(now + 14 * 60 * 1000);
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(0);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      nowSpy.mockReturnValue(now + 15 * 60 * 1000);
+      fetch.mockResolvedValueOnce(searchResponse([{ code: '5701', allergens_tags: ['en:milk'] }]));
+      expect(await nutritionService.resolveBarcodes(tilbud)).toBe(1);
+      expect(nutritionService.getOfferAllergens(tilbud[0]).allergens).toEqual(['maelk']);
+      nowSpy.mockRestore();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getOfferNutrition', () => {
+    test('should not use products opened through the nutrition endpoint', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          products: [{ product_name: 'Havregryn', nutriments: { 'energy-kcal_100g': 370 } }]
+        })
+      });
+      await nutritionService.getNutritionData('Havregryn', '1');
+      fetch.mockClear();
+
+      expect(nutritionService.getOfferNutrition({ id: 1, navn: 'Havregryn', kategori: 'Tørvarer' })).toBeNull();
+      expect(nutritionService.getOfferNutrition({ id: 2, navn: 'Bananer', kategori: 'Frugt' }).source).toBe('frida');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should treat products without nutriments as unknown', async () => {
+      fetch.mockReset();
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ products: [{ code: '5701', ingredients_text_da: 'Havre' }] }) });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const tilbud = { id: 1, navn: 'Havregryn', kategori: 'Tørvarer', _ean: '5701' };
+
+      await nutritionService.resolveBarcodes([tilbud]);
+
+      expect(nutritionService.getOfferNutrition(tilbud)).toBeNull();
+      expect(nutritionService.getOfferAllergens(tilbud)).toEqual({ allergens: [], traces: [] });
+      console.log.mockRestore();
+    });
+  });
+
   describe('getCacheStats', () => {
     test('should return correct cache statistics', async () => {
       const mockResponse = {
-        products: [{ nutriments: { 'energy-kcal_100g': 250 } }]
+        products: [{ product_name: 'Product', nutriments: { 'energy-kcal_100g': 250 } }]
       };
 
       fetch.mockResolvedValue({
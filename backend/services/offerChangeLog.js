@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// How long changes are kept; clients asking for older changes must fetch everything again
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash offers to a version string; identical offers always give the same version
+ * @param {Array} tilbud
+ * @returns {string}
+ */
+function hashTilbud(tilbud) {
+  return crypto.createHash('sha1').update(JSON.stringify(tilbud)).digest('base64url');
+}
+
+/**
+ * Check whether an offer's prices differ from earlier prices
+ * @param {Object} before - { normalpris, tilbudspris }
+ * @param {Object} after - { normalpris, tilbudspris }
+ * @returns {boolean}
+ */
+function isRepriced(before, after) {
+  return before.normalpris !== after.normalpris || before.tilbudspris !== after.tilbudspris;
+}
+
+/**
+ * Add an offer's earlier prices to it
+ * @param {Object} tilbud - Offer with its current prices
+ * @param {Object} foer - The offer before it was repriced
+ * @returns {Object}
+ */
+function withPreviousPrices(tilbud, foer) {
+  return {
+    ...tilbud,
+    forrigeNormalpris: foer.normalpris,
+    forrigeTilbudspris: foer.tilbudspris
+  };
+}
+
+/**
+ * Compare two lists of offers
+ * @param {Map<number, Object>} previous - Offers by ID
+ * @param {Map<number, Object>} current - Offers by ID
+ * @param {number} timestamp
+ * @returns {Array<Object>} Events { type, id, timestamp, tilbud, foer }
+ */
+function diffTilbud(previous, current, timestamp) {
+  const events = [];
+
+  for (const [id, tilbud] of current) {
+    const before = previous.get(id);
+    if (!before) {
+      events.push({ type: 'added', id, timestamp, tilbud, foer: null });
+    } else if (isRepriced(before, tilbud)) {
+      events.push({ type: 'repriced', id, timestamp, tilbud, foer: before });
+    }
+  }
+  for (const [id, before] of previous) {
+    if (!current.has(id)) {
+      events.push({ type: 'removed', id, timestamp, tilbud: null, foer: before });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * OfferChangeLog
+ *
+ * Remembers how the offers for each zip code changed between snapshots, so
+ * clients can ask what was added, removed or repriced since their last fetch
+ * instead of downloading every offer again. Also versions each snapshot for
+ * ETag and Last-Modified headers. Kept in memory; after a restart clients are
+ * told to fetch everything once.
+ *
+ * Emits 'changes' (zipCode, events) whenever a snapshot differs from the
+ * previous one.
+ */
+class OfferChangeLog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Every open /api/tilbud/stream connection listens
+    this.setMaxListeners(0);
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    // Per zip code: { tilbud: Map, version, lastModified, since, events }
+    this.logs = new Map();
+  }
+
+  /**
+   * Record a new snapshot of offers
+   * @param {string} zipCode
+   * @param {Array} tilbud - All offers in the snapshot
+   * @param {number} timestamp - Snapshot time (ms)
+   * @returns {{version: string, lastModified: number}}
+   */
+  record(zipCode, tilbud, timestamp) {
+    const version = hashTilbud(tilbud);
+    const current = new Map(tilbud.map(t => [t.id, t]));
+    const log = this.logs.get(zipCode);
+
+    if (!log) {
+      // First snapshot: the baseline, changes are known from here on
+      this.logs.set(zipCode, { tilbud: current, version, lastModified: timestamp, since: timestamp, events: [] });
+      return { version, lastModified: timestamp };
+    }
+
+    if (log.version !== version) {
+      const events = diffTilbud(log.tilbud, current, timestamp);
+      log.events.push(...events);
+      log.tilbud = current;
+      log.version = version;
+      log.lastModified = timestamp;
+      if (events.length > 0) this.emit('changes', zipCode, events);
+    }
+    this._prune(log, timestamp);
+
+    return { version, lastModified: log.lastModified };
+  }
+
+  /**
+   * Drop events older than the retention period
+   * @param {Object} log
+   * @param {number} now
+   * @private
+   */
+  _prune(log, now) {
+    const cutoff = now - this.retentionMs;
+    if (log.since >= cutoff) return;
+
+    log.events = log.events.filter(event => event.timestamp > cutoff);
+    log.since = cutoff;
+  }
+
+  /**
+   * Get the net changes since a point in time
+   * An offer that was added and removed again is left out; one that was
+   * repriced several times is reported once with its first and latest price.
+   * @param {string} zipCode
+   * @param {number} since - Time (ms) of the client's last fetch
+   * @returns {{resync: boolean, added: Array, removed: Array<number>, repriced: Array, until: number|null}}
+   */
+  getChanges(zipCode, since) {
+    const log = this.logs.get(zipCode);
+    if (!log || since < log.since) {
+      return { resync: true, added: [], removed: [], repriced: [], until: log ? log.lastModified : null };
+    }
+
+    // First and last event per offer since the client's fetch
+    const changed = new Map();
+    for (const event of log.events) {
+      if (event.timestamp <= since) continue;
+      const first = changed.has(event.id) ? changed.get(event.id).first : event;
+      changed.set(event.id, { first, last: event });
+    }
+
+    const added = [];
+    const removed = [];
+    const repriced = [];
+    for (const [id, { first, last }] of changed) {
+      const existedBefore = first.type !== 'added';
+      const existsNow = last.type !== 'removed';
+
+      if (!existedBefore && existsNow) {
+        added.push(last.tilbud);
+      } else if (existedBefore && !existsNow) {
+        removed.push(id);
+      } else if (existedBefore && existsNow && isRepriced(first.foer, last.tilbud)) {
+        repriced.push(withPreviousPrices(last.tilbud, first.foer));
+      }
+    }
+
+    return { resync: false, added, removed, repriced, until: log.lastModified };
+  }
+}
+
+module.exports = {
+  OfferChangeLog,
+  withPreviousPrices,
+  DEFAULT_RETENTION_MS
+};
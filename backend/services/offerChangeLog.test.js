@@ -0,0 +1,73 @@
+const { OfferChangeLog } = require('./offerChangeLog');
+
+describe('OfferChangeLog', () => {
+  const smoer = { id: 1, navn: 'Smør 250g', normalpris: 18.95, tilbudspris: 12.95 };
+  const maelk = { id: 2, navn: 'Letmælk 1L', normalpris: 12, tilbudspris: 10 };
+  const kaffe = { id: 3, navn: 'Kaffe 400g', normalpris: 50, tilbudspris: 35 };
+
+  let log;
+
+  beforeEach(() => {
+    log = new OfferChangeLog();
+    log.record('8000', [smoer, maelk], 1000);
+  });
+
+  it('versions snapshots by content', () => {
+    const first = log.record('8000', [smoer, maelk], 2000);
+    const changed = log.record('8000', [smoer], 3000);
+
+    expect(first.lastModified).toBe(1000);
+    expect(changed.version).not.toBe(first.version);
+    expect(changed.lastModified).toBe(3000);
+  });
+
+  it('reports added, removed and repriced offers', () => {
+    log.record('8000', [{ ...smoer, tilbudspris: 11.95 }, kaffe], 2000);
+
+    expect(log.getChanges('8000', 1000)).toEqual({
+      resync: false,
+      added: [kaffe],
+      removed: [2],
+      repriced: [{ ...smoer, tilbudspris: 11.95, forrigeNormalpris: 18.95, forrigeTilbudspris: 12.95 }],
+      until: 2000
+    });
+    expect(log.getChanges('8000', 2000)).toMatchObject({ added: [], removed: [], repriced: [] });
+  });
+
+  it('reports the net change over several snapshots', () => {
+    log.record('8000', [{ ...smoer, tilbudspris: 11.95 }, maelk, kaffe], 2000);
+    log.record('8000', [smoer, maelk], 3000);
+
+    expect(log.getChanges('8000', 1000)).toMatchObject({ added: [], removed: [], repriced: [] });
+    expect(log.getChanges('8000', 2000)).toMatchObject({
+      removed: [3],
+      repriced: [{ id: 1, tilbudspris: 12.95, forrigeTilbudspris: 11.95 }]
+    });
+  });
+
+  it('emits the changes of a new snapshot', () => {
+    const listener = jest.fn();
+    log.on('changes', listener);
+
+    log.record('8000', [smoer, maelk], 2000);
+    log.record('8000', [smoer], 3000);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('8000', [{ type: 'removed', id: 2, timestamp: 3000, tilbud: null, foer: maelk }]);
+  });
+
+  it('asks for a resync when changes are unknown', () => {
+    expect(log.getChanges('8000', 500)).toMatchObject({ resync: true, until: 1000 });
+    expect(log.getChanges('2100', 1000)).toMatchObject({ resync: true, until: null });
+  });
+
+  it('forgets changes after the retention period', () => {
+    log = new OfferChangeLog({ retentionMs: 5000 });
+    log.record('8000', [smoer], 1000);
+    log.record('8000', [smoer, maelk], 2000);
+    log.record('8000', [smoer, maelk, kaffe], 8000);
+
+    expect(log.getChanges('8000', 1000).resync).toBe(true);
+    expect(log.getChanges('8000', 3000)).toMatchObject({ resync: false, added: [kaffe] });
+  });
+});
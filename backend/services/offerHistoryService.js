@@ -0,0 +1,222 @@
+const { normalizeDanish } = require('./tilbudSearch');
+
+// How far back product prices are compared when judging a tilbud
+const HISTORY_WINDOW_DAYS = 90;
+
+/**
+ * Build the stable product key for a tilbud
+ * Products with an EAN are grouped by EAN, others by normalized name
+ * @param {Object} tilbud
+ * @returns {string}
+ */
+function getProductKey(tilbud) {
+  if (tilbud._ean) return `ean:${tilbud._ean}`;
+  return `navn:${normalizeDanish(tilbud.navn)}`;
+}
+
+/**
+ * Round a price (Prisma Decimal, string or number) to a number with 2 decimals
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toPrice(value) {
+  if (value === null || value === undefined) return null;
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Summarize product prices so a tilbud can be compared with its usual price
+ * @param {Array} observations - Product price observations ({ tilbudspris, normalpris })
+ * @param {number} currentPrice - Current tilbudspris
+ * @returns {Object|null} Stats or null if there are no observations
+ */
+function summarizePrices(observations, currentPrice) {
+  if (observations.length === 0) return null;
+
+  const prices = observations.map(o => toPrice(o.tilbudspris));
+  const normalPrices = observations.map(o => toPrice(o.normalpris));
+  const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+
+  return {
+    antalObservationer: observations.length,
+    lavestePris: Math.min(...prices),
+    hoejestePris: Math.max(...prices),
+    gennemsnitsPris: toPrice(average),
+    hoejesteNormalpris: Math.max(...normalPrices),
+    aktuelPris: currentPrice,
+    underGennemsnit: currentPrice < toPrice(average)
+  };
+}
+
+/**
+ * OfferHistoryService
+ *
+ * Persists fetched tilbud as Product/Offer rows and records a PriceObservation
+ * whenever an offer's price changes, so prices can be followed over time.
+ */
+class OfferHistoryService {
+  constructor(options = {}) {
+    // Prisma client can be injected for tests; otherwise the shared client is used
+    this.prisma = options.prisma || null;
+    this.historyWindowDays = options.historyWindowDays || HISTORY_WINDOW_DAYS;
+  }
+
+  /**
+   * Get the Prisma client (lazily, so the service can be required without a database)
+   * @returns {PrismaClient}
+   */
+  getClient() {
+    if (!this.prisma) {
+      const { getPrismaClient } = require('./databaseService');
+      this.prisma = getPrismaClient();
+    }
+    return this.prisma;
+  }
+
+  /**
+   * Upsert tilbud and record price changes
+   * Writes in two batched transactions instead of a round trip per offer:
+   * products first (offers reference them), then offers and new observations
+   * @param {Array} tilbud - Offers in our schema
+   * @param {Object} [options] - { postnummer, observedAt }
+   * @returns {Promise<{offers: number, observations: number}>}
+   */
+  async recordOffers(tilbud, options = {}) {
+    const prisma = this.getClient();
+    const observedAt = options.observedAt || new Date();
+
+    // One product row per key, even when several stores sell it
+    const productItems = new Map(tilbud.map(item => [getProductKey(item), item]));
+    const products = await prisma.$transaction([...productItems].map(([key, item]) =>
+      prisma.product.upsert({
+        where: { key },
+        create: {
+          key,
+          ean: item._ean || null,
+          navn: item.navn,
+          kategori: item.kategori || null,
+          billedeUrl: item.billedeUrl || null
+        },
+        update: {
+          navn: item.navn,
+          kategori: item.kategori || null,
+          billedeUrl: item.billedeUrl || null
+        }
+      })
+    ));
+    const productIds = new Map([...productItems.keys()].map((key, index) => [key, products[index].id]));
+
+    // Latest observation of every offer in one query
+    const offerIds = tilbud.map(item => BigInt(item.id));
+    const latestObservations = await prisma.priceObservation.findMany({
+      where: { offerId: { in: offerIds } },
+      orderBy: { observedAt: 'desc' },
+      distinct: ['offerId']
+    });
+    const latestByOffer = new Map(latestObservations.map(observation => [String(observation.offerId), observation]));
+
+    const offerUpserts = [];
+    const observations = [];
+    for (const item of tilbud) {
+      const offerId = BigInt(item.id);
+      const productId = productIds.get(getProductKey(item));
+      const offerData = {
+        source: item._source || 'ukendt',
+        butik: item.butik,
+        butikId: item.butikId || null,
+        butikNavn: item.butikNavn || null,
+        postnummer: options.postnummer || null,
+        normalpris: item.normalpris,
+        tilbudspris: item.tilbudspris,
+        rabat: item.rabat,
+        expiresAt: item._expiryDate ? new Date(item._expiryDate) : null,
+        lastSeenAt: observedAt
+      };
+
+      offerUpserts.push(prisma.offer.upsert({
+        where: { id: offerId },
+        create: { id: offerId, productId, firstSeenAt: observedAt, ...offerData },
+        update: { productId, ...offerData }
+      }));
+
+      // Only record a new observation when the price has changed
+      const latest = latestByOffer.get(String(offerId));
+      const priceChanged = !latest ||
+        toPrice(latest.tilbudspris) !== toPrice(item.tilbudspris) ||
+        toPrice(latest.normalpris) !== toPrice(item.normalpris);
+
+      if (priceChanged) {
+        observations.push({
+          offerId,
+          productId,
+          normalpris: item.normalpris,
+          tilbudspris: item.tilbudspris,
+          observedAt
+        });
+        // The same offer twice in one batch is only observed once
+        latestByOffer.set(String(offerId), item);
+      }
+    }
+
+    await prisma.$transaction([
+      ...offerUpserts,
+      ...(observations.length > 0 ? [prisma.priceObservation.createMany({ data: observations })] : [])
+    ]);
+
+    const stats = { offers: offerUpserts.length, observations: observations.length };
+    console.log(`[INFO] Persisted ${stats.offers} tilbud (${stats.observations} price changes)`, {
+      postnummer: options.postnummer
+    });
+    return stats;
+  }
+
+  /**
+   * Get the price timeline for an offer, with product price stats
+   * @param {number} id - Offer ID
+   * @returns {Promise<Object|null>} History or null if the offer has never been stored
+   */
+  async getPriceHistory(id) {
+    const prisma = this.getClient();
+    const offerId = BigInt(id);
+
+    const offer = await prisma.offer.findUnique({
+      where: { id: offerId },
+      include: {
+        product: true,
+        observations: { orderBy: { observedAt: 'asc' } }
+      }
+    });
+
+    if (!offer) return null;
+
+    const since = new Date(Date.now() - this.historyWindowDays * 24 * 60 * 60 * 1000);
+    const productObservations = await prisma.priceObservation.findMany({
+      where: { productId: offer.productId, observedAt: { gte: since } },
+      orderBy: { observedAt: 'asc' }
+    });
+
+    return {
+      id: Number(offer.id),
+      navn: offer.product.navn,
+      butik: offer.butik,
+      butikNavn: offer.butikNavn,
+      normalpris: toPrice(offer.normalpris),
+      tilbudspris: toPrice(offer.tilbudspris),
+      foersteGangSet: offer.firstSeenAt,
+      senestSet: offer.lastSeenAt,
+      historik: offer.observations.map(observation => ({
+        normalpris: toPrice(observation.normalpris),
+        tilbudspris: toPrice(observation.tilbudspris),
+        observeret: observation.observedAt
+      })),
+      // Compared across all stores selling the product, not just this offer
+      produktPriser: summarizePrices(productObservations, toPrice(offer.tilbudspris))
+    };
+  }
+}
+
+module.exports = {
+  OfferHistoryService,
+  getProductKey,
+  summarizePrices
+};
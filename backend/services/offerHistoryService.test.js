@@ -0,0 +1,210 @@
+const { OfferHistoryService, getProductKey, summarizePrices } = require('./offerHistoryService');
+
+// Mock Prisma Client
+const mockPrisma = {
+  $transaction: jest.fn(),
+  product: {
+    upsert: jest.fn()
+  },
+  offer: {
+    upsert: jest.fn(),
+    findUnique: jest.fn()
+  },
+  priceObservation: {
+    findMany: jest.fn(),
+    createMany: jest.fn()
+  }
+};
+
+const tilbud = {
+  id: 1234567890,
+  navn: 'Hakket Oksekød 8-12%',
+  butik: 'Netto',
+  butikId: 'store-1',
+  butikNavn: 'Netto Trøjborg',
+  kategori: 'Kød',
+  normalpris: 59.95,
+  tilbudspris: 29.95,
+  rabat: 50,
+  billedeUrl: 'https://example.com/oksekoed.jpg',
+  _source: 'salling-api',
+  _ean: '5701234567890',
+  _expiryDate: '2026-10-20T00:00:00Z'
+};
+
+describe('OfferHistoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    mockPrisma.$transaction.mockImplementation(operations => Promise.all(operations));
+    mockPrisma.product.upsert.mockResolvedValue({ id: 'product-1' });
+    mockPrisma.offer.upsert.mockResolvedValue({});
+    mockPrisma.priceObservation.findMany.mockResolvedValue([]);
+    mockPrisma.priceObservation.createMany.mockResolvedValue({ count: 0 });
+    service = new OfferHistoryService({ prisma: mockPrisma });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getProductKey', () => {
+    it('uses EAN when available', () => {
+      expect(getProductKey(tilbud)).toBe('ean:5701234567890');
+    });
+
+    it('falls back to normalized name', () => {
+      expect(getProductKey({ navn: 'Rødgrød med Fløde' })).toBe('navn:roedgroed med floede');
+    });
+  });
+
+  describe('summarizePrices', () => {
+    it('returns null without observations', () => {
+      expect(summarizePrices([], 10)).toBeNull();
+    });
+
+    it('compares current price with the average', () => {
+      const stats = summarizePrices([
+        { tilbudspris: '40.00', normalpris: '50.00' },
+        { tilbudspris: '30.00', normalpris: '50.00' },
+        { tilbudspris: '20.00', normalpris: '55.00' }
+      ], 20);
+
+      expect(stats).toEqual({
+        antalObservationer: 3,
+        lavestePris: 20,
+        hoejestePris: 40,
+        gennemsnitsPris: 30,
+        hoejesteNormalpris: 55,
+        aktuelPris: 20,
+        underGennemsnit: true
+      });
+    });
+  });
+
+  describe('recordOffers', () => {
+    it('upserts product and offer and records the first price', async () => {
+      const observedAt = new Date('2026-10-19T10:00:00Z');
+
+      const stats = await service.recordOffers([tilbud], { postnummer: '8000', observedAt });
+
+      expect(stats).toEqual({ offers: 1, observations: 1 });
+      expect(mockPrisma.product.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'ean:5701234567890' }
+      }));
+      expect(mockPrisma.offer.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: BigInt(1234567890) },
+        create: expect.objectContaining({
+          productId: 'product-1',
+          postnummer: '8000',
+          tilbudspris: 29.95,
+          firstSeenAt: observedAt
+        })
+      }));
+      expect(mockPrisma.priceObservation.createMany).toHaveBeenCalledWith({
+        data: [{
+          offerId: BigInt(1234567890),
+          productId: 'product-1',
+          normalpris: 59.95,
+          tilbudspris: 29.95,
+          observedAt
+        }]
+      });
+    });
+
+    it('batches the writes and looks up the latest prices in one query', async () => {
+      const other = { ...tilbud, id: 1234567891, butik: 'Føtex', tilbudspris: 34.95 };
+      const smoer = { ...tilbud, id: 1234567892, navn: 'Smør', _ean: null };
+      mockPrisma.priceObservation.findMany.mockResolvedValue([
+        { offerId: BigInt(1234567890), normalpris: '59.95', tilbudspris: '29.95' }
+      ]);
+
+      const stats = await service.recordOffers([tilbud, other, smoer]);
+
+      expect(stats).toEqual({ offers: 3, observations: 2 });
+      expect(mockPrisma.product.upsert).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.priceObservation.findMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.priceObservation.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { offerId: { in: [BigInt(1234567890), BigInt(1234567891), BigInt(1234567892)] } },
+        distinct: ['offerId']
+      }));
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.priceObservation.createMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.priceObservation.createMany.mock.calls[0][0].data.map(o => o.offerId))
+        .toEqual([BigInt(1234567891), BigInt(1234567892)]);
+    });
+
+    it('does not record an observation when the price is unchanged', async () => {
+      mockPrisma.priceObservation.findMany.mockResolvedValue([{
+        offerId: BigInt(1234567890),
+        normalpris: '59.95',
+        tilbudspris: '29.95'
+      }]);
+
+      const stats = await service.recordOffers([tilbud]);
+
+      expect(stats).toEqual({ offers: 1, observations: 0 });
+      expect(mockPrisma.offer.upsert).toHaveBeenCalled();
+      expect(mockPrisma.priceObservation.createMany).not.toHaveBeenCalled();
+    });
+
+    it('records an observation when the price changes', async () => {
+      mockPrisma.priceObservation.findMany.mockResolvedValue([{
+        offerId: BigInt(1234567890),
+        normalpris: '59.95',
+        tilbudspris: '39.95'
+      }]);
+
+      const stats = await service.recordOffers([tilbud]);
+
+      expect(stats.observations).toBe(1);
+    });
+  });
+
+  describe('getPriceHistory', () => {
+    it('returns null for unknown offers', async () => {
+      mockPrisma.offer.findUnique.mockResolvedValue(null);
+
+      expect(await service.getPriceHistory(42)).toBeNull();
+    });
+
+    it('returns timeline and product price stats', async () => {
+      mockPrisma.offer.findUnique.mockResolvedValue({
+        id: BigInt(1234567890),
+        productId: 'product-1',
+        butik: 'Netto',
+        butikNavn: 'Netto Trøjborg',
+        normalpris: '59.95',
+        tilbudspris: '29.95',
+        firstSeenAt: new Date('2026-10-01T00:00:00Z'),
+        lastSeenAt: new Date('2026-10-19T00:00:00Z'),
+        product: { navn: 'Hakket Oksekød 8-12%' },
+        observations: [
+          { normalpris: '59.95', tilbudspris: '44.95', observedAt: new Date('2026-10-01T00:00:00Z') },
+          { normalpris: '59.95', tilbudspris: '29.95', observedAt: new Date('2026-10-18T00:00:00Z') }
+        ]
+      });
+      mockPrisma.priceObservation.findMany.mockResolvedValue([
+        { normalpris: '59.95', tilbudspris: '44.95' },
+        { normalpris: '59.95', tilbudspris: '29.95' }
+      ]);
+
+      const history = await service.getPriceHistory('1234567890');
+
+      expect(history.id).toBe(1234567890);
+      expect(history.historik).toHaveLength(2);
+      expect(history.historik[1]).toEqual({
+        normalpris: 59.95,
+        tilbudspris: 29.95,
+        observeret: new Date('2026-10-18T00:00:00Z')
+      });
+      expect(history.produktPriser.gennemsnitsPris).toBe(37.45);
+      expect(history.produktPriser.underGennemsnit).toBe(true);
+      expect(mockPrisma.priceObservation.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ productId: 'product-1' })
+      }));
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// Offer Source Registry
+// Manages offer sources and merges their results by priority
+
+/**
+ * OfferSourceRegistry - Multi-source offer orchestrator
+ *
+ * Features:
+ * - Holds IOfferSource implementations sorted by priority
+ * - Fetches all enabled sources in parallel; one failing source never blocks the others
+ * - Merges results by priority: on duplicate offer or store IDs the higher priority source wins
+ * - Health checks for all sources
+ */
+class OfferSourceRegistry {
+  constructor(options = {}) {
+    this.sources = [];
+    (options.sources || []).forEach(source => this.register(source));
+  }
+
+  /**
+   * Sort sources by priority (ascending - lower = higher priority)
+   * @private
+   */
+  _sortSourcesByPriority() {
+    this.sources.sort((a, b) => a.getSourceInfo().priority - b.getSourceInfo().priority);
+  }
+
+  /**
+   * Register an offer source
+   * A source with the same ID replaces the existing one
+   *
+   * @param {IOfferSource} source - Source to add
+   */
+  register(source) {
+    const { id } = source.getSourceInfo();
+    this.sources = this.sources.filter(s => s.getSourceInfo().id !== id);
+    this.sources.push(source);
+    this._sortSourcesByPriority();
+  }
+
+  /**
+   * Remove an offer source
+   *
+   * @param {string} sourceId - Source ID to remove
+   */
+  unregister(sourceId) {
+    this.sources = this.sources.filter(s => s.getSourceInfo().id !== sourceId);
+  }
+
+  /**
+   * Get a registered source by ID
+   *
+   * @param {string} sourceId
+   * @returns {IOfferSource|null}
+   */
+  getSource(sourceId) {
+    return this.sources.find(s => s.getSourceInfo().id === sourceId) || null;
+  }
+
+  /**
+   * Get all registered sources, highest priority first
+   *
+   * @returns {Array<IOfferSource>}
+   */
+  getSources() {
+    return [...this.sources];
+  }
+
+  /**
+   * Fetch offers from all enabled sources
+   *
+   * @param {Object} [options] - { postnummer, sourceIds }
+   * @param {Array<string>} [options.sourceIds] - Only fetch these sources
+   * @returns {Promise<Array<{info: Object, tilbud: Array, stores: Array, error: Error|null, durationMs: number}>>}
+   *   One result per enabled source, highest priority first
+   */
+  async fetchAll(options = {}) {
+    const { sourceIds, ...fetchOptions } = options;
+    const enabled = this.sources.filter(source => {
+      const info = source.getSourceInfo();
+      return info.enabled && (!sourceIds || sourceIds.includes(info.id));
+    });
+
+    // A failing source never rejects, so one source cannot block the others
+    const outcomes = await Promise.all(enabled.map(async source => {
+      const started = Date.now();
+      try {
+        const value = await source.fetchOffers(fetchOptions);
+        return { value, error: null, durationMs: Date.now() - started };
+      } catch (error) {
+        return { value: null, error, durationMs: Date.now() - started };
+      }
+    }));
+
+    return outcomes.map(({ value, error, durationMs }, index) => {
+      const info = enabled[index].getSourceInfo();
+
+      if (error) {
+        console.error(`[ERROR] Offer source ${info.name} failed:`, error.message);
+        return { info, tilbud: [], stores: [], error, durationMs };
+      }
+
+      const { tilbud = [], stores = [] } = value || {};
+      console.log(`[INFO] Offer source ${info.name} returned ${tilbud.length} tilbud`);
+      return { info, tilbud, stores, error: null, durationMs };
+    });
+  }
+
+  /**
+   * Merge source results by priority
+   * Results must be in priority order (as returned by fetchAll)
+   *
+   * @param {Array<{info: Object, tilbud: Array, stores: Array}>} results
+   * @returns {{tilbud: Array, stores: Array}}
+   */
+  mergeResults(results) {
+    const tilbud = new Map();
+    const stores = new Map();
+
+    for (const result of results) {
+      for (const item of result.tilbud || []) {
+        if (!tilbud.has(item.id)) {
+          tilbud.set(item.id, item);
+        }
+      }
+      for (const store of result.stores || []) {
+        if (!stores.has(store.id)) {
+          stores.set(store.id, store);
+        }
+      }
+    }
+
+    return {
+      tilbud: [...tilbud.values()],
+      stores: [...stores.values()]
+    };
+  }
+
+  /**
+   * Get all offer sources with metadata and health
+   *
+   * @returns {Promise<Array<{id, name, priority, enabled, live, healthy, message}>>}
+   */
+  async getSourcesStatus() {
+    return Promise.all(this.sources.map(async source => {
+      const info = source.getSourceInfo();
+
+      try {
+        const health = await source.healthCheck();
+        return { ...info, healthy: health.healthy, message: health.message };
+      } catch (error) {
+        return { ...info, healthy: false, message: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Health check for all sources
+   *
+   * @returns {Promise<{healthy: boolean, sources: Array}>}
+   */
+  async healthCheck() {
+    const sources = await this.getSourcesStatus();
+
+    return {
+      healthy: sources.filter(s => s.enabled).every(s => s.healthy),
+      sources
+    };
+  }
+}
+
+module.exports = { OfferSourceRegistry };
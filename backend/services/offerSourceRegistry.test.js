@@ -0,0 +1,164 @@
+const { OfferSourceRegistry } = require('./offerSourceRegistry');
+const { IOfferSource } = require('../interfaces/IOfferSource');
+
+/**
+ * Minimal IOfferSource for tests
+ */
+class TestOfferSource extends IOfferSource {
+  constructor({ id, priority, enabled = true, live = true, tilbud = [], stores = [], error = null }) {
+    super();
+    this.info = { id, name: id, priority, enabled, live };
+    this.result = { tilbud, stores };
+    this.error = error;
+    this.fetchOffers = jest.fn(async () => {
+      if (this.error) throw this.error;
+      return this.result;
+    });
+  }
+
+  getSourceInfo() {
+    return this.info;
+  }
+
+  async healthCheck() {
+    return this.error
+      ? { healthy: false, message: this.error.message }
+      : { healthy: true, message: 'ok' };
+  }
+}
+
+describe('OfferSourceRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('IOfferSource', () => {
+    it('throws for unimplemented methods', async () => {
+      const source = new IOfferSource();
+
+      await expect(source.fetchOffers()).rejects.toThrow('fetchOffers() must be implemented');
+      await expect(source.healthCheck()).rejects.toThrow('healthCheck() must be implemented');
+      expect(() => source.getSourceInfo()).toThrow('getSourceInfo() must be implemented');
+    });
+  });
+
+  describe('register', () => {
+    it('keeps sources sorted by priority', () => {
+      const registry = new OfferSourceRegistry({
+        sources: [
+          new TestOfferSource({ id: 'mock', priority: 99 }),
+          new TestOfferSource({ id: 'salling', priority: 1 })
+        ]
+      });
+      registry.register(new TestOfferSource({ id: 'lidl', priority: 5 }));
+
+      expect(registry.getSources().map(s => s.getSourceInfo().id)).toEqual(['salling', 'lidl', 'mock']);
+    });
+
+    it('replaces a source with the same ID', () => {
+      const registry = new OfferSourceRegistry();
+      registry.register(new TestOfferSource({ id: 'lidl', priority: 5 }));
+      registry.register(new TestOfferSource({ id: 'lidl', priority: 2 }));
+
+      expect(registry.getSources()).toHaveLength(1);
+      expect(registry.getSource('lidl').getSourceInfo().priority).toBe(2);
+    });
+
+    it('unregisters a source', () => {
+      const registry = new OfferSourceRegistry({
+        sources: [new TestOfferSource({ id: 'lidl', priority: 5 })]
+      });
+      registry.unregister('lidl');
+
+      expect(registry.getSource('lidl')).toBeNull();
+    });
+  });
+
+  describe('fetchAll', () => {
+    it('skips disabled sources', async () => {
+      const disabled = new TestOfferSource({ id: 'off', priority: 1, enabled: false });
+      const registry = new OfferSourceRegistry({
+        sources: [disabled, new TestOfferSource({ id: 'on', priority: 2 })]
+      });
+
+      const results = await registry.fetchAll({ postnummer: '8000' });
+
+      expect(results.map(r => r.info.id)).toEqual(['on']);
+      expect(disabled.fetchOffers).not.toHaveBeenCalled();
+    });
+
+    it('passes options to sources and reports failures per source', async () => {
+      const failing = new TestOfferSource({ id: 'failing', priority: 1, error: new Error('timeout') });
+      const working = new TestOfferSource({ id: 'working', priority: 2, tilbud: [{ id: 1 }] });
+      const registry = new OfferSourceRegistry({ sources: [failing, working] });
+
+      const results = await registry.fetchAll({ postnummer: '2100' });
+
+      expect(working.fetchOffers).toHaveBeenCalledWith({ postnummer: '2100' });
+      expect(results[0]).toMatchObject({ tilbud: [], error: failing.error });
+      expect(results[1]).toMatchObject({ tilbud: [{ id: 1 }], error: null });
+    });
+
+    it('fetches only the given sources and times each fetch', async () => {
+      const salling = new TestOfferSource({ id: 'salling', priority: 1 });
+      const mock = new TestOfferSource({ id: 'mock', priority: 99 });
+      const registry = new OfferSourceRegistry({ sources: [salling, mock] });
+
+      const results = await registry.fetchAll({ postnummer: '8000', sourceIds: ['mock'] });
+
+      expect(results).toEqual([expect.objectContaining({ info: expect.objectContaining({ id: 'mock' }), durationMs: expect.any(Number) })]);
+      expect(mock.fetchOffers).toHaveBeenCalledWith({ postnummer: '8000' });
+      expect(salling.fetchOffers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeResults', () => {
+    it('lets the higher priority source win on duplicate IDs', async () => {
+      const registry = new OfferSourceRegistry({
+        sources: [
+          new TestOfferSource({
+            id: 'low',
+            priority: 10,
+            tilbud: [{ id: 1, navn: 'Lav' }, { id: 3, navn: 'Kun lav' }],
+            stores: [{ id: 's1', navn: 'Lav butik' }]
+          }),
+          new TestOfferSource({
+            id: 'high',
+            priority: 1,
+            tilbud: [{ id: 1, navn: 'Høj' }, { id: 2, navn: 'Kun høj' }],
+            stores: [{ id: 's1', navn: 'Høj butik' }]
+          })
+        ]
+      });
+
+      const merged = registry.mergeResults(await registry.fetchAll());
+
+      expect(merged.tilbud.map(t => t.navn)).toEqual(['Høj', 'Kun høj', 'Kun lav']);
+      expect(merged.stores).toEqual([{ id: 's1', navn: 'Høj butik' }]);
+    });
+  });
+
+  describe('healthCheck', () => {
+    it('reports health of enabled sources', async () => {
+      const registry = new OfferSourceRegistry({
+        sources: [
+          new TestOfferSource({ id: 'ok', priority: 1 }),
+          new TestOfferSource({ id: 'broken', priority: 2, enabled: false, error: new Error('down') })
+        ]
+      });
+
+      const health = await registry.healthCheck();
+
+      expect(health.healthy).toBe(true);
+      expect(health.sources).toEqual([
+        expect.objectContaining({ id: 'ok', healthy: true }),
+        expect.objectContaining({ id: 'broken', enabled: false, healthy: false, message: 'down' })
+      ]);
+    });
+  });
+});
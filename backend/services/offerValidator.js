@@ -0,0 +1,177 @@
+// Offer Validator
+// Checks offers from each source before they are served and quarantines the rest
+
+// Sources round their own rabat; a difference of one percentage point is accepted
+const RABAT_TOLERANCE = 1;
+
+// EANs are 8 (EAN-8) to 14 (GTIN-14) digits
+const EAN_PATTERN = /^\d{8,14}$/;
+
+/**
+ * Check whether a price is a usable number
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validation rules by ID
+ * Each rule returns a reason (Danish, shown in the admin report) or null when
+ * the offer passes. Rules that compare prices skip offers without valid
+ * prices; those are already rejected by normalpris or tilbudspris.
+ */
+const RULES = {
+  navn: t => (typeof t.navn === 'string' && t.navn.trim() ? null : 'navn mangler'),
+  butik: t => (typeof t.butik === 'string' && t.butik.trim() ? null : 'butik mangler'),
+  normalpris: t => (isPrice(t.normalpris) ? null : `normalpris skal være større end 0 (${t.normalpris})`),
+  tilbudspris: t => (isPrice(t.tilbudspris) ? null : `tilbudspris skal være større end 0 (${t.tilbudspris})`),
+  prisRaekkefoelge: t => {
+    if (!isPrice(t.normalpris) || !isPrice(t.tilbudspris)) return null;
+    return t.tilbudspris > t.normalpris
+      ? `tilbudspris (${t.tilbudspris}) er større end normalpris (${t.normalpris})`
+      : null;
+  },
+  rabat: t => {
+    if (!isPrice(t.normalpris) || !isPrice(t.tilbudspris) || t.tilbudspris > t.normalpris) return null;
+    const expected = Math.round((1 - t.tilbudspris / t.normalpris) * 100);
+    return typeof t.rabat === 'number' && Math.abs(t.rabat - expected) <= RABAT_TOLERANCE
+      ? null
+      : `rabat ${t.rabat}% passer ikke med priserne (${expected}%)`;
+  },
+  ean: t => (t._ean == null || EAN_PATTERN.test(String(t._ean)) ? null : `ugyldig EAN (${t._ean})`)
+};
+
+// Rules for sources without their own list
+const DEFAULT_RULES = ['navn', 'butik', 'normalpris', 'tilbudspris', 'prisRaekkefoelge', 'rabat'];
+
+// Rules by source ID; Salling offers are matched across stores by EAN, so a malformed one is rejected
+const SOURCE_RULES = {
+  salling: [...DEFAULT_RULES, 'ean']
+};
+
+/**
+ * OfferValidator
+ *
+ * Runs each source's validation rules over its offers. Offers that fail are
+ * not served but kept in a quarantine per source and zip code, with the
+ * reasons, for the admin report. The quarantine holds the rejects of each
+ * source's latest fetch and is kept in memory.
+ */
+class OfferValidator {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, Array<string>>} [options.rules] - Rule IDs by source ID, replacing the defaults
+   */
+  constructor(options = {}) {
+    this.sourceRules = { ...SOURCE_RULES, ...(options.rules || {}) };
+    // By `${sourceId}|${zipCode}`: { source, postnummer, checkedAt, items }
+    this.quarantined = new Map();
+
+    for (const [sourceId, ruleIds] of Object.entries(this.sourceRules)) {
+      const unknown = ruleIds.filter(id => !RULES[id]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown validation rules for ${sourceId}: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Get the rule IDs for a source
+   * @param {string} sourceId
+   * @returns {Array<string>}
+   */
+  getRules(sourceId) {
+    return this.sourceRules[sourceId] || DEFAULT_RULES;
+  }
+
+  /**
+   * Split a source's offers into valid and rejected
+   * @param {string} sourceId
+   * @param {Array} tilbud
+   * @returns {{valid: Array, rejected: Array<{tilbud: Object, reasons: Array<string>}>}}
+   */
+  validate(sourceId, tilbud) {
+    const rules = this.getRules(sourceId).map(id => RULES[id]);
+    const valid = [];
+    const rejected = [];
+
+    for (const item of tilbud) {
+      const reasons = rules.map(rule => rule(item)).filter(Boolean);
+      if (reasons.length > 0) {
+        rejected.push({ tilbud: item, reasons });
+      } else {
+        valid.push(item);
+      }
+    }
+
+    return { valid, rejected };
+  }
+
+  /**
+   * Replace the quarantined offers of a source for a zip code
+   * Offers still rejected keep the time they were first seen.
+   * @param {string} sourceId
+   * @param {string} zipCode
+   * @param {Array<{tilbud: Object, reasons: Array<string>}>} rejected - From validate
+   * @param {number} [timestamp] - ms
+   */
+  quarantine(sourceId, zipCode, rejected, timestamp = Date.now()) {
+    const key = `${sourceId}|${zipCode}`;
+    const previous = this.quarantined.get(key);
+    const firstSeen = new Map(previous ? previous.items.map(item => [item.tilbud.id, item.firstSeen]) : []);
+
+    if (rejected.length === 0) {
+      this.quarantined.delete(key);
+      return;
+    }
+
+    this.quarantined.set(key, {
+      source: sourceId,
+      postnummer: zipCode,
+      checkedAt: timestamp,
+      items: rejected.map(({ tilbud, reasons }) => ({
+        tilbud,
+        reasons,
+        firstSeen: firstSeen.get(tilbud.id) || timestamp
+      }))
+    });
+  }
+
+  /**
+   * List quarantined offers, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.source] - Only this source ID
+   * @param {string} [filters.postnummer] - Only this zip code
+   * @returns {Array<{source, postnummer, checkedAt, firstSeen, tilbud, reasons}>}
+   */
+  getReport({ source, postnummer } = {}) {
+    const report = [];
+
+    for (const entry of this.quarantined.values()) {
+      if (source && entry.source !== source) continue;
+      if (postnummer && entry.postnummer !== postnummer) continue;
+
+      for (const item of entry.items) {
+        report.push({
+          source: entry.source,
+          postnummer: entry.postnummer,
+          checkedAt: entry.checkedAt,
+          firstSeen: item.firstSeen,
+          tilbud: item.tilbud,
+          reasons: item.reasons
+        });
+      }
+    }
+
+    return report.sort((a, b) => b.firstSeen - a.firstSeen);
+  }
+}
+
+module.exports = {
+  OfferValidator,
+  RULES,
+  DEFAULT_RULES,
+  RABAT_TOLERANCE
+};
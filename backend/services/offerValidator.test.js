@@ -0,0 +1,88 @@
+const { OfferValidator } = require('./offerValidator');
+
+describe('OfferValidator', () => {
+  const smoer = { id: 1, navn: 'Smør 250g', butik: 'Netto', normalpris: 18.95, tilbudspris: 12.95, rabat: 32, _ean: '5740900400528' };
+
+  let validator;
+
+  beforeEach(() => {
+    validator = new OfferValidator();
+  });
+
+  describe('validate', () => {
+    it('passes valid offers', () => {
+      expect(validator.validate('salling', [smoer])).toEqual({ valid: [smoer], rejected: [] });
+    });
+
+    it('rejects missing prices and names with every reason', () => {
+      const { valid, rejected } = validator.validate('tilbudsavis', [
+        { ...smoer, navn: ' ', normalpris: null, tilbudspris: 0 }
+      ]);
+
+      expect(valid).toEqual([]);
+      expect(rejected[0].reasons).toEqual([
+        'navn mangler',
+        'normalpris skal være større end 0 (null)',
+        'tilbudspris skal være større end 0 (0)'
+      ]);
+    });
+
+    it('rejects a tilbudspris above normalpris', () => {
+      const { rejected } = validator.validate('mock', [{ ...smoer, tilbudspris: 20, rabat: 0 }]);
+
+      expect(rejected[0].reasons).toEqual(['tilbudspris (20) er større end normalpris (18.95)']);
+    });
+
+    it('rejects a rabat that disagrees with the prices, within rounding', () => {
+      const { valid, rejected } = validator.validate('mock', [
+        { ...smoer, id: 1, rabat: 33 },
+        { ...smoer, id: 2, rabat: 50 }
+      ]);
+
+      expect(valid.map(t => t.id)).toEqual([1]);
+      expect(rejected[0].reasons).toEqual(['rabat 50% passer ikke med priserne (32%)']);
+    });
+
+    it('applies rules per source', () => {
+      const offer = { ...smoer, _ean: '123' };
+
+      expect(validator.validate('salling', [offer]).rejected[0].reasons).toEqual(['ugyldig EAN (123)']);
+      expect(validator.validate('tilbudsavis', [offer]).valid).toEqual([offer]);
+
+      const custom = new OfferValidator({ rules: { tilbudsavis: ['navn'] } });
+      expect(custom.validate('tilbudsavis', [{ ...smoer, tilbudspris: 0 }]).rejected).toEqual([]);
+    });
+
+    it('refuses unknown rules', () => {
+      expect(() => new OfferValidator({ rules: { lidl: ['pris'] } })).toThrow('Unknown validation rules for lidl: pris');
+    });
+  });
+
+  describe('quarantine', () => {
+    const rejectedSmoer = { tilbud: { ...smoer, tilbudspris: 0 }, reasons: ['tilbudspris skal være større end 0 (0)'] };
+
+    it('reports the rejects of the latest fetch per source and zip code', () => {
+      validator.quarantine('salling', '8000', [rejectedSmoer], 1000);
+      validator.quarantine('salling', '2100', [rejectedSmoer], 1500);
+      validator.quarantine('salling', '8000', [rejectedSmoer], 2000);
+
+      expect(validator.getReport({ postnummer: '8000' })).toEqual([{
+        source: 'salling',
+        postnummer: '8000',
+        checkedAt: 2000,
+        firstSeen: 1000,
+        tilbud: rejectedSmoer.tilbud,
+        reasons: rejectedSmoer.reasons
+      }]);
+      expect(validator.getReport().map(item => item.postnummer)).toEqual(['2100', '8000']);
+      expect(validator.getReport({ source: 'mock' })).toEqual([]);
+    });
+
+    it('releases offers that pass again', () => {
+      validator.quarantine('salling', '8000', [rejectedSmoer], 1000);
+      validator.quarantine('salling', '8000', [], 2000);
+
+      expect(validator.getReport()).toEqual([]);
+    });
+  });
+});
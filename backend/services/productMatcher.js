@@ -0,0 +1,130 @@
+const { normalizeDanish } = require('./tilbudSearch');
+const { parsePackageSize, removePackageSize } = require('./unitPrice');
+
+/**
+ * Build the EAN match key for a tilbud
+ * @param {Object} tilbud
+ * @returns {string|null} Key or null if the tilbud has no EAN
+ */
+function getEanKey(tilbud) {
+  return tilbud._ean ? `ean:${tilbud._ean}` : null;
+}
+
+/**
+ * Build the name match key for a tilbud: normalized name without the
+ * package size, plus the size, so "Smør 250g" and "Smør 250 g" match but
+ * "Smør 500g" does not
+ * @param {Object} tilbud
+ * @returns {string|null} Key or null if the tilbud has no name
+ */
+function getNameKey(tilbud) {
+  const navn = normalizeDanish(removePackageSize(tilbud.navn));
+  if (!navn) return null;
+
+  const size = tilbud.maengde && tilbud.enhed
+    ? { maengde: tilbud.maengde, enhed: tilbud.enhed }
+    : parsePackageSize(tilbud.navn);
+
+  return size ? `navn:${navn}|${size.maengde}${size.enhed}` : `navn:${navn}`;
+}
+
+/**
+ * Group equivalent offers into canonical products
+ * Offers with an EAN are grouped by EAN. Offers without one are grouped by
+ * name and size, and join an EAN group when exactly one EAN group has the
+ * same name and size.
+ * @param {Array} tilbud
+ * @returns {Array<{key: string, tilbud: Array}>} Groups in first-seen order
+ */
+function groupOffers(tilbud) {
+  const groups = new Map();
+  const eanKeysByName = new Map();
+
+  const add = (key, item) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  };
+
+  for (const item of tilbud) {
+    const eanKey = getEanKey(item);
+    if (!eanKey) continue;
+
+    add(eanKey, item);
+    const nameKey = getNameKey(item);
+    if (nameKey) {
+      if (!eanKeysByName.has(nameKey)) eanKeysByName.set(nameKey, new Set());
+      eanKeysByName.get(nameKey).add(eanKey);
+    }
+  }
+
+  for (const item of tilbud) {
+    if (getEanKey(item)) continue;
+
+    const nameKey = getNameKey(item);
+    if (!nameKey) {
+      add(`id:${item.id}`, item);
+      continue;
+    }
+
+    const eanKeys = eanKeysByName.get(nameKey);
+    add(eanKeys && eanKeys.size === 1 ? [...eanKeys][0] : nameKey, item);
+  }
+
+  return [...groups.entries()].map(([key, items]) => ({ key, tilbud: items }));
+}
+
+/**
+ * Compare the prices of a tilbud across all stores selling the same product
+ * @param {Object} tilbud - The tilbud to compare
+ * @param {Array} allTilbud - All current tilbud
+ * @returns {Object} Canonical product and prices, cheapest first
+ */
+function comparePrices(tilbud, allTilbud) {
+  const group = groupOffers(allTilbud).find(g => g.tilbud.some(t => t.id === tilbud.id));
+  const matches = group ? group.tilbud : [tilbud];
+
+  const priser = [...matches]
+    .sort((a, b) => a.tilbudspris - b.tilbudspris || a.id - b.id)
+    .map(t => ({
+      id: t.id,
+      butik: t.butik,
+      butikId: t.butikId || null,
+      butikNavn: t.butikNavn || null,
+      normalpris: t.normalpris,
+      tilbudspris: t.tilbudspris,
+      rabat: t.rabat,
+      enhedspris: t.enhedspris ?? null
+    }));
+
+  const billigstePris = priser[0].tilbudspris;
+  const hoejestePris = priser[priser.length - 1].tilbudspris;
+  const size = tilbud.maengde && tilbud.enhed
+    ? { maengde: tilbud.maengde, enhed: tilbud.enhed }
+    : parsePackageSize(tilbud.navn);
+
+  return {
+    produkt: {
+      key: group ? group.key : getNameKey(tilbud),
+      navn: tilbud.navn,
+      ean: tilbud._ean || null,
+      maengde: size ? size.maengde : null,
+      enhed: size ? size.enhed : null
+    },
+    antalButikker: new Set(priser.map(p => `${p.butik}|${p.butikId || ''}`)).size,
+    billigstePris,
+    hoejestePris,
+    prisforskel: Math.round((hoejestePris - billigstePris) * 100) / 100,
+    priser: priser.map(p => ({
+      ...p,
+      billigst: p.tilbudspris === billigstePris,
+      valgt: p.id === tilbud.id
+    }))
+  };
+}
+
+module.exports = {
+  getEanKey,
+  getNameKey,
+  groupOffers,
+  comparePrices
+};
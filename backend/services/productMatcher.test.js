@@ -0,0 +1,81 @@
+const { getEanKey, getNameKey, groupOffers, comparePrices } = require('./productMatcher');
+
+const tilbud = [
+  { id: 1, navn: 'Smør 250g', butik: 'Rema 1000', normalpris: 18.95, tilbudspris: 12.95, rabat: 32, enhedspris: 51.8 },
+  { id: 2, navn: 'SMØR 250 g', butik: 'Netto', butikId: 'netto-1', butikNavn: 'Netto Trøjborg', normalpris: 19.95, tilbudspris: 11.95, rabat: 40, enhedspris: 47.8 },
+  { id: 3, navn: 'Smør 500g', butik: 'Aldi', normalpris: 34.95, tilbudspris: 24.95, rabat: 29 },
+  { id: 4, navn: 'Lurpak Smørbar 200 g', butik: 'Føtex', normalpris: 25, tilbudspris: 20, rabat: 20, _ean: '5740900400528' },
+  { id: 5, navn: 'Lurpak Smørbar 200g', butik: 'Bilka', normalpris: 24, tilbudspris: 18, rabat: 25, _ean: '5740900400528' },
+  { id: 6, navn: 'Lurpak Smørbar 200g', butik: 'Rema 1000', normalpris: 26, tilbudspris: 22, rabat: 15 }
+];
+
+describe('productMatcher', () => {
+  describe('getEanKey', () => {
+    it('uses the EAN when present', () => {
+      expect(getEanKey(tilbud[3])).toBe('ean:5740900400528');
+      expect(getEanKey(tilbud[0])).toBeNull();
+    });
+  });
+
+  describe('getNameKey', () => {
+    it('combines the normalized name and package size', () => {
+      expect(getNameKey(tilbud[0])).toBe('navn:smoer|0.25kg');
+      expect(getNameKey(tilbud[1])).toBe('navn:smoer|0.25kg');
+      expect(getNameKey(tilbud[2])).toBe('navn:smoer|0.5kg');
+    });
+
+    it('uses the name alone without a package size', () => {
+      expect(getNameKey({ navn: 'Hakket Oksekød 8-12%' })).toBe('navn:hakket oksekoed 8 12');
+    });
+  });
+
+  describe('groupOffers', () => {
+    it('groups by EAN, then by name and size', () => {
+      const groups = groupOffers(tilbud);
+      const ids = groups.map(g => g.tilbud.map(t => t.id));
+
+      expect(ids).toEqual([[4, 5, 6], [1, 2], [3]]);
+      expect(groups[0].key).toBe('ean:5740900400528');
+    });
+
+    it('does not join an EAN group when the name is ambiguous', () => {
+      const groups = groupOffers([
+        { id: 1, navn: 'Smør 250g', _ean: '111' },
+        { id: 2, navn: 'Smør 250g', _ean: '222' },
+        { id: 3, navn: 'Smør 250g' }
+      ]);
+
+      expect(groups.map(g => g.key)).toEqual(['ean:111', 'ean:222', 'navn:smoer|0.25kg']);
+    });
+  });
+
+  describe('comparePrices', () => {
+    it('lists prices at each store, cheapest first', () => {
+      const comparison = comparePrices(tilbud[0], tilbud);
+
+      expect(comparison.produkt).toEqual({
+        key: 'navn:smoer|0.25kg',
+        navn: 'Smør 250g',
+        ean: null,
+        maengde: 0.25,
+        enhed: 'kg'
+      });
+      expect(comparison.antalButikker).toBe(2);
+      expect(comparison.billigstePris).toBe(11.95);
+      expect(comparison.hoejestePris).toBe(12.95);
+      expect(comparison.prisforskel).toBe(1);
+      expect(comparison.priser).toEqual([
+        expect.objectContaining({ id: 2, butik: 'Netto', butikNavn: 'Netto Trøjborg', billigst: true, valgt: false }),
+        expect.objectContaining({ id: 1, butik: 'Rema 1000', enhedspris: 51.8, billigst: false, valgt: true })
+      ]);
+    });
+
+    it('returns only the tilbud itself when nothing matches', () => {
+      const comparison = comparePrices(tilbud[2], tilbud);
+
+      expect(comparison.priser).toHaveLength(1);
+      expect(comparison.antalButikker).toBe(1);
+      expect(comparison.prisforskel).toBe(0);
+    });
+  });
+});
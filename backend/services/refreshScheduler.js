@@ -0,0 +1,178 @@
+// Refresh Scheduler
+// Keeps offer snapshots fresh in the background, one timer per offer source
+
+// Used for sources that do not set refreshInterval
+const DEFAULT_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// First retry after a failed refresh; doubled for every further failure
+const RETRY_BASE_MS = 30 * 1000;
+
+// Intervals vary by up to ±10%, so sources and servers do not refresh in lockstep
+const DEFAULT_JITTER = 0.1;
+
+/**
+ * RefreshScheduler
+ *
+ * Refreshes each enabled offer source on its own interval (from its
+ * refreshInterval) for every active zip code, so requests are served from
+ * the latest good snapshot instead of waiting for slow sources. After a
+ * failed refresh the source is retried with exponential backoff, starting at
+ * 30 seconds and never waiting longer than its normal interval.
+ */
+class RefreshScheduler {
+  /**
+   * @param {TilbudDataService} tilbudService
+   * @param {Object} [options]
+   * @param {number} [options.jitter] - Random variation of every delay (0-1)
+   * @param {number} [options.retryBaseMs] - First retry delay after a failure
+   * @param {Function} [options.random] - Random number source (for tests)
+   */
+  constructor(tilbudService, options = {}) {
+    this.tilbudService = tilbudService;
+    this.jitter = options.jitter ?? DEFAULT_JITTER;
+    this.retryBaseMs = options.retryBaseMs || RETRY_BASE_MS;
+    this.random = options.random || Math.random;
+    // Per source: { timer, nextRefresh, consecutiveFailures, running }
+    this.sources = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Start refreshing all registered sources
+   * All sources are fetched once right away, so the first request does not
+   * wait for them; after that each source is refreshed on its own interval.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    for (const zipCode of this.tilbudService.getActiveZipCodes()) {
+      this.tilbudService.refresh(zipCode).catch(error => {
+        console.error('[ERROR] Initial refresh failed', { zipCode, error: error.message });
+      });
+    }
+
+    for (const source of this.tilbudService.registry.getSources()) {
+      const info = source.getSourceInfo();
+      if (!info.enabled) continue;
+
+      this.sources.set(info.id, { timer: null, nextRefresh: null, consecutiveFailures: 0, running: false });
+      this._schedule(info.id, this.nextDelay(info, 0));
+    }
+
+    console.log(`[INFO] Refresh scheduler started for ${this.sources.size} offer sources`);
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    this.running = false;
+    for (const state of this.sources.values()) {
+      clearTimeout(state.timer);
+    }
+    this.sources.clear();
+  }
+
+  /**
+   * Get a source's refresh interval
+   * @param {Object} info - Source info
+   * @returns {number} ms
+   * @private
+   */
+  _interval(info) {
+    return info.refreshInterval || DEFAULT_REFRESH_INTERVAL_MS;
+  }
+
+  /**
+   * Delay until the next refresh, with backoff after failures and jitter
+   * @param {Object} info - Source info
+   * @param {number} consecutiveFailures
+   * @returns {number} ms
+   */
+  nextDelay(info, consecutiveFailures) {
+    const interval = this._interval(info);
+    const base = consecutiveFailures > 0
+      ? Math.min(interval, this.retryBaseMs * 2 ** (consecutiveFailures - 1))
+      : interval;
+
+    return Math.round(base * (1 + this.jitter * (2 * this.random() - 1)));
+  }
+
+  /**
+   * Schedule the next refresh of a source
+   * @param {string} sourceId
+   * @param {number} delay - ms
+   * @private
+   */
+  _schedule(sourceId, delay) {
+    const state = this.sources.get(sourceId);
+    if (!state) return;
+
+    state.nextRefresh = Date.now() + delay;
+    state.timer = setTimeout(() => this.refreshSource(sourceId), delay);
+    // Never keep the process alive just for a refresh
+    if (state.timer.unref) state.timer.unref();
+  }
+
+  /**
+   * Refresh one source for all active zip codes, then schedule its next refresh
+   * @param {string} sourceId
+   * @returns {Promise<void>}
+   */
+  async refreshSource(sourceId) {
+    const state = this.sources.get(sourceId);
+    const source = this.tilbudService.registry.getSource(sourceId);
+    if (!state || state.running) return;
+
+    state.running = true;
+    let failed = false;
+
+    // A source can be disabled or removed while the server runs
+    const info = source ? source.getSourceInfo() : null;
+    if (info && info.enabled) {
+      for (const zipCode of this.tilbudService.getActiveZipCodes()) {
+        try {
+          // The snapshot holds this zip code's result of every source
+          const snapshot = await this.tilbudService.refresh(zipCode, { sourceIds: [sourceId] });
+          const result = snapshot.sources.find(s => s.id === sourceId);
+          if (result && result.error) failed = true;
+        } catch (error) {
+          console.error(`[ERROR] Scheduled refresh of ${sourceId} failed`, { zipCode, error: error.message });
+          failed = true;
+        }
+      }
+    }
+
+    state.running = false;
+    state.consecutiveFailures = failed ? state.consecutiveFailures + 1 : 0;
+    if (!this.running) return;
+
+    const delay = this.nextDelay(info || {}, state.consecutiveFailures);
+    if (failed) {
+      console.log(`[INFO] Retrying ${sourceId} in ${Math.round(delay / 1000)}s (failure ${state.consecutiveFailures})`);
+    }
+    this._schedule(sourceId, delay);
+  }
+
+  /**
+   * Get the schedule of each source
+   * @returns {Object<string, {nextRefresh: number|null, consecutiveFailures: number}>} By source ID
+   */
+  getStatus() {
+    const status = {};
+    for (const [sourceId, state] of this.sources) {
+      status[sourceId] = {
+        nextRefresh: state.nextRefresh,
+        consecutiveFailures: state.consecutiveFailures
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = {
+  RefreshScheduler,
+  DEFAULT_REFRESH_INTERVAL_MS,
+  RETRY_BASE_MS
+};
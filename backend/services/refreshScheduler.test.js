@@ -0,0 +1,123 @@
+const { RefreshScheduler } = require('./refreshScheduler');
+
+describe('RefreshScheduler', () => {
+  const MINUTE = 60 * 1000;
+
+  // Snapshot with the result of the refreshed sources
+  const snapshot = (sourceIds = [], error = null) => ({
+    sources: sourceIds.map(id => ({ id, error }))
+  });
+
+  const createService = (sources) => {
+    const registry = {
+      getSources: () => sources.map(info => ({ getSourceInfo: () => info })),
+      getSource: (id) => {
+        const info = sources.find(source => source.id === id);
+        return info ? { getSourceInfo: () => info } : null;
+      }
+    };
+
+    return {
+      registry,
+      getActiveZipCodes: jest.fn(() => ['8000', '2100']),
+      refresh: jest.fn(async (zipCode, options = {}) => snapshot(options.sourceIds))
+    };
+  };
+
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('refreshes everything at start, then each enabled source on its interval', async () => {
+    const service = createService([
+      { id: 'salling', enabled: true, refreshInterval: 15 * MINUTE },
+      { id: 'mock', enabled: true, refreshInterval: 60 * MINUTE },
+      { id: 'off', enabled: false }
+    ]);
+    scheduler = new RefreshScheduler(service, { jitter: 0 });
+
+    scheduler.start();
+    expect(service.refresh.mock.calls).toEqual([['8000'], ['2100']]);
+
+    service.refresh.mockClear();
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+    expect(service.refresh.mock.calls).toEqual([
+      ['8000', { sourceIds: ['salling'] }],
+      ['2100', { sourceIds: ['salling'] }]
+    ]);
+    expect(scheduler.getStatus()).toEqual({
+      salling: { nextRefresh: Date.now() + 15 * MINUTE, consecutiveFailures: 0 },
+      mock: { nextRefresh: Date.now() + 45 * MINUTE, consecutiveFailures: 0 }
+    });
+  });
+
+  it('backs off after failures and resets on success', async () => {
+    const service = createService([{ id: 'salling', enabled: true, refreshInterval: 15 * MINUTE }]);
+    service.refresh.mockImplementation(async (zipCode, options = {}) => snapshot(options.sourceIds, 'timeout'));
+    scheduler = new RefreshScheduler(service, { jitter: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+    expect(scheduler.getStatus().salling).toEqual({ nextRefresh: Date.now() + 30 * 1000, consecutiveFailures: 1 });
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(scheduler.getStatus().salling).toEqual({ nextRefresh: Date.now() + 60 * 1000, consecutiveFailures: 2 });
+
+    service.refresh.mockImplementation(async (zipCode, options = {}) => snapshot(options.sourceIds));
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(scheduler.getStatus().salling).toEqual({ nextRefresh: Date.now() + 15 * MINUTE, consecutiveFailures: 0 });
+    console.log.mockRestore();
+  });
+
+  it('counts a failure in any zip code, even when a later one succeeds', async () => {
+    const service = createService([{ id: 'salling', enabled: true, refreshInterval: 15 * MINUTE }]);
+    scheduler = new RefreshScheduler(service, { jitter: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    scheduler.start();
+    service.refresh.mockImplementation(async (zipCode, options = {}) =>
+      snapshot(options.sourceIds, zipCode === '8000' ? 'timeout' : null));
+    await jest.advanceTimersByTimeAsync(15 * MINUTE);
+    expect(scheduler.getStatus().salling.consecutiveFailures).toBe(1);
+
+    service.refresh.mockImplementation(async (zipCode, options = {}) => {
+      if (zipCode === '8000') throw new Error('queue failed');
+      return snapshot(options.sourceIds);
+    });
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(scheduler.getStatus().salling.consecutiveFailures).toBe(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('salling failed'), { zipCode: '8000', error: 'queue failed' });
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('never waits longer than the interval and applies jitter', () => {
+    scheduler = new RefreshScheduler(createService([]), { jitter: 0.1, random: () => 1 });
+    const info = { refreshInterval: 15 * MINUTE };
+
+    expect(scheduler.nextDelay(info, 0)).toBe(16.5 * MINUTE);
+    expect(scheduler.nextDelay(info, 10)).toBe(16.5 * MINUTE);
+    expect(scheduler.nextDelay({}, 0)).toBe(66 * MINUTE);
+  });
+
+  it('stops all timers', async () => {
+    const service = createService([{ id: 'salling', enabled: true, refreshInterval: 15 * MINUTE }]);
+    scheduler = new RefreshScheduler(service, { jitter: 0 });
+
+    scheduler.start();
+    scheduler.stop();
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+
+    expect(service.refresh).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStatus()).toEqual({});
+  });
+});
@@ -1,356 +1,81 @@
-const axios = require('axios');
 const NodeCache = require('node-cache');
+const { searchTilbud } = require('./tilbudSearch');
+const { OfferSourceRegistry } = require('./offerSourceRegistry');
+const { getDefaultTaxonomy } = require('./categoryTaxonomy');
+const { withUnitPrice } = require('./unitPrice');
+const { comparePrices } = require('./productMatcher');
+const { OfferChangeLog, withPreviousPrices } = require('./offerChangeLog');
+const { OfferValidator } = require('./offerValidator');
+const { scoreOffer } = require('./nutritionScore');
+const { SallingGroupAdapter, transformStore } = require('../offer-sources/SallingGroupAdapter');
+const { MockDataAdapter } = require('../offer-sources/MockDataAdapter');
+const { TilbudsavisAdapter } = require('../offer-sources/TilbudsavisAdapter');
+const {
+  inferCategory,
+  classifyProduct,
+  normalizeBrand,
+  generateStableId,
+  SALLING_ID_BASE
+} = require('../offer-sources/offerUtils');
 
 // Initialize cache with 1 hour TTL
 const cache = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
 
-// Category inference mapping
-const CATEGORY_KEYWORDS = {
-  'Kød': ['oksekød', 'svinekød', 'kylling', 'kød', 'bacon', 'pølse', 'hakket'],
-  'Mejeri': ['mælk', 'yoghurt', 'ost', 'smør', 'fløde', 'skyr', 'æg'],
-  'Frugt': ['banan', 'æble', 'pære', 'appelsin', 'citron', 'drue', 'frugt'],
-  'Grøntsager': ['tomat', 'agurk', 'salat', 'peber', 'løg', 'gulerod', 'kartoffel'],
-  'Fisk': ['laks', 'torsk', 'tun', 'reje', 'fisk', 'sild'],
-  'Brød': ['brød', 'bolle', 'rundstykke', 'toast', 'bagel'],
-  'Drikkevarer': ['cola', 'vand', 'juice', 'sodavand', 'øl', 'vin', 'kaffe', 'te'],
-  'Tørvarer': ['pasta', 'ris', 'mel', 'sukker', 'havregryn', 'müsli'],
-  'Snacks': ['chips', 'chokolade', 'slik', 'kiks', 'nødder'],
-  'Diverse': []
+// Danish postal codes are exactly 4 digits
+const POSTNUMMER_PATTERN = /^\d{4}$/;
+
+// Sort options for tilbud lists: value to sort by and default direction
+const SORT_OPTIONS = {
+  rabat: { value: t => t.rabat, order: 'desc' },
+  tilbudspris: { value: t => t.tilbudspris, order: 'asc' },
+  besparelse: { value: t => t.normalpris - t.tilbudspris, order: 'desc' },
+  enhedspris: { value: t => t.enhedspris, order: 'asc' },
+  expiry: { value: t => getExpiryTime(t), order: 'asc' }
 };
 
+// Snapshots older than this are never served while refreshing; the request waits instead
+const MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+// Zip codes requested within this window are kept fresh by the refresh scheduler
+const ACTIVE_ZIP_CODE_MS = 24 * 60 * 60 * 1000;
+
+// Pagination limits
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
 /**
- * Infer category from product name
- * @param {string} productName
- * @returns {string} Category name
+ * Check whether a value is a valid Danish postnummer
+ * @param {string} postnummer
+ * @returns {boolean}
  */
-function inferCategory(productName) {
-  if (!productName) return 'Diverse';
-  
-  const nameLower = productName.toLowerCase();
-  
-  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    if (category === 'Diverse') continue;
-    
-    for (const keyword of keywords) {
-      if (nameLower.includes(keyword)) {
-        return category;
-      }
-    }
-  }
-  
-  return 'Diverse';
+function isValidPostnummer(postnummer) {
+  return typeof postnummer === 'string' && POSTNUMMER_PATTERN.test(postnummer);
 }
 
 /**
- * Normalize store brand name
- * @param {string} brand
- * @returns {string} Normalized brand name
+ * Get when an offer expires
+ * Salling sends ISO times; tilbudsaviser end at 23:59:59 local time on gyldigTil
+ * @param {Object} tilbud
+ * @returns {number|null} ms, null if the offer has no (valid) expiry date
  */
-function normalizeBrand(brand) {
-  if (!brand) return 'Ukendt';
-  
-  const brandMap = {
-    'netto': 'Netto',
-    'foetex': 'Føtex',
-    'bilka': 'Bilka',
-    'salling': 'Salling'
-  };
-  
-  return brandMap[brand.toLowerCase()] || brand;
+function getExpiryTime(tilbud) {
+  const time = tilbud._expiryDate ? Date.parse(tilbud._expiryDate) : NaN;
+  return Number.isFinite(time) ? time : null;
 }
 
 /**
- * Salling Group API Adapter
+ * Fill in underkategori for offers from sources that only set a kategori
+ * The classifier's underkategori is only kept when it agrees with the source's kategori
+ * @param {Object} tilbud
+ * @returns {Object}
  */
-class SallingGroupAdapter {
-  constructor(apiKey, baseUrl = 'https://api.sallinggroup.com', zipCode = '8000') {
-    this.apiKey = apiKey;
-    this.baseUrl = baseUrl;
-    this.zipCode = zipCode;
-  }
-
-  /**
-   * Fetch food waste clearance offers from Salling Group API
-   * @returns {Promise<Array>} Array of clearance offers
-   */
-  async fetchFoodWaste() {
-    if (!this.apiKey) {
-      console.warn('[WARN] Salling API key not configured, skipping API call');
-      return [];
-    }
-
-    try {
-      const url = `${this.baseUrl}/v1/food-waste`;
-      const params = { zip: this.zipCode };
-      const headers = {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Accept': 'application/json'
-      };
-
-      console.log(`[INFO] Fetching food waste data from Salling API`, { 
-        url, 
-        zipCode: this.zipCode 
-      });
-
-      const response = await axios.get(url, { params, headers, timeout: 5000 });
-      
-      const clearances = response.data || [];
-      console.log(`[SUCCESS] Retrieved ${clearances.length} clearance offers from Salling API`);
-      
-      return clearances;
-    } catch (error) {
-      console.error('[ERROR] Failed to fetch from Salling API:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Transform Salling API clearance data to our schema
-   * @param {Array} clearances - Raw clearance data from API
-   * @returns {Array} Transformed tilbud array
-   */
-  transformToSchema(clearances) {
-    if (!Array.isArray(clearances)) {
-      console.warn('[WARN] Invalid clearances data, expected array');
-      return [];
-    }
+function withUnderkategori(tilbud) {
+  if (tilbud.underkategori !== undefined) return tilbud;
 
-    const transformed = [];
-    let idCounter = 1000; // Start IDs at 1000 to avoid conflict with mock data
-
-    for (const clearance of clearances) {
-      try {
-        const { offer, product, store } = clearance;
-        
-        if (!offer || !product || !store) {
-          console.warn('[WARN] Incomplete clearance data, skipping', { clearance });
-          continue;
-        }
-
-        const productName = product.description || 'Ukendt Produkt';
-        const category = inferCategory(productName);
-        const storeBrand = normalizeBrand(store.brand);
-
-        const tilbud = {
-          id: idCounter++,
-          navn: productName,
-          butik: storeBrand,
-          kategori: category,
-          normalpris: parseFloat(offer.originalPrice) || 0,
-          tilbudspris: parseFloat(offer.newPrice) || 0,
-          rabat: Math.round(offer.percentDiscount || 0),
-          billedeUrl: product.image || '/images/placeholder.jpg',
-          // Extra metadata for debugging
-          _source: 'salling-api',
-          _ean: offer.ean,
-          _stock: offer.stock,
-          _expiryDate: offer.endTime
-        };
-
-        transformed.push(tilbud);
-      } catch (error) {
-        console.error('[ERROR] Failed to transform clearance item:', {
-          error: error.message,
-          clearance
-        });
-      }
-    }
-
-    console.log(`[INFO] Transformed ${transformed.length} items to schema`);
-    return transformed;
-  }
+  const { kategori, underkategori } = classifyProduct(tilbud.navn);
+  if (!tilbud.kategori) return { ...tilbud, kategori, underkategori };
 
-  /**
-   * Fetch and transform data in one call
-   * @returns {Promise<Array>} Array of tilbud
-   */
-  async getTilbud() {
-    const clearances = await this.fetchFoodWaste();
-    return this.transformToSchema(clearances);
-  }
-}
-
-/**
- * Mock Data Adapter for stores not covered by Salling API
- */
-class MockDataAdapter {
-  /**
-   * Get enhanced mock data for stores like Rema 1000, Aldi, etc.
-   * @returns {Array} Mock tilbud array
-   */
-  getEnhancedMockData() {
-    return [
-      {
-        id: 1,
-        navn: 'Hakket Oksekød 8-12%',
-        butik: 'Rema 1000',
-        kategori: 'Kød',
-        normalpris: 59.95,
-        tilbudspris: 39.95,
-        rabat: 33,
-        billedeUrl: '/images/oksekoed.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 4,
-        navn: 'Coca Cola 1,5L',
-        butik: 'Rema 1000',
-        kategori: 'Drikkevarer',
-        normalpris: 20.00,
-        tilbudspris: 12.00,
-        rabat: 40,
-        billedeUrl: '/images/cola.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 7,
-        navn: 'Smør 250g',
-        butik: 'Rema 1000',
-        kategori: 'Mejeri',
-        normalpris: 18.95,
-        tilbudspris: 12.95,
-        rabat: 32,
-        billedeUrl: '/images/smoer.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 10,
-        navn: 'Æg 10 stk',
-        butik: 'Rema 1000',
-        kategori: 'Mejeri',
-        normalpris: 25.95,
-        tilbudspris: 19.95,
-        rabat: 23,
-        billedeUrl: '/images/aeg.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 13,
-        navn: 'Spaghetti 500g',
-        butik: 'Rema 1000',
-        kategori: 'Tørvarer',
-        normalpris: 12.95,
-        tilbudspris: 8.95,
-        rabat: 31,
-        billedeUrl: '/images/pasta.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 16,
-        navn: 'Frisk Laks 400g',
-        butik: 'Rema 1000',
-        kategori: 'Fisk',
-        normalpris: 69.95,
-        tilbudspris: 49.95,
-        rabat: 29,
-        billedeUrl: '/images/laks.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 19,
-        navn: 'Bananer 1kg',
-        butik: 'Rema 1000',
-        kategori: 'Frugt',
-        normalpris: 15.00,
-        tilbudspris: 10.00,
-        rabat: 33,
-        billedeUrl: '/images/bananer.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 101,
-        navn: 'Økologisk Mælk 1L',
-        butik: 'Aldi',
-        kategori: 'Mejeri',
-        normalpris: 12.95,
-        tilbudspris: 8.95,
-        rabat: 31,
-        billedeUrl: '/images/maelk.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 102,
-        navn: 'Friske Jordbær 250g',
-        butik: 'Aldi',
-        kategori: 'Frugt',
-        normalpris: 25.00,
-        tilbudspris: 15.00,
-        rabat: 40,
-        billedeUrl: '/images/jordbaer.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 103,
-        navn: 'Grahamsboller 6 stk',
-        butik: 'Aldi',
-        kategori: 'Brød',
-        normalpris: 15.95,
-        tilbudspris: 11.95,
-        rabat: 25,
-        billedeUrl: '/images/boller.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 104,
-        navn: 'Kyllingebryst 500g',
-        butik: 'Aldi',
-        kategori: 'Kød',
-        normalpris: 45.00,
-        tilbudspris: 29.95,
-        rabat: 33,
-        billedeUrl: '/images/kylling.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 105,
-        navn: 'Gulerødder 1kg',
-        butik: 'Aldi',
-        kategori: 'Grøntsager',
-        normalpris: 12.95,
-        tilbudspris: 7.95,
-        rabat: 39,
-        billedeUrl: '/images/guleroedder.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 106,
-        navn: 'Kartofler 2kg',
-        butik: 'Aldi',
-        kategori: 'Grøntsager',
-        normalpris: 18.95,
-        tilbudspris: 12.95,
-        rabat: 32,
-        billedeUrl: '/images/kartofler.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 107,
-        navn: 'Havregryn 750g',
-        butik: 'Aldi',
-        kategori: 'Tørvarer',
-        normalpris: 14.95,
-        tilbudspris: 9.95,
-        rabat: 33,
-        billedeUrl: '/images/havregryn.jpg',
-        _source: 'mock-data'
-      },
-      {
-        id: 108,
-        navn: 'Appelsinjuice 1L',
-        butik: 'Aldi',
-        kategori: 'Drikkevarer',
-        normalpris: 16.95,
-        tilbudspris: 11.95,
-        rabat: 29,
-        billedeUrl: '/images/juice.jpg',
-        _source: 'mock-data'
-      }
-    ];
-  }
+  return { ...tilbud, underkategori: kategori === tilbud.kategori ? underkategori : null };
 }
 
 /**
@@ -359,73 +84,315 @@ class MockDataAdapter {
  */
 class TilbudDataService {
   constructor(config = {}) {
-    this.sallingAdapter = new SallingGroupAdapter(
-      config.sallingApiKey,
-      config.sallingBaseUrl,
-      config.sallingZipCode
-    );
-    this.mockAdapter = new MockDataAdapter();
+    this.defaultZipCode = config.sallingZipCode || '8000';
     this.enableRealData = config.enableRealData !== false;
     this.enableMockFallback = config.enableMockFallback !== false;
+    // Optional OfferHistoryService - when set, fetched offers are persisted
+    this.offerHistory = config.offerHistory || null;
+    // Optional ManualOfferService - admin curated tilbud and overrides
+    this.manualOffers = config.manualOffers || null;
+    // Optional NutritionService - when set, snapshots store each offer's allergens and nutrition scores
+    this.nutritionService = config.nutritionService || null;
+    // Pending barcode lookups by zip code (see resolveBarcodes)
+    this.barcodeLookups = new Map();
+    // Changes between snapshots, for /api/tilbud/changes and ETags
+    this.changeLog = new OfferChangeLog();
+    // Per-source validation rules and quarantined offers (see offerValidator.js)
+    this.validator = new OfferValidator({ rules: config.validationRules });
+    // Latest snapshot per zip code, served while a newer one is fetched
+    this.snapshots = new Map();
+    // Latest result per zip code and source, so sources can be refreshed one at a time
+    this.sourceResults = new Map();
+    // Pending refreshes by zip code and sources, and the last refresh queued per zip code
+    this.refreshes = new Map();
+    this.refreshQueue = new Map();
+    // Outcome of the last fetch of each source
+    this.sourceStatus = new Map();
+    // When each zip code was last requested
+    this.zipCodeRequests = new Map();
+
+    this.registry = new OfferSourceRegistry();
+    this.registry.register(new SallingGroupAdapter(
+      config.sallingApiKey,
+      config.sallingBaseUrl,
+      this.defaultZipCode,
+      { enabled: this.enableRealData }
+    ));
+    this.registry.register(new TilbudsavisAdapter({
+      directory: config.tilbudsavisDir,
+      enabled: config.enableTilbudsaviser !== false
+    }));
+    this.registry.register(new MockDataAdapter({ enabled: this.enableMockFallback }));
+
+    // Additional IOfferSource implementations (e.g. new chains) from config
+    (config.offerSources || []).forEach(source => this.registry.register(source));
+  }
+
+  /**
+   * Register an offer source
+   * Cached snapshots are cleared so the next request includes the new source
+   * @param {IOfferSource} source
+   */
+  registerOfferSource(source) {
+    this.registry.register(source);
+    this.clearCache();
+  }
+
+  /**
+   * Resolve the zip code to query, falling back to the configured default
+   * @param {string} [postnummer]
+   * @returns {string}
+   */
+  resolveZipCode(postnummer) {
+    return isValidPostnummer(postnummer) ? postnummer : this.defaultZipCode;
   }
 
   /**
    * Fetch tilbud from all sources with caching
+   * Offers are fetched and cached per zip code
+   * @param {Object} [options]
+   * @param {string} [options.postnummer] - Zip code for Salling clearance offers
    * @returns {Promise<Array>} Combined tilbud array
    */
-  async getTilbud() {
+  async getTilbud(options = {}) {
+    const snapshot = await this.getSnapshot(options);
+    return snapshot.data;
+  }
+
+  /**
+   * Get the latest snapshot of offers and stores for a zip code
+   * A fresh snapshot comes from the cache. When it has expired, the previous
+   * snapshot is served while a new one is fetched in the background
+   * (stale-while-revalidate); only the first request for a zip code waits.
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<{data: Array, stores: Array, timestamp: number, version: string, lastModified: number, expiresAt: number|null, sources: Array}>}
+   */
+  async getSnapshot(options = {}) {
+    const zipCode = this.resolveZipCode(options.postnummer);
+    this.zipCodeRequests.set(zipCode, Date.now());
+
     // Check cache first
-    const cacheKey = 'tilbud_all';
+    const cacheKey = `tilbud_all_${zipCode}`;
     const cached = cache.get(cacheKey);
     
+    if (cached && this.hasExpiredOffers(cached)) {
+      // Rebuild from the latest source results without the expired offers
+      console.log('[INFO] Tilbud expired, rebuilding snapshot', { zipCode });
+      return this.refresh(zipCode, { sourceIds: [] });
+    }
+
     if (cached) {
       const cacheAge = Math.round((Date.now() - cached.timestamp) / 1000 / 60);
       console.log(`[CACHE] Returning cached tilbud`, { 
+        zipCode,
         count: cached.data.length,
         ageMinutes: cacheAge
       });
-      return cached.data;
+      return cached;
     }
 
-    console.log('[INFO] Cache miss, fetching fresh tilbud data');
+    const stale = this.snapshots.get(zipCode);
+    if (stale && Date.now() - stale.timestamp < MAX_STALE_MS && !this.hasExpiredOffers(stale)) {
+      console.log('[CACHE] Returning stale tilbud, refreshing in background', {
+        zipCode,
+        ageMinutes: Math.round((Date.now() - stale.timestamp) / 1000 / 60)
+      });
+      this.refresh(zipCode).catch(error => {
+        console.error('[ERROR] Background refresh failed', { zipCode, error: error.message });
+      });
+      return stale;
+    }
 
-    let allTilbud = [];
+    console.log('[INFO] Cache miss, fetching fresh tilbud data', { zipCode });
+    return this.refresh(zipCode);
+  }
 
-    // Fetch from Salling API if enabled
-    if (this.enableRealData) {
-      try {
-        const sallingTilbud = await this.sallingAdapter.getTilbud();
-        allTilbud = allTilbud.concat(sallingTilbud);
-        
-        // Store successful API response as fallback
-        cache.set('tilbud_last_success', {
-          data: sallingTilbud,
+  /**
+   * Fetch offer sources for a zip code and build a new snapshot
+   * Other sources keep their latest result, so each source can be refreshed on
+   * its own schedule. Refreshes of a zip code run one at a time; a request for
+   * a refresh that is already pending shares it.
+   * @param {string} zipCode
+   * @param {Object} [options]
+   * @param {Array<string>} [options.sourceIds] - Only fetch these sources (default: all)
+   * @returns {Promise<Object>} The new snapshot
+   */
+  refresh(zipCode, options = {}) {
+    const key = `${zipCode}:${options.sourceIds ? options.sourceIds.join(',') : '*'}`;
+    const pending = this.refreshes.get(key);
+    if (pending) return pending;
+
+    const previous = this.refreshQueue.get(zipCode) || Promise.resolve();
+    const run = previous
+      .catch(() => {})
+      .then(() => this._refresh(zipCode, options.sourceIds))
+      .finally(() => this.refreshes.delete(key));
+
+    this.refreshes.set(key, run);
+    this.refreshQueue.set(zipCode, run);
+    return run;
+  }
+
+  /**
+   * Fetch sources and build a snapshot (see refresh)
+   * @param {string} zipCode
+   * @param {Array<string>} [sourceIds]
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _refresh(zipCode, sourceIds) {
+    if (!this.sourceResults.has(zipCode)) this.sourceResults.set(zipCode, new Map());
+    const latest = this.sourceResults.get(zipCode);
+
+    // Sources without a result for this zip code yet are always fetched
+    const enabled = this.registry.getSources()
+      .map(source => source.getSourceInfo())
+      .filter(info => info.enabled);
+    const fetchIds = enabled
+      .map(info => info.id)
+      .filter(id => !sourceIds || sourceIds.includes(id) || !latest.has(id));
+
+    const results = await this.registry.fetchAll({ postnummer: zipCode, sourceIds: fetchIds });
+
+    for (const result of results) {
+      if (!result.error) this.validateResult(result, zipCode);
+      this.recordSourceStatus(result, zipCode);
+      latest.set(result.info.id, result);
+      // When the offers were fetched; a fallback keeps the time of its response
+      result.fetchedAt = result.error ? null : Date.now();
+      result.fallback = false;
+
+      // Live sources keep their last successful response as fallback
+      if (!result.info.live) continue;
+      const fallbackKey = `tilbud_last_success_${result.info.id}_${zipCode}`;
+
+      if (!result.error) {
+        this.persistOffers(result.tilbud, zipCode);
+        cache.set(fallbackKey, {
+          data: result.tilbud,
+          stores: result.stores,
           timestamp: Date.now()
         }, 86400); // Keep for 24 hours
-      } catch (error) {
-        console.error('[ERROR] Salling API failed, attempting fallback', {
-          error: error.message
-        });
+        continue;
+      }
 
-        // Try to use last successful response
-        const lastSuccess = cache.get('tilbud_last_success');
-        if (lastSuccess) {
-          const ageHours = Math.round((Date.now() - lastSuccess.timestamp) / 1000 / 60 / 60);
-          console.log(`[FALLBACK] Using last successful API response`, {
-            count: lastSuccess.data.length,
-            ageHours
-          });
-          allTilbud = allTilbud.concat(lastSuccess.data);
-        }
+      console.error(`[ERROR] ${result.info.name} failed, attempting fallback`, {
+        zipCode,
+        error: result.error.message
+      });
+
+      // Try to use last successful response
+      const lastSuccess = cache.get(fallbackKey);
+      if (lastSuccess) {
+        const ageHours = Math.round((Date.now() - lastSuccess.timestamp) / 1000 / 60 / 60);
+        console.log(`[FALLBACK] Using last successful ${result.info.name} response`, {
+          zipCode,
+          count: lastSuccess.data.length,
+          ageHours
+        });
+        result.tilbud = lastSuccess.data.map(t => ({ ...t, _stale: true }));
+        result.stores = lastSuccess.stores || [];
+        result.fetchedAt = lastSuccess.timestamp;
+        result.fallback = true;
       }
     }
 
-    // Add mock data if enabled
-    if (this.enableMockFallback) {
-      const mockTilbud = this.mockAdapter.getEnhancedMockData();
-      allTilbud = allTilbud.concat(mockTilbud);
-      console.log(`[INFO] Added ${mockTilbud.length} mock tilbud items`);
+    // Latest result of every enabled source, highest priority first
+    const current = enabled.map(info => latest.get(info.id)).filter(Boolean);
+    return this.buildSnapshot(zipCode, current);
+  }
+
+  /**
+   * Drop offers that fail their source's validation rules and quarantine them
+   * @param {Object} result - Source result from the registry, updated in place
+   * @param {string} zipCode
+   */
+  validateResult(result, zipCode) {
+    const { valid, rejected } = this.validator.validate(result.info.id, result.tilbud);
+    this.validator.quarantine(result.info.id, zipCode, rejected);
+
+    if (rejected.length > 0) {
+      console.warn(`[WARN] Quarantined ${rejected.length} invalid offers from ${result.info.name}`, {
+        zipCode,
+        reasons: [...new Set(rejected.flatMap(item => item.reasons))].slice(0, 5)
+      });
     }
+    result.tilbud = valid;
+  }
+
+  /**
+   * Get offers rejected by validation, newest first
+   * @param {Object} [filters] - { source, postnummer }
+   * @returns {Array<Object>} See OfferValidator.getReport
+   */
+  getQuarantineReport(filters = {}) {
+    return this.validator.getReport(filters);
+  }
+
+  /**
+   * Store the allergens and nutrition scores of each offer with it, for the
+   * ?undgaa=, ?minNutriScore= and ?noeglehul= filters
+   * Only what is already known is used; offers whose allergens are not known
+   * get allergens and traces null, and without known nutrition _nutrition is
+   * null (see resolveBarcodes).
+   * @param {Array} tilbud
+   * @returns {Promise<Array>}
+   */
+  async withProductData(tilbud) {
+    if (!this.nutritionService) return tilbud;
+
+    // Produce is scored with the reference table, which is read from disk on start
+    await this.nutritionService.initialize();
+    return tilbud.map(t => ({
+      ...t,
+      ...this.nutritionService.getOfferAllergens(t),
+      _nutrition: scoreOffer(this.nutritionService.getOfferNutrition(t), t)
+    }));
+  }
+
+  /**
+   * Look up the barcodes of a snapshot's offers in the background
+   * The snapshot is published without waiting for Open Food Facts. When new
+   * barcodes were answered it is rebuilt from the latest source results, so
+   * it carries their allergens and nutrition. One lookup runs per zip code at a time.
+   * @param {string} zipCode
+   * @param {Array} tilbud - Offers of the snapshot
+   */
+  resolveBarcodes(zipCode, tilbud) {
+    if (!this.nutritionService || this.barcodeLookups.has(zipCode)) return;
+
+    const lookup = this.nutritionService.resolveBarcodes(tilbud)
+      .then(answered => {
+        if (answered > 0) return this.refresh(zipCode, { sourceIds: [] });
+        return null;
+      })
+      .catch(error => {
+        console.error('[ERROR] Could not resolve barcodes', { zipCode, error: error.message });
+      })
+      .finally(() => this.barcodeLookups.delete(zipCode));
+
+    this.barcodeLookups.set(zipCode, lookup);
+  }
+
+  /**
+   * Merge source results into a snapshot and cache it
+   * @param {string} zipCode
+   * @param {Array} results - Source results in priority order
+   * @returns {Promise<Object>} Snapshot, with where its offers came from in sources
+   */
+  async buildSnapshot(zipCode, results) {
+    const merged = this.registry.mergeResults(results);
+    const curated = await this.applyManualOffers(merged.tilbud);
+    const now = Date.now();
+    // Clearance offers can expire before their source is fetched again
+    const allTilbud = await this.withProductData(curated
+      .filter(t => {
+        const expiry = getExpiryTime(t);
+        return expiry === null || expiry > now;
+      })
+      .map(withUnderkategori)
+      .map(withUnitPrice));
+    const { stores } = merged;
 
     // If we have no data at all, something is seriously wrong
     if (allTilbud.length === 0) {
@@ -433,74 +400,437 @@ class TilbudDataService {
       throw new Error('Unable to retrieve tilbud data');
     }
 
-    // Cache the combined result
-    cache.set(cacheKey, {
+    // Cache the combined result, versioned by its content
+    const timestamp = now;
+    const { version, lastModified } = this.changeLog.record(zipCode, allTilbud, timestamp);
+    const expiryTimes = allTilbud.map(getExpiryTime).filter(time => time !== null);
+    const snapshot = {
       data: allTilbud,
-      timestamp: Date.now()
-    });
+      stores,
+      timestamp,
+      version,
+      lastModified,
+      // When the first offer in the snapshot expires
+      expiresAt: expiryTimes.length > 0 ? Math.min(...expiryTimes) : null,
+      sources: results.map(result => ({
+        id: result.info.id,
+        name: result.info.name,
+        live: result.info.live,
+        count: result.tilbud.length,
+        fetchedAt: result.fetchedAt || null,
+        fallback: Boolean(result.fallback),
+        error: result.error ? result.error.message : null
+      }))
+    };
+    cache.set(`tilbud_all_${zipCode}`, snapshot);
+    this.snapshots.set(zipCode, snapshot);
+    this.resolveBarcodes(zipCode, allTilbud);
 
     console.log(`[SUCCESS] Returning ${allTilbud.length} total tilbud`, {
-      realData: allTilbud.filter(t => t._source === 'salling-api').length,
-      mockData: allTilbud.filter(t => t._source === 'mock-data').length
+      zipCode,
+      stores: stores.length,
+      sources: results.map(r => `${r.info.id}:${r.tilbud.length}`).join(', ')
     });
 
-    return allTilbud;
+    return snapshot;
+  }
+
+  /**
+   * Check whether any offer in a snapshot has expired since it was built
+   * @param {Object} snapshot
+   * @returns {boolean}
+   */
+  hasExpiredOffers(snapshot) {
+    return Boolean(snapshot.expiresAt) && snapshot.expiresAt <= Date.now();
+  }
+
+  /**
+   * Remember the outcome of a source fetch for /api/status/sources
+   * @param {Object} result - Source result from the registry
+   * @param {string} zipCode
+   */
+  recordSourceStatus(result, zipCode) {
+    const previous = this.sourceStatus.get(result.info.id);
+    const now = Date.now();
+
+    this.sourceStatus.set(result.info.id, {
+      lastRefresh: now,
+      durationMs: result.durationMs,
+      postnummer: zipCode,
+      count: result.tilbud.length,
+      error: result.error ? result.error.message : null,
+      lastSuccess: result.error ? (previous ? previous.lastSuccess : null) : now
+    });
+  }
+
+  /**
+   * Get every registered source with the outcome of its last refresh
+   * @returns {Array<Object>} Source info with { lastRefresh, durationMs, postnummer, count, error, lastSuccess }
+   */
+  getSourceStatus() {
+    return this.registry.getSources().map(source => {
+      const info = source.getSourceInfo();
+      const status = this.sourceStatus.get(info.id) || {
+        lastRefresh: null,
+        durationMs: null,
+        postnummer: null,
+        count: null,
+        error: null,
+        lastSuccess: null
+      };
+      return { ...info, ...status };
+    });
+  }
+
+  /**
+   * Zip codes to keep refreshing: the default and any requested recently
+   * @returns {Array<string>}
+   */
+  getActiveZipCodes() {
+    const since = Date.now() - ACTIVE_ZIP_CODE_MS;
+    const requested = [...this.zipCodeRequests]
+      .filter(([, requestedAt]) => requestedAt >= since)
+      .map(([zipCode]) => zipCode);
+    return [...new Set([this.defaultZipCode, ...requested])];
+  }
+
+  /**
+   * Get offers added, removed and repriced since a point in time
+   * Refreshes the snapshot first when the cache has expired
+   * @param {number} since - Time (ms) of the client's last fetch
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<{resync: boolean, added: Array, removed: Array<number>, repriced: Array, until: number|null}>}
+   */
+  async getChanges(since, options = {}) {
+    await this.getSnapshot(options);
+    return this.changeLog.getChanges(this.resolveZipCode(options.postnummer), since);
+  }
+
+  /**
+   * Listen for offers that are added, repriced or removed (e.g. sold out)
+   * Changes are detected when a new snapshot is fetched
+   * @param {Object} options - { postnummer, butik, kategori, underkategori }
+   * @param {Function} listener - Called with { type: 'added'|'repriced'|'removed', tilbud } per matching change
+   * @returns {Function} Unsubscribe
+   */
+  subscribeChanges(options, listener) {
+    const zipCode = this.resolveZipCode(options.postnummer);
+    const filters = {
+      butik: options.butik,
+      kategori: options.kategori,
+      underkategori: options.underkategori
+    };
+
+    const onChanges = (changedZipCode, events) => {
+      if (changedZipCode !== zipCode) return;
+
+      for (const event of events) {
+        // Removed offers are matched on how they looked before
+        const tilbud = event.type === 'removed' ? event.foer : event.tilbud;
+        if (this.applyFilters([tilbud], filters).length === 0) continue;
+
+        listener({
+          type: event.type,
+          tilbud: event.type === 'repriced' ? withPreviousPrices(tilbud, event.foer) : tilbud
+        });
+      }
+    };
+
+    this.changeLog.on('changes', onChanges);
+    return () => this.changeLog.off('changes', onChanges);
+  }
+
+  /**
+   * Apply admin overrides and add manual tilbud
+   * A broken manual store is logged and skipped so source offers are still served
+   * @param {Array} tilbud - Merged tilbud from all sources
+   * @returns {Promise<Array>}
+   */
+  async applyManualOffers(tilbud) {
+    if (!this.manualOffers) return tilbud;
+
+    try {
+      return await this.manualOffers.applyTo(tilbud);
+    } catch (error) {
+      console.error('[ERROR] Failed to apply manual tilbud:', error.message);
+      return tilbud;
+    }
+  }
+
+  /**
+   * Persist freshly fetched offers in the background
+   * Persistence failures are logged and never affect the response
+   * @param {Array} tilbud
+   * @param {string} zipCode
+   */
+  persistOffers(tilbud, zipCode) {
+    if (!this.offerHistory || tilbud.length === 0) return;
+
+    this.offerHistory.recordOffers(tilbud, { postnummer: zipCode }).catch(error => {
+      console.error('[ERROR] Failed to persist tilbud', {
+        zipCode,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Whether offers are persisted and price history is available
+   * @returns {boolean}
+   */
+  isPriceHistoryEnabled() {
+    return Boolean(this.offerHistory);
+  }
+
+  /**
+   * Get the price timeline for a tilbud
+   * @param {number} id
+   * @returns {Promise<Object|null>} History, or null if the tilbud has no stored history
+   */
+  async getPriceHistory(id) {
+    if (!this.offerHistory) {
+      throw new Error('Price history is not enabled');
+    }
+    return this.offerHistory.getPriceHistory(id);
   }
 
   /**
    * Get tilbud by ID
    * @param {number} id
+   * @param {Object} [options] - { postnummer }
    * @returns {Promise<Object|null>}
    */
-  async getTilbudById(id) {
-    const allTilbud = await this.getTilbud();
+  async getTilbudById(id, options = {}) {
+    const allTilbud = await this.getTilbud(options);
     return allTilbud.find(t => t.id === id) || null;
   }
 
+  /**
+   * Get several tilbud by ID in one lookup
+   * @param {Array<number>} ids
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<{tilbud: Array, missing: Array<number>}>} Tilbud in the order asked for,
+   *   and the IDs that no longer have an offer (expired, sold out or unknown)
+   */
+  async getTilbudByIds(ids, options = {}) {
+    const allTilbud = await this.getTilbud(options);
+    const byId = new Map(allTilbud.map(t => [t.id, t]));
+    const unique = [...new Set(ids)];
+
+    return {
+      tilbud: unique.filter(id => byId.has(id)).map(id => byId.get(id)),
+      missing: unique.filter(id => !byId.has(id))
+    };
+  }
+
+  /**
+   * Compare a tilbud's price across all stores selling the same product
+   * @param {number} id - Tilbud ID
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<Object|null>} Comparison or null if the tilbud is not found
+   */
+  async getPriceComparison(id, options = {}) {
+    const allTilbud = await this.getTilbud(options);
+    const tilbud = allTilbud.find(t => t.id === id);
+    if (!tilbud) return null;
+
+    return comparePrices(tilbud, allTilbud);
+  }
+
   /**
    * Get unique list of stores
+   * @param {Object} [options] - { postnummer }
    * @returns {Promise<Array<string>>}
    */
-  async getButikker() {
-    const allTilbud = await this.getTilbud();
+  async getButikker(options = {}) {
+    const allTilbud = await this.getTilbud(options);
     const butikker = [...new Set(allTilbud.map(t => t.butik))];
     return butikker.sort();
   }
 
+  /**
+   * Free-text search across tilbud, ranked by relevance
+   * @param {string} query - Search text (Danish-aware, typo tolerant)
+   * @param {Object} [options] - { postnummer, butik, kategori, underkategori, minPris, maxPris, minRabat, udloeberInden }
+   * @returns {Promise<Array>} Matching tilbud with _score, best match first
+   */
+  async searchTilbud(query, options = {}) {
+    const allTilbud = await this.getTilbud(options);
+    const filtered = this.applyFilters(allTilbud, {
+      butik: options.butik,
+      kategori: options.kategori,
+      underkategori: options.underkategori,
+      minPris: options.minPris,
+      maxPris: options.maxPris,
+      minRabat: options.minRabat,
+      udloeberInden: options.udloeberInden
+    });
+    return searchTilbud(filtered, query);
+  }
+
+  /**
+   * Get all physical stores with offers
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<Array>} Stores sorted by name
+   */
+  async getStores(options = {}) {
+    const { stores } = await this.getSnapshot(options);
+    return [...stores].sort((a, b) => a.navn.localeCompare(b.navn, 'da'));
+  }
+
+  /**
+   * Get a physical store by ID
+   * @param {string} storeId
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<Object|null>}
+   */
+  async getStoreById(storeId, options = {}) {
+    const { stores } = await this.getSnapshot(options);
+    return stores.find(store => store.id === storeId) || null;
+  }
+
+  /**
+   * Get offers in a specific physical store
+   * @param {string} storeId
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<Array>}
+   */
+  async getTilbudByStore(storeId, options = {}) {
+    const allTilbud = await this.getTilbud(options);
+    return allTilbud.filter(t => t.butikId === storeId);
+  }
+
   /**
    * Get unique list of categories
+   * @param {Object} [options] - { postnummer }
    * @returns {Promise<Array<string>>}
    */
-  async getKategorier() {
-    const allTilbud = await this.getTilbud();
+  async getKategorier(options = {}) {
+    const allTilbud = await this.getTilbud(options);
     const kategorier = [...new Set(allTilbud.map(t => t.kategori))];
     return kategorier.sort();
   }
 
+  /**
+   * Get the category tree with offer counts
+   * Categories follow the taxonomy order; categories only known from the
+   * offers (e.g. set by a source) are appended
+   * @param {Object} [options] - { postnummer }
+   * @returns {Promise<Array<{navn: string, antal: number, underkategorier: Array<{navn: string, antal: number}>}>>}
+   */
+  async getKategoriTree(options = {}) {
+    const allTilbud = await this.getTilbud(options);
+    const count = (kategori, underkategori) => allTilbud.filter(t =>
+      t.kategori === kategori && (underkategori === undefined || t.underkategori === underkategori)
+    ).length;
+
+    const tree = getDefaultTaxonomy().getTree();
+    const known = new Set(tree.map(node => node.navn));
+    const extra = [...new Set(allTilbud.map(t => t.kategori))]
+      .filter(kategori => kategori && !known.has(kategori))
+      .sort((a, b) => a.localeCompare(b, 'da'))
+      .map(navn => ({ navn, underkategorier: [] }));
+
+    return [...tree, ...extra].map(node => ({
+      navn: node.navn,
+      antal: count(node.navn),
+      underkategorier: node.underkategorier.map(navn => ({ navn, antal: count(node.navn, navn) }))
+    }));
+  }
+
   /**
    * Apply filters to tilbud array
    * @param {Array} tilbud
-   * @param {Object} filters - { butik, kategori }
+   * @param {Object} filters - { butik, kategori, underkategori, minPris, maxPris, minRabat, udloeberInden }
    * @returns {Array}
    */
   applyFilters(tilbud, filters = {}) {
     let filtered = [...tilbud];
 
     if (filters.butik) {
-      filtered = filtered.filter(t => 
+      filtered = filtered.filter(t =>
         t.butik.toLowerCase() === filters.butik.toLowerCase()
       );
     }
 
     if (filters.kategori) {
-      filtered = filtered.filter(t => 
+      filtered = filtered.filter(t =>
         t.kategori.toLowerCase() === filters.kategori.toLowerCase()
       );
     }
 
+    if (filters.underkategori) {
+      filtered = filtered.filter(t =>
+        (t.underkategori || '').toLowerCase() === filters.underkategori.toLowerCase()
+      );
+    }
+
+    if (filters.minPris !== undefined) {
+      filtered = filtered.filter(t => t.tilbudspris >= filters.minPris);
+    }
+
+    if (filters.maxPris !== undefined) {
+      filtered = filtered.filter(t => t.tilbudspris <= filters.maxPris);
+    }
+
+    if (filters.minRabat !== undefined) {
+      filtered = filtered.filter(t => t.rabat >= filters.minRabat);
+    }
+
+    // Only offers with an expiry date no later than this time (ms)
+    if (filters.udloeberInden !== undefined) {
+      filtered = filtered.filter(t => {
+        const expiry = getExpiryTime(t);
+        return expiry !== null && expiry <= filters.udloeberInden;
+      });
+    }
+
     return filtered;
   }
 
+  /**
+   * Sort tilbud array
+   * Offers without a value for the sort field (e.g. no expiry date) are placed last
+   * @param {Array} tilbud
+   * @param {string} sort - One of SORT_OPTIONS (rabat, tilbudspris, besparelse, enhedspris, expiry)
+   * @param {string} [order] - 'asc' or 'desc', defaults to the natural order for the field
+   * @returns {Array}
+   */
+  sortTilbud(tilbud, sort, order) {
+    const option = SORT_OPTIONS[sort];
+    if (!option) return [...tilbud];
+
+    const direction = (order || option.order) === 'desc' ? -1 : 1;
+
+    return [...tilbud].sort((a, b) => {
+      const valueA = option.value(a);
+      const valueB = option.value(b);
+
+      if (valueA === null || Number.isNaN(valueA)) return valueB === null || Number.isNaN(valueB) ? 0 : 1;
+      if (valueB === null || Number.isNaN(valueB)) return -1;
+      return (valueA - valueB) * direction;
+    });
+  }
+
+  /**
+   * Slice tilbud array into a page
+   * @param {Array} tilbud
+   * @param {Object} [options] - { page, pageSize }
+   * @returns {Object} { data, total, page, pageSize, totalPages }
+   */
+  paginate(tilbud, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+    const start = (page - 1) * size;
+
+    return {
+      data: tilbud.slice(start, start + size),
+      total: tilbud.length,
+      page,
+      pageSize: size,
+      totalPages: Math.max(1, Math.ceil(tilbud.length / size))
+    };
+  }
+
   /**
    * Clear cache (useful for testing or manual refresh)
    * Preserves fallback cache to maintain resilience
@@ -515,6 +845,9 @@ class TilbudDataService {
     // Delete only regular cache keys
     regularKeys.forEach(key => cache.del(key));
     
+    // The next request waits for fresh data instead of getting a stale snapshot
+    this.snapshots.clear();
+    
     console.log('[INFO] Cache cleared (fallback preserved)');
   }
 
@@ -529,9 +862,19 @@ class TilbudDataService {
 
 module.exports = {
   TilbudDataService,
+  OfferSourceRegistry,
   SallingGroupAdapter,
   MockDataAdapter,
+  TilbudsavisAdapter,
   inferCategory,
+  classifyProduct,
   normalizeBrand,
+  transformStore,
+  isValidPostnummer,
+  generateStableId,
+  SALLING_ID_BASE,
+  SORT_OPTIONS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
   cache
 };
@@ -2,11 +2,19 @@ const {
   TilbudDataService,
   SallingGroupAdapter,
   MockDataAdapter,
+  TilbudsavisAdapter,
   inferCategory,
   normalizeBrand,
+  transformStore,
+  isValidPostnummer,
+  generateStableId,
+  SALLING_ID_BASE,
   cache
 } = require('./tilbudDataService');
 const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('TilbudDataService', () => {
   
@@ -54,6 +62,74 @@ describe('TilbudDataService', () => {
         expect(normalizeBrand('')).toBe('Ukendt');
       });
     });
+
+    describe('transformStore', () => {
+      it('should transform a Salling store to the Store schema', () => {
+        const store = transformStore({
+          id: 'efba0457-090e-4132-81ba-c5b9d1ab2ea1',
+          brand: 'netto',
+          name: 'Netto Aarhus C',
+          address: { street: 'Søndergade 1', zip: '8000', city: 'Aarhus C' },
+          coordinates: [10.2039, 56.1529],
+          hours: [
+            { date: '2026-02-27', open: '2026-02-27T07:00:00', close: '2026-02-27T22:00:00', closed: false }
+          ]
+        });
+
+        expect(store).toEqual({
+          id: 'efba0457-090e-4132-81ba-c5b9d1ab2ea1',
+          kaede: 'Netto',
+          navn: 'Netto Aarhus C',
+          adresse: { gade: 'Søndergade 1', postnummer: '8000', by: 'Aarhus C' },
+          koordinater: { lat: 56.1529, lng: 10.2039 },
+          aabningstider: [
+            { dato: '2026-02-27', aabner: '2026-02-27T07:00:00', lukker: '2026-02-27T22:00:00', lukket: false }
+          ]
+        });
+      });
+
+      it('should handle missing address, coordinates and hours', () => {
+        const store = transformStore({ id: 'store-1', brand: 'foetex' });
+
+        expect(store.navn).toBe('Føtex');
+        expect(store.adresse).toEqual({ gade: null, postnummer: null, by: null });
+        expect(store.koordinater).toBeNull();
+        expect(store.aabningstider).toEqual([]);
+      });
+    });
+
+    describe('generateStableId', () => {
+      it('should return the same ID for the same key', () => {
+        expect(generateStableId('5712345678901|store-1')).toBe(generateStableId('5712345678901|store-1'));
+      });
+
+      it('should return IDs above the Salling base', () => {
+        expect(generateStableId('5712345678901|store-1')).toBeGreaterThanOrEqual(SALLING_ID_BASE);
+      });
+
+      it('should rehash when an ID is already used in the batch', () => {
+        const usedIds = new Set();
+        const first = generateStableId('5712345678901|store-1', usedIds);
+        const second = generateStableId('5712345678901|store-1', usedIds);
+
+        expect(second).not.toBe(first);
+        expect(usedIds.size).toBe(2);
+      });
+    });
+
+    describe('isValidPostnummer', () => {
+      it('should accept 4-digit postnumre', () => {
+        expect(isValidPostnummer('8000')).toBe(true);
+        expect(isValidPostnummer('2100')).toBe(true);
+      });
+
+      it('should reject anything else', () => {
+        expect(isValidPostnummer('800')).toBe(false);
+        expect(isValidPostnummer('80000')).toBe(false);
+        expect(isValidPostnummer('abcd')).toBe(false);
+        expect(isValidPostnummer(undefined)).toBe(false);
+      });
+    });
   });
 
   describe('SallingGroupAdapter', () => {
@@ -140,6 +216,59 @@ describe('TilbudDataService', () => {
       });
     });
 
+    describe('stable IDs', () => {
+      const clearance = (ean, storeId, endTime = '2026-02-27T22:59:59.000Z') => ({
+        offer: { ean, endTime, newPrice: 10, originalPrice: 20, percentDiscount: 50 },
+        product: { description: `Produkt ${ean}` },
+        store: { id: storeId, brand: 'netto' }
+      });
+
+      it('should keep IDs stable across refreshes and API ordering', () => {
+        const adapter = new SallingGroupAdapter(mockApiKey);
+        const first = adapter.transformToSchema([clearance('111', 'store-a'), clearance('222', 'store-a')]);
+        const second = adapter.transformToSchema([clearance('222', 'store-a'), clearance('111', 'store-a')]);
+
+        const idFor = (result, ean) => result.find(t => t._ean === ean).id;
+        expect(idFor(second, '111')).toBe(idFor(first, '111'));
+        expect(idFor(second, '222')).toBe(idFor(first, '222'));
+      });
+
+      it('should keep an ID when other offers disappear', () => {
+        const adapter = new SallingGroupAdapter(mockApiKey);
+        const before = adapter.transformToSchema([clearance('111', 'store-a'), clearance('222', 'store-a')]);
+        const after = adapter.transformToSchema([clearance('222', 'store-a')]);
+
+        expect(after[0].id).toBe(before.find(t => t._ean === '222').id);
+      });
+
+      it('should give the same product in two stores different IDs', () => {
+        const adapter = new SallingGroupAdapter(mockApiKey);
+        const result = adapter.transformToSchema([clearance('111', 'store-a'), clearance('111', 'store-b')]);
+
+        expect(result[0].id).not.toBe(result[1].id);
+        expect(result.map(t => t.butikId).sort()).toEqual(['store-a', 'store-b']);
+      });
+
+      it('should give duplicate clearances in one store unique IDs', () => {
+        const adapter = new SallingGroupAdapter(mockApiKey);
+        const result = adapter.transformToSchema([
+          clearance('111', 'store-a', '2026-02-28T22:59:59.000Z'),
+          clearance('111', 'store-a', '2026-02-27T22:59:59.000Z')
+        ]);
+
+        expect(new Set(result.map(t => t.id)).size).toBe(2);
+      });
+
+      it('should never clash with mock data IDs', () => {
+        const adapter = new SallingGroupAdapter(mockApiKey);
+        const result = adapter.transformToSchema([clearance('111', 'store-a')]);
+        const mockIds = new MockDataAdapter().getEnhancedMockData().map(t => t.id);
+
+        expect(mockIds).not.toContain(result[0].id);
+        expect(result[0].id).toBeGreaterThanOrEqual(SALLING_ID_BASE);
+      });
+    });
+
     it('should handle API errors gracefully', async () => {
       nock(baseUrl)
         .get('/v1/food-waste')
@@ -151,12 +280,64 @@ describe('TilbudDataService', () => {
       await expect(adapter.fetchFoodWaste()).rejects.toThrow();
     });
 
+    it('should fetch food waste data for a given zip code', async () => {
+      nock(baseUrl)
+        .get('/v1/food-waste')
+        .query({ zip: '2100' })
+        .reply(200, []);
+
+      const adapter = new SallingGroupAdapter(mockApiKey, baseUrl, '8000');
+      const result = await adapter.fetchFoodWaste('2100');
+
+      expect(result).toEqual([]);
+      expect(nock.isDone()).toBe(true);
+    });
+
     it('should return empty array when no API key provided', async () => {
       const adapter = new SallingGroupAdapter(null);
       const result = await adapter.fetchFoodWaste();
       
       expect(result).toEqual([]);
     });
+
+    describe('IOfferSource', () => {
+      it('should fetch offers for the requested postnummer', async () => {
+        nock(baseUrl)
+          .get('/v1/food-waste')
+          .query({ zip: '2100' })
+          .reply(200, []);
+
+        const adapter = new SallingGroupAdapter(mockApiKey, baseUrl, '8000');
+        const result = await adapter.fetchOffers({ postnummer: '2100' });
+
+        expect(result).toEqual({ tilbud: [], stores: [] });
+      });
+
+      it('should be disabled without an API key', () => {
+        expect(new SallingGroupAdapter(mockApiKey).getSourceInfo()).toEqual({
+          id: 'salling',
+          name: 'Salling Group',
+          priority: 1,
+          enabled: true,
+          live: true,
+          refreshInterval: 15 * 60 * 1000
+        });
+        expect(new SallingGroupAdapter(null).getSourceInfo().enabled).toBe(false);
+      });
+
+      it('should report health', async () => {
+        expect((await new SallingGroupAdapter(null).healthCheck()).healthy).toBe(false);
+
+        nock(baseUrl)
+          .get('/v1/food-waste')
+          .query({ zip: '8000' })
+          .reply(503);
+
+        const health = await new SallingGroupAdapter(mockApiKey, baseUrl).healthCheck();
+        expect(health.healthy).toBe(false);
+        expect(health.message).toContain('Salling API unavailable');
+      });
+    });
   });
 
   describe('MockDataAdapter', () => {
@@ -180,6 +361,106 @@ describe('TilbudDataService', () => {
       expect(butikker).toContain('Rema 1000');
       expect(butikker).toContain('Aldi');
     });
+
+    it('should implement IOfferSource as a non-live, lowest priority source', async () => {
+      const adapter = new MockDataAdapter();
+      const result = await adapter.fetchOffers();
+
+      expect(result.tilbud).toEqual(adapter.getEnhancedMockData());
+      expect(result.stores).toEqual([]);
+      expect(adapter.getSourceInfo()).toMatchObject({ id: 'mock', priority: 99, live: false });
+      expect((await adapter.healthCheck()).healthy).toBe(true);
+    });
+  });
+
+  describe('TilbudsavisAdapter', () => {
+    let directory;
+    const avis = [
+      { id: 3000000001, navn: 'Smør 250g', butik: 'Lidl', normalpris: 18.95, tilbudspris: 12.95, rabat: 32, gyldigFra: '2026-10-19', gyldigTil: '2026-10-25', _source: 'tilbudsavis' },
+      { id: 3000000002, navn: 'Bananer', butik: 'Lidl', normalpris: 15, tilbudspris: 10, rabat: 33, gyldigFra: '2026-10-19', gyldigTil: '2026-10-21', _source: 'tilbudsavis' }
+    ];
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tilbudsaviser-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should return imported tilbud valid on the given day', async () => {
+      const adapter = new TilbudsavisAdapter({ directory });
+      const target = adapter.saveImport(avis, '/tmp/lidl-uge43.csv');
+
+      expect(target).toBe(path.join(directory, 'lidl-uge43.json'));
+      expect((await adapter.fetchOffers({ today: '2026-10-20' })).tilbud.map(t => t.id)).toEqual([3000000001, 3000000002]);
+      expect((await adapter.fetchOffers({ today: '2026-10-22' })).tilbud.map(t => t.id)).toEqual([3000000001]);
+      expect((await adapter.fetchOffers({ today: '2026-10-26' })).tilbud).toEqual([]);
+    });
+
+    it('should skip unreadable import files', async () => {
+      const adapter = new TilbudsavisAdapter({ directory });
+      adapter.saveImport(avis, 'lidl.json');
+      fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { tilbud } = await adapter.fetchOffers({ today: '2026-10-20' });
+
+      expect(tilbud).toHaveLength(2);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('broken.json'), expect.any(String));
+      console.error.mockRestore();
+    });
+
+    it('should write review items in the import format and count them', async () => {
+      const adapter = new TilbudsavisAdapter({ directory });
+      const target = adapter.saveReview(
+        [{ navn: 'Kaffe 400 g', tilbudspris: 39.95, side: 2, confidence: 0.3, reasons: ['no normal price'] }],
+        '/tmp/rema-uge43.pdf',
+        { butik: 'Rema 1000', gyldigFra: '2026-10-19', gyldigTil: '2026-10-25' }
+      );
+
+      expect(target).toBe(path.join(directory, 'review', 'rema-uge43-review.json'));
+      expect(JSON.parse(fs.readFileSync(target, 'utf8'))).toMatchObject({
+        butik: 'Rema 1000',
+        kilde: 'rema-uge43.pdf',
+        tilbud: [{ navn: 'Kaffe 400 g', confidence: 0.3 }]
+      });
+      expect(await adapter.countReview()).toBe(1);
+      expect(await adapter.listFiles()).toEqual([]);
+      expect((await adapter.healthCheck()).message).toContain('1 awaiting review');
+    });
+
+    it('should remove a review file once it is imported', async () => {
+      const adapter = new TilbudsavisAdapter({ directory });
+      const target = adapter.saveReview([{ navn: 'Kaffe 400 g' }], '/tmp/rema-uge43.pdf');
+      adapter.saveReview([{ navn: 'Smør' }], '/tmp/lidl-uge43.pdf');
+
+      expect(adapter.removeReview('/tmp/rettet/rema-uge43-review.json')).toBe(target);
+      expect(fs.existsSync(target)).toBe(false);
+      expect(await adapter.countReview()).toBe(1);
+      expect(adapter.removeReview('/tmp/lidl-uge43.pdf')).toBe(path.join(directory, 'review', 'lidl-uge43-review.json'));
+      expect(adapter.removeReview('/tmp/netto-uge43.csv')).toBeNull();
+      expect(await adapter.countReview()).toBe(0);
+    });
+
+    it('should be healthy without any imports', async () => {
+      const adapter = new TilbudsavisAdapter({ directory: path.join(directory, 'missing') });
+
+      expect(adapter.getSourceInfo()).toMatchObject({ id: 'tilbudsavis', priority: 10, live: true });
+      expect(await adapter.healthCheck()).toEqual({ healthy: true, message: '0 tilbudsaviser imported, 0 tilbud valid today' });
+    });
+
+    it('should merge imported tilbud into the service', async () => {
+      const today = new Date();
+      const day = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+      new TilbudsavisAdapter({ directory }).saveImport([{ ...avis[0], gyldigFra: day, gyldigTil: day }], 'lidl.json');
+
+      const service = new TilbudDataService({ enableRealData: false, tilbudsavisDir: directory });
+      const tilbud = await service.getTilbud();
+
+      expect(tilbud.find(t => t.id === 3000000001)).toMatchObject({ butik: 'Lidl', _source: 'tilbudsavis' });
+      expect(tilbud.some(t => t._source === 'mock-data')).toBe(true);
+    });
   });
 
   describe('TilbudDataService Integration', () => {
@@ -251,6 +532,26 @@ describe('TilbudDataService', () => {
       expect(tilbud.id).toBe(1);
     });
 
+    it('should compare prices with matching offers from other sources', async () => {
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableMockFallback: true,
+        offerSources: [{
+          getSourceInfo: () => ({ id: 'netto-test', name: 'Netto test', priority: 5, enabled: true, live: false }),
+          fetchOffers: async () => ({
+            tilbud: [{ id: 5000000001, navn: 'Smør 250 g', butik: 'Netto', kategori: 'Mejeri', normalpris: 19.95, tilbudspris: 11.95, rabat: 40 }]
+          }),
+          healthCheck: async () => ({ healthy: true, message: 'ok' })
+        }]
+      });
+
+      const comparison = await service.getPriceComparison(7);
+
+      expect(comparison.priser.map(p => [p.butik, p.tilbudspris])).toEqual([['Netto', 11.95], ['Rema 1000', 12.95]]);
+      expect(comparison.antalButikker).toBe(2);
+      expect(await service.getPriceComparison(9999)).toBeNull();
+    });
+
     it('should return null for non-existent ID', async () => {
       const service = new TilbudDataService({
         enableRealData: false,
@@ -310,6 +611,374 @@ describe('TilbudDataService', () => {
         kategori: 'Mejeri' 
       });
       expect(filtered.every(t => t.butik === 'Rema 1000' && t.kategori === 'Mejeri')).toBe(true);
+
+      // Filter by underkategori
+      const smoer = service.applyFilters(allTilbud, { kategori: 'Mejeri', underkategori: 'smør & fløde' });
+      expect(smoer.length).toBeGreaterThan(0);
+      expect(smoer.every(t => t.underkategori === 'Smør & fløde')).toBe(true);
+    });
+
+    it('should classify underkategori for offers without one', async () => {
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableMockFallback: true
+      });
+
+      const tilbud = await service.getTilbudById(1);
+
+      expect(tilbud.kategori).toBe('Kød');
+      expect(tilbud.underkategori).toBe('Oksekød');
+    });
+
+    it('should build the category tree with counts', async () => {
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableMockFallback: true
+      });
+
+      const allTilbud = await service.getTilbud();
+      const tree = await service.getKategoriTree();
+      const mejeri = tree.find(node => node.navn === 'Mejeri');
+
+      expect(tree.reduce((sum, node) => sum + node.antal, 0)).toBe(allTilbud.length);
+      expect(mejeri.antal).toBe(allTilbud.filter(t => t.kategori === 'Mejeri').length);
+      expect(mejeri.underkategorier.map(u => u.navn)).toEqual(['Mælk', 'Ost', 'Yoghurt & skyr', 'Smør & fløde', 'Æg']);
+      expect(mejeri.underkategorier.find(u => u.navn === 'Smør & fløde').antal).toBeGreaterThan(0);
+    });
+
+    it('should persist fresh Salling offers but not mock data', async () => {
+      nock('https://api.sallinggroup.com')
+        .get('/v1/food-waste')
+        .query({ zip: '2100' })
+        .reply(200, [{
+          offer: { newPrice: 10, originalPrice: 20, percentDiscount: 50, ean: '1234567890123' },
+          product: { description: 'Test Product' },
+          store: { id: 'store-1', brand: 'netto' }
+        }]);
+
+      const offerHistory = { recordOffers: jest.fn().mockResolvedValue({}) };
+      const service = new TilbudDataService({
+        sallingApiKey: 'test-key',
+        enableMockFallback: true,
+        offerHistory
+      });
+
+      await service.getTilbud({ postnummer: '2100' });
+      await service.getTilbud({ postnummer: '2100' }); // cached - not persisted again
+
+      expect(offerHistory.recordOffers).toHaveBeenCalledTimes(1);
+      const [persisted, options] = offerHistory.recordOffers.mock.calls[0];
+      expect(persisted).toHaveLength(1);
+      expect(persisted[0]._source).toBe('salling-api');
+      expect(options).toEqual({ postnummer: '2100' });
+    });
+
+    it('should serve tilbud when persisting fails', async () => {
+      nock('https://api.sallinggroup.com')
+        .get('/v1/food-waste')
+        .query({ zip: '8000' })
+        .reply(200, [{
+          offer: { newPrice: 10, originalPrice: 20, percentDiscount: 50, ean: '1234567890123' },
+          product: { description: 'Test Product' },
+          store: { id: 'store-1', brand: 'netto' }
+        }]);
+
+      const service = new TilbudDataService({
+        sallingApiKey: 'test-key',
+        enableMockFallback: false,
+        offerHistory: { recordOffers: jest.fn().mockRejectedValue(new Error('db down')) }
+      });
+
+      const tilbud = await service.getTilbud();
+      expect(tilbud).toHaveLength(1);
+      expect(service.isPriceHistoryEnabled()).toBe(true);
+    });
+
+    it('should report price history as disabled without offer history', async () => {
+      const service = new TilbudDataService({ enableRealData: false });
+
+      expect(service.isPriceHistoryEnabled()).toBe(false);
+      await expect(service.getPriceHistory(1)).rejects.toThrow('Price history is not enabled');
+    });
+
+    it('should merge offers from sources added in config', async () => {
+      const lidlSource = {
+        getSourceInfo: () => ({ id: 'lidl', name: 'Lidl', priority: 5, enabled: true, live: false }),
+        fetchOffers: jest.fn().mockResolvedValue({
+          tilbud: [{ id: 501, navn: 'Rugbrød', butik: 'Lidl', kategori: 'Brød', normalpris: 20, tilbudspris: 15, rabat: 25, _source: 'lidl' }],
+          stores: []
+        }),
+        healthCheck: async () => ({ healthy: true, message: 'ok' })
+      };
+
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableMockFallback: true,
+        offerSources: [lidlSource]
+      });
+
+      const tilbud = await service.getTilbud({ postnummer: '5000' });
+
+      expect(lidlSource.fetchOffers).toHaveBeenCalledWith({ postnummer: '5000' });
+      expect(tilbud[0]).toMatchObject({ id: 501, butik: 'Lidl' });
+      expect(tilbud.some(t => t._source === 'mock-data')).toBe(true);
+    });
+
+    it('should include a newly registered source after clearing the cache', async () => {
+      const service = new TilbudDataService({ enableRealData: false, enableMockFallback: true });
+      await service.getTilbud();
+
+      service.registerOfferSource({
+        getSourceInfo: () => ({ id: 'lidl', name: 'Lidl', priority: 5, enabled: true, live: false }),
+        fetchOffers: async () => ({ tilbud: [{ id: 501, navn: 'Rugbrød', butik: 'Lidl', kategori: 'Brød', normalpris: 20, tilbudspris: 15, rabat: 25 }] }),
+        healthCheck: async () => ({ healthy: true, message: 'ok' })
+      });
+
+      const butikker = await service.getButikker();
+      expect(butikker).toContain('Lidl');
+    });
+
+    describe('background refresh', () => {
+      const lidlSource = (navn) => ({
+        getSourceInfo: () => ({ id: 'lidl', name: 'Lidl', priority: 5, enabled: true, live: false }),
+        fetchOffers: jest.fn().mockResolvedValue({
+          tilbud: [{ id: 501, navn, butik: 'Lidl', kategori: 'Brød', normalpris: 20, tilbudspris: 15, rabat: 25 }]
+        }),
+        healthCheck: async () => ({ healthy: true, message: 'ok' })
+      });
+
+      it('should serve the stale snapshot while refreshing after the cache expired', async () => {
+        const lidl = lidlSource('Rugbrød');
+        const service = new TilbudDataService({
+          enableRealData: false,
+          enableTilbudsaviser: false,
+          offerSources: [lidl]
+        });
+
+        await service.getTilbud();
+        cache.del('tilbud_all_8000');
+        lidl.fetchOffers.mockResolvedValue({
+          tilbud: [{ id: 501, navn: 'Grovbrød', butik: 'Lidl', kategori: 'Brød', normalpris: 20, tilbudspris: 15, rabat: 25 }]
+        });
+
+        const stale = await service.getTilbud();
+        expect(stale.find(t => t.id === 501).navn).toBe('Rugbrød');
+
+        await service.refreshQueue.get('8000');
+        const fresh = await service.getTilbud();
+        expect(fresh.find(t => t.id === 501).navn).toBe('Grovbrød');
+      });
+
+      it('should refresh one source and keep the latest result of the others', async () => {
+        const lidl = lidlSource('Rugbrød');
+        const service = new TilbudDataService({
+          enableRealData: false,
+          enableTilbudsaviser: false,
+          offerSources: [lidl]
+        });
+        const mockSource = service.registry.getSource('mock');
+        jest.spyOn(mockSource, 'fetchOffers');
+
+        await service.getTilbud();
+        await service.refresh('8000', { sourceIds: ['lidl'] });
+
+        expect(lidl.fetchOffers).toHaveBeenCalledTimes(2);
+        expect(mockSource.fetchOffers).toHaveBeenCalledTimes(1);
+        expect((await service.getTilbud()).some(t => t._source === 'mock-data')).toBe(true);
+      });
+
+      it('should share a pending refresh', async () => {
+        const lidl = lidlSource('Rugbrød');
+        const service = new TilbudDataService({ enableRealData: false, offerSources: [lidl] });
+
+        const [first, second] = await Promise.all([service.getTilbud(), service.getTilbud()]);
+
+        expect(first).toBe(second);
+        expect(lidl.fetchOffers).toHaveBeenCalledTimes(1);
+      });
+
+      it('should quarantine offers that fail validation', async () => {
+        const source = {
+          getSourceInfo: () => ({ id: 'lidl', name: 'Lidl', priority: 5, enabled: true, live: false }),
+          fetchOffers: async () => ({
+            tilbud: [
+              { id: 501, navn: 'Rugbrød', butik: 'Lidl', normalpris: 20, tilbudspris: 15, rabat: 25 },
+              { id: 502, navn: 'Gratis brød', butik: 'Lidl', normalpris: 20, tilbudspris: 0, rabat: 100 },
+              { id: 503, navn: 'Dyrt brød', butik: 'Lidl', normalpris: 20, tilbudspris: 25, rabat: 0 }
+            ]
+          }),
+          healthCheck: async () => ({ healthy: true, message: 'ok' })
+        };
+        const service = new TilbudDataService({
+          enableRealData: false,
+          enableMockFallback: false,
+          enableTilbudsaviser: false,
+          offerSources: [source]
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const tilbud = await service.getTilbud();
+
+        expect(tilbud.map(t => t.id)).toEqual([501]);
+        expect(service.getQuarantineReport().map(item => [item.tilbud.id, item.reasons])).toEqual([
+          [502, ['tilbudspris skal være større end 0 (0)']],
+          [503, ['tilbudspris (25) er større end normalpris (20)']]
+        ]);
+        expect(service.getSourceStatus().find(status => status.id === 'lidl').count).toBe(1);
+        console.warn.mockRestore();
+      });
+
+      it('should drop offers once they expire', async () => {
+        const now = Date.now();
+        const expiring = {
+          getSourceInfo: () => ({ id: 'lidl', name: 'Lidl', priority: 5, enabled: true, live: false }),
+          fetchOffers: jest.fn().mockResolvedValue({
+            tilbud: [
+              { id: 501, navn: 'Rugbrød', butik: 'Lidl', normalpris: 20, tilbudspris: 15, rabat: 25, _expiryDate: new Date(now - 1000).toISOString() },
+              { id: 502, navn: 'Grovbrød', butik: 'Lidl', normalpris: 20, tilbudspris: 15, rabat: 25, _expiryDate: new Date(now + 60000).toISOString() }
+            ]
+          }),
+          healthCheck: async () => ({ healthy: true, message: 'ok' })
+        };
+        const service = new TilbudDataService({
+          enableRealData: false,
+          enableTilbudsaviser: false,
+          offerSources: [expiring]
+        });
+
+        const snapshot = await service.getSnapshot();
+        expect(snapshot.data.filter(t => t.butik === 'Lidl').map(t => t.id)).toEqual([502]);
+        expect(snapshot.expiresAt).toBe(now + 60000);
+
+        // Expired since the snapshot was built: rebuilt without fetching again
+        jest.spyOn(Date, 'now').mockReturnValue(now + 120000);
+        const rebuilt = await service.getSnapshot();
+        Date.now.mockRestore();
+
+        expect(rebuilt.data.some(t => t.butik === 'Lidl')).toBe(false);
+        expect(expiring.fetchOffers).toHaveBeenCalledTimes(1);
+      });
+
+      it('should report the last refresh of each source', async () => {
+        const failing = {
+          getSourceInfo: () => ({ id: 'coop', name: 'Coop', priority: 5, enabled: true, live: false }),
+          fetchOffers: jest.fn().mockRejectedValue(new Error('timeout of 5000ms exceeded')),
+          healthCheck: async () => ({ healthy: false, message: 'down' })
+        };
+        const service = new TilbudDataService({
+          enableRealData: false,
+          enableTilbudsaviser: false,
+          offerSources: [failing]
+        });
+
+        await service.getTilbud({ postnummer: '2100' });
+        const status = service.getSourceStatus();
+
+        expect(status.find(s => s.id === 'coop')).toMatchObject({
+          error: 'timeout of 5000ms exceeded',
+          count: 0,
+          postnummer: '2100',
+          lastSuccess: null,
+          durationMs: expect.any(Number)
+        });
+        expect(status.find(s => s.id === 'mock')).toMatchObject({ error: null, lastSuccess: expect.any(Number) });
+        expect(status.find(s => s.id === 'salling')).toMatchObject({ enabled: false, lastRefresh: null });
+        expect(service.getActiveZipCodes()).toEqual(['8000', '2100']);
+      });
+    });
+
+    it('should apply price and rabat range filters', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = [
+        { id: 1, butik: 'Netto', kategori: 'Kød', tilbudspris: 10, rabat: 20 },
+        { id: 2, butik: 'Netto', kategori: 'Kød', tilbudspris: 25, rabat: 50 },
+        { id: 3, butik: 'Netto', kategori: 'Kød', tilbudspris: 40, rabat: 35 }
+      ];
+
+      expect(service.applyFilters(tilbud, { minPris: 20 }).map(t => t.id)).toEqual([2, 3]);
+      expect(service.applyFilters(tilbud, { maxPris: 25 }).map(t => t.id)).toEqual([1, 2]);
+      expect(service.applyFilters(tilbud, { minRabat: 30 }).map(t => t.id)).toEqual([2, 3]);
+      expect(service.applyFilters(tilbud, { minPris: 0, maxPris: 30, minRabat: 30 }).map(t => t.id)).toEqual([2]);
+    });
+
+    it('should look up several tilbud by id', async () => {
+      const service = new TilbudDataService({ enableRealData: false, enableTilbudsaviser: false });
+      const [first, second] = await service.getTilbud();
+
+      const result = await service.getTilbudByIds([second.id, 42, first.id, second.id]);
+
+      expect(result.tilbud).toEqual([second, first]);
+      expect(result.missing).toEqual([42]);
+    });
+
+    it('should filter offers expiring before a time', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = [
+        { id: 1, _expiryDate: '2026-10-19T18:00:00Z' },
+        { id: 2, _expiryDate: '2026-10-21T18:00:00Z' },
+        { id: 3 },
+        { id: 4, _expiryDate: '2026-10-19T23:59:59' }
+      ];
+
+      const endOfDay = Date.parse('2026-10-20T00:00:00');
+      expect(service.applyFilters(tilbud, { udloeberInden: endOfDay }).map(t => t.id)).toEqual([1, 4]);
+    });
+
+    it('should sort by each sort option', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = [
+        { id: 1, normalpris: 20, tilbudspris: 10, rabat: 50, _expiryDate: '2026-03-05T00:00:00Z' },
+        { id: 2, normalpris: 60, tilbudspris: 40, rabat: 33 },
+        { id: 3, normalpris: 30, tilbudspris: 24, rabat: 20, _expiryDate: '2026-03-02T00:00:00Z' }
+      ];
+
+      expect(service.sortTilbud(tilbud, 'rabat').map(t => t.id)).toEqual([1, 2, 3]);
+      expect(service.sortTilbud(tilbud, 'tilbudspris').map(t => t.id)).toEqual([1, 3, 2]);
+      expect(service.sortTilbud(tilbud, 'besparelse').map(t => t.id)).toEqual([2, 1, 3]);
+      expect(service.sortTilbud(tilbud, 'tilbudspris', 'desc').map(t => t.id)).toEqual([2, 3, 1]);
+    });
+
+    it('should sort offers without expiry date last', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = [
+        { id: 1 },
+        { id: 2, _expiryDate: '2026-03-05T00:00:00Z' },
+        { id: 3, _expiryDate: '2026-03-02T00:00:00Z' }
+      ];
+
+      expect(service.sortTilbud(tilbud, 'expiry').map(t => t.id)).toEqual([3, 2, 1]);
+      expect(service.sortTilbud(tilbud, 'expiry', 'desc').map(t => t.id)).toEqual([2, 3, 1]);
+    });
+
+    it('should sort by unit price with unknown sizes last', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = [
+        { id: 1, enhedspris: null },
+        { id: 2, enhedspris: 51.8 },
+        { id: 3, enhedspris: 8 }
+      ];
+
+      expect(service.sortTilbud(tilbud, 'enhedspris').map(t => t.id)).toEqual([3, 2, 1]);
+    });
+
+    it('should add unit prices to fetched offers', async () => {
+      const service = new TilbudDataService({ enableRealData: false });
+
+      const smoer = await service.getTilbudById(7);
+
+      expect(smoer).toEqual(expect.objectContaining({ maengde: 0.25, enhed: 'kg', enhedspris: 51.8 }));
+    });
+
+    it('should paginate with total count', () => {
+      const service = new TilbudDataService({ enableRealData: false });
+      const tilbud = Array.from({ length: 7 }, (_, i) => ({ id: i + 1 }));
+
+      const page = service.paginate(tilbud, { page: 2, pageSize: 3 });
+      expect(page.data.map(t => t.id)).toEqual([4, 5, 6]);
+      expect(page).toMatchObject({ total: 7, page: 2, pageSize: 3, totalPages: 3 });
+
+      expect(service.paginate(tilbud, { page: 4, pageSize: 3 }).data).toEqual([]);
+      expect(service.paginate([], {}).totalPages).toBe(1);
     });
 
     it('should cache responses', async () => {
@@ -330,6 +999,7 @@ describe('TilbudDataService', () => {
     it('should clear cache', async () => {
       const service = new TilbudDataService({
         enableRealData: false,
+        enableTilbudsaviser: false,
         enableMockFallback: true
       });
 
@@ -340,13 +1010,210 @@ describe('TilbudDataService', () => {
       expect(stats.keys).toBe(0);
     });
 
+    it('should store the allergens and nutrition scores of each offer in the snapshot', async () => {
+      const nutritionService = {
+        initialize: jest.fn().mockResolvedValue(),
+        resolveBarcodes: jest.fn().mockResolvedValue(0),
+        getOfferAllergens: jest.fn(t => (t.kategori === 'Frugt'
+          ? { allergens: [], traces: [] }
+          : { allergens: null, traces: null })),
+        getOfferNutrition: jest.fn(t => (t.kategori === 'Frugt'
+          ? { energyKj: 400, sugars: 15, saturatedFat: 0.1, salt: 0, fiber: 1.5, protein: 1 }
+          : null))
+      };
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableTilbudsaviser: false,
+        enableMockFallback: true,
+        nutritionService
+      });
+
+      const tilbud = await service.getTilbud();
+
+      expect(nutritionService.initialize).toHaveBeenCalled();
+      expect(nutritionService.resolveBarcodes).toHaveBeenCalledTimes(1);
+      expect(nutritionService.resolveBarcodes.mock.calls[0][0]).toHaveLength(tilbud.length);
+      expect(tilbud.find(t => t.kategori === 'Frugt')).toMatchObject({
+        allergens: [],
+        traces: [],
+        _nutrition: { nutriScore: 'A', noeglehul: expect.any(Boolean) }
+      });
+      expect(tilbud.find(t => t.kategori === 'Kød')).toMatchObject({ allergens: null, traces: null, _nutrition: null });
+    });
+
+    it('should publish the snapshot before barcodes are looked up', async () => {
+      let answer;
+      const known = new Set(['Frugt']);
+      const nutritionService = {
+        initialize: jest.fn().mockResolvedValue(),
+        resolveBarcodes: jest.fn(() => new Promise(resolve => { answer = resolve; })),
+        getOfferAllergens: jest.fn(t => (known.has(t.kategori)
+          ? { allergens: [], traces: [] }
+          : { allergens: null, traces: null })),
+        getOfferNutrition: () => null
+      };
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableTilbudsaviser: false,
+        enableMockFallback: true,
+        nutritionService
+      });
+
+      const before = await service.getSnapshot();
+      expect(before.data.find(t => t.kategori === 'Kød').allergens).toBeNull();
+
+      // The lookup answers and the snapshot is rebuilt with what was found
+      known.add('Kød');
+      answer(10);
+      await service.barcodeLookups.get('8000');
+
+      const after = await service.getSnapshot();
+      expect(after.data.find(t => t.kategori === 'Kød').allergens).toEqual([]);
+      expect(after.version).not.toBe(before.version);
+      expect(service.barcodeLookups.size).toBe(0);
+    });
+
+    it('should not rebuild the snapshot when no barcodes were answered', async () => {
+      const nutritionService = {
+        initialize: jest.fn().mockResolvedValue(),
+        resolveBarcodes: jest.fn().mockResolvedValue(0),
+        getOfferAllergens: () => ({ allergens: null, traces: null }),
+        getOfferNutrition: () => null
+      };
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableTilbudsaviser: false,
+        enableMockFallback: true,
+        nutritionService
+      });
+      const refreshSpy = jest.spyOn(service, 'refresh');
+
+      await service.getSnapshot();
+      await service.barcodeLookups.get('8000');
+
+      expect(refreshSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should build the snapshot when barcodes cannot be resolved', async () => {
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableTilbudsaviser: false,
+        enableMockFallback: true,
+        nutritionService: {
+          initialize: jest.fn().mockResolvedValue(),
+          resolveBarcodes: jest.fn().mockRejectedValue(new Error('offline')),
+          getOfferAllergens: () => ({ allergens: null, traces: null }),
+          getOfferNutrition: () => null
+        }
+      });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const tilbud = await service.getTilbud();
+      await service.barcodeLookups.get('8000');
+
+      expect(tilbud.length).toBeGreaterThan(0);
+      expect(errorSpy).toHaveBeenCalledWith('[ERROR] Could not resolve barcodes', { zipCode: '8000', error: 'offline' });
+      errorSpy.mockRestore();
+    });
+
+    it('should keep serving tilbud when manual tilbud cannot be applied', async () => {
+      const service = new TilbudDataService({
+        enableRealData: false,
+        enableTilbudsaviser: false,
+        enableMockFallback: true,
+        manualOffers: { applyTo: jest.fn().mockRejectedValue(new Error('Could not read manual tilbud')) }
+      });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const tilbud = await service.getTilbud();
+
+      expect(tilbud.length).toBeGreaterThan(0);
+      expect(errorSpy).toHaveBeenCalledWith('[ERROR] Failed to apply manual tilbud:', 'Could not read manual tilbud');
+      errorSpy.mockRestore();
+    });
+
+    it('should fetch and cache Salling data per postnummer', async () => {
+      const clearance = (description) => [{
+        offer: { newPrice: 10, originalPrice: 20, percentDiscount: 50, ean: '5701234567890' },
+        product: { description },
+        store: { brand: 'netto' }
+      }];
+
+      nock('https://api.sallinggroup.com')
+        .get('/v1/food-waste')
+        .query({ zip: '8000' })
+        .reply(200, clearance('Aarhus Produkt'))
+        .get('/v1/food-waste')
+        .query({ zip: '2100' })
+        .reply(200, clearance('København Produkt'));
+
+      const service = new TilbudDataService({
+        sallingApiKey: 'test-key',
+        enableRealData: true,
+        enableMockFallback: false
+      });
+
+      const aarhus = await service.getTilbud();
+      const koebenhavn = await service.getTilbud({ postnummer: '2100' });
+
+      expect(aarhus.map(t => t.navn)).toEqual(['Aarhus Produkt']);
+      expect(koebenhavn.map(t => t.navn)).toEqual(['København Produkt']);
+
+      // Second call for 2100 is served from its own cache entry
+      const cached = await service.getTilbud({ postnummer: '2100' });
+      expect(cached).toEqual(koebenhavn);
+      expect(nock.isDone()).toBe(true);
+    });
+
+    it('should use default zip code for invalid postnummer', async () => {
+      const service = new TilbudDataService({ sallingZipCode: '8000' });
+
+      expect(service.resolveZipCode('2100')).toBe('2100');
+      expect(service.resolveZipCode('21')).toBe('8000');
+      expect(service.resolveZipCode(undefined)).toBe('8000');
+    });
+
+    it('should expose physical stores and their offers', async () => {
+      const clearance = (ean, storeId, storeName) => ({
+        offer: { ean, newPrice: 10, originalPrice: 20, percentDiscount: 50 },
+        product: { description: `Produkt ${ean}` },
+        store: { id: storeId, brand: 'netto', name: storeName, address: { city: 'Aarhus' } }
+      });
+
+      nock('https://api.sallinggroup.com')
+        .get('/v1/food-waste')
+        .query({ zip: '8000' })
+        .reply(200, [
+          clearance('5701111111111', 'store-a', 'Netto Banegårdsgade'),
+          clearance('5702222222222', 'store-a', 'Netto Banegårdsgade'),
+          clearance('5703333333333', 'store-b', 'Netto Trøjborg')
+        ]);
+
+      const service = new TilbudDataService({
+        sallingApiKey: 'test-key',
+        enableRealData: true,
+        enableMockFallback: true
+      });
+
+      const stores = await service.getStores();
+      expect(stores.map(s => s.navn)).toEqual(['Netto Banegårdsgade', 'Netto Trøjborg']);
+
+      const store = await service.getStoreById('store-b');
+      expect(store).toMatchObject({ id: 'store-b', kaede: 'Netto', navn: 'Netto Trøjborg' });
+      expect(await service.getStoreById('unknown')).toBeNull();
+
+      const storeTilbud = await service.getTilbudByStore('store-a');
+      expect(storeTilbud).toHaveLength(2);
+      expect(storeTilbud.every(t => t.butikId === 'store-a' && t.butikNavn === 'Netto Banegårdsgade')).toBe(true);
+    });
+
     it('should fallback to last successful response on API failure', async () => {
       nock('https://api.sallinggroup.com')
         .get('/v1/food-waste')
         .query({ zip: '8000' })
         .reply(200, [
           {
-            offer: { newPrice: 10, originalPrice: 20, percentDiscount: 50, ean: '123' },
+            offer: { newPrice: 10, originalPrice: 20, percentDiscount: 50, ean: '5701234567890' },
             product: { description: 'Success Product' },
             store: { brand: 'netto' }
           }
@@ -376,8 +1243,19 @@ describe('TilbudDataService', () => {
       const tilbud2 = await service.getTilbud();
       const fallbackData = tilbud2.filter(t => t._source === 'salling-api');
       
-      // Should still have data from fallback
+      // Should still have data from fallback, marked as stale
       expect(fallbackData.length).toBeGreaterThan(0);
+      expect(fallbackData.every(t => t._stale)).toBe(true);
+      expect(successData.some(t => t._stale)).toBe(false);
+
+      const { sources } = await service.getSnapshot();
+      expect(sources.find(source => source.id === 'salling')).toMatchObject({
+        live: true,
+        count: fallbackData.length,
+        fallback: true,
+        error: expect.any(String)
+      });
+      expect(sources.find(source => source.id === 'salling').fetchedAt).toBeLessThanOrEqual(Date.now());
     });
   });
 });
@@ -0,0 +1,221 @@
+/**
+ * Tilbud Search
+ * Free-text offer search with Danish-aware fuzzy matching
+ *
+ * - Case and diacritics are ignored
+ * - ø/oe/o, å/aa/a and æ/ae/a are treated as equivalent, in the query and the offers
+ * - Query words match parts of Danish compound words ("kød" matches "Oksekød")
+ * - Small typos are tolerated ("oksekd" matches "Oksekød")
+ */
+
+// Danish letters are folded to their two-letter spelling before diacritics are stripped
+const DANISH_LETTERS = {
+  'æ': 'ae',
+  'ø': 'oe',
+  'å': 'aa'
+};
+
+// Searching folds the two-letter spellings further to one letter, so words
+// typed without Danish letters ("kod", "flode") match too. Only used for
+// search; normalizeDanish keeps ø/oe apart from o for product and offer keys.
+const SEARCH_FOLDS = [
+  [/aa/g, 'a'],
+  [/ae/g, 'a'],
+  [/oe/g, 'o']
+];
+
+// Fields searched, with their weight relative to the product name
+const SEARCH_FIELDS = [
+  { field: 'navn', weight: 1 },
+  { field: 'kategori', weight: 0.6 },
+  { field: 'underkategori', weight: 0.6 },
+  { field: 'butik', weight: 0.6 }
+];
+
+// Scores for the different kinds of word matches
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  suffix: 0.85,
+  infix: 0.75,
+  contains: 0.65,
+  fuzzy: 0.6
+};
+
+// Minimum word length before typos are tolerated
+const MIN_FUZZY_LENGTH = 4;
+
+// Minimum word length before typos are tolerated inside compound words
+const MIN_COMPOUND_FUZZY_LENGTH = 5;
+
+/**
+ * Normalize text for Danish-aware comparison
+ * @param {string} text
+ * @returns {string} Lowercase ASCII text with Danish letters folded (ø -> oe)
+ */
+function normalizeDanish(text) {
+  if (!text) return '';
+
+  return String(text)
+    .toLowerCase()
+    .replace(/[æøå]/g, letter => DANISH_LETTERS[letter])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const normalized = normalizeDanish(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Split text into words folded for search, e.g. "Oksekød" -> ["oksekod"]
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenizeForSearch(text) {
+  return tokenize(text).map(word => SEARCH_FOLDS.reduce((folded, [pattern, letter]) => folded.replace(pattern, letter), word));
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein with adjacent transpositions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Number of typos tolerated for a query word
+ * @param {string} word
+ * @returns {number}
+ */
+function allowedEdits(word) {
+  if (word.length < MIN_FUZZY_LENGTH) return 0;
+  return word.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Score how well a query word matches a single word from an offer
+ * @param {string} queryWord - Normalized query word
+ * @param {string} word - Normalized offer word
+ * @returns {number} Score between 0 (no match) and 1 (exact)
+ */
+function scoreWord(queryWord, word) {
+  if (queryWord === word) return MATCH_SCORES.exact;
+
+  // Query word is part of a compound word ("koed" in "oksekoed")
+  if (word.startsWith(queryWord)) return MATCH_SCORES.prefix;
+  if (word.endsWith(queryWord)) return MATCH_SCORES.suffix;
+  if (queryWord.length >= 3 && word.includes(queryWord)) return MATCH_SCORES.infix;
+
+  // Offer word is part of a compound query ("kylling" in "kyllingebryst")
+  if (word.length >= MIN_FUZZY_LENGTH && queryWord.includes(word)) return MATCH_SCORES.contains;
+
+  // Typo tolerance - against the whole word and against same-length parts of compounds
+  const maxEdits = allowedEdits(queryWord);
+  if (maxEdits === 0) return 0;
+
+  let best = Infinity;
+  if (Math.abs(word.length - queryWord.length) <= maxEdits) {
+    best = editDistance(queryWord, word);
+  }
+
+  if (queryWord.length >= MIN_COMPOUND_FUZZY_LENGTH && word.length > queryWord.length + maxEdits) {
+    for (let len = queryWord.length - maxEdits; len <= queryWord.length + maxEdits; len++) {
+      for (let start = 0; start + len <= word.length; start++) {
+        best = Math.min(best, editDistance(queryWord, word.slice(start, start + len)));
+      }
+    }
+  }
+
+  if (best > maxEdits) return 0;
+  return MATCH_SCORES.fuzzy * (1 - best / (queryWord.length + 1));
+}
+
+/**
+ * Score a tilbud against query words
+ * Every query word must match somewhere; the score is the average best match
+ * @param {Object} tilbud
+ * @param {Array<string>} queryWords - Query words from tokenizeForSearch
+ * @returns {number} Score between 0 and 1
+ */
+function scoreTilbud(tilbud, queryWords) {
+  const fields = SEARCH_FIELDS.map(({ field, weight }) => ({
+    words: tokenizeForSearch(tilbud[field]),
+    weight
+  }));
+
+  let total = 0;
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const { words, weight } of fields) {
+      for (const word of words) {
+        best = Math.max(best, scoreWord(queryWord, word) * weight);
+      }
+    }
+
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / queryWords.length;
+}
+
+/**
+ * Search tilbud by free text
+ * @param {Array} tilbud - Offers to search
+ * @param {string} query - Free-text query
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.4] - Minimum score to include a result
+ * @returns {Array} Matching offers ranked by score (then rabat), with a _score field
+ */
+function searchTilbud(tilbud, query, options = {}) {
+  const minScore = options.minScore ?? 0.4;
+  const queryWords = tokenizeForSearch(query);
+
+  if (queryWords.length === 0) {
+    return [];
+  }
+
+  return tilbud
+    .map(item => ({ ...item, _score: Math.round(scoreTilbud(item, queryWords) * 1000) / 1000 }))
+    .filter(item => item._score >= minScore)
+    .sort((a, b) => b._score - a._score || (b.rabat || 0) - (a.rabat || 0));
+}
+
+module.exports = {
+  searchTilbud,
+  normalizeDanish,
+  tokenize,
+  editDistance,
+  scoreWord
+};
@@ -0,0 +1,121 @@
+const {
+  searchTilbud,
+  normalizeDanish,
+  editDistance,
+  scoreWord
+} = require('./tilbudSearch');
+
+const tilbud = [
+  { id: 1, navn: 'Hakket Oksekød 8-12%', butik: 'Rema 1000', kategori: 'Kød', rabat: 33 },
+  { id: 2, navn: 'Smør 250g', butik: 'Rema 1000', kategori: 'Mejeri', rabat: 32 },
+  { id: 3, navn: 'Æg 10 stk', butik: 'Rema 1000', kategori: 'Mejeri', rabat: 23 },
+  { id: 4, navn: 'Friske Jordbær 250g', butik: 'Aldi', kategori: 'Frugt', rabat: 40 },
+  { id: 5, navn: 'Kyllingebryst 500g', butik: 'Aldi', kategori: 'Kød', rabat: 33 },
+  { id: 6, navn: 'Gulerødder 1kg', butik: 'Aldi', kategori: 'Grøntsager', rabat: 39 },
+  { id: 7, navn: 'Crème Fraiche 18%', butik: 'Netto', kategori: 'Mejeri', rabat: 20 }
+];
+
+const names = (results) => results.map(t => t.navn);
+
+describe('tilbudSearch', () => {
+  describe('normalizeDanish', () => {
+    it('should fold Danish letters to their two-letter spelling', () => {
+      expect(normalizeDanish('Smør')).toBe('smoer');
+      expect(normalizeDanish('Blåbær')).toBe('blaabaer');
+      expect(normalizeDanish('ÆG')).toBe('aeg');
+    });
+
+    it('should strip other diacritics and punctuation', () => {
+      expect(normalizeDanish('Crème Fraîche 18%')).toBe('creme fraiche 18');
+    });
+
+    it('should handle empty input', () => {
+      expect(normalizeDanish('')).toBe('');
+      expect(normalizeDanish(null)).toBe('');
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      expect(editDistance('oksekoed', 'oksekoed')).toBe(0);
+      expect(editDistance('oksekd', 'oksekoed')).toBe(2);
+      expect(editDistance('kylling', 'kyling')).toBe(1);
+    });
+
+    it('should count adjacent transpositions as one edit', () => {
+      expect(editDistance('laks', 'lkas')).toBe(1);
+    });
+  });
+
+  describe('scoreWord', () => {
+    it('should score exact matches highest', () => {
+      expect(scoreWord('smoer', 'smoer')).toBe(1);
+    });
+
+    it('should match parts of compound words', () => {
+      expect(scoreWord('koed', 'oksekoed')).toBeGreaterThan(0);
+      expect(scoreWord('kylling', 'kyllingebryst')).toBeGreaterThan(0);
+    });
+
+    it('should not tolerate typos in very short words', () => {
+      expect(scoreWord('ost', 'oest')).toBe(0);
+    });
+  });
+
+  describe('searchTilbud', () => {
+    it('should ignore case and treat oe/ø as equivalent', () => {
+      expect(names(searchTilbud(tilbud, 'oksekød'))[0]).toBe('Hakket Oksekød 8-12%');
+      expect(names(searchTilbud(tilbud, 'OKSEKOED'))[0]).toBe('Hakket Oksekød 8-12%');
+      expect(names(searchTilbud(tilbud, 'smoer'))).toEqual(['Smør 250g']);
+    });
+
+    it('should match words typed without Danish letters', () => {
+      const [oksekod] = searchTilbud(tilbud, 'oksekod');
+      expect(oksekod).toMatchObject({ navn: 'Hakket Oksekød 8-12%', _score: 1 });
+      expect(searchTilbud(tilbud, 'OKSEKOD')[0]._score).toBe(1);
+      expect(names(searchTilbud(tilbud, 'kod'))).toContain('Hakket Oksekød 8-12%');
+
+      const floede = [{ id: 8, navn: 'Piskefløde 38%', butik: 'Netto', kategori: 'Mejeri' }];
+      expect(searchTilbud(floede, 'piskeflode')[0]._score).toBe(1);
+      expect(searchTilbud(floede, 'flode')[0]._score).toBeGreaterThan(0.8);
+      expect(searchTilbud(floede, 'floede')[0]._score).toBeGreaterThan(0.8);
+    });
+
+    it('should treat ae/æ and aa/å as equivalent', () => {
+      expect(names(searchTilbud(tilbud, 'aeg'))).toEqual(['Æg 10 stk']);
+      expect(names(searchTilbud(tilbud, 'jordbaer'))).toEqual(['Friske Jordbær 250g']);
+    });
+
+    it('should ignore other diacritics', () => {
+      expect(names(searchTilbud(tilbud, 'creme'))).toEqual(['Crème Fraiche 18%']);
+    });
+
+    it('should match parts of compound words', () => {
+      expect(names(searchTilbud(tilbud, 'kylling'))).toEqual(['Kyllingebryst 500g']);
+      expect(names(searchTilbud(tilbud, 'kød'))[0]).toBe('Hakket Oksekød 8-12%');
+    });
+
+    it('should tolerate typos', () => {
+      expect(names(searchTilbud(tilbud, 'oksekd'))).toEqual(['Hakket Oksekød 8-12%']);
+      expect(names(searchTilbud(tilbud, 'kylingebryst'))).toEqual(['Kyllingebryst 500g']);
+      expect(names(searchTilbud(tilbud, 'gulerod'))).toEqual(['Gulerødder 1kg']);
+    });
+
+    it('should require every query word to match', () => {
+      expect(names(searchTilbud(tilbud, 'hakket okse'))).toEqual(['Hakket Oksekød 8-12%']);
+      expect(searchTilbud(tilbud, 'hakket laks')).toEqual([]);
+    });
+
+    it('should rank better matches first and attach a score', () => {
+      const results = searchTilbud(tilbud, 'kød');
+
+      expect(results.length).toBeGreaterThan(1);
+      expect(results[0]._score).toBeGreaterThanOrEqual(results[1]._score);
+    });
+
+    it('should return nothing for unrelated or empty queries', () => {
+      expect(searchTilbud(tilbud, 'xyzzy')).toEqual([]);
+      expect(searchTilbud(tilbud, '   ')).toEqual([]);
+    });
+  });
+});
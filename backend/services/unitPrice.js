@@ -0,0 +1,120 @@
+// Package units and their factor to the unit prices are compared in
+const UNITS = {
+  kg: { enhed: 'kg', factor: 1 },
+  g: { enhed: 'kg', factor: 0.001 },
+  gr: { enhed: 'kg', factor: 0.001 },
+  l: { enhed: 'l', factor: 1 },
+  ltr: { enhed: 'l', factor: 1 },
+  liter: { enhed: 'l', factor: 1 },
+  dl: { enhed: 'l', factor: 0.1 },
+  cl: { enhed: 'l', factor: 0.01 },
+  ml: { enhed: 'l', factor: 0.001 },
+  stk: { enhed: 'stk', factor: 1 }
+};
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const UNIT = `(${Object.keys(UNITS).join('|')})\\.?`;
+
+// "6 x 33 cl", "4x125g"
+const MULTIPACK_PATTERN = new RegExp(`(\\d+)\\s*[x×]\\s*${NUMBER}\\s*${UNIT}(?![a-zæøå])`, 'i');
+// "250g", "1,5L", "10 stk"
+const SIZE_PATTERN = new RegExp(`${NUMBER}\\s*${UNIT}(?![a-zæøå])`, 'gi');
+
+/**
+ * Parse a number with a Danish decimal comma
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDanishNumber(value) {
+  return parseFloat(value.replace(',', '.'));
+}
+
+/**
+ * Parse the package size from a product name
+ * Sizes are converted to kg, l or stk; multipacks are multiplied out
+ * @param {string} productName - e.g. "Smør 250g", "Coca Cola 1,5L", "Øl 6 x 33 cl"
+ * @returns {{maengde: number, enhed: string}|null} Size or null if the name has none
+ */
+function parsePackageSize(productName) {
+  if (!productName) return null;
+
+  const multipack = productName.match(MULTIPACK_PATTERN);
+  if (multipack) {
+    const unit = UNITS[multipack[3].toLowerCase()];
+    const maengde = Number(multipack[1]) * parseDanishNumber(multipack[2]) * unit.factor;
+    return maengde > 0 ? { maengde: roundTo(maengde, 3), enhed: unit.enhed } : null;
+  }
+
+  // When a name has several sizes the last one is used
+  const sizes = [...productName.matchAll(SIZE_PATTERN)];
+  if (sizes.length === 0) return null;
+
+  const [, amount, unitName] = sizes[sizes.length - 1];
+  const unit = UNITS[unitName.toLowerCase()];
+  const maengde = parseDanishNumber(amount) * unit.factor;
+  return maengde > 0 ? { maengde: roundTo(maengde, 3), enhed: unit.enhed } : null;
+}
+
+/**
+ * Remove package sizes from a product name, e.g. "Smør 250g" -> "Smør"
+ * @param {string} productName
+ * @returns {string}
+ */
+function removePackageSize(productName) {
+  if (!productName) return '';
+
+  return productName
+    .replace(new RegExp(MULTIPACK_PATTERN.source, 'gi'), ' ')
+    .replace(SIZE_PATTERN, ' ')
+    .trim();
+}
+
+/**
+ * Round to a number of decimals
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calculate the unit price of a tilbud
+ * @param {number} tilbudspris - Price in DKK
+ * @param {number} maengde - Amount in kg, l or stk
+ * @returns {number|null} Price per unit, or null without an amount
+ */
+function calculateUnitPrice(tilbudspris, maengde) {
+  if (!maengde || typeof tilbudspris !== 'number') return null;
+  return roundTo(tilbudspris / maengde, 2);
+}
+
+/**
+ * Add maengde, enhed and enhedspris to a tilbud
+ * Values already set by the source are kept
+ * @param {Object} tilbud
+ * @returns {Object}
+ */
+function withUnitPrice(tilbud) {
+  if (tilbud.enhedspris !== undefined) return tilbud;
+
+  const size = tilbud.maengde && tilbud.enhed
+    ? { maengde: tilbud.maengde, enhed: tilbud.enhed }
+    : parsePackageSize(tilbud.navn);
+
+  return {
+    ...tilbud,
+    maengde: size ? size.maengde : null,
+    enhed: size ? size.enhed : null,
+    enhedspris: size ? calculateUnitPrice(tilbud.tilbudspris, size.maengde) : null
+  };
+}
+
+module.exports = {
+  parsePackageSize,
+  removePackageSize,
+  calculateUnitPrice,
+  withUnitPrice
+};
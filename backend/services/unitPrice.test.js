@@ -0,0 +1,66 @@
+const { parsePackageSize, calculateUnitPrice, withUnitPrice } = require('./unitPrice');
+
+describe('unitPrice', () => {
+  describe('parsePackageSize', () => {
+    it('converts weights to kg', () => {
+      expect(parsePackageSize('Smør 250g')).toEqual({ maengde: 0.25, enhed: 'kg' });
+      expect(parsePackageSize('Bananer 1kg')).toEqual({ maengde: 1, enhed: 'kg' });
+      expect(parsePackageSize('Kaffe 400 gr.')).toEqual({ maengde: 0.4, enhed: 'kg' });
+    });
+
+    it('converts volumes to l with Danish decimal commas', () => {
+      expect(parsePackageSize('Coca Cola 1,5L')).toEqual({ maengde: 1.5, enhed: 'l' });
+      expect(parsePackageSize('Rødvin 75 cl')).toEqual({ maengde: 0.75, enhed: 'l' });
+      expect(parsePackageSize('Piskefløde 2,5 dl')).toEqual({ maengde: 0.25, enhed: 'l' });
+    });
+
+    it('counts pieces', () => {
+      expect(parsePackageSize('Æg 10 stk')).toEqual({ maengde: 10, enhed: 'stk' });
+    });
+
+    it('multiplies out multipacks', () => {
+      expect(parsePackageSize('Øl 6 x 33 cl')).toEqual({ maengde: 1.98, enhed: 'l' });
+      expect(parsePackageSize('Yoghurt 4x125g')).toEqual({ maengde: 0.5, enhed: 'kg' });
+    });
+
+    it('ignores percentages and names without a size', () => {
+      expect(parsePackageSize('Hakket Oksekød 8-12%')).toBeNull();
+      expect(parsePackageSize('Letmælk 1,5%')).toBeNull();
+      expect(parsePackageSize('Løse tomater')).toBeNull();
+      expect(parsePackageSize('')).toBeNull();
+    });
+  });
+
+  describe('calculateUnitPrice', () => {
+    it('divides price by amount, rounded to øre', () => {
+      expect(calculateUnitPrice(12.95, 0.25)).toBe(51.8);
+      expect(calculateUnitPrice(10, 3)).toBe(3.33);
+    });
+
+    it('returns null without an amount', () => {
+      expect(calculateUnitPrice(10, null)).toBeNull();
+    });
+  });
+
+  describe('withUnitPrice', () => {
+    it('adds maengde, enhed and enhedspris', () => {
+      expect(withUnitPrice({ navn: 'Coca Cola 1,5L', tilbudspris: 12 })).toEqual({
+        navn: 'Coca Cola 1,5L',
+        tilbudspris: 12,
+        maengde: 1.5,
+        enhed: 'l',
+        enhedspris: 8
+      });
+    });
+
+    it('uses the size set by the source', () => {
+      const tilbud = withUnitPrice({ navn: 'Kartofler', tilbudspris: 20, maengde: 2, enhed: 'kg' });
+      expect(tilbud.enhedspris).toBe(10);
+    });
+
+    it('sets null fields when the size is unknown', () => {
+      const tilbud = withUnitPrice({ navn: 'Hakket Oksekød 8-12%', tilbudspris: 35 });
+      expect(tilbud).toEqual(expect.objectContaining({ maengde: null, enhed: null, enhedspris: null }));
+    });
+  });
+});
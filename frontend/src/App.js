@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import { FavoritesProvider, useFavorites } from './contexts/FavoritesContext';
 import { CartProvider, useCart } from './contexts/CartContext';
@@ -6,6 +6,10 @@ import { BudgetProvider } from './contexts/BudgetContext';
 import './App.css';
 import TilbudCard from './components/TilbudCard';
 import FilterBar from './components/FilterBar';
+import SearchBar from './components/SearchBar';
+import Pagination from './components/Pagination';
+import DataStatusBanner from './components/DataStatusBanner';
+import ExpiringToday from './components/ExpiringToday';
 import ProductDetailPage from './pages/ProductDetailPage';
 import Favoritter from './pages/Favoritter';
 import Handlekurv from './pages/Handlekurv';
@@ -32,58 +36,179 @@ function Navigation() {
   );
 }
 
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Offers shown per page on the overview
+const PAGE_SIZE = 24;
+
+const EMPTY_RANGE_FILTERS = { minPris: '', maxPris: '', minRabat: '' };
+const EMPTY_NUTRITION_FILTERS = { minNutriScore: '', noeglehul: false };
+
 function TilbudOversigt() {
   const [tilbud, setTilbud] = useState([]);
   const [butikker, setButikker] = useState([]);
   const [selectedButik, setSelectedButik] = useState('');
+  const [kategoriTree, setKategoriTree] = useState([]);
+  const [selectedKategori, setSelectedKategori] = useState('');
+  const [selectedUnderkategori, setSelectedUnderkategori] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [sortBy, setSortBy] = useState('');
+  const [rangeFilters, setRangeFilters] = useState(EMPTY_RANGE_FILTERS);
+  const [undgaa, setUndgaa] = useState([]);
+  const [nutritionFilters, setNutritionFilters] = useState(EMPTY_NUTRITION_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
+  const [liveStatus, setLiveStatus] = useState({});
+  const [dataMeta, setDataMeta] = useState(null);
+  const [expiringToday, setExpiringToday] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Load initial data
+  // New live offers are only added to the unsorted, unsearched first page (they carry no allergen status or nutrition scores)
+  const canInsertLive = page === 1 && !sortBy && !searchQuery.trim() && !Object.values(rangeFilters).some(Boolean) &&
+    undgaa.length === 0 && !Object.values(nutritionFilters).some(Boolean);
+  const canInsertLiveRef = useRef(canInsertLive);
+  canInsertLiveRef.current = canInsertLive;
+
+  // Offers expiring today - optional, the overview works without them
   useEffect(() => {
-    loadInitialData();
+    tilbudService.getExpiringToday()
+      .then(setExpiringToday)
+      .catch(err => console.error('Failed to load tilbud expiring today:', err));
   }, []);
 
-  // Load tilbud when filters change
+  // Live changes for the selected store and category
   useEffect(() => {
-    loadTilbud();
-  }, [selectedButik]);
+    const handleLiveChange = (type, changed) => {
+      if (type === 'added') {
+        setLiveStatus(prev => ({ ...prev, [changed.id]: 'new' }));
+        if (canInsertLiveRef.current) {
+          setTilbud(prev => (prev.some(t => t.id === changed.id) ? prev : [changed, ...prev]));
+          setPageInfo(prev => ({ ...prev, total: prev.total + 1 }));
+        }
+      } else if (type === 'repriced') {
+        setLiveStatus(prev => ({ ...prev, [changed.id]: 'repriced' }));
+        setTilbud(prev => prev.map(t => (t.id === changed.id ? { ...t, ...changed } : t)));
+      } else if (type === 'removed') {
+        setLiveStatus(prev => ({ ...prev, [changed.id]: 'soldOut' }));
+      }
+    };
 
-  const loadInitialData = async () => {
+    setLiveStatus({});
+    return tilbudService.subscribeTilbudStream(
+      { butik: selectedButik, kategori: selectedKategori, underkategori: selectedUnderkategori },
+      handleLiveChange
+    );
+  }, [selectedButik, selectedKategori, selectedUnderkategori]);
+
+  // Stores and categories for the filters
+  const loadFilterOptions = useCallback(async () => {
     try {
-      setLoading(true);
-      const [tilbudData, butikkerData] = await Promise.all([
-        tilbudService.getAllTilbud(),
-        tilbudService.getButikker()
+      const [butikkerData, kategoriData] = await Promise.all([
+        tilbudService.getButikker(),
+        // The category filter is optional - the overview still works without it
+        tilbudService.getKategoriTree().catch(() => [])
       ]);
       
-      setTilbud(tilbudData);
       setButikker(butikkerData);
-      setError(null);
+      setKategoriTree(kategoriData || []);
     } catch (err) {
       console.error('Failed to load initial data:', err);
       setError('Kunne ikke indlæse data. Sørg for at backend kører på port 4001.');
-    } finally {
-      setLoading(false);
     }
-  };
+  }, []);
 
-  const loadTilbud = async () => {
+  const loadTilbud = useCallback(async () => {
     try {
-      const filters = {};
+      const filters = { ...rangeFilters, ...nutritionFilters, undgaa, sort: sortBy, page, pageSize: PAGE_SIZE };
       if (selectedButik) filters.butik = selectedButik;
+      if (selectedKategori) filters.kategori = selectedKategori;
+      if (selectedUnderkategori) filters.underkategori = selectedUnderkategori;
       
-      const data = await tilbudService.getAllTilbud(filters);
-      setTilbud(data);
+      const query = searchQuery.trim();
+      const result = query
+        ? await tilbudService.searchTilbudPage(query, filters)
+        : await tilbudService.getTilbudPage(filters);
+      setTilbud(result.data);
+      setPageInfo({ total: result.total, totalPages: result.totalPages });
+      // Search results carry no meta; keep the status of the last list
+      if (result.meta) setDataMeta(result.meta);
       setError(null);
     } catch (err) {
       console.error('Failed to load tilbud:', err);
-      setError('Kunne ikke indlæse tilbud.');
+      // Keep the more helpful message when the filters could not load either
+      setError(prev => prev || 'Kunne ikke indlæse tilbud.');
+    } finally {
+      setLoading(false);
     }
+  }, [selectedButik, selectedKategori, selectedUnderkategori, searchQuery, sortBy, rangeFilters, undgaa, nutritionFilters, page]);
+
+  useEffect(() => {
+    loadFilterOptions();
+  }, [loadFilterOptions]);
+
+  // Load tilbud on mount and when filters, search or page change (debounced while typing)
+  const isTyping = Boolean(searchQuery.trim()) || Object.values(rangeFilters).some(Boolean);
+  useEffect(() => {
+    const timer = setTimeout(loadTilbud, isTyping ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [loadTilbud, isTyping]);
+
+  const handleRetry = () => {
+    setLoading(true);
+    setError(null);
+    loadFilterOptions();
+    loadTilbud();
+  };
+
+  // Any change to what is shown starts over from the first page
+  const handleButikChange = (butik) => {
+    setSelectedButik(butik);
+    setPage(1);
+  };
+
+  const handleKategoriChange = (kategori, underkategori) => {
+    setSelectedKategori(kategori);
+    setSelectedUnderkategori(underkategori);
+    setPage(1);
+  };
+
+  const handleSearchChange = (query) => {
+    setSearchQuery(query);
+    setPage(1);
+  };
+
+  const handleSortChange = (sort) => {
+    setSortBy(sort);
+    setPage(1);
+  };
+
+  const handleRangeChange = (field, value) => {
+    setRangeFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const handleUndgaaChange = (allergens) => {
+    setUndgaa(allergens);
+    setPage(1);
+  };
+
+  const handleNutritionChange = (field, value) => {
+    setNutritionFilters(prev => ({ ...prev, [field]: value }));
+    setPage(1);
   };
 
   const handleReset = () => {
     setSelectedButik('');
+    setSelectedKategori('');
+    setSelectedUnderkategori('');
+    setSearchQuery('');
+    setSortBy('');
+    setRangeFilters(EMPTY_RANGE_FILTERS);
+    setUndgaa([]);
+    setNutritionFilters(EMPTY_NUTRITION_FILTERS);
+    setPage(1);
   };
 
   if (loading) {
@@ -100,7 +225,7 @@ function TilbudOversigt() {
         <div className="error">
           <h2>⚠️ Fejl</h2>
           <p>{error}</p>
-          <button onClick={loadInitialData}>Prøv igen</button>
+          <button onClick={handleRetry}>Prøv igen</button>
         </div>
       </div>
     );
@@ -115,28 +240,57 @@ function TilbudOversigt() {
       </header>
 
       <main className="app-main">
+        <DataStatusBanner meta={dataMeta} />
+
+        <ExpiringToday tilbud={expiringToday} />
+
+        <SearchBar value={searchQuery} onChange={handleSearchChange} />
+
         <FilterBar
           butikker={butikker}
           selectedButik={selectedButik}
-          onButikChange={setSelectedButik}
+          onButikChange={handleButikChange}
+          kategoriTree={kategoriTree}
+          selectedKategori={selectedKategori}
+          selectedUnderkategori={selectedUnderkategori}
+          onKategoriChange={handleKategoriChange}
+          sortBy={sortBy}
+          onSortChange={handleSortChange}
+          rangeFilters={rangeFilters}
+          onRangeChange={handleRangeChange}
+          undgaa={undgaa}
+          onUndgaaChange={handleUndgaaChange}
+          nutritionFilters={nutritionFilters}
+          onNutritionChange={handleNutritionChange}
           onReset={handleReset}
         />
 
         <div className="tilbud-count">
-          Viser {tilbud?.length || 0} tilbud
+          Viser {tilbud?.length || 0} af {pageInfo.total} tilbud
         </div>
 
         {(tilbud?.length || 0) === 0 ? (
           <div className="no-results">
-            <p>Ingen tilbud matcher dine filtre.</p>
+            <p>
+              {searchQuery.trim()
+                ? `Ingen tilbud matcher "${searchQuery.trim()}".`
+                : 'Ingen tilbud matcher dine filtre.'}
+            </p>
             <button onClick={handleReset}>Nulstil filtre</button>
           </div>
         ) : (
-          <div className="tilbud-grid">
-            {tilbud?.map(item => (
-              <TilbudCard key={item.id} tilbud={item} />
-            ))}
-          </div>
+          <>
+            <div className="tilbud-grid">
+              {tilbud?.map(item => (
+                <TilbudCard key={item.id} tilbud={item} liveStatus={liveStatus[item.id]} />
+              ))}
+            </div>
+            <Pagination
+              page={page}
+              totalPages={pageInfo.totalPages}
+              onPageChange={setPage}
+            />
+          </>
         )}
       </main>
 
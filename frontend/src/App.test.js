@@ -1,5 +1,6 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import App from './App';
+import { tilbudService } from './services/tilbudService';
 
 // Mock react-router-dom
 jest.mock('react-router-dom');
@@ -7,22 +8,206 @@ jest.mock('react-router-dom');
 // Mock the tilbudService
 jest.mock('./services/tilbudService', () => ({
   tilbudService: {
-    getAllTilbud: jest.fn(() => Promise.resolve([
-      {
-        id: 1,
-        navn: 'Test Produkt',
-        butik: 'Test Butik',
-        normalpris: 100,
-        tilbudspris: 50,
-        rabat: 50
-      }
-    ])),
-    getButikker: jest.fn(() => Promise.resolve(['Test Butik']))
+    getTilbudPage: jest.fn(),
+    searchTilbudPage: jest.fn(),
+    getButikker: jest.fn(() => Promise.resolve(['Test Butik'])),
+    getKategoriTree: jest.fn(),
+    getExpiringToday: jest.fn(),
+    subscribeTilbudStream: jest.fn()
   }
 }));
 
+const page = (data, overrides = {}) => ({
+  data,
+  total: data.length,
+  page: 1,
+  pageSize: 24,
+  totalPages: 1,
+  ...overrides
+});
+
+const testProdukt = {
+  id: 1,
+  navn: 'Test Produkt',
+  butik: 'Test Butik',
+  normalpris: 100,
+  tilbudspris: 50,
+  rabat: 50
+};
+
+beforeEach(() => {
+  tilbudService.getTilbudPage.mockResolvedValue(page([testProdukt]));
+  tilbudService.getButikker.mockResolvedValue(['Test Butik']);
+  tilbudService.getExpiringToday.mockResolvedValue([]);
+  tilbudService.getKategoriTree.mockResolvedValue([
+    { navn: 'Kød', antal: 1, underkategorier: [{ navn: 'Oksekød', antal: 1 }] }
+  ]);
+});
+
 test('renders MadMatch header', async () => {
   render(<App />);
   const headerElement = await screen.findByRole('heading', { name: /MadMatch/i });
   expect(headerElement).toBeInTheDocument();
 });
+
+test('loads the first page once on mount', async () => {
+  render(<App />);
+
+  expect(await screen.findByText('Test Produkt')).toBeInTheDocument();
+  expect(tilbudService.getTilbudPage).toHaveBeenCalledTimes(1);
+  expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({ page: 1, pageSize: 24 }));
+});
+
+test('shows an error when the backend is not reachable', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  tilbudService.getTilbudPage.mockRejectedValue(new Error('Network error'));
+  tilbudService.getButikker.mockRejectedValue(new Error('Network error'));
+
+  render(<App />);
+
+  expect(await screen.findByText(/port 4001/)).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('searches tilbud from the search box', async () => {
+  tilbudService.getTilbudPage.mockResolvedValue(page([]));
+  tilbudService.searchTilbudPage.mockResolvedValue(page([
+    {
+      id: 2,
+      navn: 'Hakket Oksekød',
+      butik: 'Test Butik',
+      normalpris: 60,
+      tilbudspris: 40,
+      rabat: 33
+    }
+  ]));
+  
+  render(<App />);
+  const searchInput = await screen.findByLabelText('Søg i tilbud');
+  
+  fireEvent.change(searchInput, { target: { value: 'oksekød' } });
+  
+  await waitFor(() => {
+    expect(tilbudService.searchTilbudPage).toHaveBeenCalledWith('oksekød', expect.objectContaining({ page: 1 }));
+  });
+  expect(await screen.findByText('Hakket Oksekød')).toBeInTheDocument();
+});
+
+test('sends sort and range filters and starts over from page 1', async () => {
+  tilbudService.getTilbudPage.mockResolvedValue(page([testProdukt], { total: 30, totalPages: 2 }));
+  
+  render(<App />);
+  
+  fireEvent.click(await screen.findByText('Næste →'));
+  await waitFor(() => {
+    expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({ page: 2 }));
+  });
+  
+  fireEvent.change(screen.getByLabelText('Sortér efter:'), { target: { value: 'rabat' } });
+  fireEvent.change(screen.getByLabelText('Min. rabat (%):'), { target: { value: '30' } });
+  
+  await waitFor(() => {
+    expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({
+      sort: 'rabat',
+      minRabat: '30',
+      page: 1,
+      pageSize: 24
+    }));
+  });
+  expect(screen.getByText('Viser 1 af 30 tilbud')).toBeInTheDocument();
+});
+
+test('filters by kategori and underkategori', async () => {
+  render(<App />);
+  
+  fireEvent.change(await screen.findByLabelText('Kategori:'), { target: { value: 'Kød' } });
+  fireEvent.change(await screen.findByLabelText('Underkategori:'), { target: { value: 'Oksekød' } });
+  
+  await waitFor(() => {
+    expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({
+      kategori: 'Kød',
+      underkategori: 'Oksekød',
+      page: 1
+    }));
+  });
+});
+
+test('hides offers with allergens to avoid', async () => {
+  render(<App />);
+  
+  fireEvent.click(await screen.findByLabelText('Gluten'));
+  fireEvent.click(screen.getByLabelText('Nødder'));
+  
+  await waitFor(() => {
+    expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({
+      undgaa: ['gluten', 'noedder'],
+      page: 1
+    }));
+  });
+});
+
+test('filters by Nutri-Score and Nøglehul', async () => {
+  render(<App />);
+  
+  fireEvent.change(await screen.findByLabelText('Nutri-Score:'), { target: { value: 'B' } });
+  fireEvent.click(screen.getByLabelText('Kun Nøglehul'));
+  
+  await waitFor(() => {
+    expect(tilbudService.getTilbudPage).toHaveBeenCalledWith(expect.objectContaining({
+      minNutriScore: 'B',
+      noeglehul: true,
+      page: 1
+    }));
+  });
+});
+
+test('shows new offers from the live stream first', async () => {
+  const unsubscribe = jest.fn();
+  tilbudService.subscribeTilbudStream.mockReturnValue(unsubscribe);
+  
+  const { unmount } = render(<App />);
+  await screen.findByText('Test Produkt');
+  
+  const onChange = tilbudService.subscribeTilbudStream.mock.calls[0][1];
+  act(() => {
+    onChange('added', { ...testProdukt, id: 2, navn: 'Live Produkt' });
+    onChange('removed', testProdukt);
+  });
+  
+  const cards = screen.getAllByRole('heading', { level: 3 });
+  expect(cards.map(card => card.textContent)).toEqual(['Live Produkt', 'Test Produkt']);
+  expect(screen.getByText('Nyt')).toBeInTheDocument();
+  expect(screen.getByText('Udsolgt')).toBeInTheDocument();
+  expect(screen.getByText('Viser 2 af 2 tilbud')).toBeInTheDocument();
+  
+  unmount();
+  expect(unsubscribe).toHaveBeenCalled();
+});
+
+test('shows offers expiring today above the overview', async () => {
+  tilbudService.getExpiringToday.mockResolvedValue([{ ...testProdukt, id: 3, navn: 'Rugbrød' }]);
+  
+  render(<App />);
+  
+  expect(await screen.findByRole('heading', { name: /Udløber i dag/ })).toBeInTheDocument();
+  expect(screen.getByText('Rugbrød')).toBeInTheDocument();
+});
+
+test('warns when only demo data is available', async () => {
+  tilbudService.getTilbudPage.mockResolvedValue(page([testProdukt], {
+    meta: { realData: false, fallbackUsed: false, dataAgeSeconds: 0, sources: [] }
+  }));
+  
+  render(<App />);
+  
+  expect(await screen.findByRole('alert')).toHaveTextContent('Du ser eksempeldata');
+});
+
+test('shows tilbud when the kategori tree cannot be loaded', async () => {
+  tilbudService.getKategoriTree.mockRejectedValue(new Error('Network error'));
+  
+  render(<App />);
+  
+  expect(await screen.findByText('Test Produkt')).toBeInTheDocument();
+  expect(screen.getByLabelText('Kategori:')).toBeInTheDocument();
+});
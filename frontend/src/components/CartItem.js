@@ -1,5 +1,6 @@
 import React, { useCallback } from 'react';
 import { useCart } from '../contexts/CartContext';
+import { formatUnitPrice } from '../utils/unitPrice';
 import './CartItem.css';
 
 /**
@@ -7,7 +8,7 @@ import './CartItem.css';
  * Displays a single item in the shopping cart with quantity controls
  * Optimized with memoized callbacks and accessible controls
  * 
- * @param {Object} product - Product object with cart data
+ * @param {Object} product - Product object with cart data (expired: the offer no longer exists)
  */
 const CartItem = ({ product }) => {
   const { updateQuantity, removeFromCart } = useCart();
@@ -40,15 +41,26 @@ const CartItem = ({ product }) => {
   
   const subtotal = product.tilbudspris * quantity;
   const savings = (product.normalpris - product.tilbudspris) * quantity;
+  const unitPrice = formatUnitPrice(product);
 
   return (
-    <div className="cart-item" role="article" aria-label={`${product.navn} fra ${product.butik}`}>
+    <div
+      className={product.expired ? 'cart-item cart-item--expired' : 'cart-item'}
+      role="article"
+      aria-label={`${product.navn} fra ${product.butik}`}
+    >
       <div className="cart-item-info">
         <h3 className="cart-item-name">{product.navn}</h3>
+        {product.expired && (
+          <span className="cart-item-expired">Udløbet</span>
+        )}
         <div className="cart-item-store">{product.butik}</div>
         <div className="cart-item-price">
           {product.tilbudspris.toFixed(2)} kr
         </div>
+        {unitPrice && (
+          <div className="cart-item-unit-price">{unitPrice}</div>
+        )}
       </div>
       
       <div className="cart-item-controls">
@@ -34,6 +34,35 @@ describe('CartItem', () => {
     expect(screen.getByText('10.00 kr')).toBeInTheDocument();
   });
 
+  test('marks an expired offer', () => {
+    render(
+      <CartProvider>
+        <CartItem product={{ ...mockProduct, expired: true }} />
+      </CartProvider>
+    );
+
+    expect(screen.getByText('Udløbet')).toBeInTheDocument();
+    expect(screen.getByRole('article')).toHaveClass('cart-item--expired');
+  });
+
+  test('renders unit price when available', () => {
+    const { container, rerender } = render(
+      <CartProvider>
+        <CartItem product={mockProduct} />
+      </CartProvider>
+    );
+
+    expect(container.querySelector('.cart-item-unit-price')).not.toBeInTheDocument();
+
+    rerender(
+      <CartProvider>
+        <CartItem product={{ ...mockProduct, maengde: 1.5, enhed: 'l', enhedspris: 6.67 }} />
+      </CartProvider>
+    );
+
+    expect(screen.getByText('6.67 kr/l')).toBeInTheDocument();
+  });
+
   test('displays correct quantity', () => {
     render(
       <CartProvider>
@@ -0,0 +1,47 @@
+import React from 'react';
+import './DataStatusBanner.css';
+
+/**
+ * Format how long ago data was fetched
+ * @param {number} seconds
+ * @returns {string} e.g. '25 min' or '3 timer'
+ */
+const formatAge = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.round(minutes / 60);
+  return hours === 1 ? '1 time' : `${hours} timer`;
+};
+
+/**
+ * DataStatusBanner Component
+ * Warns when the tilbud shown are demo data or could not be updated,
+ * based on the meta block from /api/tilbud
+ */
+const DataStatusBanner = ({ meta }) => {
+  if (!meta) {
+    return null;
+  }
+
+  if (!meta.realData) {
+    return (
+      <div className="data-status-banner data-status-banner--demo" role="alert">
+        <strong>Rigtige tilbud kan ikke hentes lige nu.</strong>{' '}
+        Du ser eksempeldata, som ikke er rigtige tilbud.
+      </div>
+    );
+  }
+
+  if (meta.fallbackUsed) {
+    return (
+      <div className="data-status-banner data-status-banner--stale" role="status">
+        Nogle tilbud kunne ikke opdateres og er op til {formatAge(meta.dataAgeSeconds || 0)} gamle.
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default DataStatusBanner;
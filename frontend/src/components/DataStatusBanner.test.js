@@ -0,0 +1,30 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DataStatusBanner from './DataStatusBanner';
+
+describe('DataStatusBanner', () => {
+  test('renders nothing for fresh real data', () => {
+    const { container } = render(<DataStatusBanner meta={{ realData: true, fallbackUsed: false, dataAgeSeconds: 60 }} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('renders nothing without meta', () => {
+    const { container } = render(<DataStatusBanner meta={null} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('warns when only demo data is available', () => {
+    render(<DataStatusBanner meta={{ realData: false, fallbackUsed: false, dataAgeSeconds: 0 }} />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Rigtige tilbud kan ikke hentes lige nu.');
+  });
+
+  test('tells how old offers are when a source could not be updated', () => {
+    render(<DataStatusBanner meta={{ realData: true, fallbackUsed: true, dataAgeSeconds: 3 * 3600 }} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('op til 3 timer gamle');
+  });
+});
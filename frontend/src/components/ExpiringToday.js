@@ -0,0 +1,30 @@
+import React from 'react';
+import TilbudCard from './TilbudCard';
+import './ExpiringToday.css';
+
+/**
+ * ExpiringToday Component
+ * Clearance offers that expire before the end of today, soonest first,
+ * so they can be bought before they go to waste
+ */
+const ExpiringToday = ({ tilbud }) => {
+  if (!tilbud || tilbud.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="expiring-today" aria-labelledby="expiring-today-title">
+      <h2 id="expiring-today-title" className="expiring-today-title">⏰ Udløber i dag</h2>
+      <p className="expiring-today-subtitle">Køb dem inden lukketid, og red maden fra at blive smidt ud</p>
+      <ul className="expiring-today-list">
+        {tilbud.map(item => (
+          <li key={item.id} className="expiring-today-item">
+            <TilbudCard tilbud={item} />
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default ExpiringToday;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ExpiringToday from './ExpiringToday';
+
+jest.mock('./TilbudCard', () => {
+  return function MockTilbudCard({ tilbud }) {
+    return <div data-testid="tilbud-card">{tilbud.navn}</div>;
+  };
+});
+
+describe('ExpiringToday', () => {
+  test('renders nothing without offers expiring today', () => {
+    const { container } = render(<ExpiringToday tilbud={[]} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('lists offers expiring today in the given order', () => {
+    render(<ExpiringToday tilbud={[{ id: 1, navn: 'Rugbrød' }, { id: 2, navn: 'Letmælk' }]} />);
+
+    expect(screen.getByRole('heading', { name: /Udløber i dag/ })).toBeInTheDocument();
+    expect(screen.getAllByTestId('tilbud-card').map(card => card.textContent)).toEqual(['Rugbrød', 'Letmælk']);
+  });
+});
@@ -1,19 +1,66 @@
 import React from 'react';
+import { ALLERGENS } from '../utils/allergens';
 import './FilterBar.css';
 
-const FilterBar = ({ 
-  butikker, 
-  selectedButik, 
+const SORT_OPTIONS = [
+  { value: '', label: 'Standard' },
+  { value: 'rabat', label: 'Højeste rabat' },
+  { value: 'tilbudspris', label: 'Laveste pris' },
+  { value: 'besparelse', label: 'Største besparelse' },
+  { value: 'enhedspris', label: 'Laveste enhedspris' },
+  { value: 'expiry', label: 'Udløber først' }
+];
+
+// minNutriScore values: the worst grade still shown
+const NUTRI_SCORE_OPTIONS = [
+  { value: '', label: 'Alle' },
+  { value: 'A', label: 'A' },
+  { value: 'B', label: 'A-B' },
+  { value: 'C', label: 'A-C' },
+  { value: 'D', label: 'A-D' }
+];
+
+const FilterBar = ({
+  butikker,
+  selectedButik,
   onButikChange,
-  onReset 
+  kategoriTree = [],
+  selectedKategori = '',
+  selectedUnderkategori = '',
+  onKategoriChange,
+  sortBy = '',
+  onSortChange,
+  rangeFilters = {},
+  onRangeChange,
+  undgaa = [],
+  onUndgaaChange,
+  nutritionFilters = {},
+  onNutritionChange,
+  onReset
 }) => {
+  const { minPris = '', maxPris = '', minRabat = '' } = rangeFilters;
+  const { minNutriScore = '', noeglehul = false } = nutritionFilters;
+  const hasActiveFilters = Boolean(
+    selectedButik || selectedKategori || sortBy || minPris || maxPris || minRabat || undgaa.length > 0 ||
+    minNutriScore || noeglehul
+  );
+
+  const toggleAllergen = (key) => {
+    onUndgaaChange(undgaa.includes(key) ? undgaa.filter(k => k !== key) : [...undgaa, key]);
+  };
+
+  // Only categories with offers are offered, but keep the current selection visible
+  const kategorier = kategoriTree.filter(k => k.antal > 0 || k.navn === selectedKategori);
+  const underkategorier = (kategoriTree.find(k => k.navn === selectedKategori)?.underkategorier || [])
+    .filter(u => u.antal > 0 || u.navn === selectedUnderkategori);
+
   return (
     <div className="filter-bar">
       <div className="filter-group">
         <label htmlFor="butik-filter">Butik:</label>
-        <select 
+        <select
           id="butik-filter"
-          value={selectedButik} 
+          value={selectedButik}
           onChange={(e) => onButikChange(e.target.value)}
         >
           <option value="">Alle butikker</option>
@@ -23,7 +70,152 @@ const FilterBar = ({
         </select>
       </div>
 
-      {selectedButik && (
+      {onKategoriChange && (
+        <div className="filter-group">
+          <label htmlFor="kategori-filter">Kategori:</label>
+          <select
+            id="kategori-filter"
+            value={selectedKategori}
+            onChange={(e) => onKategoriChange(e.target.value, '')}
+          >
+            <option value="">Alle kategorier</option>
+            {kategorier.map(kategori => (
+              <option key={kategori.navn} value={kategori.navn}>
+                {kategori.navn} ({kategori.antal})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {onKategoriChange && underkategorier.length > 0 && (
+        <div className="filter-group">
+          <label htmlFor="underkategori-filter">Underkategori:</label>
+          <select
+            id="underkategori-filter"
+            value={selectedUnderkategori}
+            onChange={(e) => onKategoriChange(selectedKategori, e.target.value)}
+          >
+            <option value="">Alle i {selectedKategori}</option>
+            {underkategorier.map(underkategori => (
+              <option key={underkategori.navn} value={underkategori.navn}>
+                {underkategori.navn} ({underkategori.antal})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {onSortChange && (
+        <div className="filter-group">
+          <label htmlFor="sort-filter">Sortér efter:</label>
+          <select
+            id="sort-filter"
+            value={sortBy}
+            onChange={(e) => onSortChange(e.target.value)}
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {onRangeChange && (
+        <>
+          <div className="filter-group filter-group-small">
+            <label htmlFor="min-pris-filter">Min. pris (kr):</label>
+            <input
+              id="min-pris-filter"
+              type="number"
+              min="0"
+              step="any"
+              inputMode="decimal"
+              value={minPris}
+              onChange={(e) => onRangeChange('minPris', e.target.value)}
+            />
+          </div>
+
+          <div className="filter-group filter-group-small">
+            <label htmlFor="max-pris-filter">Maks. pris (kr):</label>
+            <input
+              id="max-pris-filter"
+              type="number"
+              min="0"
+              step="any"
+              inputMode="decimal"
+              value={maxPris}
+              onChange={(e) => onRangeChange('maxPris', e.target.value)}
+            />
+          </div>
+
+          <div className="filter-group filter-group-small">
+            <label htmlFor="min-rabat-filter">Min. rabat (%):</label>
+            <input
+              id="min-rabat-filter"
+              type="number"
+              min="0"
+              max="100"
+              inputMode="numeric"
+              value={minRabat}
+              onChange={(e) => onRangeChange('minRabat', e.target.value)}
+            />
+          </div>
+        </>
+      )}
+
+      {onUndgaaChange && (
+        <details className="filter-group allergen-filter" open={undgaa.length > 0 || undefined}>
+          <summary>
+            Undgå allergener{undgaa.length > 0 ? ` (${undgaa.length})` : ''}
+          </summary>
+          <fieldset>
+            <legend className="allergen-filter-note">
+              Tilbud med de valgte allergener skjules. Tilbud uden kendte allergener markeres.
+            </legend>
+            {ALLERGENS.map(allergen => (
+              <label key={allergen.key} className="allergen-option">
+                <input
+                  type="checkbox"
+                  checked={undgaa.includes(allergen.key)}
+                  onChange={() => toggleAllergen(allergen.key)}
+                />
+                {allergen.navn}
+              </label>
+            ))}
+          </fieldset>
+        </details>
+      )}
+
+      {onNutritionChange && (
+        <>
+          <div className="filter-group filter-group-small">
+            <label htmlFor="nutri-score-filter">Nutri-Score:</label>
+            <select
+              id="nutri-score-filter"
+              value={minNutriScore}
+              onChange={(e) => onNutritionChange('minNutriScore', e.target.value)}
+            >
+              {NUTRI_SCORE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group filter-group-small">
+            <label className="noeglehul-filter">
+              <input
+                type="checkbox"
+                checked={noeglehul}
+                onChange={(e) => onNutritionChange('noeglehul', e.target.checked)}
+              />
+              Kun Nøglehul
+            </label>
+          </div>
+        </>
+      )}
+
+      {hasActiveFilters && (
         <button className="reset-btn" onClick={onReset}>
           Nulstil filtre
         </button>
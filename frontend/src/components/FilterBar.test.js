@@ -0,0 +1,176 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import FilterBar from './FilterBar';
+
+const defaultProps = {
+  butikker: ['Netto', 'Føtex'],
+  selectedButik: '',
+  onButikChange: jest.fn(),
+  sortBy: '',
+  onSortChange: jest.fn(),
+  rangeFilters: { minPris: '', maxPris: '', minRabat: '' },
+  onRangeChange: jest.fn(),
+  onReset: jest.fn()
+};
+
+const kategoriTree = [
+  {
+    navn: 'Kød',
+    antal: 5,
+    underkategorier: [
+      { navn: 'Oksekød', antal: 3 },
+      { navn: 'Pølser & pålæg', antal: 2 },
+      { navn: 'Fjerkræ', antal: 0 }
+    ]
+  },
+  { navn: 'Fisk', antal: 0, underkategorier: [{ navn: 'Laks & ørred', antal: 0 }] },
+  { navn: 'Diverse', antal: 1, underkategorier: [] }
+];
+
+describe('FilterBar', () => {
+  test('renders butik, sort and range controls', () => {
+    render(<FilterBar {...defaultProps} />);
+    
+    expect(screen.getByLabelText('Butik:')).toBeInTheDocument();
+    expect(screen.getByLabelText('Sortér efter:')).toBeInTheDocument();
+    expect(screen.getByLabelText('Min. pris (kr):')).toBeInTheDocument();
+    expect(screen.getByLabelText('Maks. pris (kr):')).toBeInTheDocument();
+    expect(screen.getByLabelText('Min. rabat (%):')).toBeInTheDocument();
+  });
+
+  test('calls onSortChange when a sort is selected', () => {
+    const onSortChange = jest.fn();
+    render(<FilterBar {...defaultProps} onSortChange={onSortChange} />);
+    
+    fireEvent.change(screen.getByLabelText('Sortér efter:'), { target: { value: 'rabat' } });
+    
+    expect(onSortChange).toHaveBeenCalledWith('rabat');
+  });
+
+  test('calls onRangeChange with field and value', () => {
+    const onRangeChange = jest.fn();
+    render(<FilterBar {...defaultProps} onRangeChange={onRangeChange} />);
+    
+    fireEvent.change(screen.getByLabelText('Maks. pris (kr):'), { target: { value: '25' } });
+    fireEvent.change(screen.getByLabelText('Min. rabat (%):'), { target: { value: '30' } });
+    
+    expect(onRangeChange).toHaveBeenCalledWith('maxPris', '25');
+    expect(onRangeChange).toHaveBeenCalledWith('minRabat', '30');
+  });
+
+  test('shows reset button only when a filter is active', () => {
+    const { rerender } = render(<FilterBar {...defaultProps} />);
+    expect(screen.queryByText('Nulstil filtre')).not.toBeInTheDocument();
+    
+    rerender(<FilterBar {...defaultProps} rangeFilters={{ minPris: '10', maxPris: '', minRabat: '' }} />);
+    expect(screen.getByText('Nulstil filtre')).toBeInTheDocument();
+    
+    rerender(<FilterBar {...defaultProps} sortBy="expiry" />);
+    expect(screen.getByText('Nulstil filtre')).toBeInTheDocument();
+  });
+
+  describe('allergen filter', () => {
+    test('toggles allergens to avoid', () => {
+      const onUndgaaChange = jest.fn();
+      const { rerender } = render(<FilterBar {...defaultProps} undgaa={[]} onUndgaaChange={onUndgaaChange} />);
+
+      fireEvent.click(screen.getByLabelText('Gluten'));
+      expect(onUndgaaChange).toHaveBeenLastCalledWith(['gluten']);
+
+      rerender(<FilterBar {...defaultProps} undgaa={['gluten', 'maelk']} onUndgaaChange={onUndgaaChange} />);
+      expect(screen.getByText('Undgå allergener (2)')).toBeInTheDocument();
+      expect(screen.getByLabelText('Mælk')).toBeChecked();
+
+      fireEvent.click(screen.getByLabelText('Gluten'));
+      expect(onUndgaaChange).toHaveBeenLastCalledWith(['maelk']);
+      expect(screen.getByText('Nulstil filtre')).toBeInTheDocument();
+    });
+
+    test('is hidden without a change handler', () => {
+      render(<FilterBar {...defaultProps} />);
+      expect(screen.queryByText(/Undgå allergener/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('nutrition filter', () => {
+    test('sets the minimum Nutri-Score and the Nøglehul', () => {
+      const onNutritionChange = jest.fn();
+      render(
+        <FilterBar
+          {...defaultProps}
+          nutritionFilters={{ minNutriScore: 'B', noeglehul: false }}
+          onNutritionChange={onNutritionChange}
+        />
+      );
+
+      expect(screen.getByLabelText('Nutri-Score:')).toHaveValue('B');
+      expect(screen.getByText('Nulstil filtre')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Nutri-Score:'), { target: { value: 'C' } });
+      expect(onNutritionChange).toHaveBeenLastCalledWith('minNutriScore', 'C');
+
+      fireEvent.click(screen.getByLabelText('Kun Nøglehul'));
+      expect(onNutritionChange).toHaveBeenLastCalledWith('noeglehul', true);
+    });
+
+    test('is hidden without a change handler', () => {
+      render(<FilterBar {...defaultProps} />);
+      expect(screen.queryByLabelText('Nutri-Score:')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('kategori filter', () => {
+    test('lists categories with offers and their counts', () => {
+      render(<FilterBar {...defaultProps} kategoriTree={kategoriTree} onKategoriChange={jest.fn()} />);
+      
+      expect(screen.getByRole('option', { name: 'Kød (5)' })).toBeInTheDocument();
+      expect(screen.getByRole('option', { name: 'Diverse (1)' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'Fisk (0)' })).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Underkategori:')).not.toBeInTheDocument();
+    });
+
+    test('selecting a kategori clears the underkategori', () => {
+      const onKategoriChange = jest.fn();
+      render(<FilterBar {...defaultProps} kategoriTree={kategoriTree} onKategoriChange={onKategoriChange} />);
+      
+      fireEvent.change(screen.getByLabelText('Kategori:'), { target: { value: 'Kød' } });
+      
+      expect(onKategoriChange).toHaveBeenCalledWith('Kød', '');
+    });
+
+    test('shows underkategorier of the selected kategori', () => {
+      const onKategoriChange = jest.fn();
+      render(
+        <FilterBar
+          {...defaultProps}
+          kategoriTree={kategoriTree}
+          selectedKategori="Kød"
+          onKategoriChange={onKategoriChange}
+        />
+      );
+      
+      expect(screen.getByRole('option', { name: 'Alle i Kød' })).toBeInTheDocument();
+      expect(screen.getByRole('option', { name: 'Oksekød (3)' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'Fjerkræ (0)' })).not.toBeInTheDocument();
+      expect(screen.getByText('Nulstil filtre')).toBeInTheDocument();
+      
+      fireEvent.change(screen.getByLabelText('Underkategori:'), { target: { value: 'Pølser & pålæg' } });
+      
+      expect(onKategoriChange).toHaveBeenCalledWith('Kød', 'Pølser & pålæg');
+    });
+
+    test('hides underkategori select for categories without children', () => {
+      render(
+        <FilterBar
+          {...defaultProps}
+          kategoriTree={kategoriTree}
+          selectedKategori="Diverse"
+          onKategoriChange={jest.fn()}
+        />
+      );
+      
+      expect(screen.queryByLabelText('Underkategori:')).not.toBeInTheDocument();
+    });
+  });
+});
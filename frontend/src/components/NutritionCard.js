@@ -1,12 +1,47 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { formatAllergens } from '../utils/allergens';
 import './NutritionCard.css';
 
+// Shown under the table, by the source field of the nutrition data
+const SOURCE_NAMES = {
+  openfoodfacts: 'Open Food Facts',
+  frida: 'Frida (DTU Fødevareinstituttet)'
+};
+
+// Fields of /api/produkt/:id/nutrition shown in the table
+const NUTRIENT_FIELDS = [
+  'energyKcal', 'energyKj', 'fat', 'saturatedFat', 'carbohydrates', 'sugars', 'fiber', 'protein', 'salt'
+];
+
+// Views of data.amounts offered by the toggle, when the backend has them
+const AMOUNT_VIEWS = [
+  { key: 'per100g', button: 'Per 100 g', describe: amount => `Per 100 ${amount.unit}` },
+  { key: 'perServing', button: 'Per portion', describe: amount => `Per portion (${amount.amount} ${amount.unit})` },
+  { key: 'perPackage', button: 'Per pakke', describe: amount => `Per pakke (${amount.amount} ${amount.unit})` }
+];
+
+/**
+ * Describe the Nøglehul result, or null when the category can't carry it
+ */
+const describeNoeglehul = (noeglehul) => {
+  if (!noeglehul || !noeglehul.gruppe) return null;
+  if (noeglehul.eligible === true) return `Opfylder Nøglehullets krav for ${noeglehul.gruppe.toLowerCase()}`;
+  if (noeglehul.eligible === false) return `Opfylder ikke Nøglehullets krav: ${noeglehul.reasons.join(', ')}`;
+  return `Nøglehul ukendt: ${noeglehul.reasons.join(', ')}`;
+};
+
 /**
  * NutritionCard Component
  * Displays nutrition facts per 100g with fallback for missing data
+ * Toggles to per serving and per package values when they are known
+ * Shows Nutri-Score, Nøglehul and %RI when the backend has scored the data
+ * Reference values (generic food, not the exact product) are labelled as such
+ * Allergens, traces and ingredients are shown when known
  * Improved accessibility with ARIA labels and semantic HTML
  */
 const NutritionCard = ({ nutrition, loading }) => {
+  const [view, setView] = useState('per100g');
+
   if (loading) {
     return (
       <div className="nutrition-card" aria-busy="true" aria-label="Indlæser næringsdata">
@@ -18,7 +53,7 @@ const NutritionCard = ({ nutrition, loading }) => {
     );
   }
 
-  if (!nutrition || !nutrition.nutriments) {
+  if (!nutrition || NUTRIENT_FIELDS.every(field => nutrition[field] == null)) {
     return (
       <div className="nutrition-card">
         <h3 className="nutrition-card__title">Næringsindhold</h3>
@@ -29,7 +64,13 @@ const NutritionCard = ({ nutrition, loading }) => {
     );
   }
 
-  const { nutriments } = nutrition;
+  const amounts = nutrition.amounts || {};
+  const views = AMOUNT_VIEWS.filter(option => amounts[option.key]);
+  // Fall back to per 100 g when the selected view is missing, e.g. after switching product
+  const current = amounts[view] ? view : 'per100g';
+  const amount = amounts[current];
+  const values = amount?.values || nutrition;
+  const servingLabel = amount ? AMOUNT_VIEWS.find(option => option.key === current).describe(amount) : 'Per 100 g';
 
   /**
    * Format number with proper decimals and fallback
@@ -45,8 +86,8 @@ const NutritionCard = ({ nutrition, loading }) => {
    * Format energy value with both kcal and kJ
    */
   const formatEnergy = () => {
-    const kcal = nutriments['energy-kcal_100g'];
-    const kj = nutriments['energy_100g'];
+    const kcal = values.energyKcal;
+    const kj = values.energyKj;
     
     if (!kcal && !kj) {
       return '—';
@@ -61,23 +102,74 @@ const NutritionCard = ({ nutrition, loading }) => {
     return kcalText || kjText;
   };
 
+  const ri = amount?.ri || (current === 'per100g' ? nutrition.ri : null) || null;
+
   const nutritionRows = [
-    { label: 'Energi', value: formatEnergy(), isEnergy: true },
-    { label: 'Fedt', value: formatValue(nutriments.fat_100g) },
-    { label: 'heraf mættede fedtsyrer', value: formatValue(nutriments['saturated-fat_100g']), indent: true },
-    { label: 'Kulhydrater', value: formatValue(nutriments.carbohydrates_100g) },
-    { label: 'heraf sukkerarter', value: formatValue(nutriments.sugars_100g), indent: true },
-    { label: 'Kostfibre', value: formatValue(nutriments.fiber_100g) },
-    { label: 'Protein', value: formatValue(nutriments.proteins_100g) },
-    { label: 'Salt', value: formatValue(nutriments.salt_100g) },
+    { label: 'Energi', value: formatEnergy(), ri: ri?.energy, isEnergy: true },
+    { label: 'Fedt', value: formatValue(values.fat), ri: ri?.fat },
+    { label: 'heraf mættede fedtsyrer', value: formatValue(values.saturatedFat), ri: ri?.saturatedFat, indent: true },
+    { label: 'Kulhydrater', value: formatValue(values.carbohydrates), ri: ri?.carbohydrates },
+    { label: 'heraf sukkerarter', value: formatValue(values.sugars), ri: ri?.sugars, indent: true },
+    // Fibre has no EU reference intake
+    { label: 'Kostfibre', value: formatValue(values.fiber) },
+    { label: 'Protein', value: formatValue(values.protein), ri: ri?.protein },
+    { label: 'Salt', value: formatValue(values.salt), ri: ri?.salt },
   ];
 
+  const grade = nutrition.nutriScore?.grade;
+  const noeglehulText = describeNoeglehul(nutrition.noeglehul);
+
   return (
     <section className="nutrition-card" aria-labelledby="nutrition-title">
       <h3 id="nutrition-title" className="nutrition-card__title">Næringsindhold</h3>
-      <p className="nutrition-card__serving">Per 100 g</p>
+      <p className="nutrition-card__serving">{servingLabel}</p>
+
+      {views.length > 1 && (
+        <div className="nutrition-card__views" role="group" aria-label="Vis næringsindhold">
+          {views.map(option => (
+            <button
+              key={option.key}
+              type="button"
+              className={`nutrition-card__view ${option.key === current ? 'nutrition-card__view--active' : ''}`}
+              aria-pressed={option.key === current}
+              onClick={() => setView(option.key)}
+            >
+              {option.button}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(grade || noeglehulText) && (
+        <div className="nutrition-card__scores">
+          {grade && (
+            <span
+              className={`nutri-score nutri-score--${grade.toLowerCase()}`}
+              aria-label={`Nutri-Score ${grade}`}
+            >
+              Nutri-Score <strong>{grade}</strong>
+            </span>
+          )}
+          {noeglehulText && (
+            <p
+              className={`nutrition-card__noeglehul ${nutrition.noeglehul.eligible ? 'nutrition-card__noeglehul--ok' : ''}`}
+            >
+              {noeglehulText}
+            </p>
+          )}
+        </div>
+      )}
       
-      <table className="nutrition-card__table" role="table" aria-label="Næringsværdier per 100 gram">
+      <table className="nutrition-card__table" role="table" aria-label={`Næringsværdier ${servingLabel.toLowerCase()}`}>
+        {ri && (
+          <thead>
+            <tr>
+              <th scope="col" aria-label="Næringsstof" />
+              <th scope="col" className="nutrition-card__value">{servingLabel}</th>
+              <th scope="col" className="nutrition-card__ri">%RI*</th>
+            </tr>
+          </thead>
+        )}
         <tbody>
           {nutritionRows.map((row, index) => (
             <tr 
@@ -86,14 +178,49 @@ const NutritionCard = ({ nutrition, loading }) => {
             >
               <td className="nutrition-card__label">{row.label}</td>
               <td className="nutrition-card__value">{row.value}</td>
+              {ri && (
+                <td className="nutrition-card__ri">{row.ri == null ? '' : `${row.ri}%`}</td>
+              )}
             </tr>
           ))}
         </tbody>
       </table>
+      {ri && (
+        <p className="nutrition-card__ri-note">
+          *Referenceindtag for en gennemsnitlig voksen (8400 kJ / 2000 kcal)
+        </p>
+      )}
+
+      <div className="nutrition-card__allergens">
+        <h4 className="nutrition-card__subtitle">Allergener</h4>
+        {Array.isArray(nutrition.allergens) ? (
+          <>
+            <p>{nutrition.allergens.length > 0 ? formatAllergens(nutrition.allergens) : 'Ingen kendte allergener'}</p>
+            {nutrition.traces?.length > 0 && (
+              <p className="nutrition-card__traces">Kan indeholde spor af: {formatAllergens(nutrition.traces)}</p>
+            )}
+          </>
+        ) : (
+          <p className="nutrition-card__unknown">Ukendt - tjek emballagen</p>
+        )}
+      </div>
+
+      {nutrition.ingredients && (
+        <div className="nutrition-card__ingredients">
+          <h4 className="nutrition-card__subtitle">Ingredienser</h4>
+          <p>{nutrition.ingredients}</p>
+        </div>
+      )}
+
+      {nutrition.reference && (
+        <p className="nutrition-card__reference" role="note">
+          Referenceværdi for {nutrition.match?.productName || 'varetypen'} - ikke målt på netop denne vare
+        </p>
+      )}
 
-      {nutrition.data_source && (
+      {SOURCE_NAMES[nutrition.source] && (
         <div className="nutrition-card__attribution" role="contentinfo">
-          <small>Data fra {nutrition.data_source}</small>
+          <small>Data fra {SOURCE_NAMES[nutrition.source]}</small>
         </div>
       )}
     </section>
@@ -1,21 +1,19 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import NutritionCard from './NutritionCard';
 
 describe('NutritionCard', () => {
   const mockNutritionData = {
-    data_source: 'Open Food Facts',
-    nutriments: {
-      'energy-kcal_100g': 250,
-      'energy_100g': 1046,
-      'fat_100g': 10.5,
-      'saturated-fat_100g': 3.2,
-      'carbohydrates_100g': 35.4,
-      'sugars_100g': 8.5,
-      'fiber_100g': 2.5,
-      'proteins_100g': 6.8,
-      'salt_100g': 1.2,
-    },
+    source: 'openfoodfacts',
+    energyKcal: 250,
+    energyKj: 1046,
+    fat: 10.5,
+    saturatedFat: 3.2,
+    carbohydrates: 35.4,
+    sugars: 8.5,
+    fiber: 2.5,
+    protein: 6.8,
+    salt: 1.2,
   };
 
   describe('Loading state', () => {
@@ -35,7 +33,7 @@ describe('NutritionCard', () => {
       expect(screen.getByText('Næringsdata ikke tilgængelig')).toBeInTheDocument();
     });
 
-    it('should display fallback message when nutriments is missing', () => {
+    it('should display fallback message when all values are missing', () => {
       render(<NutritionCard nutrition={{}} loading={false} />);
       
       expect(screen.getByText('Næringsdata ikke tilgængelig')).toBeInTheDocument();
@@ -78,12 +76,10 @@ describe('NutritionCard', () => {
 
     it('should handle missing individual values with em dash', () => {
       const partialData = {
-        data_source: 'Open Food Facts',
-        nutriments: {
-          'energy-kcal_100g': 250,
-          'fat_100g': 10.5,
-          // Missing other values
-        },
+        source: 'openfoodfacts',
+        energyKcal: 250,
+        fat: 10.5,
+        // Missing other values
       };
 
       render(<NutritionCard nutrition={partialData} loading={false} />);
@@ -99,10 +95,8 @@ describe('NutritionCard', () => {
 
     it('should format energy with only kcal when kJ is missing', () => {
       const onlyKcal = {
-        data_source: 'Open Food Facts',
-        nutriments: {
-          'energy-kcal_100g': 250,
-        },
+        source: 'openfoodfacts',
+        energyKcal: 250,
       };
 
       render(<NutritionCard nutrition={onlyKcal} loading={false} />);
@@ -111,10 +105,8 @@ describe('NutritionCard', () => {
 
     it('should format energy with only kJ when kcal is missing', () => {
       const onlyKj = {
-        data_source: 'Open Food Facts',
-        nutriments: {
-          'energy_100g': 1046,
-        },
+        source: 'openfoodfacts',
+        energyKj: 1046,
       };
 
       render(<NutritionCard nutrition={onlyKj} loading={false} />);
@@ -129,11 +121,9 @@ describe('NutritionCard', () => {
       expect(screen.getByText('Data fra Open Food Facts')).toBeInTheDocument();
     });
 
-    it('should not display attribution when data_source is missing', () => {
+    it('should not display attribution when source is missing', () => {
       const noSource = {
-        nutriments: {
-          'energy-kcal_100g': 250,
-        },
+        energyKcal: 250,
       };
 
       render(<NutritionCard nutrition={noSource} loading={false} />);
@@ -142,6 +132,155 @@ describe('NutritionCard', () => {
     });
   });
 
+  describe('Allergens and ingredients', () => {
+    it('should list allergens, traces and ingredients', () => {
+      render(
+        <NutritionCard
+          nutrition={{
+            ...mockNutritionData,
+            allergens: ['gluten', 'maelk'],
+            traces: ['noedder'],
+            ingredients: 'Hvedemel, smør, sukker'
+          }}
+          loading={false}
+        />
+      );
+
+      expect(screen.getByText('Gluten, Mælk')).toBeInTheDocument();
+      expect(screen.getByText('Kan indeholde spor af: Nødder')).toBeInTheDocument();
+      expect(screen.getByText('Hvedemel, smør, sukker')).toBeInTheDocument();
+    });
+
+    it('should tell known allergen-free products from unknown ones', () => {
+      const { rerender } = render(
+        <NutritionCard nutrition={{ ...mockNutritionData, allergens: [], traces: [] }} loading={false} />
+      );
+      expect(screen.getByText('Ingen kendte allergener')).toBeInTheDocument();
+
+      rerender(<NutritionCard nutrition={{ ...mockNutritionData, allergens: null }} loading={false} />);
+      expect(screen.getByText('Ukendt - tjek emballagen')).toBeInTheDocument();
+      expect(screen.queryByText('Ingredienser')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Reference values', () => {
+    it('should label reference values from Frida', () => {
+      render(
+        <NutritionCard
+          nutrition={{ ...mockNutritionData, source: 'frida', reference: true, match: { productName: 'Banan, rå' } }}
+          loading={false}
+        />
+      );
+
+      expect(screen.getByRole('note')).toHaveTextContent('Referenceværdi for Banan, rå - ikke målt på netop denne vare');
+      expect(screen.getByText('Data fra Frida (DTU Fødevareinstituttet)')).toBeInTheDocument();
+    });
+
+    it('should not label product data as reference values', () => {
+      render(<NutritionCard nutrition={mockNutritionData} loading={false} />);
+
+      expect(screen.queryByRole('note')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Amounts', () => {
+    const withAmounts = {
+      ...mockNutritionData,
+      amounts: {
+        per100g: { amount: 100, unit: 'g', values: mockNutritionData, ri: { energy: 12 } },
+        perServing: { amount: 30, unit: 'g', values: { ...mockNutritionData, energyKcal: 75, fat: 3.1 }, ri: { energy: 4 } },
+        perPackage: { amount: 500, unit: 'g', values: { ...mockNutritionData, energyKcal: 1250, fat: 52.5 }, ri: { energy: 62 } }
+      }
+    };
+
+    it('should toggle between per 100 g, per serving and per package', () => {
+      const { container } = render(<NutritionCard nutrition={withAmounts} loading={false} />);
+
+      expect(screen.getByRole('button', { name: 'Per 100 g' })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByText('10.5 g')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Per pakke' }));
+      expect(container.querySelector('.nutrition-card__serving')).toHaveTextContent('Per pakke (500 g)');
+      expect(screen.getByText('52.5 g')).toBeInTheDocument();
+      expect(screen.getByText(/1250 kcal/)).toBeInTheDocument();
+      expect(screen.getByText('62%')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Per portion' }));
+      expect(container.querySelector('.nutrition-card__serving')).toHaveTextContent('Per portion (30 g)');
+      expect(screen.getByText('3.1 g')).toBeInTheDocument();
+    });
+
+    it('should only offer the amounts that are known', () => {
+      render(
+        <NutritionCard
+          nutrition={{ ...withAmounts, amounts: { ...withAmounts.amounts, perServing: null } }}
+          loading={false}
+        />
+      );
+
+      expect(screen.getByRole('button', { name: 'Per pakke' })).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Per portion' })).not.toBeInTheDocument();
+    });
+
+    it('should not show the toggle with only per 100 g values', () => {
+      render(
+        <NutritionCard
+          nutrition={{ ...withAmounts, amounts: { per100g: withAmounts.amounts.per100g, perServing: null, perPackage: null } }}
+          loading={false}
+        />
+      );
+
+      expect(screen.queryByRole('group', { name: 'Vis næringsindhold' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Scores', () => {
+    const scored = {
+      ...mockNutritionData,
+      nutriScore: { grade: 'C', score: 5 },
+      noeglehul: { eligible: false, gruppe: 'Brød', reasons: ['for lidt kostfibre (2.5 under 5)'] },
+      ri: { energy: 12, fat: 15, saturatedFat: 16, carbohydrates: 14, sugars: 9, protein: 14, salt: 20 }
+    };
+
+    it('should show the Nutri-Score and why the Nøglehul is not met', () => {
+      render(<NutritionCard nutrition={scored} loading={false} />);
+
+      expect(screen.getByLabelText('Nutri-Score C')).toHaveClass('nutri-score--c');
+      expect(screen.getByText('Opfylder ikke Nøglehullets krav: for lidt kostfibre (2.5 under 5)')).toBeInTheDocument();
+    });
+
+    it('should show %RI next to each nutrient', () => {
+      const { container } = render(<NutritionCard nutrition={scored} loading={false} />);
+
+      expect(screen.getByText('%RI*')).toBeInTheDocument();
+      const ri = Array.from(container.querySelectorAll('tbody .nutrition-card__ri')).map(cell => cell.textContent);
+      expect(ri).toEqual(['12%', '15%', '16%', '14%', '9%', '', '14%', '20%']);
+    });
+
+    it('should leave out scores the data does not have', () => {
+      const { container } = render(
+        <NutritionCard
+          nutrition={{ ...mockNutritionData, nutriScore: null, noeglehul: { eligible: false, gruppe: null, reasons: [] } }}
+          loading={false}
+        />
+      );
+
+      expect(container.querySelector('.nutrition-card__scores')).not.toBeInTheDocument();
+      expect(container.querySelector('.nutrition-card__ri')).not.toBeInTheDocument();
+    });
+
+    it('should show a met Nøglehul', () => {
+      render(
+        <NutritionCard
+          nutrition={{ ...mockNutritionData, noeglehul: { eligible: true, gruppe: 'Brød', reasons: [] } }}
+          loading={false}
+        />
+      );
+
+      expect(screen.getByText('Opfylder Nøglehullets krav for brød')).toHaveClass('nutrition-card__noeglehul--ok');
+    });
+  });
+
   describe('CSS classes', () => {
     it('should apply correct CSS classes to structure', () => {
       const { container } = render(<NutritionCard nutrition={mockNutritionData} loading={false} />);
@@ -164,10 +303,8 @@ describe('NutritionCard', () => {
   describe('Number formatting', () => {
     it('should format decimal values to 1 decimal place', () => {
       const preciseData = {
-        nutriments: {
-          'fat_100g': 10.567,
-          'proteins_100g': 6.123,
-        },
+        fat: 10.567,
+        protein: 6.123,
       };
 
       render(<NutritionCard nutrition={preciseData} loading={false} />);
@@ -178,10 +315,8 @@ describe('NutritionCard', () => {
 
     it('should round energy values to whole numbers', () => {
       const energyData = {
-        nutriments: {
-          'energy-kcal_100g': 249.7,
-          'energy_100g': 1045.8,
-        },
+        energyKcal: 249.7,
+        energyKj: 1045.8,
       };
 
       render(<NutritionCard nutrition={energyData} loading={false} />);
@@ -0,0 +1,36 @@
+import React from 'react';
+import './Pagination.css';
+
+/**
+ * Pagination Component
+ * Previous/next navigation for paged tilbud lists
+ */
+const Pagination = ({ page, totalPages, onPageChange }) => {
+  if (!totalPages || totalPages <= 1) {
+    return null;
+  }
+
+  return (
+    <nav className="pagination" aria-label="Sider">
+      <button
+        className="pagination-btn"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+      >
+        ← Forrige
+      </button>
+      <span className="pagination-status" aria-current="page">
+        Side {page} af {totalPages}
+      </span>
+      <button
+        className="pagination-btn"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+      >
+        Næste →
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Pagination from './Pagination';
+
+describe('Pagination', () => {
+  test('renders nothing for a single page', () => {
+    const { container } = render(<Pagination page={1} totalPages={1} onPageChange={jest.fn()} />);
+    
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows current page and total pages', () => {
+    render(<Pagination page={2} totalPages={5} onPageChange={jest.fn()} />);
+    
+    expect(screen.getByText('Side 2 af 5')).toBeInTheDocument();
+  });
+
+  test('navigates to previous and next page', () => {
+    const onPageChange = jest.fn();
+    render(<Pagination page={2} totalPages={5} onPageChange={onPageChange} />);
+    
+    fireEvent.click(screen.getByText('← Forrige'));
+    fireEvent.click(screen.getByText('Næste →'));
+    
+    expect(onPageChange).toHaveBeenCalledWith(1);
+    expect(onPageChange).toHaveBeenCalledWith(3);
+  });
+
+  test('disables buttons at the first and last page', () => {
+    const { rerender } = render(<Pagination page={1} totalPages={3} onPageChange={jest.fn()} />);
+    expect(screen.getByText('← Forrige')).toBeDisabled();
+    
+    rerender(<Pagination page={3} totalPages={3} onPageChange={jest.fn()} />);
+    expect(screen.getByText('Næste →')).toBeDisabled();
+  });
+});
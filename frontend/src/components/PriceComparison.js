@@ -0,0 +1,66 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatUnitPrice } from '../utils/unitPrice';
+import './PriceComparison.css';
+
+/**
+ * PriceComparison Component
+ * Shows the price of the same product at other stores, cheapest first
+ *
+ * @param {Object} comparison - Response from /api/produkt/:id/sammenlign
+ */
+const PriceComparison = ({ comparison }) => {
+  // Nothing to compare when only this store has the product
+  if (!comparison || !comparison.priser || comparison.priser.length < 2) {
+    return null;
+  }
+
+  const { priser, produkt, prisforskel } = comparison;
+
+  return (
+    <section className="price-comparison" aria-labelledby="price-comparison-title">
+      <h3 id="price-comparison-title">
+        <span aria-hidden="true">⚖️</span> Sammenlign priser
+      </h3>
+      {prisforskel > 0 && (
+        <p className="price-comparison-summary">
+          Spar op til {prisforskel.toFixed(2)} kr ved at vælge den billigste butik
+        </p>
+      )}
+
+      <table className="price-comparison-table">
+        <thead>
+          <tr>
+            <th scope="col">Butik</th>
+            <th scope="col">Tilbudspris</th>
+            <th scope="col">Enhedspris</th>
+          </tr>
+        </thead>
+        <tbody>
+          {priser.map(pris => (
+            <tr
+              key={pris.id}
+              className={[
+                pris.valgt ? 'price-comparison-selected' : '',
+                pris.billigst ? 'price-comparison-cheapest' : ''
+              ].join(' ').trim() || undefined}
+            >
+              <td>
+                {pris.valgt ? (
+                  <span>{pris.butikNavn || pris.butik} (denne)</span>
+                ) : (
+                  <Link to={`/produkt/${pris.id}`}>{pris.butikNavn || pris.butik}</Link>
+                )}
+                {pris.billigst && <span className="price-comparison-badge">Billigst</span>}
+              </td>
+              <td>{pris.tilbudspris.toFixed(2)} kr</td>
+              <td>{formatUnitPrice({ ...pris, enhed: produkt?.enhed }) || '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default PriceComparison;
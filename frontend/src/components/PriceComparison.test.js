@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PriceComparison from './PriceComparison';
+
+jest.mock('react-router-dom');
+
+const comparison = {
+  produkt: { key: 'navn:smoer|0.25kg', navn: 'Smør 250g', ean: null, maengde: 0.25, enhed: 'kg' },
+  antalButikker: 2,
+  billigstePris: 11.95,
+  hoejestePris: 12.95,
+  prisforskel: 1,
+  priser: [
+    { id: 2, butik: 'Netto', butikNavn: 'Netto Trøjborg', tilbudspris: 11.95, enhedspris: 47.8, billigst: true, valgt: false },
+    { id: 1, butik: 'Rema 1000', butikNavn: null, tilbudspris: 12.95, enhedspris: 51.8, billigst: false, valgt: true }
+  ]
+};
+
+describe('PriceComparison', () => {
+  test('renders nothing without other stores', () => {
+    const { container, rerender } = render(<PriceComparison comparison={null} />);
+    expect(container).toBeEmptyDOMElement();
+
+    rerender(<PriceComparison comparison={{ ...comparison, priser: [comparison.priser[1]] }} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('lists prices per store with unit prices', () => {
+    render(<PriceComparison comparison={comparison} />);
+
+    expect(screen.getByText('Sammenlign priser')).toBeInTheDocument();
+    expect(screen.getByText('11.95 kr')).toBeInTheDocument();
+    expect(screen.getByText('47.80 kr/kg')).toBeInTheDocument();
+    expect(screen.getByText('51.80 kr/kg')).toBeInTheDocument();
+    expect(screen.getByText('Spar op til 1.00 kr ved at vælge den billigste butik')).toBeInTheDocument();
+  });
+
+  test('links to other offers and marks the current one', () => {
+    render(<PriceComparison comparison={comparison} />);
+
+    expect(screen.getByRole('link', { name: 'Netto Trøjborg' })).toHaveAttribute('href', '/produkt/2');
+    expect(screen.getByText('Rema 1000 (denne)')).toBeInTheDocument();
+    expect(screen.getByText('Billigst').closest('tr')).toHaveClass('price-comparison-cheapest');
+  });
+});
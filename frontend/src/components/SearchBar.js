@@ -0,0 +1,43 @@
+import React from 'react';
+import './SearchBar.css';
+
+/**
+ * SearchBar Component
+ * Free-text search field for tilbud with a clear button
+ * 
+ * @param {string} value - Current search text
+ * @param {Function} onChange - Called with the new search text
+ */
+const SearchBar = ({ value, onChange }) => {
+  return (
+    <div className="search-bar" role="search">
+      <label htmlFor="tilbud-search" className="search-bar__label">
+        Søg i tilbud
+      </label>
+      <div className="search-bar__input-wrapper">
+        <span className="search-bar__icon" aria-hidden="true">🔍</span>
+        <input
+          id="tilbud-search"
+          type="search"
+          className="search-bar__input"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="f.eks. oksekød, smør eller æg"
+          autoComplete="off"
+        />
+        {value && (
+          <button
+            type="button"
+            className="search-bar__clear"
+            onClick={() => onChange('')}
+            aria-label="Ryd søgning"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SearchBar from './SearchBar';
+
+describe('SearchBar', () => {
+  test('renders labelled search input', () => {
+    render(<SearchBar value="" onChange={jest.fn()} />);
+    
+    expect(screen.getByRole('search')).toBeInTheDocument();
+    expect(screen.getByLabelText('Søg i tilbud')).toBeInTheDocument();
+  });
+
+  test('calls onChange when typing', () => {
+    const onChange = jest.fn();
+    render(<SearchBar value="" onChange={onChange} />);
+    
+    fireEvent.change(screen.getByLabelText('Søg i tilbud'), { target: { value: 'oksekød' } });
+    
+    expect(onChange).toHaveBeenCalledWith('oksekød');
+  });
+
+  test('shows clear button only when there is text', () => {
+    const { rerender } = render(<SearchBar value="" onChange={jest.fn()} />);
+    expect(screen.queryByLabelText('Ryd søgning')).not.toBeInTheDocument();
+    
+    rerender(<SearchBar value="smør" onChange={jest.fn()} />);
+    expect(screen.getByLabelText('Ryd søgning')).toBeInTheDocument();
+  });
+
+  test('clears search when clear button is clicked', () => {
+    const onChange = jest.fn();
+    render(<SearchBar value="smør" onChange={onChange} />);
+    
+    fireEvent.click(screen.getByLabelText('Ryd søgning'));
+    
+    expect(onChange).toHaveBeenCalledWith('');
+  });
+});
@@ -1,13 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import FavoriteButton from './FavoriteButton';
 import ShareButton from './ShareButton';
 import AddToCartButton from './AddToCartButton';
+import { formatUnitPrice } from '../utils/unitPrice';
+import { formatExpiryCountdown, isLowStock } from '../utils/expiry';
 import './TilbudCard.css';
 
-const TilbudCard = ({ tilbud }) => {
+// Changes pushed live from /api/tilbud/stream
+const LIVE_STATUS_LABELS = {
+  new: 'Nyt',
+  repriced: 'Ny pris',
+  soldOut: 'Udsolgt'
+};
+
+// How often the expiry countdown is updated
+const COUNTDOWN_INTERVAL_MS = 60 * 1000;
+
+const TilbudCard = ({ tilbud, liveStatus }) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!tilbud._expiryDate) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), COUNTDOWN_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [tilbud._expiryDate]);
+
+  const unitPrice = formatUnitPrice(tilbud);
+  const countdown = formatExpiryCountdown(tilbud, now);
+  const isDemo = tilbud._source === 'mock-data';
+  const liveLabel = LIVE_STATUS_LABELS[liveStatus];
+  const wrapperClass = liveLabel
+    ? `tilbud-card-wrapper tilbud-card-wrapper--${liveStatus}`
+    : 'tilbud-card-wrapper';
+
   return (
-    <div className="tilbud-card-wrapper">
+    <div className={wrapperClass}>
       <Link to={`/produkt/${tilbud.id}`} className="tilbud-card-link">
         <div className="tilbud-card">
           <div className="tilbud-card-header">
@@ -20,12 +48,52 @@ const TilbudCard = ({ tilbud }) => {
           </div>
           
           <div className="tilbud-card-body">
+            {liveLabel && (
+              <span className={`live-badge live-badge--${liveStatus}`} role="status">{liveLabel}</span>
+            )}
+            {isDemo && (
+              <span className="kilde-badge kilde-badge--demo" title="Eksempeldata - ikke et rigtigt tilbud">Demo</span>
+            )}
+            {isLowStock(tilbud) && (
+              <span className="stock-badge">Kun {tilbud._stock} tilbage</span>
+            )}
+            {tilbud.allergenStatus === 'ukendt' && (
+              <span className="kilde-badge kilde-badge--allergen" title="Vi kender ikke varens allergener - tjek emballagen">
+                Allergener ukendt
+              </span>
+            )}
+            {tilbud.nutriScore && (
+              <span className="kilde-badge kilde-badge--nutrition">Nutri-Score {tilbud.nutriScore}</span>
+            )}
+            {tilbud.noeglehul === true && (
+              <span className="kilde-badge kilde-badge--nutrition" title="Opfylder Nøglehullets krav for varegruppen">
+                Nøglehul
+              </span>
+            )}
+            {tilbud._stale && (
+              <span className="kilde-badge kilde-badge--stale" title="Kunne ikke opdateres - tilbuddet kan være ændret eller udsolgt">
+                Ikke opdateret
+              </span>
+            )}
             <h3 className="tilbud-navn">{tilbud.navn}</h3>
+            {tilbud.butikNavn && (
+              <p className="tilbud-butik-lokation">
+                <span aria-hidden="true">📍</span> {tilbud.butikNavn}
+              </p>
+            )}
             
             <div className="tilbud-priser">
               <span className="normalpris">{tilbud.normalpris.toFixed(2)} kr</span>
               <span className="tilbudspris">{tilbud.tilbudspris.toFixed(2)} kr</span>
             </div>
+            {unitPrice && (
+              <div className="tilbud-enhedspris">{unitPrice}</div>
+            )}
+            {countdown && (
+              <div className="tilbud-udloeber">
+                <span aria-hidden="true">⏰</span> {countdown}
+              </div>
+            )}
             
             <div className="tilbud-besparelse">
               Spar {(tilbud.normalpris - tilbud.tilbudspris).toFixed(2)} kr
@@ -58,6 +58,30 @@ describe('TilbudCard', () => {
     expect(screen.getByText('Spar 10.00 kr')).toBeInTheDocument();
   });
 
+  test('renders physical store name when available', () => {
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, butikNavn: 'Netto Aarhus C' }} />);
+    
+    expect(screen.getByText('Netto Aarhus C')).toBeInTheDocument();
+  });
+
+  test('does not render store location for chain-only offers', () => {
+    const { container } = renderWithProviders(<TilbudCard tilbud={mockTilbud} />);
+    
+    expect(container.querySelector('.tilbud-butik-lokation')).not.toBeInTheDocument();
+  });
+
+  test('renders unit price when the package size is known', () => {
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, maengde: 0.25, enhed: 'kg', enhedspris: 51.8 }} />);
+    
+    expect(screen.getByText('51.80 kr/kg')).toBeInTheDocument();
+  });
+
+  test('does not render unit price without a package size', () => {
+    const { container } = renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, enhedspris: null, enhed: null }} />);
+    
+    expect(container.querySelector('.tilbud-enhedspris')).not.toBeInTheDocument();
+  });
+
   test('renders ShareButton with correct props', () => {
     renderWithProviders(<TilbudCard tilbud={mockTilbud} />);
     
@@ -100,6 +124,73 @@ describe('TilbudCard', () => {
     expect(link).toHaveAttribute('href', '/produkt/123');
   });
 
+  test('highlights offers changed live', () => {
+    const { container } = renderWithProviders(<TilbudCard tilbud={mockTilbud} liveStatus="new" />);
+    
+    expect(screen.getByRole('status')).toHaveTextContent('Nyt');
+    expect(container.querySelector('.tilbud-card-wrapper--new')).toBeInTheDocument();
+  });
+
+  test('marks sold out offers', () => {
+    renderWithProviders(<TilbudCard tilbud={mockTilbud} liveStatus="soldOut" />);
+    
+    expect(screen.getByRole('status')).toHaveTextContent('Udsolgt');
+  });
+
+  test('badges demo and stale offers', () => {
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, _source: 'mock-data', _stale: true }} />);
+    
+    expect(screen.getByText('Demo')).toBeInTheDocument();
+    expect(screen.getByText('Ikke opdateret')).toBeInTheDocument();
+  });
+
+  test('does not badge fresh offers from real sources', () => {
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, _source: 'salling-api' }} />);
+    
+    expect(screen.queryByText('Demo')).not.toBeInTheDocument();
+    expect(screen.queryByText('Ikke opdateret')).not.toBeInTheDocument();
+  });
+
+  test('badges offers with unknown allergens', () => {
+    const { unmount } = renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, allergenStatus: 'ukendt' }} />);
+    expect(screen.getByText('Allergener ukendt')).toBeInTheDocument();
+    unmount();
+
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, allergenStatus: 'fri' }} />);
+    expect(screen.queryByText('Allergener ukendt')).not.toBeInTheDocument();
+  });
+
+  test('badges the Nutri-Score and Nøglehul from nutrition filters', () => {
+    const { unmount } = renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, nutriScore: 'B', noeglehul: true }} />);
+    expect(screen.getByText('Nutri-Score B')).toBeInTheDocument();
+    expect(screen.getByText('Nøglehul')).toBeInTheDocument();
+    unmount();
+
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, nutriScore: null, noeglehul: false }} />);
+    expect(screen.queryByText(/Nutri-Score/)).not.toBeInTheDocument();
+    expect(screen.queryByText('Nøglehul')).not.toBeInTheDocument();
+  });
+
+  test('shows a countdown for offers that expire soon', () => {
+    const expiry = new Date(Date.now() + 30 * 60 * 1000 + 30 * 1000).toISOString();
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, _expiryDate: expiry }} />);
+    
+    expect(screen.getByText(/Udløber om 30 min/)).toBeInTheDocument();
+  });
+
+  test('marks offers that are almost sold out', () => {
+    renderWithProviders(<TilbudCard tilbud={{ ...mockTilbud, _stock: 2 }} />);
+    
+    expect(screen.getByText('Kun 2 tilbage')).toBeInTheDocument();
+  });
+
+  test('does not show expiry or stock when unknown', () => {
+    renderWithProviders(<TilbudCard tilbud={mockTilbud} />);
+    
+    expect(screen.queryByText(/Udløber/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/tilbage/)).not.toBeInTheDocument();
+  });
+
   test('calculates savings correctly', () => {
     const tilbudWithDifferentPrices = {
       ...mockTilbud,
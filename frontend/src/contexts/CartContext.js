@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import * as storage from '../utils/storage';
+import { isStaleProductId } from '../utils/productIds';
 
 const CartContext = createContext();
 
@@ -63,8 +64,22 @@ const getInitialCart = () => {
             console.warn('[CartContext] Some cart items were invalid and removed');
           }
           
-          console.log('[CartContext] Loaded initial cart from storage:', validCart.length, 'items');
-          return validCart;
+          // Migrate away stale Salling IDs - they may now point at a different product
+          const currentCart = validCart.filter(item => !isStaleProductId(item.productId));
+          
+          if (currentCart.length !== validCart.length) {
+            console.warn('[CartContext] Removed', validCart.length - currentCart.length, 'cart items with stale product IDs');
+            storage.setItem(STORAGE_KEY, {
+              cart: currentCart,
+              version: STORAGE_VERSION,
+              savedAt: new Date().toISOString()
+            }).catch(err => {
+              console.error('[CartContext] Failed to save migrated cart:', err);
+            });
+          }
+          
+          console.log('[CartContext] Loaded initial cart from storage:', currentCart.length, 'items');
+          return currentCart;
         } else {
           console.warn('[CartContext] Cart is not an array, starting with empty cart');
         }
@@ -518,6 +518,32 @@ describe('CartContext', () => {
       expect(screen.getByTestId('cart-item-1')).toHaveTextContent('Product 1: Quantity 2');
     });
 
+    test('migrates away cart items with stale Salling product IDs', async () => {
+      localStorage.setItem('madmatch_cart', JSON.stringify({
+        cart: [
+          { productId: 1, quantity: 2 },
+          { productId: 1005, quantity: 1 },
+          { productId: 1000000042, quantity: 3 }
+        ],
+        version: 2
+      }));
+
+      render(
+        <CartProvider>
+          <TestComponent />
+        </CartProvider>
+      );
+
+      expect(screen.getByTestId('cart-length')).toHaveTextContent('2');
+      expect(screen.queryByTestId('cart-item-1005')).not.toBeInTheDocument();
+      expect(screen.getByTestId('cart-item-1000000042')).toHaveTextContent('Quantity 3');
+
+      await waitFor(() => {
+        const stored = JSON.parse(localStorage.getItem('madmatch_cart'));
+        expect(stored.cart.map(item => item.productId)).toEqual([1, 1000000042]);
+      });
+    });
+
     test('clears cart on schema version mismatch', () => {
       localStorage.setItem('madmatch_cart', JSON.stringify({
         cart: [{ productId: 1, quantity: 2 }],
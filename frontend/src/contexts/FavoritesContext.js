@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import * as storage from '../utils/storage';
+import { isStaleProductId } from '../utils/productIds';
 
 const FavoritesContext = createContext();
 
@@ -48,8 +49,16 @@ export const FavoritesProvider = ({ children }) => {
             console.warn('[FavoritesContext] Some favorites were invalid and removed');
           }
           
-          console.log('[FavoritesContext] HYDRATE - Setting state with', validFavorites.length, 'favorites:', validFavorites);
-          setFavorites(validFavorites);
+          // Migrate away stale Salling IDs - they may now point at a different product.
+          // The cleaned list is persisted by the save effect once initialized.
+          const currentFavorites = validFavorites.filter(id => !isStaleProductId(id));
+          
+          if (currentFavorites.length !== validFavorites.length) {
+            console.warn('[FavoritesContext] Removed', validFavorites.length - currentFavorites.length, 'favorites with stale product IDs');
+          }
+          
+          console.log('[FavoritesContext] HYDRATE - Setting state with', currentFavorites.length, 'favorites:', currentFavorites);
+          setFavorites(currentFavorites);
         } else {
           console.warn('[FavoritesContext] Favorites is not an array, using empty array');
           setFavorites([]);
@@ -208,6 +208,26 @@ describe('FavoritesContext', () => {
       expect(screen.getByTestId('favorites-list')).toHaveTextContent('1,valid,2');
     });
 
+    test('migrates away stale Salling product IDs', async () => {
+      localStorage.setItem('madmatch_favorites', JSON.stringify({
+        favorites: [1, 1003, '1004', 1000000042, 'valid'],
+        version: 2
+      }));
+
+      render(
+        <FavoritesProvider>
+          <TestComponent />
+        </FavoritesProvider>
+      );
+
+      expect(screen.getByTestId('favorites-list')).toHaveTextContent('1,1000000042,valid');
+
+      await waitFor(() => {
+        const stored = JSON.parse(localStorage.getItem('madmatch_favorites'));
+        expect(stored.favorites).toEqual([1, 1000000042, 'valid']);
+      });
+    });
+
     test('handles non-array favorites', () => {
       localStorage.setItem('madmatch_favorites', JSON.stringify({
         favorites: 'not an array',
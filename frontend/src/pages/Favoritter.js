@@ -10,8 +10,9 @@ import './Favoritter.css';
  * Displays user's favorite tilbud with loading and empty states
  */
 const Favoritter = () => {
-  const { favorites } = useFavorites();
+  const { favorites, removeFavorite } = useFavorites();
   const [tilbud, setTilbud] = useState([]);
+  const [expiredIds, setExpiredIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -22,14 +23,15 @@ const Favoritter = () => {
 
       if (favorites.length === 0) {
         setTilbud([]);
+        setExpiredIds([]);
         setLoading(false);
         return;
       }
 
-      // Fetch all tilbud and filter by favorites
-      const allTilbud = await tilbudService.getAllTilbud();
-      const favoriteTilbud = allTilbud.filter(item => favorites.includes(item.id));
-      setTilbud(favoriteTilbud);
+      // Fetch only the favorite tilbud; ids that no longer exist have expired
+      const { data, missing } = await tilbudService.getTilbudByIds(favorites);
+      setTilbud(data);
+      setExpiredIds(missing);
     } catch (err) {
       setError('Kunne ikke indlæse favoritter.');
     } finally {
@@ -41,6 +43,10 @@ const Favoritter = () => {
     loadFavoriteTilbud();
   }, [loadFavoriteTilbud]);
 
+  const removeExpired = () => {
+    expiredIds.forEach(id => removeFavorite(id));
+  };
+
   if (loading) {
     return (
       <div className="app">
@@ -91,6 +97,19 @@ const Favoritter = () => {
           <Link to="/" className="back-link">← Tilbage til alle tilbud</Link>
         </div>
 
+        {expiredIds.length > 0 && (
+          <div className="expired-notice" role="status">
+            <p>
+              {expiredIds.length === 1
+                ? '1 favorit er udløbet og findes ikke længere.'
+                : `${expiredIds.length} favoritter er udløbet og findes ikke længere.`}
+            </p>
+            <button onClick={removeExpired} className="remove-expired-button">
+              Fjern udløbne
+            </button>
+          </div>
+        )}
+
         {favorites.length === 0 ? (
           <div className="empty-state" role="status">
             <p className="empty-icon" aria-hidden="true">♡</p>
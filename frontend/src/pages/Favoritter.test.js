@@ -14,6 +14,14 @@ jest.mock('react-router-dom', () => ({
 // Mock the tilbudService
 jest.mock('../services/tilbudService');
 
+// Answer batch lookups from a fixed catalogue, like the backend does
+const mockBatchLookup = (catalogue) => {
+  tilbudService.getTilbudByIds.mockImplementation(async (ids) => ({
+    data: catalogue.filter(t => ids.includes(t.id)),
+    missing: ids.filter(id => !catalogue.some(t => t.id === id))
+  }));
+};
+
 // Mock TilbudCard component
 jest.mock('../components/TilbudCard', () => ({
   __esModule: true,
@@ -101,7 +109,7 @@ describe('Favoritter', () => {
   });
 
   test('renders empty state when no favorites', async () => {
-    tilbudService.getAllTilbud.mockResolvedValue([]);
+    tilbudService.getTilbudByIds.mockResolvedValue([]);
     
     renderWithProviders(<Favoritter />);
     
@@ -121,7 +129,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
@@ -131,7 +139,7 @@ describe('Favoritter', () => {
   });
 
   test('renders back link to all tilbud', async () => {
-    tilbudService.getAllTilbud.mockResolvedValue([]);
+    tilbudService.getTilbudByIds.mockResolvedValue([]);
     
     renderWithProviders(<Favoritter />);
     
@@ -148,12 +156,12 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
     await waitFor(() => {
-      expect(tilbudService.getAllTilbud).toHaveBeenCalledTimes(1);
+      expect(tilbudService.getTilbudByIds).toHaveBeenCalledTimes(1);
     });
     
     await waitFor(() => {
@@ -169,7 +177,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
@@ -186,7 +194,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
@@ -205,7 +213,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockRejectedValue(new Error('Network error'));
+    tilbudService.getTilbudByIds.mockRejectedValue(new Error('Network error'));
     
     renderWithProviders(<Favoritter />);
     
@@ -221,8 +229,8 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockRejectedValueOnce(new Error('Network error'))
-      .mockResolvedValueOnce(mockTilbud);
+    tilbudService.getTilbudByIds.mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce({ data: [mockTilbud[0]], missing: [] });
     
     renderWithProviders(<Favoritter />);
     
@@ -234,7 +242,7 @@ describe('Favoritter', () => {
     fireEvent.click(retryButton);
     
     await waitFor(() => {
-      expect(tilbudService.getAllTilbud).toHaveBeenCalledTimes(2);
+      expect(tilbudService.getTilbudByIds).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -244,9 +252,9 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud
+    tilbudService.getTilbudByIds
       .mockRejectedValueOnce(new Error('Network error'))
-      .mockResolvedValueOnce(mockTilbud);
+      .mockResolvedValueOnce({ data: [mockTilbud[0]], missing: [] });
     
     renderWithProviders(<Favoritter />);
     
@@ -262,7 +270,7 @@ describe('Favoritter', () => {
   });
 
   test('displays footer with version information', async () => {
-    tilbudService.getAllTilbud.mockResolvedValue([]);
+    tilbudService.getTilbudByIds.mockResolvedValue([]);
     
     renderWithProviders(<Favoritter />);
     
@@ -272,7 +280,7 @@ describe('Favoritter', () => {
   });
 
   test('renders header with tagline', async () => {
-    tilbudService.getAllTilbud.mockResolvedValue([]);
+    tilbudService.getTilbudByIds.mockResolvedValue([]);
     
     renderWithProviders(<Favoritter />);
     
@@ -283,7 +291,7 @@ describe('Favoritter', () => {
   });
 
   test('empty state has link to browse tilbud', async () => {
-    tilbudService.getAllTilbud.mockResolvedValue([]);
+    tilbudService.getTilbudByIds.mockResolvedValue([]);
     
     renderWithProviders(<Favoritter />);
     
@@ -300,7 +308,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
@@ -309,19 +317,19 @@ describe('Favoritter', () => {
       expect(screen.getByText('Du har ingen favoritter endnu')).toBeInTheDocument();
     });
     
-    // Should not call getAllTilbud when favorites is empty
+    // Should not call getTilbudByIds when favorites is empty
     await waitFor(() => {
-      expect(tilbudService.getAllTilbud).not.toHaveBeenCalled();
+      expect(tilbudService.getTilbudByIds).not.toHaveBeenCalled();
     });
   });
 
   test('correctly filters when favorite IDs do not match any tilbud', async () => {
     localStorage.setItem('madmatch_favorites', JSON.stringify({
-      favorites: [999, 1000],
+      favorites: [998, 999],
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     renderWithProviders(<Favoritter />);
     
@@ -335,6 +343,30 @@ describe('Favoritter', () => {
     expect(screen.queryByTestId('tilbud-card-3')).not.toBeInTheDocument();
   });
 
+  test('lists expired favorites and removes them on request', async () => {
+    localStorage.setItem('madmatch_favorites', JSON.stringify({
+      favorites: [1, 998, 999],
+      version: 1
+    }));
+    
+    mockBatchLookup(mockTilbud);
+    
+    renderWithProviders(<Favoritter />);
+    
+    await waitFor(() => {
+      expect(screen.getByText('2 favoritter er udløbet og findes ikke længere.')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('tilbud-card-1')).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByText('Fjern udløbne'));
+    
+    await waitFor(() => {
+      expect(screen.getByText('♥ Dine favoritter (1)')).toBeInTheDocument();
+    });
+    expect(screen.queryByText(/er udløbet/)).not.toBeInTheDocument();
+    expect(screen.getByTestId('tilbud-card-1')).toBeInTheDocument();
+  });
+
   test('updates tilbud list when favorites change during runtime', async () => {
     // Start with favorites [1]
     localStorage.setItem('madmatch_favorites', JSON.stringify({
@@ -342,7 +374,7 @@ describe('Favoritter', () => {
       version: 1
     }));
     
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
     
     const TestWrapper = () => {
       const [key, setKey] = React.useState(0);
@@ -383,7 +415,7 @@ describe('Favoritter', () => {
     }));
     
     const error = new Error('Network error');
-    tilbudService.getAllTilbud.mockRejectedValue(error);
+    tilbudService.getTilbudByIds.mockRejectedValue(error);
     
     renderWithProviders(<Favoritter />);
     
@@ -29,26 +29,27 @@ const Handlekurv = () => {
     try {
       setLoading(true);
       
-      // Try to fetch fresh product data from API
-      const allTilbud = await tilbudService.getAllTilbud();
+      // Fetch fresh data for the offers in the cart
+      const { data, missing } = await tilbudService.getTilbudByIds(cart.map(cartItem => cartItem.productId));
+      const freshById = new Map(data.map(t => [t.id, t]));
+      const expiredIds = new Set(missing);
       
       // Map cart items to products with cart data
-      // Use fresh API data if available, otherwise fall back to stored snapshot
+      // Offers that no longer exist are shown from the stored snapshot, marked as expired
       const cartProducts = cart
         .map(cartItem => {
-          const freshProduct = allTilbud.find(t => t.id === cartItem.productId);
+          const freshProduct = freshById.get(cartItem.productId);
           
           if (freshProduct) {
-            // Use fresh product data from API
             return {
               ...freshProduct,
               cartItem
             };
           } else if (cartItem.productSnapshot) {
-            // Fall back to stored snapshot if API doesn't have the product
             return {
               ...cartItem.productSnapshot,
-              cartItem
+              cartItem,
+              expired: expiredIds.has(cartItem.productId)
             };
           }
           
@@ -93,12 +94,15 @@ const Handlekurv = () => {
     setShowClearDialog(false);
   }, [clearCart]);
 
-  // Calculate totals
-  const totalCost = products.reduce((sum, product) => {
+  // Calculate totals - expired offers can no longer be bought at their price
+  const activeProducts = products.filter(product => !product.expired);
+  const expiredCount = products.length - activeProducts.length;
+
+  const totalCost = activeProducts.reduce((sum, product) => {
     return sum + (product.tilbudspris * product.cartItem.quantity);
   }, 0);
 
-  const totalSavings = products.reduce((sum, product) => {
+  const totalSavings = activeProducts.reduce((sum, product) => {
     return sum + ((product.normalpris - product.tilbudspris) * product.cartItem.quantity);
   }, 0);
 
@@ -164,6 +168,14 @@ const Handlekurv = () => {
         </div>
       )}
 
+      {expiredCount > 0 && (
+        <div className="expired-banner" role="status">
+          {expiredCount === 1
+            ? '1 tilbud i kurven er udløbet og tæller ikke med i prisen.'
+            : `${expiredCount} tilbud i kurven er udløbet og tæller ikke med i prisen.`}
+        </div>
+      )}
+
       <div className="handlekurv-content">
         <div className="cart-items-section">
           <div className="cart-header-actions">
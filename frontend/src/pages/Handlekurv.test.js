@@ -9,6 +9,14 @@ import { tilbudService } from '../services/tilbudService';
 // Mock the tilbudService
 jest.mock('../services/tilbudService');
 
+// Answer batch lookups from a fixed catalogue, like the backend does
+const mockBatchLookup = (catalogue) => {
+  tilbudService.getTilbudByIds.mockImplementation(async (ids) => ({
+    data: catalogue.filter(t => ids.includes(t.id)),
+    missing: ids.filter(id => !catalogue.some(t => t.id === id))
+  }));
+};
+
 const mockTilbud = [
   {
     id: 1,
@@ -52,7 +60,7 @@ describe('Handlekurv', () => {
   beforeEach(() => {
     localStorage.clear();
     jest.clearAllMocks();
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
   });
 
   test('renders page header', () => {
@@ -282,7 +290,7 @@ describe('Handlekurv', () => {
 
     localStorage.setItem('madmatch_cart', JSON.stringify(mockCart));
 
-    tilbudService.getAllTilbud.mockRejectedValue(new Error('Network error'));
+    tilbudService.getTilbudByIds.mockRejectedValue(new Error('Network error'));
 
     renderWithRouter(<Handlekurv />);
 
@@ -299,7 +307,7 @@ describe('Handlekurv', () => {
 
     localStorage.setItem('madmatch_cart', JSON.stringify(mockCart));
 
-    tilbudService.getAllTilbud.mockRejectedValueOnce(new Error('Network error'));
+    tilbudService.getTilbudByIds.mockRejectedValueOnce(new Error('Network error'));
 
     renderWithRouter(<Handlekurv />);
 
@@ -307,7 +315,7 @@ describe('Handlekurv', () => {
       expect(screen.getByText('Kunne ikke indlæse handlekurv.')).toBeInTheDocument();
     });
 
-    tilbudService.getAllTilbud.mockResolvedValue(mockTilbud);
+    mockBatchLookup(mockTilbud);
 
     fireEvent.click(screen.getByText('Prøv igen'));
 
@@ -335,6 +343,36 @@ describe('Handlekurv', () => {
     });
   });
 
+  test('marks offers that no longer exist as expired and leaves them out of the totals', async () => {
+    const mockCart = {
+      version: 1,
+      cart: [
+        { productId: 1, quantity: 1, addedAt: '2026-02-28T15:00:00.000Z' },
+        {
+          productId: 42,
+          quantity: 2,
+          addedAt: '2026-02-28T15:01:00.000Z',
+          productSnapshot: { id: 42, titel: 'Old Product', navn: 'Old Product', butik: 'Store D', tilbudspris: 5.0, normalpris: 8.0 }
+        }
+      ]
+    };
+
+    localStorage.setItem('madmatch_cart', JSON.stringify(mockCart));
+
+    renderWithRouter(<Handlekurv />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Old Product')).toBeInTheDocument();
+    });
+
+    expect(tilbudService.getTilbudByIds).toHaveBeenCalledWith([1, 42]);
+    expect(screen.getByText('Udløbet')).toBeInTheDocument();
+    expect(screen.getByRole('article', { name: 'Old Product fra Store D' })).toHaveClass('cart-item--expired');
+    expect(screen.getByText('1 tilbud i kurven er udløbet og tæller ikke med i prisen.')).toBeInTheDocument();
+    // Only Product 1 counts: 1 * 10.00
+    expect(screen.getByText('Samlet pris:').nextSibling).toHaveTextContent('10.00 kr');
+  });
+
   test('renders cart summary section', async () => {
     const mockCart = {
       version: 1,
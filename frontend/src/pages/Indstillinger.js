@@ -2,9 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useBudget } from '../contexts/BudgetContext';
 import * as storage from '../utils/storage';
+import { POSTNUMMER_STORAGE_KEY } from '../services/tilbudService';
 import './Indstillinger.css';
 
-const POSTNUMMER_STORAGE_KEY = 'madmatch_postnummer';
 const { STORAGE_VERSION } = storage;
 
 const Indstillinger = () => {
@@ -253,7 +253,7 @@ const Indstillinger = () => {
         <section className="settings-section">
           <h2>Postnummer</h2>
           <p className="section-description">
-            Angiv dit postnummer for lokale tilbud (kommende funktion)
+            Angiv dit postnummer for at se madspildstilbud fra butikker i dit område
           </p>
 
           <div className="form-group">
@@ -7,9 +7,27 @@ import RecipeSuggestions from '../components/RecipeSuggestions';
 import SustainabilityCard from '../components/SustainabilityCard';
 import ShareButton from '../components/ShareButton';
 import FavoriteButton from '../components/FavoriteButton';
+import PriceComparison from '../components/PriceComparison';
 import LoadingSkeleton from '../components/LoadingSkeleton';
 import ErrorBoundary from '../components/ErrorBoundary';
 
+/**
+ * Format today's opening hours for a store, e.g. "07:00 - 22:00" or "Lukket"
+ * @param {Array} aabningstider - Store opening hours
+ * @returns {string|null} Formatted hours or null if today is unknown
+ */
+const formatTodaysHours = (aabningstider = []) => {
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const hours = aabningstider.find(h => h.dato === today);
+  
+  if (!hours) return null;
+  if (hours.lukket) return 'Lukket';
+  
+  const time = (value) => (value ? value.slice(11, 16) : '?');
+  return `${time(hours.aabner)} - ${time(hours.lukker)}`;
+};
+
 const ProductDetailPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -22,6 +40,8 @@ const ProductDetailPage = () => {
   const [recipesLoading, setRecipesLoading] = useState(false);
   const [sustainability, setSustainability] = useState(null);
   const [sustainabilityLoading, setSustainabilityLoading] = useState(false);
+  const [store, setStore] = useState(null);
+  const [comparison, setComparison] = useState(null);
 
   useEffect(() => {
     loadProduct();
@@ -32,6 +52,8 @@ const ProductDetailPage = () => {
       loadNutrition();
       loadRecipes();
       loadSustainability();
+      loadStore();
+      loadComparison();
     }
   }, [product]);
 
@@ -52,14 +74,7 @@ const ProductDetailPage = () => {
   const loadNutrition = async () => {
     try {
       setNutritionLoading(true);
-      const response = await fetch(`/api/produkt/${id}/nutrition`);
-      
-      if (response.ok) {
-        const data = await response.json();
-        setNutrition(data);
-      } else if (response.status !== 404) {
-        console.warn('Failed to load nutrition data:', response.status);
-      }
+      setNutrition(await tilbudService.getNutrition(id));
     } catch (err) {
       console.warn('Could not fetch nutrition data:', err);
       // Silently fail - nutrition data is optional
@@ -71,14 +86,7 @@ const ProductDetailPage = () => {
   const loadRecipes = async () => {
     try {
       setRecipesLoading(true);
-      const response = await fetch(`/api/produkt/${id}/recipes`);
-      
-      if (response.ok) {
-        const data = await response.json();
-        setRecipes(data.recipes || []);
-      } else if (response.status !== 404) {
-        console.warn('Failed to load recipe data:', response.status);
-      }
+      setRecipes((await tilbudService.getRecipes(id)) || []);
     } catch (err) {
       console.warn('Could not fetch recipe data:', err);
       // Silently fail - recipe data is optional
@@ -90,14 +98,7 @@ const ProductDetailPage = () => {
   const loadSustainability = async () => {
     try {
       setSustainabilityLoading(true);
-      const response = await fetch(`/api/produkt/${id}/sustainability`);
-      
-      if (response.ok) {
-        const responseData = await response.json();
-        setSustainability(responseData.data);
-      } else if (response.status !== 404) {
-        console.warn('Failed to load sustainability data:', response.status);
-      }
+      setSustainability(await tilbudService.getSustainability(id));
     } catch (err) {
       console.warn('Could not fetch sustainability data:', err);
       // Silently fail - sustainability data is optional
@@ -106,6 +107,31 @@ const ProductDetailPage = () => {
     }
   };
 
+  const loadStore = async () => {
+    if (!product.butikId) {
+      setStore(null);
+      return;
+    }
+    
+    try {
+      const data = await tilbudService.getButik(product.butikId);
+      setStore(data || null);
+    } catch (err) {
+      console.warn('Could not fetch store data:', err);
+      // Silently fail - store details are optional
+    }
+  };
+
+  const loadComparison = async () => {
+    try {
+      const data = await tilbudService.getPriceComparison(product.id);
+      setComparison(data || null);
+    } catch (err) {
+      console.warn('Could not fetch price comparison:', err);
+      // Silently fail - the comparison is optional
+    }
+  };
+
   const handleBack = () => {
     navigate('/');
   };
@@ -217,6 +243,27 @@ const ProductDetailPage = () => {
               </div>
             )}
 
+            {store && (
+              <div className="product-store" role="region" aria-label="Butik">
+                <span className="store-icon" aria-hidden="true">📍</span>
+                <div className="store-details">
+                  <strong className="store-name">{store.navn}</strong>
+                  {store.adresse?.gade && (
+                    <span className="store-address">
+                      {store.adresse.gade}, {store.adresse.postnummer} {store.adresse.by}
+                    </span>
+                  )}
+                  {formatTodaysHours(store.aabningstider) && (
+                    <span className="store-hours">
+                      Åbent i dag: {formatTodaysHours(store.aabningstider)}
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <PriceComparison comparison={comparison} />
+
             <div className="product-actions">
               <ShareButton item={product} type="product" />
               <FavoriteButton productId={parseInt(id)} />
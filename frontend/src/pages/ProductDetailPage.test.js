@@ -108,8 +108,10 @@ describe('ProductDetailPage', () => {
     useParams.mockReturnValue({ id: '1' });
     useNavigate.mockReturnValue(mockNavigate);
     
-    // Mock fetch for nutrition, recipes, and sustainability
-    global.fetch = jest.fn();
+    // Nutrition, recipes and sustainability are optional and missing by default
+    tilbudService.getNutrition.mockResolvedValue(null);
+    tilbudService.getRecipes.mockResolvedValue(null);
+    tilbudService.getSustainability.mockResolvedValue(null);
   });
 
   test('renders loading skeleton initially', () => {
@@ -122,7 +124,6 @@ describe('ProductDetailPage', () => {
 
   test('renders product details when data is loaded', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -138,7 +139,6 @@ describe('ProductDetailPage', () => {
 
   test('displays image with lazy loading', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -152,7 +152,6 @@ describe('ProductDetailPage', () => {
   test('displays placeholder when no image available', async () => {
     const productWithoutImage = { ...mockProduct, billedeUrl: null };
     tilbudService.getTilbudById.mockResolvedValue(productWithoutImage);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -164,7 +163,6 @@ describe('ProductDetailPage', () => {
 
   test('calculates and displays savings correctly', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -175,7 +173,6 @@ describe('ProductDetailPage', () => {
 
   test('renders ShareButton component', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -187,7 +184,6 @@ describe('ProductDetailPage', () => {
 
   test('wraps content in ErrorBoundary', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -198,7 +194,6 @@ describe('ProductDetailPage', () => {
 
   test('has proper ARIA labels for accessibility', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -211,7 +206,6 @@ describe('ProductDetailPage', () => {
 
   test('badges have proper ARIA labels', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -247,7 +241,6 @@ describe('ProductDetailPage', () => {
 
   test('back button navigates to home', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -263,7 +256,6 @@ describe('ProductDetailPage', () => {
 
   test('displays validity period when available', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockResolvedValue({ ok: false, status: 404 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -272,10 +264,62 @@ describe('ProductDetailPage', () => {
     });
   });
 
+  test('displays physical store for offers with a butikId', async () => {
+    tilbudService.getTilbudById.mockResolvedValue({ ...mockProduct, butikId: 'store-1' });
+    tilbudService.getButik.mockResolvedValue({
+      id: 'store-1',
+      kaede: 'Netto',
+      navn: 'Netto Aarhus C',
+      adresse: { gade: 'Søndergade 1', postnummer: '8000', by: 'Aarhus C' },
+      aabningstider: []
+    });
+    
+    renderWithProvider(<ProductDetailPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByText('Netto Aarhus C')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Søndergade 1, 8000 Aarhus C')).toBeInTheDocument();
+    expect(tilbudService.getButik).toHaveBeenCalledWith('store-1');
+  });
+
+  test('does not fetch store for chain-only offers', async () => {
+    tilbudService.getTilbudById.mockResolvedValue(mockProduct);
+    
+    renderWithProvider(<ProductDetailPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByText('Test Product')).toBeInTheDocument();
+    });
+    expect(tilbudService.getButik).not.toHaveBeenCalled();
+  });
+
+  test('shows price comparison with other stores', async () => {
+    tilbudService.getTilbudById.mockResolvedValue(mockProduct);
+    tilbudService.getPriceComparison.mockResolvedValue({
+      produkt: { navn: 'Test Product', maengde: null, enhed: null },
+      prisforskel: 5,
+      priser: [
+        { id: 2, butik: 'Netto', tilbudspris: 70, enhedspris: null, billigst: true, valgt: false },
+        { id: 1, butik: 'Test Store', tilbudspris: 75, enhedspris: null, billigst: false, valgt: true }
+      ]
+    });
+    
+    renderWithProvider(<ProductDetailPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByText('Sammenlign priser')).toBeInTheDocument();
+    });
+    expect(tilbudService.getPriceComparison).toHaveBeenCalledWith(1);
+    expect(screen.getByRole('link', { name: 'Netto' })).toHaveAttribute('href', '/produkt/2');
+  });
+
   test('shows loading skeletons for child components', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    // Mock fetch to hang indefinitely
-    global.fetch.mockImplementation(() => new Promise(() => {})); // Never resolves or rejects
+    // Child data requests never resolve
+    tilbudService.getNutrition.mockImplementation(() => new Promise(() => {}));
+    tilbudService.getRecipes.mockImplementation(() => new Promise(() => {}));
+    tilbudService.getSustainability.mockImplementation(() => new Promise(() => {}));
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -284,26 +328,15 @@ describe('ProductDetailPage', () => {
       expect(screen.getByText('Test Product')).toBeInTheDocument();
     });
     
-    // Give a moment for child data fetches to start and set loading states
-    await new Promise(resolve => setTimeout(resolve, 10));
-    
     // Child components should show loading skeletons while data is being fetched
-    expect(screen.getByTestId('skeleton-nutrition')).toBeInTheDocument();
+    expect(await screen.findByTestId('skeleton-nutrition')).toBeInTheDocument();
     expect(screen.getByTestId('skeleton-recipes')).toBeInTheDocument();
     expect(screen.getByTestId('skeleton-sustainability')).toBeInTheDocument();
   });
 
   test('loads nutrition data from API', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockImplementation((url) => {
-      if (url.includes('nutrition')) {
-        return Promise.resolve({
-          ok: true,
-          json: () => Promise.resolve({ nutriments: { energy: 100 } }),
-        });
-      }
-      return Promise.resolve({ ok: false, status: 404 });
-    });
+    tilbudService.getNutrition.mockResolvedValue({ energyKcal: 100 });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -314,19 +347,13 @@ describe('ProductDetailPage', () => {
     await waitFor(() => {
       expect(screen.getByTestId('nutrition-card')).toHaveTextContent('Nutrition data');
     });
+    // Through tilbudService, so the saved postnummer is sent
+    expect(tilbudService.getNutrition).toHaveBeenCalledWith('1');
   });
 
   test('loads recipe data from API', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockImplementation((url) => {
-      if (url.includes('recipes')) {
-        return Promise.resolve({
-          ok: true,
-          json: () => Promise.resolve({ recipes: [{ id: 1, title: 'Test Recipe' }] }),
-        });
-      }
-      return Promise.resolve({ ok: false, status: 404 });
-    });
+    tilbudService.getRecipes.mockResolvedValue([{ id: 1, title: 'Test Recipe' }]);
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -341,15 +368,7 @@ describe('ProductDetailPage', () => {
 
   test('loads sustainability data from API', async () => {
     tilbudService.getTilbudById.mockResolvedValue(mockProduct);
-    global.fetch.mockImplementation((url) => {
-      if (url.includes('sustainability')) {
-        return Promise.resolve({
-          ok: true,
-          json: () => Promise.resolve({ data: { ecoScore: 'A' } }),
-        });
-      }
-      return Promise.resolve({ ok: false, status: 404 });
-    });
+    tilbudService.getSustainability.mockResolvedValue({ ecoScore: 'A' });
     
     renderWithProvider(<ProductDetailPage />);
     
@@ -1,13 +1,87 @@
+import * as storage from '../utils/storage';
+import { endOfToday } from '../utils/expiry';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
 
+export const POSTNUMMER_STORAGE_KEY = 'madmatch_postnummer';
+
+/**
+ * Read the postnummer saved in Indstillinger
+ * @returns {string|null} 4-digit postnummer or null if none is saved
+ */
+export const getSavedPostnummer = () => {
+  try {
+    const stored = storage.getItem(POSTNUMMER_STORAGE_KEY);
+    if (!stored) return null;
+
+    const data = JSON.parse(stored);
+    if (data.version === storage.STORAGE_VERSION && /^\d{4}$/.test(data.postnummer || '')) {
+      return data.postnummer;
+    }
+  } catch (error) {
+    console.warn('[tilbudService] Failed to read postnummer from storage:', error);
+  }
+  return null;
+};
+
+/**
+ * Build query string with the saved postnummer appended
+ * @param {URLSearchParams} [params]
+ * @returns {string} Query string including leading '?', or '' if empty
+ */
+const buildQuery = (params = new URLSearchParams()) => {
+  const postnummer = getSavedPostnummer();
+  if (postnummer) params.append('postnummer', postnummer);
+  
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Filter, sort and pagination params understood by the tilbud list endpoints
+const LIST_PARAMS = ['butik', 'kategori', 'underkategori', 'minPris', 'maxPris', 'minRabat', 'udloeberInden', 'undgaa', 'minNutriScore', 'noeglehul', 'sort', 'page', 'pageSize'];
+
+/**
+ * Build list params from filters, skipping empty values and false
+ * Lists (undgaa) are sent comma-separated.
+ * @param {Object} [filters] - { butik, kategori, minPris, maxPris, minRabat, udloeberInden, undgaa, minNutriScore, noeglehul, sort, page, pageSize }
+ * @returns {URLSearchParams}
+ */
+const buildListParams = (filters = {}) => {
+  const params = new URLSearchParams();
+  LIST_PARAMS.forEach(key => {
+    const value = Array.isArray(filters[key]) ? filters[key].join(',') : filters[key];
+    if (value !== undefined && value !== null && value !== '' && value !== false) {
+      params.append(key, value);
+    }
+  });
+  return params;
+};
+
+// Most ids the backend looks up per batch request
+const BATCH_SIZE = 100;
+
+// Live changes pushed by /api/tilbud/stream
+export const TILBUD_STREAM_EVENTS = ['added', 'repriced', 'removed'];
+
+/**
+ * Pick the page fields from a list response
+ * @param {Object} body - Parsed response body
+ * @returns {Object} { data, total, page, pageSize, totalPages, meta }
+ */
+const toPage = (body) => ({
+  data: body.data,
+  total: body.total ?? body.data.length,
+  page: body.page ?? 1,
+  pageSize: body.pageSize ?? body.data.length,
+  totalPages: body.totalPages ?? 1,
+  // Data sources and age, only sent by /api/tilbud
+  meta: body.meta ?? null
+});
+
 export const tilbudService = {
   async getAllTilbud(filters = {}) {
     try {
-      const params = new URLSearchParams();
-      if (filters.butik) params.append('butik', filters.butik);
-      if (filters.kategori) params.append('kategori', filters.kategori);
-      
-      const url = `${API_BASE_URL}/tilbud${params.toString() ? '?' + params.toString() : ''}`;
+      const url = `${API_BASE_URL}/tilbud${buildQuery(buildListParams(filters))}`;
       const response = await fetch(url);
       
       if (!response.ok) {
@@ -22,9 +96,61 @@ export const tilbudService = {
     }
   },
 
+  async getTilbudPage(filters = {}) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/tilbud${buildQuery(buildListParams(filters))}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      return toPage(await response.json());
+    } catch (error) {
+      console.error('Error fetching tilbud page:', error);
+      throw error;
+    }
+  },
+
+  async searchTilbud(query, filters = {}) {
+    try {
+      const params = new URLSearchParams({ q: query });
+      buildListParams(filters).forEach((value, key) => params.append(key, value));
+      
+      const response = await fetch(`${API_BASE_URL}/tilbud/search${buildQuery(params)}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error searching tilbud:', error);
+      throw error;
+    }
+  },
+
+  async searchTilbudPage(query, filters = {}) {
+    try {
+      const params = new URLSearchParams({ q: query });
+      buildListParams(filters).forEach((value, key) => params.append(key, value));
+      
+      const response = await fetch(`${API_BASE_URL}/tilbud/search${buildQuery(params)}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      return toPage(await response.json());
+    } catch (error) {
+      console.error('Error searching tilbud page:', error);
+      throw error;
+    }
+  },
+
   async getTilbudById(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}/tilbud/${id}`);
+      const response = await fetch(`${API_BASE_URL}/tilbud/${id}${buildQuery()}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -38,9 +164,63 @@ export const tilbudService = {
     }
   },
 
+  async getExpiringToday(limit = 8) {
+    try {
+      const params = buildListParams({
+        udloeberInden: endOfToday().toISOString(),
+        sort: 'expiry',
+        page: 1,
+        pageSize: limit
+      });
+      const response = await fetch(`${API_BASE_URL}/tilbud${buildQuery(params)}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching tilbud expiring today:', error);
+      throw error;
+    }
+  },
+
+  async getTilbudByIds(ids) {
+    try {
+      const batches = [];
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        batches.push(ids.slice(i, i + BATCH_SIZE));
+      }
+      
+      const results = await Promise.all(batches.map(async batch => {
+        const response = await fetch(`${API_BASE_URL}/tilbud/batch${buildQuery()}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ids: batch })
+        });
+        
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        return response.json();
+      }));
+      
+      // Ids in missing no longer have an offer (expired or sold out)
+      return {
+        data: results.flatMap(result => result.data),
+        missing: results.flatMap(result => result.missing)
+      };
+    } catch (error) {
+      console.error('Error fetching tilbud by ids:', error);
+      throw error;
+    }
+  },
+
   async getButikker() {
     try {
-      const response = await fetch(`${API_BASE_URL}/butikker`);
+      const response = await fetch(`${API_BASE_URL}/butikker${buildQuery()}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -54,9 +234,93 @@ export const tilbudService = {
     }
   },
 
+  async getButik(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/butikker/${encodeURIComponent(id)}${buildQuery()}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching butik:', error);
+      throw error;
+    }
+  },
+
+  async getPriceComparison(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/produkt/${id}/sammenlign${buildQuery()}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching price comparison:', error);
+      throw error;
+    }
+  },
+
+  async getNutrition(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/produkt/${id}/nutrition${buildQuery()}`);
+      
+      // Details are optional, so a missing offer (e.g. expired) is not an error
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching nutrition:', error);
+      throw error;
+    }
+  },
+
+  async getRecipes(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/produkt/${id}/recipes${buildQuery()}`);
+      
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data || [];
+    } catch (error) {
+      console.error('Error fetching recipes:', error);
+      throw error;
+    }
+  },
+
+  async getSustainability(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/produkt/${id}/sustainability${buildQuery()}`);
+      
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching sustainability data:', error);
+      throw error;
+    }
+  },
+
   async getKategorier() {
     try {
-      const response = await fetch(`${API_BASE_URL}/kategorier`);
+      const response = await fetch(`${API_BASE_URL}/kategorier${buildQuery()}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -68,5 +332,45 @@ export const tilbudService = {
       console.error('Error fetching kategorier:', error);
       throw error;
     }
+  },
+
+  // Returns an unsubscribe function; a no-op where EventSource is unavailable
+  subscribeTilbudStream(filters, onChange) {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    const params = new URLSearchParams();
+    ['butik', 'kategori', 'underkategori'].forEach(key => {
+      if (filters[key]) params.append(key, filters[key]);
+    });
+
+    const source = new EventSource(`${API_BASE_URL}/tilbud/stream${buildQuery(params)}`);
+    TILBUD_STREAM_EVENTS.forEach(type => {
+      source.addEventListener(type, (event) => {
+        try {
+          onChange(type, JSON.parse(event.data));
+        } catch (error) {
+          console.error('Error reading tilbud stream event:', error);
+        }
+      });
+    });
+
+    // EventSource reconnects on its own after errors
+    return () => source.close();
+  },
+
+  async getKategoriTree() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/kategorier/tree${buildQuery()}`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Error fetching kategori tree:', error);
+      throw error;
+    }
   }
 };
@@ -0,0 +1,248 @@
+import { tilbudService, getSavedPostnummer, POSTNUMMER_STORAGE_KEY } from './tilbudService';
+
+const mockFetchResponse = (data) => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve({ success: true, data })
+  }));
+};
+
+const savePostnummer = (postnummer) => {
+  localStorage.setItem(POSTNUMMER_STORAGE_KEY, JSON.stringify({
+    postnummer,
+    version: 2,
+    savedAt: new Date().toISOString()
+  }));
+};
+
+describe('tilbudService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    mockFetchResponse([]);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('getSavedPostnummer', () => {
+    it('returns null when no postnummer is saved', () => {
+      expect(getSavedPostnummer()).toBeNull();
+    });
+
+    it('returns the saved postnummer', () => {
+      savePostnummer('2100');
+      expect(getSavedPostnummer()).toBe('2100');
+    });
+
+    it('ignores a removed postnummer', () => {
+      savePostnummer(null);
+      expect(getSavedPostnummer()).toBeNull();
+    });
+  });
+
+  describe('postnummer parameter', () => {
+    it('does not send postnummer when none is saved', async () => {
+      await tilbudService.getAllTilbud();
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud');
+    });
+
+    it('sends saved postnummer with tilbud filters', async () => {
+      savePostnummer('2100');
+      await tilbudService.getAllTilbud({ butik: 'Netto' });
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud?butik=Netto&postnummer=2100');
+    });
+
+    it('sends search query and saved postnummer', async () => {
+      savePostnummer('2100');
+      await tilbudService.searchTilbud('hakket oksekød');
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud/search?q=hakket+oksek%C3%B8d&postnummer=2100');
+    });
+
+    it('sends saved postnummer on every call', async () => {
+      savePostnummer('8000');
+      await tilbudService.getTilbudById(1);
+      await tilbudService.getButikker();
+      await tilbudService.getKategorier();
+      await tilbudService.getPriceComparison(1);
+      await tilbudService.getNutrition(1);
+      await tilbudService.getRecipes(1);
+      await tilbudService.getSustainability(1);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud/1?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/produkt/1/sammenlign?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/produkt/1/nutrition?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/produkt/1/recipes?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/produkt/1/sustainability?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/butikker?postnummer=8000');
+      expect(global.fetch).toHaveBeenCalledWith('/api/kategorier?postnummer=8000');
+    });
+
+    it('returns no product details when the offer is gone', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+
+      await expect(tilbudService.getNutrition(1)).resolves.toBeNull();
+      await expect(tilbudService.getRecipes(1)).resolves.toBeNull();
+    });
+  });
+
+  describe('list params', () => {
+    it('sends range filters, sort and pagination and skips empty values', async () => {
+      await tilbudService.getAllTilbud({ butik: '', minPris: 10, maxPris: '', minRabat: 25, sort: 'rabat', page: 2, pageSize: 24 });
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud?minPris=10&minRabat=25&sort=rabat&page=2&pageSize=24');
+    });
+
+    it('fetches tilbud expiring before the end of today, soonest first', async () => {
+      mockFetchResponse([{ id: 1 }]);
+
+      await expect(tilbudService.getExpiringToday(4)).resolves.toEqual([{ id: 1 }]);
+
+      const url = new URL(global.fetch.mock.calls[0][0], 'http://localhost');
+      expect(url.pathname).toBe('/api/tilbud');
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        udloeberInden: expect.stringMatching(/T\d{2}:59:59\.999Z$/),
+        sort: 'expiry',
+        page: '1',
+        pageSize: '4'
+      });
+    });
+
+    it('sends allergens to avoid comma-separated', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, count: 0, total: 0, data: [] })
+      }));
+
+      await tilbudService.getTilbudPage({ undgaa: ['gluten', 'maelk'] });
+      await tilbudService.getTilbudPage({ undgaa: [] });
+
+      expect(global.fetch.mock.calls[0][0]).toContain('undgaa=gluten%2Cmaelk');
+      expect(global.fetch.mock.calls[1][0]).not.toContain('undgaa');
+    });
+
+    it('sends the Nøglehul filter only when set', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, count: 0, total: 0, data: [] })
+      }));
+
+      await tilbudService.getTilbudPage({ minNutriScore: 'B', noeglehul: true });
+      await tilbudService.getTilbudPage({ minNutriScore: '', noeglehul: false });
+
+      expect(global.fetch.mock.calls[0][0]).toContain('minNutriScore=B&noeglehul=true');
+      expect(global.fetch.mock.calls[1][0]).not.toMatch(/minNutriScore|noeglehul/);
+    });
+
+    it('returns page info from getTilbudPage', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, count: 1, total: 30, page: 2, pageSize: 24, totalPages: 2, data: [{ id: 1 }], meta: { realData: true } })
+      }));
+
+      const page = await tilbudService.getTilbudPage({ page: 2, pageSize: 24 });
+      expect(page).toEqual({ data: [{ id: 1 }], total: 30, page: 2, pageSize: 24, totalPages: 2, meta: { realData: true } });
+    });
+
+    it('defaults page info for unpaginated search responses', async () => {
+      mockFetchResponse([{ id: 1 }, { id: 2 }]);
+
+      const page = await tilbudService.searchTilbudPage('ost', { sort: 'tilbudspris' });
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud/search?q=ost&sort=tilbudspris');
+      expect(page).toEqual({ data: [{ id: 1 }, { id: 2 }], total: 2, page: 1, pageSize: 2, totalPages: 1, meta: null });
+    });
+
+    it('sends kategori and underkategori', async () => {
+      await tilbudService.getAllTilbud({ kategori: 'Kød', underkategori: 'Pølser & pålæg' });
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud?kategori=K%C3%B8d&underkategori=P%C3%B8lser+%26+p%C3%A5l%C3%A6g');
+    });
+  });
+
+  describe('getTilbudByIds', () => {
+    it('posts the ids and returns found tilbud and missing ids', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, count: 1, data: [{ id: 1 }], missing: [2] })
+      }));
+      savePostnummer('8000');
+
+      await expect(tilbudService.getTilbudByIds([1, 2])).resolves.toEqual({ data: [{ id: 1 }], missing: [2] });
+      expect(global.fetch).toHaveBeenCalledWith('/api/tilbud/batch?postnummer=8000', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: [1, 2] })
+      });
+    });
+
+    it('splits large lookups into batches of 100', async () => {
+      global.fetch = jest.fn((url, { body }) => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, data: [], missing: JSON.parse(body).ids })
+      }));
+      const ids = Array.from({ length: 150 }, (_, i) => i + 1);
+
+      const result = await tilbudService.getTilbudByIds(ids);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(result.missing).toEqual(ids);
+    });
+
+    it('throws when the lookup fails', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(tilbudService.getTilbudByIds([1])).rejects.toThrow('HTTP error! status: 500');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getKategoriTree', () => {
+    it('fetches the category tree', async () => {
+      const tree = [{ navn: 'Kød', antal: 2, underkategorier: [{ navn: 'Oksekød', antal: 2 }] }];
+      mockFetchResponse(tree);
+      savePostnummer('8000');
+
+      await expect(tilbudService.getKategoriTree()).resolves.toEqual(tree);
+      expect(global.fetch).toHaveBeenCalledWith('/api/kategorier/tree?postnummer=8000');
+    });
+  });
+
+  describe('subscribeTilbudStream', () => {
+    let sources;
+
+    beforeEach(() => {
+      sources = [];
+      global.EventSource = jest.fn(function MockEventSource(url) {
+        this.url = url;
+        this.listeners = {};
+        this.addEventListener = (type, listener) => { this.listeners[type] = listener; };
+        this.close = jest.fn();
+        sources.push(this);
+      });
+    });
+
+    afterEach(() => {
+      delete global.EventSource;
+    });
+
+    it('opens the stream with filters and passes on changes', () => {
+      savePostnummer('2100');
+      const onChange = jest.fn();
+
+      const unsubscribe = tilbudService.subscribeTilbudStream({ butik: 'Netto', kategori: '' }, onChange);
+      expect(sources[0].url).toBe('/api/tilbud/stream?butik=Netto&postnummer=2100');
+
+      sources[0].listeners.added({ data: JSON.stringify({ id: 1, navn: 'Smør' }) });
+      expect(onChange).toHaveBeenCalledWith('added', { id: 1, navn: 'Smør' });
+
+      unsubscribe();
+      expect(sources[0].close).toHaveBeenCalled();
+    });
+
+    it('does nothing without EventSource', () => {
+      delete global.EventSource;
+
+      expect(tilbudService.subscribeTilbudStream({}, jest.fn())).toEqual(expect.any(Function));
+    });
+  });
+});
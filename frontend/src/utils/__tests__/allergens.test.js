@@ -0,0 +1,15 @@
+import { formatAllergens } from '../allergens';
+
+describe('formatAllergens', () => {
+  it('lists allergens by their Danish names', () => {
+    expect(formatAllergens(['gluten', 'maelk'])).toBe('Gluten, Mælk');
+  });
+
+  it('keeps unknown keys', () => {
+    expect(formatAllergens(['kiwi'])).toBe('kiwi');
+  });
+
+  it('returns an empty string for no allergens', () => {
+    expect(formatAllergens([])).toBe('');
+  });
+});
@@ -0,0 +1,43 @@
+import { endOfToday, formatExpiryCountdown, isLowStock } from '../expiry';
+
+describe('expiry', () => {
+  const now = new Date(2026, 9, 19, 14, 0).getTime();
+  const at = (day, hour, minute = 0) => ({ _expiryDate: new Date(2026, 9, day, hour, minute).toISOString() });
+
+  describe('endOfToday', () => {
+    test('returns the last millisecond of the local day', () => {
+      expect(endOfToday(now)).toEqual(new Date(2026, 9, 19, 23, 59, 59, 999));
+    });
+  });
+
+  describe('formatExpiryCountdown', () => {
+    test('counts minutes in the last hour', () => {
+      expect(formatExpiryCountdown(at(19, 14, 45), now)).toBe('Udløber om 45 min');
+    });
+
+    test('counts hours and minutes later today', () => {
+      expect(formatExpiryCountdown(at(19, 16, 15), now)).toBe('Udløber om 2 t 15 min');
+      expect(formatExpiryCountdown(at(19, 20), now)).toBe('Udløber om 6 t');
+    });
+
+    test('names tomorrow and counts days after that', () => {
+      expect(formatExpiryCountdown(at(20, 9), now)).toBe('Udløber i morgen');
+      expect(formatExpiryCountdown(at(23, 9), now)).toBe('Udløber om 4 dage');
+    });
+
+    test('returns null without a future expiry date', () => {
+      expect(formatExpiryCountdown(at(19, 13), now)).toBeNull();
+      expect(formatExpiryCountdown({ navn: 'Smør' }, now)).toBeNull();
+      expect(formatExpiryCountdown(null, now)).toBeNull();
+    });
+  });
+
+  describe('isLowStock', () => {
+    test('marks offers with few items left', () => {
+      expect(isLowStock({ _stock: 2 })).toBe(true);
+      expect(isLowStock({ _stock: 10 })).toBe(false);
+      expect(isLowStock({ _stock: 0 })).toBe(false);
+      expect(isLowStock({ navn: 'Smør' })).toBe(false);
+    });
+  });
+});
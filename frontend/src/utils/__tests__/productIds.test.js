@@ -0,0 +1,27 @@
+import { isStaleProductId, SALLING_ID_BASE } from '../productIds';
+
+describe('productIds', () => {
+  describe('isStaleProductId', () => {
+    test('keeps mock product IDs', () => {
+      expect(isStaleProductId(1)).toBe(false);
+      expect(isStaleProductId(108)).toBe(false);
+      expect(isStaleProductId('19')).toBe(false);
+    });
+
+    test('flags sequential Salling IDs from before stable IDs', () => {
+      expect(isStaleProductId(1000)).toBe(true);
+      expect(isStaleProductId(1042)).toBe(true);
+      expect(isStaleProductId('1042')).toBe(true);
+    });
+
+    test('keeps stable Salling IDs', () => {
+      expect(isStaleProductId(SALLING_ID_BASE)).toBe(false);
+      expect(isStaleProductId(SALLING_ID_BASE + 123456)).toBe(false);
+    });
+
+    test('ignores non-numeric IDs', () => {
+      expect(isStaleProductId('abc')).toBe(false);
+      expect(isStaleProductId(null)).toBe(false);
+    });
+  });
+});
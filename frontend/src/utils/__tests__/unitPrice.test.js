@@ -0,0 +1,16 @@
+import { formatUnitPrice } from '../unitPrice';
+
+describe('unitPrice', () => {
+  describe('formatUnitPrice', () => {
+    test('formats price per unit', () => {
+      expect(formatUnitPrice({ enhedspris: 51.8, enhed: 'kg' })).toBe('51.80 kr/kg');
+      expect(formatUnitPrice({ enhedspris: 8, enhed: 'l' })).toBe('8.00 kr/l');
+    });
+
+    test('returns null without a unit price', () => {
+      expect(formatUnitPrice({ enhedspris: null, enhed: null })).toBeNull();
+      expect(formatUnitPrice({ navn: 'Gammel kurvvare' })).toBeNull();
+      expect(formatUnitPrice(null)).toBeNull();
+    });
+  });
+});
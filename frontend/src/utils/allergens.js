@@ -0,0 +1,33 @@
+/**
+ * Allergen helpers
+ *
+ * The 14 allergens EU law requires on food labels, by the key the backend
+ * uses in nutrition data and in the undgaa filter of /api/tilbud.
+ */
+
+export const ALLERGENS = [
+  { key: 'gluten', navn: 'Gluten' },
+  { key: 'maelk', navn: 'Mælk' },
+  { key: 'aeg', navn: 'Æg' },
+  { key: 'noedder', navn: 'Nødder' },
+  { key: 'jordnoedder', navn: 'Jordnødder' },
+  { key: 'soja', navn: 'Soja' },
+  { key: 'fisk', navn: 'Fisk' },
+  { key: 'krebsdyr', navn: 'Krebsdyr' },
+  { key: 'bloeddyr', navn: 'Bløddyr' },
+  { key: 'selleri', navn: 'Selleri' },
+  { key: 'sennep', navn: 'Sennep' },
+  { key: 'sesam', navn: 'Sesam' },
+  { key: 'svovldioxid', navn: 'Svovldioxid og sulfitter' },
+  { key: 'lupin', navn: 'Lupin' }
+];
+
+/**
+ * Format allergen keys as a readable list, e.g. "Gluten, Mælk"
+ * Unknown keys are shown as they are.
+ * @param {Array<string>} keys
+ * @returns {string}
+ */
+export const formatAllergens = (keys) => keys
+  .map(key => ALLERGENS.find(allergen => allergen.key === key)?.navn || key)
+  .join(', ');
@@ -0,0 +1,61 @@
+/**
+ * Expiry and stock helpers
+ *
+ * Salling clearance offers carry _expiryDate (ISO time) and _stock (items
+ * left); imported tilbudsaviser expire at the end of their last day. The
+ * backend drops offers once they expire.
+ */
+
+// Offers with this many items or fewer left are marked as almost sold out
+export const LOW_STOCK_THRESHOLD = 3;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Get the end of the local day
+ * @param {number} [now] - ms
+ * @returns {Date} 23:59:59.999 today
+ */
+export const endOfToday = (now = Date.now()) => {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Describe how long until a tilbud expires, e.g. "Udløber om 2 t 15 min"
+ * @param {Object} tilbud - Tilbud with _expiryDate
+ * @param {number} [now] - ms
+ * @returns {string|null} Countdown text, or null if the expiry is unknown or passed
+ */
+export const formatExpiryCountdown = (tilbud, now = Date.now()) => {
+  const expiry = tilbud?._expiryDate ? Date.parse(tilbud._expiryDate) : NaN;
+  if (!Number.isFinite(expiry) || expiry <= now) {
+    return null;
+  }
+
+  const remaining = expiry - now;
+  if (remaining < HOUR) {
+    return `Udløber om ${Math.max(1, Math.floor(remaining / MINUTE))} min`;
+  }
+  if (expiry <= endOfToday(now).getTime()) {
+    const hours = Math.floor(remaining / HOUR);
+    const minutes = Math.floor((remaining % HOUR) / MINUTE);
+    return minutes > 0 ? `Udløber om ${hours} t ${minutes} min` : `Udløber om ${hours} t`;
+  }
+  if (expiry <= endOfToday(now).getTime() + 24 * HOUR) {
+    return 'Udløber i morgen';
+  }
+
+  const days = Math.ceil((expiry - endOfToday(now).getTime()) / (24 * HOUR));
+  return `Udløber om ${days} dage`;
+};
+
+/**
+ * Check whether a tilbud is almost sold out
+ * @param {Object} tilbud - Tilbud with _stock
+ * @returns {boolean}
+ */
+export const isLowStock = (tilbud) =>
+  typeof tilbud?._stock === 'number' && tilbud._stock > 0 && tilbud._stock <= LOW_STOCK_THRESHOLD;
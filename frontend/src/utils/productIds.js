@@ -0,0 +1,24 @@
+/**
+ * Product ID helpers
+ *
+ * Salling clearance offers used to be numbered sequentially from 1000 on every
+ * backend fetch, so a stored ID in that range may now point at a different
+ * product. The backend now derives stable IDs (EAN + store) at or above
+ * SALLING_ID_BASE, while mock offers keep their small numeric IDs (< 1000).
+ */
+
+export const LEGACY_SALLING_ID_MIN = 1000;
+export const SALLING_ID_BASE = 1000000000;
+
+/**
+ * Check whether a stored product ID is a stale, pre-stable Salling ID
+ * @param {string|number} id - Stored product ID
+ * @returns {boolean} True if the ID can no longer be trusted
+ */
+export const isStaleProductId = (id) => {
+  const num = Number(id);
+  if (!Number.isInteger(num)) {
+    return false;
+  }
+  return num >= LEGACY_SALLING_ID_MIN && num < SALLING_ID_BASE;
+};
@@ -0,0 +1,19 @@
+/**
+ * Unit price helpers
+ *
+ * The backend parses package sizes from offer names into maengde/enhed
+ * (kg, l or stk) and enhedspris, so offers in different pack sizes can be
+ * compared. Offers without a recognizable size have no unit price.
+ */
+
+/**
+ * Format the unit price of a tilbud, e.g. "51.80 kr/kg"
+ * @param {Object} tilbud - Tilbud with enhedspris and enhed
+ * @returns {string|null} Formatted unit price, or null if unknown
+ */
+export const formatUnitPrice = (tilbud) => {
+  if (typeof tilbud?.enhedspris !== 'number' || !tilbud.enhed) {
+    return null;
+  }
+  return `${tilbud.enhedspris.toFixed(2)} kr/${tilbud.enhed}`;
+};